@@ -0,0 +1,27 @@
+import React from 'react';
+
+const HEALTH_META = {
+  expiring: { label: 'Expiring soon', className: 'bg-amber-50 text-amber-700 border-amber-200' },
+  expired: { label: 'Token expired', className: 'bg-red-50 text-red-700 border-red-200' },
+  permission_missing: { label: 'Permission missing', className: 'bg-red-50 text-red-700 border-red-200' },
+  revoked: { label: 'Access revoked', className: 'bg-red-50 text-red-700 border-red-200' },
+};
+
+export const isAccountUnhealthy = (account) => Boolean(HEALTH_META[account?.health_status]);
+
+// Renders nothing for healthy accounts so lists stay quiet in the common case.
+const AccountHealthBadge = ({ account }) => {
+  const meta = HEALTH_META[account?.health_status];
+  if (!meta) return null;
+
+  return (
+    <span
+      className={`inline-flex items-center rounded-full border px-2 py-0.5 text-xs font-medium ${meta.className}`}
+      title={account.health_error || undefined}
+    >
+      {meta.label}
+    </span>
+  );
+};
+
+export default AccountHealthBadge;
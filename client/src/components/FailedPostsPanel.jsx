@@ -0,0 +1,284 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { scheduleApi } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  threads: 'Threads',
+  youtube: 'YouTube',
+};
+
+const OFFSET_OPTIONS = [
+  { value: 60, label: '+1 hour' },
+  { value: 6 * 60, label: '+6 hours' },
+  { value: 24 * 60, label: '+1 day' },
+  { value: 7 * 24 * 60, label: '+1 week' },
+];
+
+const formatDateTime = (value) => {
+  if (!value) return '--';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '--';
+  return date.toLocaleString();
+};
+
+const toIsoFromLocalInput = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const FailedPostsPanel = ({ onChanged }) => {
+  const [posts, setPosts] = useState([]);
+  const [errorCodes, setErrorCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [platformFilter, setPlatformFilter] = useState('all');
+  const [errorCodeFilter, setErrorCodeFilter] = useState('');
+  const [fromFilter, setFromFilter] = useState('');
+  const [toFilter, setToFilter] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [retryAt, setRetryAt] = useState('');
+  const [offsetMinutes, setOffsetMinutes] = useState(OFFSET_OPTIONS[2].value);
+  const [running, setRunning] = useState(false);
+  const [lastResults, setLastResults] = useState(null);
+
+  const fetchFailed = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await scheduleApi.failed({
+        platform: platformFilter,
+        errorCode: errorCodeFilter || undefined,
+        from: toIsoFromLocalInput(fromFilter) || undefined,
+        to: toIsoFromLocalInput(toFilter) || undefined,
+      });
+      setPosts(response.data?.posts || []);
+      setErrorCodes(response.data?.errorCodes || []);
+      setSelectedIds([]);
+    } catch {
+      setPosts([]);
+      toast.error('Failed to load failed posts');
+    } finally {
+      setLoading(false);
+    }
+  }, [platformFilter, errorCodeFilter, fromFilter, toFilter]);
+
+  useEffect(() => {
+    fetchFailed();
+  }, [fetchFailed]);
+
+  const allSelected = posts.length > 0 && selectedIds.length === posts.length;
+
+  const toggleSelected = (postId) => {
+    setSelectedIds((current) =>
+      current.includes(postId) ? current.filter((id) => id !== postId) : [...current, postId]
+    );
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : posts.map((post) => post.id));
+  };
+
+  const runBulkAction = async (action) => {
+    if (selectedIds.length === 0) return;
+
+    const payload = { action, postIds: selectedIds };
+    if (action === 'retry_at') {
+      const scheduledFor = toIsoFromLocalInput(retryAt);
+      if (!scheduledFor) {
+        toast.error('Pick a retry time first');
+        return;
+      }
+      payload.scheduledFor = scheduledFor;
+    }
+    if (action === 'reschedule_offset') {
+      payload.offsetMinutes = offsetMinutes;
+    }
+    if (action === 'cancel' && !window.confirm(`Cancel ${selectedIds.length} failed post(s)?`)) {
+      return;
+    }
+
+    setRunning(true);
+    try {
+      const response = await scheduleApi.bulkRecover(payload);
+      const summary = response.data?.summary || {};
+      setLastResults(response.data?.results || []);
+      if (summary.failed > 0) {
+        toast.error(`${summary.succeeded || 0} updated, ${summary.failed} failed`);
+      } else {
+        toast.success(`${summary.succeeded || 0} post(s) updated`);
+      }
+      await fetchFailed();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Bulk action failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const failedResults = (lastResults || []).filter((result) => !result.success);
+
+  return (
+    <div className="space-y-4">
+      <div className="card space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <select className="input" value={platformFilter} onChange={(event) => setPlatformFilter(event.target.value)}>
+            <option value="all">All Platforms</option>
+            <option value="instagram">Instagram</option>
+            <option value="threads">Threads</option>
+            <option value="youtube">YouTube</option>
+          </select>
+
+          <select className="input" value={errorCodeFilter} onChange={(event) => setErrorCodeFilter(event.target.value)}>
+            <option value="">All error codes</option>
+            {errorCodes.map((item) => (
+              <option key={item.code} value={item.code}>
+                {item.code} ({item.count})
+              </option>
+            ))}
+          </select>
+
+          <input
+            type="datetime-local"
+            className="input"
+            value={fromFilter}
+            onChange={(event) => setFromFilter(event.target.value)}
+            aria-label="Failed after"
+          />
+          <input
+            type="datetime-local"
+            className="input"
+            value={toFilter}
+            onChange={(event) => setToFilter(event.target.value)}
+            aria-label="Failed before"
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 border-t border-gray-100 pt-3">
+          <span className="text-sm text-gray-600 mr-2">{selectedIds.length} selected</span>
+          <button
+            type="button"
+            onClick={() => runBulkAction('retry_now')}
+            disabled={running || selectedIds.length === 0}
+            className="rounded-md border border-blue-300 bg-blue-50 px-3 py-1 text-xs font-medium text-blue-700 hover:bg-blue-100 disabled:opacity-50"
+          >
+            Retry Now
+          </button>
+
+          <input
+            type="datetime-local"
+            className="input max-w-[210px] py-1 text-xs"
+            value={retryAt}
+            onChange={(event) => setRetryAt(event.target.value)}
+            aria-label="Retry at"
+          />
+          <button
+            type="button"
+            onClick={() => runBulkAction('retry_at')}
+            disabled={running || selectedIds.length === 0}
+            className="rounded-md border border-gray-300 px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Retry At
+          </button>
+
+          <select
+            className="input max-w-[130px] py-1 text-xs"
+            value={offsetMinutes}
+            onChange={(event) => setOffsetMinutes(Number(event.target.value))}
+            aria-label="Reschedule offset"
+          >
+            {OFFSET_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => runBulkAction('reschedule_offset')}
+            disabled={running || selectedIds.length === 0}
+            className="rounded-md border border-gray-300 px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Reschedule
+          </button>
+
+          <button
+            type="button"
+            onClick={() => runBulkAction('cancel')}
+            disabled={running || selectedIds.length === 0}
+            className="rounded-md border border-red-300 bg-red-50 px-3 py-1 text-xs font-medium text-red-700 hover:bg-red-100 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        </div>
+
+        {failedResults.length > 0 && (
+          <div className="rounded-md border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800 space-y-1">
+            <p className="font-semibold">Some posts were not updated:</p>
+            {failedResults.map((result) => (
+              <p key={result.postId}>
+                {result.postId.slice(0, 8)}… — {result.code}: {result.error}
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : posts.length === 0 ? (
+        <div className="card text-center">
+          <AlertTriangle className="h-10 w-10 text-gray-400 mx-auto mb-2" />
+          <p className="text-gray-600">No failed posts for these filters.</p>
+        </div>
+      ) : (
+        <div className="card space-y-3">
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+            Select all ({posts.length})
+          </label>
+
+          {posts.map((post) => (
+            <label
+              key={post.id}
+              className="flex items-start gap-3 rounded-lg border border-gray-200 p-3 cursor-pointer hover:border-blue-300"
+            >
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={selectedIds.includes(post.id)}
+                onChange={() => toggleSelected(post.id)}
+              />
+              <div className="flex-1 min-w-0 space-y-1">
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  <span className="rounded-full bg-red-100 px-2 py-1 font-semibold text-red-700">
+                    {String(post.status || '').replace(/_/g, ' ')}
+                  </span>
+                  {(post.platforms || []).map((platform) => (
+                    <span key={`${post.id}-${platform}`} className="rounded-full bg-gray-100 px-2 py-1 text-gray-700">
+                      {PLATFORM_LABELS[platform] || platform}
+                    </span>
+                  ))}
+                  <span className="text-gray-500">Failed {formatDateTime(post.updated_at)}</span>
+                </div>
+                <p className="text-sm text-gray-800 line-clamp-2 break-words">{post.caption || 'No caption'}</p>
+                {post.last_error_message && (
+                  <p className="text-xs text-red-700">
+                    {post.last_error_code && <span className="font-semibold">{post.last_error_code}: </span>}
+                    {post.last_error_message}
+                  </p>
+                )}
+              </div>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FailedPostsPanel;
@@ -0,0 +1,283 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Film } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { mediaApi } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const PAGE_SIZE = 24;
+
+const TYPE_OPTIONS = [
+  { value: '', label: 'All media' },
+  { value: 'image', label: 'Images' },
+  { value: 'video', label: 'Videos' },
+];
+
+const formatBytes = (value) => {
+  const bytes = Number(value);
+  if (!Number.isFinite(bytes) || bytes <= 0) return null;
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDuration = (value) => {
+  const seconds = Math.round(Number(value));
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const describeAsset = (asset) =>
+  [
+    asset.width && asset.height ? `${asset.width}×${asset.height}` : null,
+    formatDuration(asset.duration_seconds),
+    formatBytes(asset.size_bytes),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// Cloudinary serves a poster frame for a video when the extension is swapped
+// for an image format.
+const previewUrl = (asset) =>
+  asset.resource_type === 'video' ? String(asset.url).replace(/\.[a-z0-9]+$/i, '.jpg') : asset.url;
+
+// Previously uploaded files for the active team (or the user in personal
+// mode). Picking one hands its URL back without uploading it again.
+const MediaLibraryPicker = ({ selectedUrls = [], onSelect, refreshKey = 0 }) => {
+  const [assets, setAssets] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ q: '', type: '', tag: '' });
+  const [editingTags, setEditingTags] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchAssets = useCallback(
+    async (offset = 0) => {
+      setLoading(true);
+      try {
+        const params = { limit: PAGE_SIZE, offset };
+        if (filters.q) params.q = filters.q;
+        if (filters.type) params.type = filters.type;
+        if (filters.tag) params.tag = filters.tag;
+
+        const response = await mediaApi.assets(params);
+        const page = response.data?.assets || [];
+        setAssets((current) => (offset === 0 ? page : [...current, ...page]));
+        setHasMore(Boolean(response.data?.hasMore));
+      } catch {
+        toast.error('Failed to load media library');
+      } finally {
+        setLoading(false);
+      }
+    },
+    [filters]
+  );
+
+  useEffect(() => {
+    fetchAssets(0);
+  }, [fetchAssets, refreshKey]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setFilters((current) => ({ ...current, q: search.trim() }));
+  };
+
+  const handleSaveTags = async (event) => {
+    event.preventDefault();
+    if (!editingTags) return;
+
+    setBusyId(editingTags.id);
+    try {
+      const response = await mediaApi.updateAssetTags(editingTags.id, editingTags.value);
+      const updated = response.data.asset;
+      setAssets((current) => current.map((asset) => (asset.id === updated.id ? updated : asset)));
+      setEditingTags(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update tags');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (asset) => {
+    if (!window.confirm(`Delete ${asset.original_name || 'this file'} from the library?`)) return;
+
+    setBusyId(asset.id);
+    try {
+      await mediaApi.deleteAsset(asset.id);
+      setAssets((current) => current.filter((item) => item.id !== asset.id));
+      toast.success('Media deleted');
+    } catch (error) {
+      const data = error.response?.data || {};
+      if (data.code === 'ASSET_IN_USE') {
+        const count = data.referenceCount || (data.posts?.length || 0) + (data.series?.length || 0);
+        toast.error(`Still used by ${count} post(s) or series that can still publish. Remove it there first.`);
+      } else {
+        toast.error(data.error || 'Failed to delete media');
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3 rounded-lg border border-gray-200 bg-gray-50 p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <form onSubmit={handleSearch} className="flex flex-1 gap-2">
+          <input
+            type="search"
+            className="input min-w-0 flex-1 text-sm"
+            placeholder="Search by file name or tag"
+            value={search}
+            onChange={(event) => setSearch(event.target.value)}
+          />
+          <button
+            type="submit"
+            className="rounded-md border border-gray-300 bg-white px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50"
+          >
+            Search
+          </button>
+        </form>
+        <select
+          className="input w-auto text-sm"
+          value={filters.type}
+          onChange={(event) => setFilters((current) => ({ ...current, type: event.target.value }))}
+        >
+          {TYPE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {filters.tag && (
+        <p className="text-xs text-gray-600">
+          Tagged <span className="font-medium">#{filters.tag}</span>{' '}
+          <button
+            type="button"
+            className="text-blue-600 hover:text-blue-700"
+            onClick={() => setFilters((current) => ({ ...current, tag: '' }))}
+          >
+            Clear
+          </button>
+        </p>
+      )}
+
+      {assets.length === 0 && !loading ? (
+        <p className="text-sm text-gray-500">No media found. Files you upload show up here.</p>
+      ) : (
+        <div className="grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-4">
+          {assets.map((asset) => {
+            const selected = selectedUrls.includes(asset.url);
+            const details = describeAsset(asset);
+            return (
+              <div
+                key={asset.id}
+                className={`overflow-hidden rounded-lg border bg-white ${
+                  selected ? 'border-blue-400 ring-1 ring-blue-300' : 'border-gray-200'
+                }`}
+              >
+                <button
+                  type="button"
+                  className="relative block aspect-square w-full bg-gray-100"
+                  onClick={() => onSelect(asset)}
+                  disabled={selected}
+                  title={selected ? 'Already added' : 'Add to post'}
+                >
+                  <img src={previewUrl(asset)} alt={asset.original_name || ''} className="h-full w-full object-cover" loading="lazy" />
+                  {asset.resource_type === 'video' && (
+                    <Film className="absolute left-2 top-2 h-4 w-4 text-white drop-shadow" />
+                  )}
+                  {selected && (
+                    <span className="absolute inset-x-0 bottom-0 bg-blue-600/80 py-0.5 text-center text-xs text-white">
+                      Added
+                    </span>
+                  )}
+                </button>
+
+                <div className="space-y-1 p-2 text-xs">
+                  <p className="truncate font-medium text-gray-800" title={asset.original_name || ''}>
+                    {asset.original_name || 'Untitled'}
+                  </p>
+                  {details && <p className="text-gray-500">{details}</p>}
+
+                  {editingTags?.id === asset.id ? (
+                    <form onSubmit={handleSaveTags} className="flex gap-1">
+                      <input
+                        className="input min-w-0 flex-1 px-2 py-1 text-xs"
+                        placeholder="tag, another tag"
+                        value={editingTags.value}
+                        onChange={(event) => setEditingTags({ id: asset.id, value: event.target.value })}
+                        autoFocus
+                      />
+                      <button
+                        type="submit"
+                        disabled={busyId === asset.id}
+                        className="text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                    </form>
+                  ) : (
+                    <div className="flex flex-wrap gap-1">
+                      {(asset.tags || []).map((tag) => (
+                        <button
+                          key={tag}
+                          type="button"
+                          className="rounded bg-gray-100 px-1.5 py-0.5 text-gray-600 hover:bg-gray-200"
+                          onClick={() => setFilters((current) => ({ ...current, tag }))}
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="flex justify-between pt-1">
+                    <button
+                      type="button"
+                      className="text-gray-500 hover:text-gray-700"
+                      onClick={() =>
+                        setEditingTags(
+                          editingTags?.id === asset.id ? null : { id: asset.id, value: (asset.tags || []).join(', ') }
+                        )
+                      }
+                    >
+                      {editingTags?.id === asset.id ? 'Cancel' : 'Tags'}
+                    </button>
+                    <button
+                      type="button"
+                      className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                      disabled={busyId === asset.id}
+                      onClick={() => handleDelete(asset)}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-2">
+          <LoadingSpinner size="sm" />
+        </div>
+      ) : (
+        hasMore && (
+          <button
+            type="button"
+            className="rounded-md border border-gray-300 bg-white px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50"
+            onClick={() => fetchAssets(assets.length)}
+          >
+            Load more
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+export default MediaLibraryPicker;
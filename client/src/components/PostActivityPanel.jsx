@@ -0,0 +1,204 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { postsApi } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+
+const actionLabel = {
+  created: 'Created',
+  edited: 'Edited',
+  rescheduled: 'Rescheduled',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  published: 'Published',
+  failed: 'Failed',
+  retried: 'Retried',
+  cancelled: 'Cancelled remaining platforms',
+  deleted: 'Deleted',
+};
+
+const actionTone = {
+  approved: 'text-emerald-700',
+  published: 'text-emerald-700',
+  rejected: 'text-rose-700',
+  failed: 'text-red-700',
+  cancelled: 'text-gray-500',
+  deleted: 'text-gray-500',
+};
+
+const formatTimestamp = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '--';
+  return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+const describeDetails = (entry) => {
+  const details = entry.details || {};
+  switch (entry.action) {
+    case 'created':
+      if (details.seriesId) return `from recurring series #${details.occurrence}`;
+      if (details.status === 'pending_approval') return 'sent for approval';
+      return details.scheduledFor ? `for ${formatTimestamp(details.scheduledFor)}` : '';
+    case 'edited':
+      return Array.isArray(details.fields) && details.fields.length > 0 ? details.fields.join(', ') : '';
+    case 'rescheduled':
+      return `${details.from ? `${formatTimestamp(details.from)} → ` : ''}${formatTimestamp(details.to)}`;
+    case 'approved':
+    case 'rejected':
+      return details.comment || '';
+    case 'published':
+      if (details.premiere) return 'YouTube premiere went public';
+      return (details.warnings || []).map((warning) => warning.message).join(' · ');
+    case 'failed': {
+      const parts = [details.code, details.partial ? 'some platforms posted' : null].filter(Boolean);
+      if (details.nextRetryAt) parts.push(`retrying ${formatTimestamp(details.nextRetryAt)}`);
+      (details.warnings || []).forEach((warning) => parts.push(warning.message));
+      return parts.join(' · ');
+    }
+    case 'cancelled':
+      return Array.isArray(details.platforms) ? details.platforms.join(', ') : '';
+    case 'retried':
+      return details.to || details.scheduledFor ? `for ${formatTimestamp(details.to || details.scheduledFor)}` : '';
+    default:
+      return '';
+  }
+};
+
+// Activity log and comment thread for one post. Loaded when it is opened so
+// long schedules do not fetch every post's history up front.
+const PostActivityPanel = ({ postId }) => {
+  const { user } = useAuth();
+  const [activity, setActivity] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchActivity = useCallback(async () => {
+    try {
+      const response = await postsApi.activity(postId);
+      setActivity(response.data?.activity || []);
+      setComments(response.data?.comments || []);
+    } catch {
+      toast.error('Failed to load post activity');
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    fetchActivity();
+  }, [fetchActivity]);
+
+  const handleAddComment = async (event) => {
+    event.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+
+    setSaving(true);
+    try {
+      const response = await postsApi.addComment(postId, body);
+      setComments((current) => [...current, response.data.comment]);
+      setDraft('');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add comment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    try {
+      await postsApi.deleteComment(postId, commentId);
+      setComments((current) => current.filter((comment) => comment.id !== commentId));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete comment');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-3">
+        <LoadingSpinner size="sm" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 gap-4 rounded-md border border-gray-200 bg-gray-50 p-3 text-xs md:grid-cols-2">
+      <div>
+        <p className="mb-2 font-semibold text-gray-700">Activity</p>
+        {activity.length === 0 ? (
+          <p className="text-gray-500">No activity recorded yet.</p>
+        ) : (
+          <ol className="space-y-1.5">
+            {activity.map((entry) => {
+              const detail = describeDetails(entry);
+              return (
+                <li key={entry.id} className="text-gray-600">
+                  <span className={`font-medium ${actionTone[entry.action] || 'text-gray-800'}`}>
+                    {actionLabel[entry.action] || entry.action}
+                  </span>
+                  {' by '}
+                  {entry.actor_id ? entry.actor_name || 'a teammate' : 'the scheduler'}
+                  {' · '}
+                  {formatTimestamp(entry.created_at)}
+                  {detail && <span className="block pl-3 text-gray-500">{detail}</span>}
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+
+      <div>
+        <p className="mb-2 font-semibold text-gray-700">Comments</p>
+        {comments.length === 0 ? (
+          <p className="mb-2 text-gray-500">No comments yet.</p>
+        ) : (
+          <ul className="mb-2 space-y-2">
+            {comments.map((comment) => (
+              <li key={comment.id} className="rounded-md border border-gray-200 bg-white px-2 py-1.5">
+                <div className="flex items-center justify-between gap-2 text-gray-500">
+                  <span>
+                    <span className="font-medium text-gray-700">{comment.author_name || 'Teammate'}</span>
+                    {' · '}
+                    {formatTimestamp(comment.created_at)}
+                  </span>
+                  {String(comment.user_id) === String(user?.id) && (
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteComment(comment.id)}
+                      className="text-gray-400 hover:text-red-600"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+                <p className="mt-1 whitespace-pre-wrap text-gray-800">{comment.body}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={handleAddComment} className="space-y-2">
+          <textarea
+            className="textarea min-h-0 text-xs"
+            rows={2}
+            placeholder="Leave a note for your team"
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={saving || !draft.trim()}
+            className="rounded-md border border-blue-300 bg-blue-50 px-3 py-1 text-xs font-medium text-blue-700 hover:bg-blue-100 disabled:opacity-50"
+          >
+            Comment
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PostActivityPanel;
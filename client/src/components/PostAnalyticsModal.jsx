@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import { analyticsApi } from '../utils/api';
+
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  threads: 'Threads',
+  youtube: 'YouTube',
+};
+
+const METRIC_LABELS = {
+  likes: 'Likes',
+  comments: 'Comments',
+  reach: 'Reach',
+  replies: 'Replies',
+  views: 'Views',
+  watch_time_minutes: 'Watch Time (min)',
+  subscribers_gained: 'Subscribers',
+};
+
+const CROSS_POST_LABELS = {
+  x: 'X',
+  linkedin: 'LinkedIn',
+};
+
+const formatDate = (value) => {
+  if (!value) return '--';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '--';
+  return date.toLocaleString();
+};
+
+const formatMetric = (value) => (value === null || value === undefined ? '--' : Number(value).toLocaleString());
+
+const Sparkline = ({ points = [], metric }) => {
+  const values = points.map((point) => Number(point?.[metric] || 0));
+  if (values.length < 2) {
+    return <p className="text-xs text-gray-400">Not enough snapshots yet</p>;
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const coordinates = values
+    .map((value, index) => `${(index / (values.length - 1)) * 100},${30 - ((value - min) / range) * 28}`)
+    .join(' ');
+
+  return (
+    <svg viewBox="0 0 100 32" preserveAspectRatio="none" className="w-full h-8">
+      <polyline points={coordinates} fill="none" stroke="currentColor" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+const PostAnalyticsModal = ({ postId, onClose }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+
+    const fetchDetail = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await analyticsApi.post(postId);
+        if (mounted) {
+          setData(response.data || null);
+        }
+      } catch (requestError) {
+        if (mounted) {
+          setError(requestError.response?.data?.error || 'Failed to load post analytics');
+          setData(null);
+        }
+      } finally {
+        if (mounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchDetail();
+    return () => {
+      mounted = false;
+    };
+  }, [postId]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const metrics = data?.metrics || {};
+  const history = data?.history || {};
+  const crossPostResults = data?.crossPost?.results || {};
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-xl bg-white shadow-xl"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="flex items-center justify-between border-b border-gray-200 px-5 py-4">
+          <h2 className="text-lg font-semibold text-gray-900">Post Details</h2>
+          <button type="button" className="text-gray-500 hover:text-gray-700" onClick={onClose} aria-label="Close">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="px-5 py-4 space-y-6">
+          {loading && (
+            <div className="flex justify-center py-10">
+              <LoadingSpinner size="lg" />
+            </div>
+          )}
+
+          {!loading && error && <p className="text-sm text-red-600">{error}</p>}
+
+          {!loading && data && (
+            <>
+              <div className="space-y-2">
+                <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{data.post?.caption || '(No caption)'}</p>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500">
+                  <span>Status: {data.post?.status ? data.post.status.replace(/_/g, ' ') : 'unknown'}</span>
+                  <span>Posted: {formatDate(data.post?.postedAt)}</span>
+                  <span>Metrics synced: {formatDate(data.metricsSyncedAt)}</span>
+                </div>
+              </div>
+
+              {Array.isArray(data.deliveries) && data.deliveries.length > 0 && (
+                <section className="space-y-2">
+                  <h3 className="text-sm font-semibold text-gray-900">Deliveries</h3>
+                  <div className="space-y-1">
+                    {data.deliveries.map((delivery) => (
+                      <div key={delivery.platform} className="flex flex-wrap items-center gap-2 text-sm">
+                        <span className="font-medium text-gray-800">{PLATFORM_LABELS[delivery.platform] || delivery.platform}:</span>
+                        <span className={delivery.status === 'failed' ? 'text-red-600' : 'text-gray-600'}>{delivery.status}</span>
+                        <span className="text-xs text-gray-500">
+                          {delivery.attemptCount} attempt{delivery.attemptCount === 1 ? '' : 's'} · last {formatDate(delivery.lastAttemptAt)}
+                        </span>
+                        {delivery.status === 'failed' && delivery.errorMessage && (
+                          <span className="w-full text-xs text-red-600">
+                            {delivery.errorCode ? `${delivery.errorCode}: ` : ''}
+                            {delivery.errorMessage}
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              )}
+
+              {Object.keys(metrics).map((platform) => (
+                <section key={platform} className="space-y-3">
+                  <h3 className="text-sm font-semibold text-gray-900">{PLATFORM_LABELS[platform] || platform}</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    {Object.entries(metrics[platform]).map(([metric, value]) => (
+                      <div key={metric} className="rounded-lg border border-gray-200 px-3 py-2 text-blue-600">
+                        <p className="text-xs text-gray-500">{METRIC_LABELS[metric] || metric}</p>
+                        <p className="text-lg font-semibold text-gray-900">{formatMetric(value)}</p>
+                        <Sparkline points={history[platform] || []} metric={metric} />
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              ))}
+
+              {Array.isArray(data.threadsParts) && data.threadsParts.length > 1 && (
+                <section className="space-y-2">
+                  <h3 className="text-sm font-semibold text-gray-900">Threads chain</h3>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-500">
+                          <th className="py-1 pr-3">Part</th>
+                          <th className="py-1 pr-3">Views</th>
+                          <th className="py-1 pr-3">Likes</th>
+                          <th className="py-1">Replies</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {data.threadsParts.map((part) => (
+                          <tr key={part.index} className="border-t border-gray-100">
+                            <td className="py-1 pr-3 text-gray-700">
+                              #{part.index}
+                              {part.text && <span className="ml-2 text-xs text-gray-500 line-clamp-1">{part.text}</span>}
+                            </td>
+                            <td className="py-1 pr-3">{formatMetric(part.views)}</td>
+                            <td className="py-1 pr-3">{formatMetric(part.likes)}</td>
+                            <td className="py-1">{formatMetric(part.replies)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </section>
+              )}
+
+              {data.crossPost && (
+                <section className="space-y-2">
+                  <h3 className="text-sm font-semibold text-gray-900">Cross-post results</h3>
+                  <p className="text-xs text-gray-500">Last attempt: {formatDate(data.crossPost.lastAttemptedAt)}</p>
+                  <div className="space-y-1">
+                    {Object.entries(crossPostResults).map(([target, result]) => (
+                      <div key={target} className="flex flex-wrap items-center gap-2 text-sm">
+                        <span className="font-medium text-gray-800">{CROSS_POST_LABELS[target] || target}:</span>
+                        <span className="text-gray-600">{String(result?.status || 'pending').replace(/_/g, ' ')}</span>
+                        {result?.tweetUrl && (
+                          <a href={result.tweetUrl} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">
+                            View post
+                          </a>
+                        )}
+                        {result?.mediaStatus && result.mediaStatus !== 'none' && (
+                          <span className="text-xs text-gray-500">media: {String(result.mediaStatus).replace(/_/g, ' ')}</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PostAnalyticsModal;
@@ -0,0 +1,208 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { ListOrdered, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { scheduleApi } from '../utils/api';
+import { useAccounts } from '../contexts/AccountContext';
+import LoadingSpinner from './LoadingSpinner';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  threads: 'Threads',
+  youtube: 'YouTube',
+};
+
+const describeAccount = (account) =>
+  `${PLATFORM_LABELS[account.platform] || account.platform}: ${
+    account.account_display_name || account.account_username || account.account_id
+  }`;
+
+const QueueSlotsPanel = ({ onChanged }) => {
+  const { accounts } = useAccounts();
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [weekdays, setWeekdays] = useState([1, 3, 5]);
+  const [time, setTime] = useState('09:00');
+  const [timezone, setTimezone] = useState(() => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+  const [accountId, setAccountId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+
+  const fetchSlots = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await scheduleApi.listSlots();
+      setSlots(response.data?.slots || []);
+    } catch {
+      setSlots([]);
+      toast.error('Failed to load posting slots');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSlots();
+  }, [fetchSlots]);
+
+  const lanes = useMemo(() => {
+    const grouped = new Map();
+    for (const slot of slots) {
+      const key = slot.accountId || '';
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(slot);
+    }
+
+    return [...grouped.entries()].map(([key, laneSlots]) => {
+      const account = accounts.find((item) => item.id === key);
+      return {
+        key,
+        label: key ? (account ? describeAccount(account) : 'Disconnected account') : 'Shared slots',
+        slots: laneSlots,
+      };
+    });
+  }, [slots, accounts]);
+
+  const toggleWeekday = (day) => {
+    setWeekdays((current) =>
+      current.includes(day) ? current.filter((item) => item !== day) : [...current, day]
+    );
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (weekdays.length === 0) {
+      toast.error('Pick at least one weekday');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await scheduleApi.createSlots({
+        weekdays,
+        time,
+        timezone,
+        accountId: accountId || null,
+      });
+      const created = response.data?.slots?.length || 0;
+      toast.success(created > 0 ? `${created} slot(s) added` : 'Those slots already exist');
+      await fetchSlots();
+      if (response.data?.reshuffledPosts > 0) onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add posting slots');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (slot) => {
+    setDeletingId(slot.id);
+    try {
+      const response = await scheduleApi.deleteSlot(slot.id);
+      toast.success('Slot removed');
+      await fetchSlots();
+      if (response.data?.reshuffledPosts > 0) onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove slot');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleCreate} className="card space-y-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Add Posting Slots</h2>
+          <p className="text-sm text-gray-600">
+            Posts added to a queue take the next free slot. Removing a queued post moves the ones behind it up.
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`rounded-md border px-3 py-1 text-xs font-medium ${
+                weekdays.includes(day)
+                  ? 'border-blue-500 bg-blue-50 text-blue-700'
+                  : 'border-gray-300 text-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input
+            type="time"
+            className="input"
+            value={time}
+            onChange={(event) => setTime(event.target.value)}
+            aria-label="Slot time"
+          />
+          <input
+            className="input"
+            value={timezone}
+            onChange={(event) => setTimezone(event.target.value)}
+            aria-label="Time zone"
+          />
+          <select className="input" value={accountId} onChange={(event) => setAccountId(event.target.value)}>
+            <option value="">Shared slots</option>
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {describeAccount(account)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Add Slots'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : lanes.length === 0 ? (
+        <div className="card text-center">
+          <ListOrdered className="h-10 w-10 text-gray-400 mx-auto mb-2" />
+          <p className="text-gray-600">No posting slots yet.</p>
+        </div>
+      ) : (
+        lanes.map((lane) => (
+          <div key={lane.key || 'shared'} className="card space-y-2">
+            <h3 className="text-sm font-semibold text-gray-900">{lane.label}</h3>
+            <div className="flex flex-wrap gap-2">
+              {lane.slots.map((slot) => (
+                <span
+                  key={slot.id}
+                  className="inline-flex items-center gap-2 rounded-full border border-gray-200 bg-gray-50 px-3 py-1 text-xs text-gray-700"
+                >
+                  {WEEKDAYS[slot.weekday]} {slot.time} ({slot.timezone})
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(slot)}
+                    disabled={deletingId === slot.id}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                    aria-label="Remove slot"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default QueueSlotsPanel;
@@ -0,0 +1,428 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Repeat } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { scheduleApi } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const PLATFORM_OPTIONS = [
+  { key: 'instagram', label: 'Instagram' },
+  { key: 'threads', label: 'Threads' },
+  { key: 'youtube', label: 'YouTube' },
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const VARIANT_SEPARATOR = /\n-{3,}\n/;
+
+const statusClass = {
+  active: 'bg-emerald-100 text-emerald-700',
+  paused: 'bg-amber-100 text-amber-700',
+  completed: 'bg-gray-100 text-gray-700',
+  cancelled: 'bg-gray-100 text-gray-500',
+};
+
+const toLocalInput = (value) => {
+  const date = value ? new Date(value) : new Date(Date.now() + 60 * 60 * 1000);
+  if (Number.isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+const parseJsonArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+};
+
+const buildEmptyForm = () => ({
+  platforms: ['threads'],
+  caption: '',
+  variants: '',
+  mediaUrls: '',
+  frequency: 'weekly',
+  interval: 1,
+  byWeekday: [new Date().getDay()],
+  startAt: toLocalInput(null),
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  endMode: 'never',
+  until: '',
+  count: 10,
+});
+
+const formFromSeries = (series) => {
+  const template = series.template || {};
+  return {
+    platforms: template.platforms || [],
+    caption: template.caption || '',
+    variants: parseJsonArray(series.caption_variants).join('\n---\n'),
+    mediaUrls: (template.mediaUrls || []).join('\n'),
+    frequency: series.frequency,
+    interval: series.interval_count || 1,
+    byWeekday: parseJsonArray(series.by_weekday),
+    startAt: toLocalInput(series.starts_at),
+    timezone: series.timezone || 'UTC',
+    endMode: series.until_at ? 'until' : series.occurrence_limit ? 'count' : 'never',
+    until: series.until_at ? toLocalInput(series.until_at) : '',
+    count: series.occurrence_limit || 10,
+  };
+};
+
+const describeRule = (series) => {
+  const interval = Number(series.interval_count || 1);
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[series.frequency] || series.frequency;
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  const weekdays = parseJsonArray(series.by_weekday);
+  if (series.frequency === 'weekly' && weekdays.length > 0) {
+    text += ` on ${weekdays.map((day) => WEEKDAYS[day]).join(', ')}`;
+  }
+  if (series.until_at) text += ` until ${new Date(series.until_at).toLocaleDateString()}`;
+  if (series.occurrence_limit) text += `, ${series.occurrence_limit} times`;
+  return `${text} (${series.timezone})`;
+};
+
+const SeriesPanel = ({ onChanged }) => {
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(buildEmptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchSeries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await scheduleApi.listSeries();
+      setSeries(response.data?.series || []);
+    } catch {
+      setSeries([]);
+      toast.error('Failed to load recurring series');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [fetchSeries]);
+
+  const updateForm = (patch) => setForm((current) => ({ ...current, ...patch }));
+
+  const togglePlatform = (platform) => {
+    updateForm({
+      platforms: form.platforms.includes(platform)
+        ? form.platforms.filter((item) => item !== platform)
+        : [...form.platforms, platform],
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    updateForm({
+      byWeekday: form.byWeekday.includes(day)
+        ? form.byWeekday.filter((item) => item !== day)
+        : [...form.byWeekday, day],
+    });
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(buildEmptyForm());
+    setShowForm(true);
+  };
+
+  const openEdit = (item) => {
+    setEditingId(item.id);
+    setForm(formFromSeries(item));
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const payload = {
+      platforms: form.platforms,
+      caption: form.caption,
+      captionVariants: form.variants.split(VARIANT_SEPARATOR).map((item) => item.trim()).filter(Boolean),
+      mediaUrls: form.mediaUrls.split(/[\n,]/).map((item) => item.trim()).filter(Boolean),
+      frequency: form.frequency,
+      interval: Number(form.interval) || 1,
+      byWeekday: form.frequency === 'weekly' ? form.byWeekday : [],
+      startAt: new Date(form.startAt).toISOString(),
+      timezone: form.timezone,
+      until: form.endMode === 'until' && form.until ? new Date(form.until).toISOString() : null,
+      count: form.endMode === 'count' ? Number(form.count) : null,
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await scheduleApi.updateSeries(editingId, payload);
+        toast.success('Series updated; future posts will use the new settings');
+      } else {
+        await scheduleApi.createSeries(payload);
+        toast.success('Recurring series created');
+      }
+      setShowForm(false);
+      await fetchSeries();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save series');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (item, action, successMessage) => {
+    setBusyId(item.id);
+    try {
+      await action(item.id);
+      toast.success(successMessage);
+      await fetchSeries();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Series action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = (item) => {
+    if (!window.confirm('Cancel this series and all of its upcoming posts?')) return;
+    runAction(item, scheduleApi.cancelSeries, 'Series cancelled');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end">
+        <button type="button" onClick={openCreate} className="btn btn-primary">
+          New Series
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="card space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Series' : 'New Recurring Series'}</h2>
+
+          <div className="flex flex-wrap gap-3">
+            {PLATFORM_OPTIONS.map((option) => (
+              <label key={option.key} className="inline-flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.platforms.includes(option.key)}
+                  onChange={() => togglePlatform(option.key)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Caption</label>
+            <textarea
+              className="input min-h-[80px]"
+              value={form.caption}
+              onChange={(event) => updateForm({ caption: event.target.value })}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Caption rotation (optional, separate variants with a line of ---)
+            </label>
+            <textarea
+              className="input min-h-[80px]"
+              value={form.variants}
+              onChange={(event) => updateForm({ variants: event.target.value })}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Media URLs (one per line)</label>
+            <textarea
+              className="input min-h-[60px]"
+              value={form.mediaUrls}
+              onChange={(event) => updateForm({ mediaUrls: event.target.value })}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <select className="input" value={form.frequency} onChange={(event) => updateForm({ frequency: event.target.value })}>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+            </select>
+            <input
+              type="number"
+              min="1"
+              max="52"
+              className="input"
+              value={form.interval}
+              onChange={(event) => updateForm({ interval: event.target.value })}
+              aria-label="Repeat every"
+            />
+            <input
+              type="datetime-local"
+              className="input"
+              value={form.startAt}
+              onChange={(event) => updateForm({ startAt: event.target.value })}
+              aria-label="Starts at"
+            />
+            <input
+              className="input"
+              value={form.timezone}
+              onChange={(event) => updateForm({ timezone: event.target.value })}
+              aria-label="Time zone"
+            />
+          </div>
+
+          {form.frequency === 'weekly' && (
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleWeekday(day)}
+                  className={`rounded-md border px-3 py-1 text-xs font-medium ${
+                    form.byWeekday.includes(day)
+                      ? 'border-blue-500 bg-blue-50 text-blue-700'
+                      : 'border-gray-300 text-gray-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <span>Ends:</span>
+            <select className="input max-w-[140px]" value={form.endMode} onChange={(event) => updateForm({ endMode: event.target.value })}>
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After count</option>
+            </select>
+            {form.endMode === 'until' && (
+              <input
+                type="datetime-local"
+                className="input max-w-[220px]"
+                value={form.until}
+                onChange={(event) => updateForm({ until: event.target.value })}
+              />
+            )}
+            {form.endMode === 'count' && (
+              <input
+                type="number"
+                min="1"
+                className="input max-w-[120px]"
+                value={form.count}
+                onChange={(event) => updateForm({ count: event.target.value })}
+              />
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Series'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)} disabled={saving}>
+              Close
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : series.length === 0 ? (
+        <div className="card text-center">
+          <Repeat className="h-10 w-10 text-gray-400 mx-auto mb-2" />
+          <p className="text-gray-600">No recurring series yet.</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {series.map((item) => {
+            const isBusy = busyId === item.id;
+            return (
+              <div key={item.id} className="card space-y-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex flex-wrap items-center gap-2 text-xs">
+                    {(item.template?.platforms || []).map((platform) => (
+                      <span key={`${item.id}-${platform}`} className="rounded-full bg-gray-100 px-2 py-1 text-gray-700">
+                        {PLATFORM_OPTIONS.find((option) => option.key === platform)?.label || platform}
+                      </span>
+                    ))}
+                    <span className="text-gray-600">{describeRule(item)}</span>
+                  </div>
+                  <span className={`rounded-full px-2 py-1 text-xs font-semibold ${statusClass[item.status] || statusClass.completed}`}>
+                    {item.status}
+                  </span>
+                </div>
+
+                <p className="text-sm text-gray-800 line-clamp-2 whitespace-pre-wrap">
+                  {item.template?.caption || parseJsonArray(item.caption_variants)[0] || 'No caption'}
+                </p>
+                {parseJsonArray(item.caption_variants).length > 0 && (
+                  <p className="text-xs text-gray-500">{parseJsonArray(item.caption_variants).length} caption variants in rotation</p>
+                )}
+
+                <div className="text-xs text-gray-500">
+                  {item.posted_count || 0} posted · {item.upcoming_count || 0} queued
+                  {item.preview?.length > 0 && ` · next: ${item.preview.map((at) => new Date(at).toLocaleString()).join(', ')}`}
+                </div>
+
+                {(item.status === 'active' || item.status === 'paused') && (
+                  <div className="flex flex-wrap gap-2 pt-1">
+                    <button
+                      type="button"
+                      onClick={() => openEdit(item)}
+                      disabled={isBusy}
+                      className="rounded-md border border-gray-300 px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Edit
+                    </button>
+                    {item.status === 'active' ? (
+                      <button
+                        type="button"
+                        onClick={() => runAction(item, scheduleApi.pauseSeries, 'Series paused')}
+                        disabled={isBusy}
+                        className="rounded-md border border-amber-300 bg-amber-50 px-3 py-1 text-xs font-medium text-amber-700 hover:bg-amber-100 disabled:opacity-50"
+                      >
+                        Pause
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => runAction(item, scheduleApi.resumeSeries, 'Series resumed')}
+                        disabled={isBusy}
+                        className="rounded-md border border-blue-300 bg-blue-50 px-3 py-1 text-xs font-medium text-blue-700 hover:bg-blue-100 disabled:opacity-50"
+                      >
+                        Resume
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleCancel(item)}
+                      disabled={isBusy}
+                      className="rounded-md border border-red-300 bg-red-50 px-3 py-1 text-xs font-medium text-red-700 hover:bg-red-100 disabled:opacity-50"
+                    >
+                      Cancel Series
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeriesPanel;
@@ -7,6 +7,8 @@ const AccountContext = createContext(null);
 const DEFAULT_PERMISSIONS = {
   role: 'viewer',
   canManageConnections: false,
+  canReviewPosts: false,
+  requiresPostApproval: false,
   teamId: null,
 };
 
@@ -33,6 +35,8 @@ export const AccountProvider = ({ children }) => {
       role,
       teamId,
       canManageConnections,
+      canReviewPosts: Boolean(teamId) && canManageConnections,
+      requiresPostApproval: false,
     };
   }, [user]);
 
@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { BarChart3, MessageCircle, Heart, Eye, Clock3, Users, AtSign } from 'lucide-react';
+import { BarChart3, MessageCircle, Heart, Eye, Clock3, Users, AtSign, TrendingUp, TrendingDown } from 'lucide-react';
 import { analyticsApi } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import {
@@ -10,7 +10,23 @@ import {
   YOUTUBE_ENABLED,
 } from '../config/platformAvailability';
 
-const MetricCard = ({ label, value, icon: Icon, tint = 'blue' }) => {
+const DeltaBadge = ({ percent }) => {
+  if (percent === null || percent === undefined) {
+    return <span className="text-xs text-gray-400">No prior data</span>;
+  }
+
+  const positive = percent >= 0;
+  const Icon = positive ? TrendingUp : TrendingDown;
+  return (
+    <span className={`inline-flex items-center gap-1 text-xs font-medium ${positive ? 'text-green-700' : 'text-red-600'}`}>
+      <Icon className="h-3.5 w-3.5" />
+      {positive ? '+' : ''}
+      {percent}% vs previous period
+    </span>
+  );
+};
+
+const MetricCard = ({ label, value, icon: Icon, tint = 'blue', deltaPercent, showDelta = false }) => {
   const colorMap = {
     blue: 'text-blue-600',
     pink: 'text-pink-600',
@@ -27,6 +43,72 @@ const MetricCard = ({ label, value, icon: Icon, tint = 'blue' }) => {
         <Icon className={`h-5 w-5 ${colorMap[tint] || colorMap.blue}`} />
       </div>
       <p className="text-2xl font-bold text-gray-900 mt-3">{Number(value || 0).toLocaleString()}</p>
+      {showDelta && (
+        <div className="mt-2">
+          <DeltaBadge percent={deltaPercent} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TrendChart = ({ points = [], metrics = [], interval = 'day' }) => {
+  const [activeMetric, setActiveMetric] = useState(metrics[0]?.key);
+  const metric = metrics.find((item) => item.key === activeMetric) || metrics[0];
+  const values = points.map((point) => Number(point?.[metric?.key] || 0));
+  const maxValue = Math.max(1, ...values);
+  const hasData = values.some((value) => value !== 0);
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <p className="text-sm font-medium text-gray-700">
+          {interval === 'week' ? 'Weekly' : 'Daily'} {metric?.label?.toLowerCase()} gained
+        </p>
+        <div className="flex gap-1">
+          {metrics.map((item) => (
+            <button
+              key={item.key}
+              type="button"
+              onClick={() => setActiveMetric(item.key)}
+              className={`px-2 py-1 rounded text-xs font-medium ${
+                item.key === metric?.key ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {hasData ? (
+        <div className="flex items-end gap-0.5 h-40">
+          {points.map((point, index) => {
+            const value = values[index];
+            const height = value > 0 ? Math.max(2, Math.round((value / maxValue) * 100)) : 0;
+            return (
+              <div
+                key={point.bucket}
+                className="flex-1 flex flex-col justify-end h-full"
+                title={`${point.bucket}: ${value.toLocaleString()}`}
+              >
+                <div className={`w-full rounded-t ${metric?.barClass || 'bg-blue-500'}`} style={{ height: `${height}%` }} />
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="flex items-center justify-center h-40 text-sm text-gray-500">
+          No engagement recorded in this range yet.
+        </div>
+      )}
+
+      {points.length > 0 && (
+        <div className="flex justify-between mt-2 text-xs text-gray-500">
+          <span>{points[0].bucket}</span>
+          <span>{points[points.length - 1].bucket}</span>
+        </div>
+      )}
     </div>
   );
 };
@@ -35,6 +117,9 @@ const AnalyticsPage = () => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [days, setDays] = useState(30);
+  const [trendInterval, setTrendInterval] = useState('day');
+  const [trends, setTrends] = useState(null);
+  const [comparison, setComparison] = useState(null);
 
   useEffect(() => {
     let mounted = true;
@@ -42,13 +127,15 @@ const AnalyticsPage = () => {
     const fetchAnalytics = async () => {
       try {
         setLoading(true);
-        const response = await analyticsApi.overview(days);
-        if (mounted) {
-          setData(response.data || null);
-        }
-      } catch {
+        const [overviewResult, timeseriesResult, comparisonResult] = await Promise.allSettled([
+          analyticsApi.overview(days),
+          analyticsApi.timeseries({ days, interval: trendInterval }),
+          analyticsApi.comparison({ days }),
+        ]);
         if (mounted) {
-          setData(null);
+          setData(overviewResult.status === 'fulfilled' ? overviewResult.value.data || null : null);
+          setTrends(timeseriesResult.status === 'fulfilled' ? timeseriesResult.value.data?.series || null : null);
+          setComparison(comparisonResult.status === 'fulfilled' ? comparisonResult.value.data?.comparison || null : null);
         }
       } finally {
         if (mounted) {
@@ -61,7 +148,7 @@ const AnalyticsPage = () => {
     return () => {
       mounted = false;
     };
-  }, [days]);
+  }, [days, trendInterval]);
 
   if (loading) {
     return (
@@ -131,6 +218,18 @@ const AnalyticsPage = () => {
             </div>
           </div>
 
+          <div className="w-full md:w-36">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Trend Interval</label>
+            <select
+              className="input"
+              value={trendInterval}
+              onChange={(event) => setTrendInterval(event.target.value)}
+            >
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+            </select>
+          </div>
+
           <div className="w-full md:w-44">
             <label className="block text-xs font-medium text-gray-600 mb-1">Time Range</label>
             <select
@@ -155,10 +254,22 @@ const AnalyticsPage = () => {
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <MetricCard label="Likes" value={instagram.likes} icon={Heart} tint="pink" />
-            <MetricCard label="Comments" value={instagram.comments} icon={MessageCircle} tint="blue" />
-            <MetricCard label="Reach" value={instagram.reach} icon={Eye} tint="green" />
+            <MetricCard label="Likes" value={instagram.likes} icon={Heart} tint="pink" showDelta={Boolean(comparison)} deltaPercent={comparison?.instagram?.deltaPercent?.likes} />
+            <MetricCard label="Comments" value={instagram.comments} icon={MessageCircle} tint="blue" showDelta={Boolean(comparison)} deltaPercent={comparison?.instagram?.deltaPercent?.comments} />
+            <MetricCard label="Reach" value={instagram.reach} icon={Eye} tint="green" showDelta={Boolean(comparison)} deltaPercent={comparison?.instagram?.deltaPercent?.reach} />
           </div>
+
+          {trends?.instagram && (
+            <TrendChart
+              points={trends.instagram}
+              interval={trendInterval}
+              metrics={[
+                { key: 'likes', label: 'Likes', barClass: 'bg-pink-500' },
+                { key: 'comments', label: 'Comments', barClass: 'bg-blue-500' },
+                { key: 'reach', label: 'Reach', barClass: 'bg-green-500' },
+              ]}
+            />
+          )}
         </section>
       )}
 
@@ -169,10 +280,22 @@ const AnalyticsPage = () => {
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          <MetricCard label="Likes" value={threads.likes} icon={Heart} tint="slate" />
-          <MetricCard label="Replies" value={threads.replies} icon={MessageCircle} tint="blue" />
-          <MetricCard label="Views" value={threads.views} icon={Eye} tint="green" />
+          <MetricCard label="Likes" value={threads.likes} icon={Heart} tint="slate" showDelta={Boolean(comparison)} deltaPercent={comparison?.threads?.deltaPercent?.likes} />
+          <MetricCard label="Replies" value={threads.replies} icon={MessageCircle} tint="blue" showDelta={Boolean(comparison)} deltaPercent={comparison?.threads?.deltaPercent?.replies} />
+          <MetricCard label="Views" value={threads.views} icon={Eye} tint="green" showDelta={Boolean(comparison)} deltaPercent={comparison?.threads?.deltaPercent?.views} />
         </div>
+
+        {trends?.threads && (
+          <TrendChart
+            points={trends.threads}
+            interval={trendInterval}
+            metrics={[
+              { key: 'views', label: 'Views', barClass: 'bg-green-500' },
+              { key: 'likes', label: 'Likes', barClass: 'bg-slate-600' },
+              { key: 'replies', label: 'Replies', barClass: 'bg-blue-500' },
+            ]}
+          />
+        )}
       </section>
 
       {showYoutubeAnalytics && (
@@ -183,10 +306,22 @@ const AnalyticsPage = () => {
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <MetricCard label="Views" value={youtube.views} icon={Eye} tint="red" />
-            <MetricCard label="Watch Time (minutes)" value={youtube.watchTimeMinutes} icon={Clock3} tint="indigo" />
-            <MetricCard label="Subscribers Gained" value={youtube.subscribersGained} icon={Users} tint="green" />
+            <MetricCard label="Views" value={youtube.views} icon={Eye} tint="red" showDelta={Boolean(comparison)} deltaPercent={comparison?.youtube?.deltaPercent?.views} />
+            <MetricCard label="Watch Time (minutes)" value={youtube.watchTimeMinutes} icon={Clock3} tint="indigo" showDelta={Boolean(comparison)} deltaPercent={comparison?.youtube?.deltaPercent?.watch_time_minutes} />
+            <MetricCard label="Subscribers Gained" value={youtube.subscribersGained} icon={Users} tint="green" showDelta={Boolean(comparison)} deltaPercent={comparison?.youtube?.deltaPercent?.subscribers_gained} />
           </div>
+
+          {trends?.youtube && (
+            <TrendChart
+              points={trends.youtube}
+              interval={trendInterval}
+              metrics={[
+                { key: 'views', label: 'Views', barClass: 'bg-red-500' },
+                { key: 'watch_time_minutes', label: 'Watch Time', barClass: 'bg-indigo-500' },
+                { key: 'subscribers_gained', label: 'Subscribers', barClass: 'bg-green-500' },
+              ]}
+            />
+          )}
         </section>
       )}
     </div>
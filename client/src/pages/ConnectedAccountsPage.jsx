@@ -10,6 +10,7 @@ import {
   THREADS_INVITE_MODE_NOTICE,
   isSocialPlatformEnabled,
 } from '../config/platformAvailability';
+import AccountHealthBadge from '../components/AccountHealthBadge';
 
 const PlatformIcon = ({ platform }) => {
   if (platform === 'instagram') return <Instagram className="h-5 w-5 text-pink-600" />;
@@ -22,6 +23,69 @@ const PlatformIcon = ({ platform }) => {
 // Platforms whose OAuth2 tokens are auto-refreshed server-side — never show scary expiry UI.
 const AUTOREFRESH_PLATFORMS = new Set(['twitter', 'linkedin']);
 
+// Platforms with daily profile snapshots (follower/following/media history).
+const PROFILE_HISTORY_PLATFORMS = new Set(['instagram', 'threads', 'youtube']);
+
+const FollowerSparkline = ({ accountId, platform }) => {
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    let mounted = true;
+
+    accountsApi
+      .profileHistory(accountId, 30)
+      .then((response) => {
+        if (mounted) setHistory(response.data?.history || []);
+      })
+      .catch(() => {
+        if (mounted) setHistory([]);
+      });
+
+    return () => {
+      mounted = false;
+    };
+  }, [accountId]);
+
+  const points = history.filter((item) => Number.isFinite(item?.followers));
+  if (points.length === 0) {
+    return null;
+  }
+
+  const values = points.map((item) => item.followers);
+  const latest = values[values.length - 1];
+  const change = latest - values[0];
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const coordinates = values
+    .map((value, index) => `${values.length === 1 ? 50 : (index / (values.length - 1)) * 100},${22 - ((value - min) / range) * 20}`)
+    .join(' ');
+  const lastSnapshot = history[history.length - 1] || {};
+  const followerLabel = platform === 'youtube' ? 'subscribers' : 'followers';
+
+  return (
+    <div className="mt-2 flex items-center gap-3">
+      <svg viewBox="0 0 100 24" preserveAspectRatio="none" className="h-6 w-28 text-blue-600">
+        <polyline points={coordinates} fill="none" stroke="currentColor" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="text-xs text-gray-600">
+        <span className="font-medium text-gray-900">{latest.toLocaleString()}</span> {followerLabel}
+        {points.length > 1 && (
+          <span className={`ml-1 ${change >= 0 ? 'text-green-700' : 'text-red-600'}`}>
+            ({change >= 0 ? '+' : ''}
+            {change.toLocaleString()} since {points[0].date})
+          </span>
+        )}
+        {Number.isFinite(lastSnapshot.following) && <span className="ml-2">{lastSnapshot.following.toLocaleString()} following</span>}
+        {Number.isFinite(lastSnapshot.media) && (
+          <span className="ml-2">
+            {lastSnapshot.media.toLocaleString()} {platform === 'youtube' ? 'videos' : 'posts'}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
 const ConnectedAccountsPage = () => {
   const { user } = useAuth();
   const { accounts, permissions, loading, refreshAccounts } = useAccounts();
@@ -338,7 +402,14 @@ const ConnectedAccountsPage = () => {
                       {account.account_display_name || account.account_username || account.account_id}
                     </div>
                     <p className="text-sm text-gray-500 mt-1">{account.platform} {account.account_username ? `@${account.account_username}` : ''}</p>
-                    {autoRefreshes ? (
+                    <div className="mt-1">
+                      <AccountHealthBadge account={account} />
+                    </div>
+                    {account.requires_reconnect ? (
+                      <p className="text-xs mt-1 text-red-600" title={account.token_refresh_error || undefined}>
+                        Token could not be renewed. Reconnect account.
+                      </p>
+                    ) : autoRefreshes ? (
                       // OAuth2 tokens for these platforms are refreshed silently on every use.
                       // Never show an alarming expiry warning — it will just confuse users.
                       null
@@ -354,6 +425,9 @@ const ConnectedAccountsPage = () => {
                         )}
                       </>
                     )}
+                    {PROFILE_HISTORY_PLATFORMS.has(account.platform) && (
+                      <FollowerSparkline accountId={account.id} platform={account.platform} />
+                    )}
                   </div>
 
                   <button
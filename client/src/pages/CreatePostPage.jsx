@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
   ImagePlus,
   Sparkles,
@@ -11,11 +11,15 @@ import {
   Plus,
   Trash2,
   SlidersHorizontal,
+  ListOrdered,
+  FileText,
+  Library,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { aiApi, crossPostApi, mediaApi, postsApi } from '../utils/api';
+import { aiApi, crossPostApi, mediaApi, postsApi, scheduleApi } from '../utils/api';
 import { useAccounts } from '../contexts/AccountContext';
 import { useAuth } from '../contexts/AuthContext';
+import MediaLibraryPicker from '../components/MediaLibraryPicker';
 import {
   getSocialPlatformUnavailableMessage,
   IS_THREADS_ONLY_MODE,
@@ -23,12 +27,137 @@ import {
   isSocialPlatformEnabled,
 } from '../config/platformAvailability';
 
+const createEmptyInstagramOptions = () => ({
+  coverUrl: '',
+  thumbOffset: '',
+  shareToFeed: true,
+  userTags: '',
+  locationId: '',
+  collaborators: '',
+});
+
+// One tag per line: "username" for reels/videos, "username x y" for images,
+// with x/y as fractions of the image width/height.
+const parseInstagramUserTags = (value) =>
+  String(value || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [username, x, y] = line.split(/[\s,]+/);
+      return x !== undefined && y !== undefined
+        ? { username, x: Number(x), y: Number(y) }
+        : { username };
+    });
+
+// Sends only the options that apply to the chosen Instagram type; the server
+// rejects anything else.
+const buildInstagramOptionsPayload = (options, type) => {
+  const payload = {};
+  if (type === 'reel') {
+    if (options.coverUrl.trim()) payload.coverUrl = options.coverUrl.trim();
+    if (String(options.thumbOffset).trim() !== '') payload.thumbOffset = Number(options.thumbOffset);
+    payload.shareToFeed = Boolean(options.shareToFeed);
+  }
+  if (type === 'feed' || type === 'reel') {
+    const userTags = parseInstagramUserTags(options.userTags);
+    if (userTags.length > 0) payload.userTags = userTags;
+  }
+  if (type !== 'story') {
+    if (options.locationId.trim()) payload.locationId = options.locationId.trim();
+    const collaborators = options.collaborators
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+    if (collaborators.length > 0) payload.collaborators = collaborators;
+  }
+  return Object.keys(payload).length > 0 ? payload : null;
+};
+
+// Assignable YouTube categories (US region list).
+const YOUTUBE_CATEGORIES = [
+  { id: '1', label: 'Film & Animation' },
+  { id: '2', label: 'Autos & Vehicles' },
+  { id: '10', label: 'Music' },
+  { id: '15', label: 'Pets & Animals' },
+  { id: '17', label: 'Sports' },
+  { id: '19', label: 'Travel & Events' },
+  { id: '20', label: 'Gaming' },
+  { id: '22', label: 'People & Blogs' },
+  { id: '23', label: 'Comedy' },
+  { id: '24', label: 'Entertainment' },
+  { id: '25', label: 'News & Politics' },
+  { id: '26', label: 'Howto & Style' },
+  { id: '27', label: 'Education' },
+  { id: '28', label: 'Science & Technology' },
+  { id: '29', label: 'Nonprofits & Activism' },
+];
+
+const createEmptyYoutubeOptions = () => ({
+  title: '',
+  description: '',
+  tags: '',
+  categoryId: '22',
+  privacyStatus: '',
+  madeForKids: false,
+  thumbnailUrl: '',
+  playlistId: '',
+});
+
+// Empty title/description fall back to the caption on the server.
+const buildYoutubeOptionsPayload = (options) => {
+  const payload = {
+    categoryId: options.categoryId,
+    madeForKids: Boolean(options.madeForKids),
+  };
+  if (options.title.trim()) payload.title = options.title.trim();
+  if (options.description.trim()) payload.description = options.description.trim();
+  const tags = options.tags
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  if (tags.length > 0) payload.tags = tags;
+  if (options.privacyStatus) payload.privacyStatus = options.privacyStatus;
+  if (options.thumbnailUrl.trim()) payload.thumbnailUrl = options.thumbnailUrl.trim();
+  if (options.playlistId.trim()) payload.playlistId = options.playlistId.trim();
+  return payload;
+};
+
+const createEmptyThreadsOptions = () => ({
+  replyControl: 'everyone',
+  topicTag: '',
+  linkAttachment: '',
+  quotePostId: '',
+  pollOptions: ['', '', '', ''],
+});
+
+// Link attachments and polls only exist on text posts, so they are dropped
+// when the post carries media.
+const buildThreadsOptionsPayload = (options, { textPost }) => {
+  const payload = {};
+  if (options.replyControl && options.replyControl !== 'everyone') payload.replyControl = options.replyControl;
+  if (options.topicTag.trim()) payload.topicTag = options.topicTag.trim().replace(/^#/, '');
+  if (options.quotePostId.trim()) payload.quotePostId = options.quotePostId.trim();
+  if (textPost) {
+    if (options.linkAttachment.trim()) payload.linkAttachment = options.linkAttachment.trim();
+    const pollOptions = options.pollOptions.map((option) => option.trim()).filter(Boolean);
+    if (pollOptions.length > 0) payload.pollOptions = pollOptions;
+  }
+  return Object.keys(payload).length > 0 ? payload : null;
+};
+
 const platformLabel = {
   instagram: 'Instagram',
   youtube: 'YouTube',
   threads: 'Threads',
 };
 
+const publishModeLabel = {
+  now: 'Now',
+  schedule: 'Schedule',
+  queue: 'Queue',
+};
+
 const PLATFORM_CAPTION_LIMITS = {
   instagram: 2200,
   threads: 500,
@@ -49,6 +178,7 @@ const arePlatformSelectionsEqual = (left = {}, right = {}) =>
 const THREADS_POST_MAX_CHARS = 500;
 const THREADS_AUTO_SPLIT_MAX_CHARS = 10000;
 const THREADS_MAX_CHAIN_POSTS = 30;
+const DRAFT_AUTOSAVE_DELAY_MS = 2000;
 const VIDEO_FILE_RE = /\.(mp4|mov|m4v|webm|avi|mpeg|mpg|mkv)(\?.*)?$/i;
 const CROSSPOST_REASON_LABELS = {
   not_connected: 'Not connected',
@@ -184,17 +314,27 @@ const CreatePostPage = () => {
   const [aiPrompt, setAiPrompt] = useState('');
   const [mediaUrls, setMediaUrls] = useState([]);
   const [uploading, setUploading] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [libraryRefreshKey, setLibraryRefreshKey] = useState(0);
   const [generating, setGenerating] = useState(false);
   const [submitting, setSubmitting] = useState(false);
 
   const [selectedPlatforms, setSelectedPlatforms] = useState(() => createEmptyPlatformSelection());
 
   const [instagramType, setInstagramType] = useState('feed');
+  const [instagramOptions, setInstagramOptions] = useState(() => createEmptyInstagramOptions());
   const [youtubeType, setYoutubeType] = useState('video');
+  const [youtubeOptions, setYoutubeOptions] = useState(() => createEmptyYoutubeOptions());
+  const [uploadingThumbnail, setUploadingThumbnail] = useState(false);
+  const [scheduleOnYoutube, setScheduleOnYoutube] = useState(false);
   const [threadsType, setThreadsType] = useState('text');
   const [threadsPosts, setThreadsPosts] = useState(['', '']);
+  const [threadsOptions, setThreadsOptions] = useState(() => createEmptyThreadsOptions());
   const [postMode, setPostMode] = useState('now');
   const [scheduledFor, setScheduledFor] = useState('');
+  const [queueAccountId, setQueueAccountId] = useState('');
+  const [targetAccountIds, setTargetAccountIds] = useState({});
+  const [nextQueueSlot, setNextQueueSlot] = useState({ loading: false, at: null });
   const [postThreadsToX, setPostThreadsToX] = useState(false);
   const [postThreadsToLinkedIn, setPostThreadsToLinkedIn] = useState(false);
   const [optimizeCrossPost, setOptimizeCrossPost] = useState(true);
@@ -212,6 +352,10 @@ const CreatePostPage = () => {
     linkedin: '',
   });
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [draftId, setDraftId] = useState(null);
+  const [draftSaveState, setDraftSaveState] = useState('idle');
+  const [drafts, setDrafts] = useState([]);
+  const lastSavedDraftRef = useRef(null);
   const [showAiAssist, setShowAiAssist] = useState(false);
   const detectedTimezone = useMemo(
     () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
@@ -284,6 +428,65 @@ const CreatePostPage = () => {
     [activePlatforms, connectedPlatformSet]
   );
 
+  // Most recently updated first, matching the account the server falls back to.
+  const accountsByPlatform = useMemo(() => {
+    const grouped = {};
+    for (const account of accounts) {
+      if (!grouped[account.platform]) grouped[account.platform] = [];
+      grouped[account.platform].push(account);
+    }
+    for (const list of Object.values(grouped)) {
+      list.sort((a, b) => new Date(b.updated_at || 0).getTime() - new Date(a.updated_at || 0).getTime());
+    }
+    return grouped;
+  }, [accounts]);
+
+  const effectiveTargetAccountIds = useMemo(() => {
+    const resolved = {};
+    for (const platform of activePlatforms) {
+      const options = accountsByPlatform[platform] || [];
+      const chosen = options.find((account) => account.id === targetAccountIds[platform]);
+      const fallback = chosen || options[0];
+      if (fallback) resolved[platform] = fallback.id;
+    }
+    return resolved;
+  }, [activePlatforms, accountsByPlatform, targetAccountIds]);
+
+  const multiAccountPlatforms = useMemo(
+    () => activePlatforms.filter((platform) => (accountsByPlatform[platform] || []).length > 1),
+    [activePlatforms, accountsByPlatform]
+  );
+
+  const queueAccounts = useMemo(
+    () => accounts.filter((account) => activePlatforms.includes(account.platform)),
+    [accounts, activePlatforms]
+  );
+
+  useEffect(() => {
+    if (queueAccountId && !queueAccounts.some((account) => account.id === queueAccountId)) {
+      setQueueAccountId('');
+    }
+  }, [queueAccountId, queueAccounts]);
+
+  useEffect(() => {
+    if (postMode !== 'queue') return undefined;
+
+    let cancelled = false;
+    setNextQueueSlot({ loading: true, at: null });
+    scheduleApi
+      .nextSlot({ accountId: queueAccountId || undefined })
+      .then((response) => {
+        if (!cancelled) setNextQueueSlot({ loading: false, at: response.data?.nextSlotAt || null });
+      })
+      .catch(() => {
+        if (!cancelled) setNextQueueSlot({ loading: false, at: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [postMode, queueAccountId]);
+
   useEffect(() => {
     if (!selectedPlatforms.threads) {
       setPostThreadsToX(false);
@@ -375,6 +578,8 @@ const CreatePostPage = () => {
   }, [selectedPlatforms.threads, permissions?.teamId]);
 
   const isThreadsThread = selectedPlatforms.threads && threadsType === 'thread';
+  const isThreadsTextPost =
+    isThreadsThread || (threadsType === 'text' && mediaUrls.length === 0);
   const isOnlyThreadsSingle =
     activePlatforms.length === 1 && selectedPlatforms.threads && !isThreadsThread;
   const showCaptionField =
@@ -527,6 +732,7 @@ const CreatePostPage = () => {
     setUploading(true);
     try {
       const uploaded = [];
+      let reused = 0;
 
       for (const file of files) {
         const formData = new FormData();
@@ -538,11 +744,17 @@ const CreatePostPage = () => {
             url: response.data.url,
             name: file.name,
           });
+          if (response.data.reused) reused += 1;
         }
       }
 
-      setMediaUrls((prev) => [...prev, ...uploaded]);
-      toast.success(`${uploaded.length} file(s) uploaded`);
+      setMediaUrls((prev) => [...prev, ...uploaded.filter((item) => !prev.some((media) => media.url === item.url))]);
+      setLibraryRefreshKey((key) => key + 1);
+      toast.success(
+        reused > 0
+          ? `${uploaded.length} file(s) added, ${reused} already in your library`
+          : `${uploaded.length} file(s) uploaded`
+      );
     } catch (error) {
       toast.error(error.response?.data?.error || 'File upload failed');
     } finally {
@@ -602,6 +814,54 @@ Rules:
     }
   };
 
+  const updateInstagramOption = (key, value) => {
+    setInstagramOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const updateThreadsOption = (key, value) => {
+    setThreadsOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const updateThreadsPollOption = (index, value) => {
+    setThreadsOptions((prev) => ({
+      ...prev,
+      pollOptions: prev.pollOptions.map((option, idx) => (idx === index ? value : option)),
+    }));
+  };
+
+  const updateYoutubeOption = (key, value) => {
+    setYoutubeOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleThumbnailUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setUploadingThumbnail(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await mediaApi.upload(formData);
+      if (response.data?.url) {
+        updateYoutubeOption('thumbnailUrl', response.data.url);
+        toast.success('Thumbnail uploaded');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Thumbnail upload failed');
+    } finally {
+      setUploadingThumbnail(false);
+    }
+  };
+
+  const addLibraryMedia = (asset) => {
+    setMediaUrls((prev) =>
+      prev.some((item) => item.url === asset.url)
+        ? prev
+        : [...prev, { url: asset.url, name: asset.original_name || String(asset.url).split('/').pop() }]
+    );
+  };
+
   const removeMedia = (url) => {
     setMediaUrls((prev) => prev.filter((item) => item.url !== url));
   };
@@ -623,6 +883,11 @@ Rules:
     });
   };
 
+  // YouTube can hold the upload and publish it itself, but only when nothing
+  // else has to go out at the same time.
+  const canScheduleOnYoutube =
+    postMode === 'schedule' && activePlatforms.length === 1 && activePlatforms[0] === 'youtube';
+
   const buildPostPayload = () => {
     const normalizedThreadPosts = threadsPosts
       .map((post) => post.trim())
@@ -634,11 +899,22 @@ Rules:
       platforms: activePlatforms,
       crossPost: activePlatforms.length > 1 || hasThreadsCrossPostTargetsSelected,
       instagramContentType: instagramType,
+      instagramOptions: selectedPlatforms.instagram
+        ? buildInstagramOptionsPayload(instagramOptions, instagramType)
+        : null,
       youtubeContentType: youtubeType,
+      youtubeOptions: selectedPlatforms.youtube ? buildYoutubeOptionsPayload(youtubeOptions) : null,
+      youtubeScheduleMode: canScheduleOnYoutube && scheduleOnYoutube ? 'platform' : 'app',
       threadsContentType: threadsType,
       threadsPosts: isThreadsThread ? normalizedThreadPosts : [],
+      threadsOptions: selectedPlatforms.threads
+        ? buildThreadsOptionsPayload(threadsOptions, { textPost: isThreadsTextPost })
+        : null,
       postNow: postMode === 'now',
       scheduledFor: postMode === 'schedule' && scheduledFor ? new Date(scheduledFor).toISOString() : null,
+      queue: postMode === 'queue',
+      targetAccountIds: effectiveTargetAccountIds,
+      queueAccountId: postMode === 'queue' && queueAccountId ? queueAccountId : null,
       ...(hasThreadsCrossPostTargetsSelected && {
         crossPostTargets: {
           x: postThreadsToX,
@@ -679,6 +955,144 @@ Rules:
     };
   };
 
+  // The createPost body plus the raw form state, so a reopened draft looks
+  // exactly like it did when it was saved.
+  const buildDraftBody = () => ({
+    ...buildPostPayload(),
+    composer: {
+      media: mediaUrls,
+      instagramOptions,
+      youtubeOptions,
+      threadsOptions,
+      threadsPosts,
+      postMode,
+      scheduledFor,
+    },
+  });
+
+  const draftSnapshot = JSON.stringify(buildDraftBody());
+  const hasDraftContent = Boolean(
+    caption.trim() || mediaUrls.length > 0 || threadsPosts.some((post) => post.trim())
+  );
+
+  const fetchDrafts = async () => {
+    try {
+      const response = await postsApi.listDrafts({ limit: 20 });
+      setDrafts(response.data?.drafts || []);
+    } catch {
+      setDrafts([]);
+    }
+  };
+
+  useEffect(() => {
+    fetchDrafts();
+  }, [permissions?.teamId]);
+
+  useEffect(() => {
+    if (submitting || !hasDraftContent || draftSnapshot === lastSavedDraftRef.current) return undefined;
+
+    const timer = setTimeout(async () => {
+      setDraftSaveState('saving');
+      try {
+        const body = JSON.parse(draftSnapshot);
+        const response = draftId
+          ? await postsApi.updateDraft(draftId, body)
+          : await postsApi.createDraft(body);
+        const saved = response.data?.draft;
+        lastSavedDraftRef.current = draftSnapshot;
+        setDraftSaveState('saved');
+        if (saved) {
+          setDraftId(saved.id);
+          setDrafts((prev) => [saved, ...prev.filter((item) => item.id !== saved.id)]);
+        }
+      } catch (error) {
+        // Promoted or deleted from another tab; the next save starts a new draft.
+        if (draftId && error.response?.status === 404) {
+          setDraftId(null);
+        }
+        setDraftSaveState('error');
+      }
+    }, DRAFT_AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [draftSnapshot, draftId, hasDraftContent, submitting]);
+
+  const resetComposer = () => {
+    setCaption('');
+    setAiPrompt('');
+    setMediaUrls([]);
+    setInstagramOptions(createEmptyInstagramOptions());
+    setYoutubeOptions(createEmptyYoutubeOptions());
+    setScheduleOnYoutube(false);
+    setThreadsPosts(['', '']);
+    setThreadsOptions(createEmptyThreadsOptions());
+    setPostMode('now');
+    setScheduledFor('');
+    setPostThreadsToX(false);
+    setPostThreadsToLinkedIn(false);
+    setSelectedCrossPostTargetIds({ x: '', linkedin: '' });
+    setDraftId(null);
+    setDraftSaveState('idle');
+    lastSavedDraftRef.current = null;
+  };
+
+  // Drafts saved through the API may lack `composer`; fall back to the
+  // createPost fields for those.
+  const openDraft = (draft) => {
+    const state = draft?.draft_state || {};
+    const composer = state.composer || {};
+    const platforms = Array.isArray(state.platforms) ? state.platforms : [];
+    const savedThreadsPosts = Array.isArray(composer.threadsPosts) ? composer.threadsPosts : state.threadsPosts || [];
+
+    setCaption(state.caption || '');
+    setMediaUrls(
+      Array.isArray(composer.media)
+        ? composer.media
+        : (state.mediaUrls || []).map((url) => ({ url, name: String(url).split('/').pop() }))
+    );
+    setSelectedPlatforms({
+      ...createEmptyPlatformSelection(),
+      ...Object.fromEntries(platforms.map((platform) => [platform, true])),
+    });
+    setInstagramType(state.instagramContentType || 'feed');
+    setInstagramOptions({ ...createEmptyInstagramOptions(), ...(composer.instagramOptions || {}) });
+    setYoutubeType(state.youtubeContentType || 'video');
+    setYoutubeOptions({ ...createEmptyYoutubeOptions(), ...(composer.youtubeOptions || {}) });
+    setScheduleOnYoutube(state.youtubeScheduleMode === 'platform');
+    setThreadsType(state.threadsContentType || 'text');
+    setThreadsPosts([...savedThreadsPosts, '', ''].slice(0, Math.max(2, savedThreadsPosts.length)));
+    setThreadsOptions({ ...createEmptyThreadsOptions(), ...(composer.threadsOptions || {}) });
+    setPostMode(composer.postMode || 'now');
+    setScheduledFor(composer.scheduledFor || '');
+    setQueueAccountId(state.queueAccountId || '');
+    setTargetAccountIds(state.targetAccountIds || {});
+    setPostThreadsToX(Boolean(state.crossPostTargets?.x));
+    setPostThreadsToLinkedIn(Boolean(state.crossPostTargets?.linkedin));
+    setSelectedCrossPostTargetIds({
+      x: state.crossPostTargetAccountIds?.x || '',
+      linkedin: state.crossPostTargetAccountIds?.linkedin || '',
+    });
+    setOptimizeCrossPost(state.optimizeCrossPost !== false);
+    setDraftId(draft.id);
+    setDraftSaveState('saved');
+    lastSavedDraftRef.current = null;
+  };
+
+  const handleDeleteDraft = async (draft) => {
+    if (!window.confirm('Delete this draft?')) return;
+
+    try {
+      await postsApi.deleteDraft(draft.id);
+      if (draft.id === draftId) {
+        resetComposer();
+      }
+      setDrafts((prev) => prev.filter((item) => item.id !== draft.id));
+      toast.success('Draft deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete draft');
+    }
+  };
+
   const handleSubmit = async () => {
     if (activePlatforms.length === 0) {
       toast.error('Select at least one platform');
@@ -735,6 +1149,11 @@ Rules:
       return;
     }
 
+    if (postMode === 'queue' && !nextQueueSlot.loading && !nextQueueSlot.at) {
+      toast.error('No posting slots are set up for this queue yet. Add them on the Schedule page.');
+      return;
+    }
+
     if (disconnectedPlatforms.length > 0) {
       toast.error(
         `Connect ${disconnectedPlatforms
@@ -765,20 +1184,23 @@ Rules:
 
     setSubmitting(true);
     try {
-      await postsApi.create(buildPostPayload());
+      const payload = buildPostPayload();
+      const response = draftId
+        ? await postsApi.promoteDraft(draftId, payload)
+        : await postsApi.create(payload);
 
       toast.success(
-        postMode === 'now' ? 'Post created successfully' : 'Post scheduled successfully'
+        response.data?.post?.status === 'pending_approval'
+          ? 'Post sent for approval'
+          : postMode === 'now'
+            ? 'Post created successfully'
+            : postMode === 'queue'
+              ? 'Post added to queue'
+              : 'Post scheduled successfully'
       );
-      setCaption('');
-      setAiPrompt('');
-      setMediaUrls([]);
-      setThreadsPosts(['', '']);
-      setPostMode('now');
-      setScheduledFor('');
-      setPostThreadsToX(false);
-      setPostThreadsToLinkedIn(false);
-      setSelectedCrossPostTargetIds({ x: '', linkedin: '' });
+      (response.data?.warnings || []).forEach((warning) => toast(warning.message));
+      resetComposer();
+      fetchDrafts();
     } catch (error) {
       const apiError = error.response?.data?.error;
       const apiCode = error.response?.data?.code;
@@ -806,7 +1228,7 @@ Rules:
             Platforms selected: {activePlatforms.length}
           </span>
           <span className="inline-flex items-center rounded-full bg-white px-3 py-1 text-xs font-medium text-slate-700 border border-slate-200">
-            Publish mode: {postMode === 'now' ? 'Now' : 'Schedule'}
+            Publish mode: {publishModeLabel[postMode]}
           </span>
           <span className="inline-flex items-center rounded-full bg-white px-3 py-1 text-xs font-medium text-slate-700 border border-slate-200">
             Threads mode: {isThreadsThread ? 'Thread chain' : 'Single post'}
@@ -910,6 +1332,33 @@ Rules:
           )}
         </div>
 
+        {multiAccountPlatforms.length > 0 && (
+          <div className="rounded-lg border border-gray-200 p-3 space-y-2">
+            <p className="text-sm font-medium text-gray-800">Publish as</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {multiAccountPlatforms.map((platform) => (
+                <label key={platform} className="text-xs text-gray-600 space-y-1">
+                  <span className="block font-medium">{platformLabel[platform]} account</span>
+                  <select
+                    className="input"
+                    value={effectiveTargetAccountIds[platform] || ''}
+                    onChange={(event) =>
+                      setTargetAccountIds((prev) => ({ ...prev, [platform]: event.target.value }))
+                    }
+                  >
+                    {accountsByPlatform[platform].map((account) => (
+                      <option key={account.id} value={account.id}>
+                        {account.account_display_name || account.account_username || account.account_id}
+                        {account.account_username ? ` (@${account.account_username})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
         {disconnectedPlatforms.length > 0 && (
           <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-700">
             Connect {disconnectedPlatforms.map((platform) => platformLabel[platform]).join(', ')} in{' '}
@@ -1113,6 +1562,84 @@ Rules:
               </div>
             )}
 
+            {selectedPlatforms.instagram && (
+              <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-3">
+                {instagramType === 'reel' && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Reel Cover Image URL</label>
+                      <input
+                        className="input"
+                        placeholder="https://... (optional)"
+                        value={instagramOptions.coverUrl}
+                        onChange={(event) => updateInstagramOption('coverUrl', event.target.value)}
+                        disabled={String(instagramOptions.thumbOffset).trim() !== ''}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Cover Frame Offset (ms)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        className="input"
+                        placeholder="e.g. 1500"
+                        value={instagramOptions.thumbOffset}
+                        onChange={(event) => updateInstagramOption('thumbOffset', event.target.value)}
+                        disabled={Boolean(instagramOptions.coverUrl.trim())}
+                      />
+                    </div>
+                    <label className="md:col-span-2 inline-flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={instagramOptions.shareToFeed}
+                        onChange={(event) => updateInstagramOption('shareToFeed', event.target.checked)}
+                      />
+                      Also share reel to main feed
+                    </label>
+                  </>
+                )}
+
+                {(instagramType === 'feed' || instagramType === 'reel') && (
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Tag People</label>
+                    <textarea
+                      className="textarea min-h-0"
+                      rows={2}
+                      placeholder={instagramType === 'reel'
+                        ? 'One username per line'
+                        : 'One per line: username x y (positions 0-1, e.g. jane 0.5 0.4)'}
+                      value={instagramOptions.userTags}
+                      onChange={(event) => updateInstagramOption('userTags', event.target.value)}
+                    />
+                  </div>
+                )}
+
+                {instagramType !== 'story' && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Location ID</label>
+                      <input
+                        className="input"
+                        placeholder="Facebook Page location id"
+                        value={instagramOptions.locationId}
+                        onChange={(event) => updateInstagramOption('locationId', event.target.value)}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Collaborators</label>
+                      <input
+                        className="input"
+                        placeholder="Up to 3 usernames, comma separated"
+                        value={instagramOptions.collaborators}
+                        onChange={(event) => updateInstagramOption('collaborators', event.target.value)}
+                      />
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
             {selectedPlatforms.youtube && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">YouTube Type</label>
@@ -1126,6 +1653,175 @@ Rules:
                 </select>
               </div>
             )}
+
+            {selectedPlatforms.youtube && (
+              <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">YouTube Title</label>
+                  <input
+                    className="input"
+                    placeholder="Defaults to the first line of the caption"
+                    value={youtubeOptions.title}
+                    onChange={(event) => updateYoutubeOption('title', event.target.value)}
+                    maxLength={100}
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">YouTube Description</label>
+                  <textarea
+                    className="textarea min-h-0"
+                    rows={3}
+                    placeholder="Defaults to the caption"
+                    value={youtubeOptions.description}
+                    onChange={(event) => updateYoutubeOption('description', event.target.value)}
+                    maxLength={5000}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                  <input
+                    className="input"
+                    placeholder="Comma separated"
+                    value={youtubeOptions.tags}
+                    onChange={(event) => updateYoutubeOption('tags', event.target.value)}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                  <select
+                    className="input"
+                    value={youtubeOptions.categoryId}
+                    onChange={(event) => updateYoutubeOption('categoryId', event.target.value)}
+                  >
+                    {YOUTUBE_CATEGORIES.map((category) => (
+                      <option key={category.id} value={category.id}>{category.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Visibility</label>
+                  <select
+                    className="input"
+                    value={youtubeOptions.privacyStatus}
+                    onChange={(event) => updateYoutubeOption('privacyStatus', event.target.value)}
+                  >
+                    <option value="">Default</option>
+                    <option value="public">Public</option>
+                    <option value="unlisted">Unlisted</option>
+                    <option value="private">Private</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Playlist ID</label>
+                  <input
+                    className="input"
+                    placeholder="Optional, e.g. PL..."
+                    value={youtubeOptions.playlistId}
+                    onChange={(event) => updateYoutubeOption('playlistId', event.target.value)}
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Custom Thumbnail</label>
+                  <div className="flex flex-col sm:flex-row gap-2">
+                    <input
+                      className="input"
+                      placeholder="JPG or PNG URL, up to 2 MB"
+                      value={youtubeOptions.thumbnailUrl}
+                      onChange={(event) => updateYoutubeOption('thumbnailUrl', event.target.value)}
+                    />
+                    <label className="inline-flex items-center justify-center rounded-md border border-gray-200 px-4 py-2 text-sm text-gray-600 hover:bg-gray-50 cursor-pointer whitespace-nowrap">
+                      {uploadingThumbnail ? 'Uploading...' : 'Upload'}
+                      <input
+                        type="file"
+                        accept="image/jpeg,image/png"
+                        className="hidden"
+                        onChange={handleThumbnailUpload}
+                        disabled={uploadingThumbnail}
+                      />
+                    </label>
+                  </div>
+                </div>
+                <label className="md:col-span-2 inline-flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={youtubeOptions.madeForKids}
+                    onChange={(event) => updateYoutubeOption('madeForKids', event.target.checked)}
+                  />
+                  Made for kids
+                </label>
+              </div>
+            )}
+
+            {selectedPlatforms.threads && (
+              <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Threads Replies</label>
+                  <select
+                    className="input"
+                    value={threadsOptions.replyControl}
+                    onChange={(event) => updateThreadsOption('replyControl', event.target.value)}
+                  >
+                    <option value="everyone">Anyone can reply</option>
+                    <option value="accounts_you_follow">Accounts you follow</option>
+                    <option value="mentioned_only">Mentioned accounts only</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Threads Topic Tag</label>
+                  <input
+                    className="input"
+                    placeholder="e.g. Marketing"
+                    value={threadsOptions.topicTag}
+                    onChange={(event) => updateThreadsOption('topicTag', event.target.value)}
+                    maxLength={51}
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Quote Threads Post ID</label>
+                  <input
+                    className="input"
+                    placeholder="Optional numeric post ID to quote"
+                    value={threadsOptions.quotePostId}
+                    onChange={(event) => updateThreadsOption('quotePostId', event.target.value)}
+                  />
+                </div>
+                {isThreadsTextPost ? (
+                  <>
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Threads Link Attachment</label>
+                      <input
+                        className="input"
+                        placeholder="https://..."
+                        value={threadsOptions.linkAttachment}
+                        onChange={(event) => updateThreadsOption('linkAttachment', event.target.value)}
+                      />
+                    </div>
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Threads Poll</label>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                        {threadsOptions.pollOptions.map((option, index) => (
+                          <input
+                            key={`threads-poll-${index}`}
+                            className="input"
+                            placeholder={index < 2 ? `Option ${index + 1}` : `Option ${index + 1} (optional)`}
+                            value={option}
+                            onChange={(event) => updateThreadsPollOption(index, event.target.value)}
+                            maxLength={25}
+                          />
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Leave empty for no poll. A post can have a poll or a link attachment, not both.
+                      </p>
+                    </div>
+                  </>
+                ) : (
+                  <p className="md:col-span-2 text-xs text-gray-500">
+                    Link attachments and polls are only available on Threads text posts.
+                  </p>
+                )}
+              </div>
+            )}
           </div>
         )}
 
@@ -1274,6 +1970,23 @@ Rules:
 
         {uploading && <p className="text-sm text-gray-500">Uploading media...</p>}
 
+        <button
+          type="button"
+          onClick={() => setShowLibrary((open) => !open)}
+          className="inline-flex items-center gap-2 text-sm font-medium text-blue-600 hover:text-blue-700"
+        >
+          <Library className="h-4 w-4" />
+          {showLibrary ? 'Hide media library' : 'Choose from media library'}
+        </button>
+
+        {showLibrary && (
+          <MediaLibraryPicker
+            selectedUrls={mediaUrls.map((media) => media.url)}
+            onSelect={addLibraryMedia}
+            refreshKey={libraryRefreshKey}
+          />
+        )}
+
         {mediaUrls.length > 0 && (
           <div className="space-y-2">
             {mediaUrls.map((media) => (
@@ -1298,7 +2011,7 @@ Rules:
       <div className="card space-y-4">
         <h2 className="text-lg font-semibold text-gray-900">4. Publish</h2>
 
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
           <button
             type="button"
             onClick={() => setPostMode('now')}
@@ -1312,7 +2025,11 @@ Rules:
               <Send className="h-4 w-4" />
               Post now
             </p>
-            <p className="text-xs text-gray-500 mt-1">Publish immediately after validation.</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {permissions?.requiresPostApproval
+                ? 'Publish as soon as a team owner/admin approves.'
+                : 'Publish immediately after validation.'}
+            </p>
           </button>
 
           <button
@@ -1330,6 +2047,22 @@ Rules:
             </p>
             <p className="text-xs text-gray-500 mt-1">Queue for automatic publishing later.</p>
           </button>
+
+          <button
+            type="button"
+            onClick={() => setPostMode('queue')}
+            className={`rounded-lg border px-4 py-3 text-left transition ${
+              postMode === 'queue'
+                ? 'border-blue-300 bg-blue-50'
+                : 'border-gray-200 hover:border-gray-300'
+            }`}
+          >
+            <p className="inline-flex items-center gap-2 text-sm font-semibold text-gray-800">
+              <ListOrdered className="h-4 w-4" />
+              Add to queue
+            </p>
+            <p className="text-xs text-gray-500 mt-1">Use the next free posting slot.</p>
+          </button>
         </div>
 
         {postMode === 'schedule' && (
@@ -1344,6 +2077,44 @@ Rules:
             <p className="text-xs text-blue-900">
               Timezone auto-detected: <span className="font-semibold">{detectedTimezone}</span>. We convert to UTC before saving.
             </p>
+            {canScheduleOnYoutube && (
+              <label className="flex items-start gap-2 text-sm text-blue-900">
+                <input
+                  type="checkbox"
+                  className="mt-0.5"
+                  checked={scheduleOnYoutube}
+                  onChange={(event) => setScheduleOnYoutube(event.target.checked)}
+                />
+                <span>
+                  Upload now and let YouTube publish it. The video stays private until the scheduled time.
+                </span>
+              </label>
+            )}
+          </div>
+        )}
+
+        {postMode === 'queue' && (
+          <div className="rounded-lg border border-blue-200 bg-blue-50 p-3 space-y-2">
+            <label className="block text-sm font-medium text-blue-900">Queue</label>
+            <select
+              className="input"
+              value={queueAccountId}
+              onChange={(event) => setQueueAccountId(event.target.value)}
+            >
+              <option value="">Shared slots</option>
+              {queueAccounts.map((account) => (
+                <option key={account.id} value={account.id}>
+                  {platformLabel[account.platform] || account.platform}: {account.account_display_name || account.account_username || account.account_id}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-blue-900">
+              {nextQueueSlot.loading
+                ? 'Finding the next free slot...'
+                : nextQueueSlot.at
+                  ? `Next free slot: ${new Date(nextQueueSlot.at).toLocaleString()}`
+                  : 'No posting slots are set up for this queue yet. Add them on the Schedule page.'}
+            </p>
           </div>
         )}
 
@@ -1356,12 +2127,21 @@ Rules:
               <p className="text-gray-700">
                 <span className="font-medium text-gray-900">Platforms:</span>{' '}
                 {activePlatforms.length > 0
-                  ? activePlatforms.map((platform) => platformLabel[platform]).join(', ')
+                  ? activePlatforms
+                      .map((platform) => {
+                        const account = (accountsByPlatform[platform] || []).find(
+                          (item) => item.id === effectiveTargetAccountIds[platform]
+                        );
+                        return account?.account_username
+                          ? `${platformLabel[platform]} (@${account.account_username})`
+                          : platformLabel[platform];
+                      })
+                      .join(', ')
                   : 'None selected'}
               </p>
               <p className="text-gray-700">
                 <span className="font-medium text-gray-900">Publish:</span>{' '}
-                {postMode === 'now' ? 'Now' : 'Scheduled'}
+                {postMode === 'now' ? 'Now' : postMode === 'queue' ? 'Next queue slot' : 'Scheduled'}
               </p>
               {postMode === 'schedule' && (
                 <p className="text-gray-700">
@@ -1378,13 +2158,79 @@ Rules:
             </div>
           </div>
 
+          <div className="card space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <h3 className="text-base font-semibold text-gray-900">Drafts</h3>
+              <span className="text-xs text-gray-500">
+                {draftSaveState === 'saving'
+                  ? 'Saving...'
+                  : draftSaveState === 'saved'
+                    ? 'Draft saved'
+                    : draftSaveState === 'error'
+                      ? 'Draft not saved'
+                      : 'Autosaves as you type'}
+              </span>
+            </div>
+            {draftId && (
+              <button
+                type="button"
+                onClick={resetComposer}
+                className="w-full rounded-md border border-gray-300 px-3 py-1.5 text-xs font-medium text-gray-700 hover:bg-gray-50"
+              >
+                Start a new post
+              </button>
+            )}
+            {drafts.length === 0 ? (
+              <p className="text-sm text-gray-500">No saved drafts.</p>
+            ) : (
+              <ul className="space-y-2">
+                {drafts.map((draft) => (
+                  <li
+                    key={draft.id}
+                    className={`flex items-start gap-2 rounded-md border px-2 py-2 ${
+                      draft.id === draftId ? 'border-blue-300 bg-blue-50' : 'border-gray-200'
+                    }`}
+                  >
+                    <FileText className="h-4 w-4 mt-0.5 shrink-0 text-gray-400" />
+                    <button
+                      type="button"
+                      onClick={() => openDraft(draft)}
+                      className="min-w-0 flex-1 text-left"
+                    >
+                      <p className="truncate text-sm text-gray-800">{draft.caption || 'Untitled draft'}</p>
+                      <p className="text-xs text-gray-500">
+                        {new Date(draft.updated_at).toLocaleString()}
+                      </p>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteDraft(draft)}
+                      className="text-red-600 hover:text-red-700"
+                      title="Delete draft"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
           <button
             type="button"
             className="btn btn-primary w-full h-11 text-sm font-semibold"
             disabled={submitting || uploading}
             onClick={handleSubmit}
           >
-            {submitting ? 'Submitting...' : postMode === 'now' ? 'Post Now' : 'Schedule Post'}
+            {submitting
+              ? 'Submitting...'
+              : permissions?.requiresPostApproval
+                ? 'Submit for Approval'
+                : postMode === 'now'
+                  ? 'Post Now'
+                  : postMode === 'queue'
+                    ? 'Add to Queue'
+                    : 'Schedule Post'}
           </button>
         </aside>
       </div>
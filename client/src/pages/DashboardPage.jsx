@@ -5,6 +5,7 @@ import { dashboardApi, oauthApi } from '../utils/api';
 import { useAccounts } from '../contexts/AccountContext';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import AccountHealthBadge, { isAccountUnhealthy } from '../components/AccountHealthBadge';
 import {
   getSocialPlatformUnavailableMessage,
   IS_THREADS_ONLY_MODE,
@@ -103,6 +104,7 @@ const DashboardPage = () => {
 
   const canManageConnections = Boolean(permissions?.canManageConnections);
   const visibleAccounts = useMemo(() => accounts, [accounts]);
+  const unhealthyAccounts = useMemo(() => visibleAccounts.filter(isAccountUnhealthy), [visibleAccounts]);
   const platformAccessContext = useMemo(
     () => ({
       email: user?.email || '',
@@ -204,6 +206,19 @@ const DashboardPage = () => {
         </div>
       )}
 
+      {unhealthyAccounts.length > 0 && (
+        <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-amber-800">
+          <p className="text-sm font-medium">
+            {unhealthyAccounts.length} connected account(s) need attention
+          </p>
+          <p className="text-sm mt-1">
+            Scheduled posts to{' '}
+            {unhealthyAccounts.map((account) => `@${account.account_username || account.account_id}`).join(', ')}{' '}
+            may fail until the account is reconnected.
+          </p>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-5 gap-4">
         <div className="card">
           <div className="flex items-center justify-between">
@@ -322,6 +337,9 @@ const DashboardPage = () => {
                     <AccountPill platform={account.platform} />
                   </div>
                   <p className="text-sm text-gray-500 mt-1">@{account.account_username || account.account_id}</p>
+                  <div className="mt-1">
+                    <AccountHealthBadge account={account} />
+                  </div>
                 </div>
               ))}
             </div>
@@ -2,6 +2,8 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { History as HistoryIcon, Trash2, Instagram, Youtube, AtSign, CalendarDays } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import PostAnalyticsModal from '../components/PostAnalyticsModal';
+import PostActivityPanel from '../components/PostActivityPanel';
 import { postsApi } from '../utils/api';
 import { IS_THREADS_ONLY_MODE, THREADS_INVITE_MODE_NOTICE } from '../config/platformAvailability';
 
@@ -44,7 +46,11 @@ const PlatformBadge = ({ platform }) => {
 const statusMeta = {
   posted: 'bg-green-100 text-green-700',
   scheduled: 'bg-blue-100 text-blue-700',
+  scheduled_on_platform: 'bg-blue-100 text-blue-700',
   failed: 'bg-red-100 text-red-700',
+  partially_posted: 'bg-orange-100 text-orange-700',
+  pending_approval: 'bg-violet-100 text-violet-700',
+  rejected: 'bg-rose-100 text-rose-700',
   deleted: 'bg-gray-100 text-gray-600',
 };
 
@@ -164,6 +170,8 @@ const HistoryPage = () => {
   const [daysFilter, setDaysFilter] = useState(30);
   const [sort, setSort] = useState('newest');
   const [deletingId, setDeletingId] = useState(null);
+  const [selectedPostId, setSelectedPostId] = useState(null);
+  const [activityPostId, setActivityPostId] = useState(null);
 
   const fetchHistory = async () => {
     try {
@@ -212,7 +220,7 @@ const HistoryPage = () => {
     () => ({
       total: posts.length,
       posted: posts.filter((post) => post.status === 'posted').length,
-      scheduled: posts.filter((post) => post.status === 'scheduled').length,
+      scheduled: posts.filter((post) => post.status === 'scheduled' || post.status === 'scheduled_on_platform').length,
       failed: posts.filter((post) => post.status === 'failed').length,
       deleted: posts.filter((post) => post.status === 'deleted').length,
     }),
@@ -299,7 +307,10 @@ const HistoryPage = () => {
           <select className="input" value={statusFilter} onChange={(event) => setStatusFilter(event.target.value)}>
             <option value="all">All Status</option>
             <option value="posted">Posted</option>
+            <option value="partially_posted">Partially posted</option>
             <option value="scheduled">Scheduled</option>
+            <option value="pending_approval">Awaiting approval</option>
+            <option value="rejected">Rejected</option>
             <option value="failed">Failed</option>
             <option value="deleted">Deleted</option>
           </select>
@@ -333,7 +344,11 @@ const HistoryPage = () => {
       ) : (
         <div className="space-y-3">
           {posts.map((post) => (
-            <div key={post.id} className="card">
+            <div
+              key={post.id}
+              className="card cursor-pointer hover:border-blue-300 transition-colors"
+              onClick={() => post.id && setSelectedPostId(post.id)}
+            >
               <div className="flex items-start justify-between gap-3">
                 <div className="space-y-2 flex-1 min-w-0">
                   <div className="flex flex-wrap gap-2">
@@ -341,7 +356,9 @@ const HistoryPage = () => {
                       <PlatformBadge key={`${post.id}-${platform}`} platform={platform} />
                     ))}
                     <span className={`inline-flex items-center rounded-full px-2 py-1 text-xs font-medium ${statusMeta[post.status] || statusMeta.deleted}`}>
-                      {post.status || 'unknown'}
+                      {post.status === 'scheduled_on_platform'
+                        ? 'scheduled on YouTube'
+                        : (post.status ? post.status.replace(/_/g, ' ') : 'unknown')}
                     </span>
                     {getCrossPostTargetsForPost(post).map((target) => (
                       <span
@@ -357,9 +374,23 @@ const HistoryPage = () => {
                     {post.caption || '(No caption)'}
                   </p>
 
-                  <div className="inline-flex items-center gap-2 text-xs text-gray-500">
-                    <CalendarDays className="h-3 w-3" />
-                    {formatDate(post.posted_at || post.scheduled_for || post.created_at)}
+                  <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+                    <span className="inline-flex items-center gap-2">
+                      <CalendarDays className="h-3 w-3" />
+                      {formatDate(post.posted_at || post.scheduled_for || post.created_at)}
+                    </span>
+                    {post.id && (
+                      <button
+                        type="button"
+                        className="font-medium text-blue-600 hover:text-blue-700"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          setActivityPostId(activityPostId === post.id ? null : post.id);
+                        }}
+                      >
+                        {activityPostId === post.id ? 'Hide activity' : 'Activity & comments'}
+                      </button>
+                    )}
                   </div>
                 </div>
 
@@ -379,7 +410,10 @@ const HistoryPage = () => {
                   type="button"
                   className="inline-flex items-center gap-1 text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
                   disabled={disabled}
-                  onClick={() => handleDelete(post)}
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    handleDelete(post);
+                  }}
                 >
                   <Trash2 className="h-4 w-4" />
                   {label}
@@ -387,10 +421,20 @@ const HistoryPage = () => {
                   );
                 })()}
               </div>
+
+              {activityPostId === post.id && (
+                <div className="mt-3 cursor-default" onClick={(event) => event.stopPropagation()}>
+                  <PostActivityPanel postId={post.id} />
+                </div>
+              )}
             </div>
           ))}
         </div>
       )}
+
+      {selectedPostId && (
+        <PostAnalyticsModal postId={selectedPostId} onClose={() => setSelectedPostId(null)} />
+      )}
     </div>
   );
 };
@@ -1,8 +1,13 @@
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
-import { CalendarDays, Clock3, Instagram, Youtube, AtSign } from 'lucide-react';
+import { AlertTriangle, CalendarDays, Clock3, Instagram, Youtube, AtSign } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { scheduleApi } from '../utils/api';
+import { useAccounts } from '../contexts/AccountContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import FailedPostsPanel from '../components/FailedPostsPanel';
+import SeriesPanel from '../components/SeriesPanel';
+import QueueSlotsPanel from '../components/QueueSlotsPanel';
+import PostActivityPanel from '../components/PostActivityPanel';
 
 const TIMEZONE_ALIAS_MAP = {
   'Asia/Calcutta': 'Asia/Kolkata',
@@ -117,12 +122,34 @@ const PlatformBadge = ({ platform }) => {
 
 const statusClass = {
   scheduled: 'bg-blue-100 text-blue-700',
+  scheduled_on_platform: 'bg-blue-100 text-blue-700',
   publishing: 'bg-amber-100 text-amber-700',
   failed: 'bg-red-100 text-red-700',
+  partially_posted: 'bg-orange-100 text-orange-700',
+  pending_approval: 'bg-violet-100 text-violet-700',
+  rejected: 'bg-rose-100 text-rose-700',
   posted: 'bg-emerald-100 text-emerald-700',
   deleted: 'bg-gray-100 text-gray-700',
 };
 
+const statusLabel = {
+  scheduled_on_platform: 'scheduled on YouTube',
+  pending_approval: 'awaiting approval',
+};
+
+const deliveryTone = {
+  posted: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+  failed: 'bg-red-50 text-red-700 border-red-200',
+  pending: 'bg-gray-50 text-gray-600 border-gray-200',
+  cancelled: 'bg-gray-50 text-gray-400 border-gray-200',
+};
+
+const DELIVERY_PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  threads: 'Threads',
+  youtube: 'YouTube',
+};
+
 const parseJsonObject = (value, fallback = {}) => {
   if (value && typeof value === 'object' && !Array.isArray(value)) {
     return { ...fallback, ...value };
@@ -140,6 +167,23 @@ const parseJsonObject = (value, fallback = {}) => {
   return { ...fallback };
 };
 
+// Warnings from the scheduler's pre-publish check. They are hidden once the
+// post changes after the check, until the scheduler looks at it again.
+const getPreflightWarnings = (post) => {
+  if (String(post?.status || '').toLowerCase() !== 'scheduled' || !post?.preflight_checked_at) return [];
+  if (post.updated_at && new Date(post.updated_at) > new Date(post.preflight_checked_at)) return [];
+
+  let warnings = post.preflight_warnings;
+  if (typeof warnings === 'string') {
+    try {
+      warnings = JSON.parse(warnings);
+    } catch {
+      warnings = [];
+    }
+  }
+  return Array.isArray(warnings) ? warnings : [];
+};
+
 const getCrossPostStatusTone = (status) => {
   const normalized = String(status || '').toLowerCase();
   if (normalized === 'posted') return 'bg-emerald-100 text-emerald-700 border-emerald-200';
@@ -196,7 +240,15 @@ const SchedulePage = () => {
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [actionPostId, setActionPostId] = useState(null);
+  const [editingPost, setEditingPost] = useState(null);
+  const [rejectingPost, setRejectingPost] = useState(null);
+  const [activityPostId, setActivityPostId] = useState(null);
   const [statusFilter, setStatusFilter] = useState('active');
+  const [view, setView] = useState('schedule');
+  const [requirePostApproval, setRequirePostApproval] = useState(false);
+  const [savingApprovalPolicy, setSavingApprovalPolicy] = useState(false);
+  const { permissions } = useAccounts();
+  const canReviewPosts = Boolean(permissions?.canReviewPosts);
 
   const fetchSchedule = useCallback(async () => {
     try {
@@ -215,6 +267,43 @@ const SchedulePage = () => {
     fetchSchedule();
   }, [fetchSchedule]);
 
+  useEffect(() => {
+    if (!canReviewPosts) return;
+    scheduleApi.approvalPolicy()
+      .then((response) => setRequirePostApproval(Boolean(response.data?.policy?.requirePostApproval)))
+      .catch(() => setRequirePostApproval(false));
+  }, [canReviewPosts]);
+
+  // Large YouTube uploads can take minutes; refresh their progress while the
+  // worker is still sending chunks.
+  const uploadingPostIds = useMemo(
+    () => posts
+      .filter((post) => post.status === 'publishing' && post.youtube_upload?.status === 'uploading')
+      .map((post) => post.id),
+    [posts]
+  );
+
+  useEffect(() => {
+    if (uploadingPostIds.length === 0) return undefined;
+
+    const timer = setInterval(async () => {
+      const results = await Promise.allSettled(uploadingPostIds.map((postId) => scheduleApi.uploadProgress(postId)));
+      const progressById = new Map();
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled' && result.value.data?.upload) {
+          progressById.set(uploadingPostIds[index], result.value.data.upload);
+        }
+      });
+      if (progressById.size === 0) return;
+
+      setPosts((current) => current.map((post) => (
+        progressById.has(post.id) ? { ...post, youtube_upload: progressById.get(post.id) } : post
+      )));
+    }, 5000);
+
+    return () => clearInterval(timer);
+  }, [uploadingPostIds]);
+
   const groupedByDay = useMemo(() => {
     return posts.reduce((acc, post) => {
       const date = parseUtcDate(post.scheduled_for || post.created_at);
@@ -245,12 +334,17 @@ const SchedulePage = () => {
   };
 
   const handleCancel = async (post) => {
-    const ok = window.confirm('Cancel this scheduled post?');
+    const partial = post.status === 'partially_posted';
+    const ok = window.confirm(
+      partial
+        ? 'Cancel the platforms that did not post? The parts already live stay published.'
+        : 'Cancel this scheduled post?'
+    );
     if (!ok) return;
 
     await runAction(post.id, async () => {
       await scheduleApi.cancel(post.id);
-      toast.success('Scheduled post cancelled');
+      toast.success(partial ? 'Remaining platforms cancelled' : 'Scheduled post cancelled');
     });
   };
 
@@ -271,7 +365,70 @@ const SchedulePage = () => {
     });
   };
 
-  if (loading) {
+  const handleToggleApprovalPolicy = async (enabled) => {
+    setSavingApprovalPolicy(true);
+    try {
+      const response = await scheduleApi.updateApprovalPolicy({ requirePostApproval: enabled });
+      setRequirePostApproval(Boolean(response.data?.policy?.requirePostApproval));
+      toast.success(enabled ? 'Member posts now need approval' : 'Member posts publish without approval');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update approval setting');
+    } finally {
+      setSavingApprovalPolicy(false);
+    }
+  };
+
+  const handleApprove = async (post) => {
+    await runAction(post.id, async () => {
+      try {
+        await scheduleApi.approve(post.id);
+        toast.success(post.scheduled_for ? 'Post approved and scheduled' : 'Post approved and queued for publishing');
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to approve post');
+      }
+    });
+  };
+
+  const handleReject = async () => {
+    if (!rejectingPost) return;
+    const comment = rejectingPost.comment.trim();
+    if (!comment) {
+      toast.error('Add a comment so the author knows what to change');
+      return;
+    }
+
+    await runAction(rejectingPost.id, async () => {
+      try {
+        await scheduleApi.reject(rejectingPost.id, { comment });
+        toast.success('Post sent back to its author');
+        setRejectingPost(null);
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to reject post');
+      }
+    });
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editingPost) return;
+
+    setActionPostId(editingPost.id);
+    try {
+      const response = await scheduleApi.update(editingPost.id, { caption: editingPost.caption });
+      const warnings = (response.data?.warnings || []).filter((issue) => issue.severity === 'warning');
+      toast.success(response.data?.post?.status === 'pending_approval' ? 'Post updated and sent for approval' : 'Post updated');
+      warnings.forEach((warning) => toast(warning.message));
+      setEditingPost(null);
+      await fetchSchedule();
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+      const apiCode = error.response?.data?.code;
+      toast.error(apiError && apiCode ? `${apiError} (${apiCode})` : apiError || 'Failed to update post');
+    } finally {
+      setActionPostId(null);
+    }
+  };
+
+  if (loading && view === 'schedule') {
     return (
       <div className="flex items-center justify-center min-h-96">
         <LoadingSpinner size="lg" />
@@ -284,23 +441,70 @@ const SchedulePage = () => {
       <div className="flex items-start justify-between gap-3">
         <div>
           <h1 className="text-3xl font-bold text-gray-900">Schedule / Calendar</h1>
-          <p className="text-gray-600 mt-1">Manage scheduled, publishing, and failed posts.</p>
+          <p className="text-gray-600 mt-1">Manage scheduled, publishing, failed, and partially posted posts.</p>
         </div>
 
-        <select
-          className="input max-w-[180px]"
-          value={statusFilter}
-          onChange={(event) => setStatusFilter(event.target.value)}
-        >
-          <option value="active">Active</option>
-          <option value="all">All statuses</option>
-          <option value="scheduled">Scheduled</option>
-          <option value="publishing">Publishing</option>
-          <option value="failed">Failed</option>
-        </select>
+        {view === 'schedule' && (
+          <div className="flex flex-col items-end gap-2">
+            <select
+              className="input max-w-[180px]"
+              value={statusFilter}
+              onChange={(event) => setStatusFilter(event.target.value)}
+            >
+              <option value="active">Active</option>
+              <option value="all">All statuses</option>
+              <option value="scheduled">Scheduled</option>
+              <option value="scheduled_on_platform">Scheduled on YouTube</option>
+              <option value="publishing">Publishing</option>
+              <option value="failed">Failed</option>
+              <option value="partially_posted">Partially posted</option>
+              <option value="pending_approval">Awaiting approval</option>
+              <option value="rejected">Rejected</option>
+            </select>
+            {canReviewPosts && (
+              <label className="inline-flex items-center gap-2 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={requirePostApproval}
+                  disabled={savingApprovalPolicy}
+                  onChange={(event) => handleToggleApprovalPolicy(event.target.checked)}
+                />
+                Require approval for member posts
+              </label>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex gap-2 border-b border-gray-200">
+        {[
+          { key: 'schedule', label: 'Schedule' },
+          { key: 'failed', label: 'Failed' },
+          { key: 'series', label: 'Recurring' },
+          { key: 'slots', label: 'Posting Slots' },
+        ].map((tab) => (
+          <button
+            key={tab.key}
+            type="button"
+            onClick={() => setView(tab.key)}
+            className={`-mb-px border-b-2 px-4 py-2 text-sm font-medium ${
+              view === tab.key
+                ? 'border-blue-600 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
       </div>
 
-      {posts.length === 0 ? (
+      {view === 'failed' ? (
+        <FailedPostsPanel onChanged={fetchSchedule} />
+      ) : view === 'series' ? (
+        <SeriesPanel onChanged={fetchSchedule} />
+      ) : view === 'slots' ? (
+        <QueueSlotsPanel onChanged={fetchSchedule} />
+      ) : posts.length === 0 ? (
         <div className="card text-center">
           <CalendarDays className="h-10 w-10 text-gray-400 mx-auto mb-2" />
           <p className="text-gray-600">No posts for this filter.</p>
@@ -325,6 +529,7 @@ const SchedulePage = () => {
                     ? normalizeTimezone(post.timezone)
                     : null;
                   const displayTimezone = timezoneLabel || userTimezone;
+                  const preflightWarnings = isExternal ? [] : getPreflightWarnings(post);
 
                   return (
                     <div key={post.id} className="rounded-lg border border-gray-200 p-4 space-y-2">
@@ -341,13 +546,76 @@ const SchedulePage = () => {
                               {target.label}: {formatCrossPostStatusLabel(target.status)}
                             </span>
                           ))}
+                          {post.is_queued && (
+                            <span className="inline-flex items-center rounded-full bg-sky-50 px-2 py-1 text-xs font-medium text-sky-700">
+                              Queued
+                            </span>
+                          )}
+                          {post.series_id && (
+                            <span className="inline-flex items-center rounded-full bg-indigo-50 px-2 py-1 text-xs font-medium text-indigo-700">
+                              Recurring #{post.series_occurrence}
+                            </span>
+                          )}
                         </div>
                         <span className={`inline-flex rounded-full px-2 py-1 text-xs font-semibold ${statusClass[status] || 'bg-gray-100 text-gray-700'}`}>
-                          {status || 'unknown'}
+                          {statusLabel[status] || (status ? status.replace(/_/g, ' ') : 'unknown')}
                         </span>
                       </div>
 
-                      <p className="text-sm text-gray-800 whitespace-pre-wrap">{post.caption || 'No caption'}</p>
+                      {Array.isArray(post.deliveries) && post.deliveries.length > 0 && (
+                        <div className="flex flex-wrap gap-2">
+                          {post.deliveries.map((delivery) => (
+                            <span
+                              key={`${post.id}-delivery-${delivery.platform}`}
+                              title={delivery.error_message || undefined}
+                              className={`inline-flex items-center rounded-full border px-2 py-1 text-xs font-medium ${deliveryTone[delivery.status] || deliveryTone.pending}`}
+                            >
+                              {DELIVERY_PLATFORM_LABELS[delivery.platform] || delivery.platform}: {delivery.status}
+                              {delivery.status === 'failed' && delivery.error_code ? ` (${delivery.error_code})` : ''}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+
+                      {status === 'publishing' && post.youtube_upload?.status === 'uploading' && (
+                        <div className="space-y-1 text-xs text-gray-600">
+                          <p>Uploading to YouTube: {post.youtube_upload.percent}%</p>
+                          <div className="h-1.5 w-full overflow-hidden rounded-full bg-gray-100">
+                            <div className="h-full bg-red-500" style={{ width: `${post.youtube_upload.percent}%` }} />
+                          </div>
+                        </div>
+                      )}
+
+                      {editingPost?.id === post.id ? (
+                        <div className="space-y-2">
+                          <textarea
+                            className="textarea min-h-0"
+                            rows={4}
+                            value={editingPost.caption}
+                            onChange={(event) => setEditingPost({ id: post.id, caption: event.target.value })}
+                          />
+                          <div className="flex gap-2">
+                            <button
+                              type="button"
+                              onClick={handleSaveEdit}
+                              disabled={isBusy}
+                              className="rounded-md border border-blue-300 bg-blue-50 px-3 py-1 text-xs font-medium text-blue-700 hover:bg-blue-100 disabled:opacity-50"
+                            >
+                              Save
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setEditingPost(null)}
+                              disabled={isBusy}
+                              className="rounded-md border border-gray-300 px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                            >
+                              Discard
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <p className="text-sm text-gray-800 whitespace-pre-wrap">{post.caption || 'No caption'}</p>
+                      )}
                       {isExternal && (
                         <div className="text-xs">
                           <span className="inline-flex items-center gap-1 rounded-full border border-violet-200 bg-violet-50 px-2 py-1 font-medium text-violet-700">
@@ -363,9 +631,107 @@ const SchedulePage = () => {
                           {' · '}
                           {formatTimePart(post.scheduled_for || post.created_at, displayTimezone)}
                           {timezoneLabel ? ` (${timezoneLabel})` : ''}
+                          {status === 'pending_approval' && !post.scheduled_for ? ' · publishes once approved' : ''}
                         </span>
                       </div>
 
+                      {!isExternal && post.review_comment && (status === 'rejected' || status === 'pending_approval') && (
+                        <div className="rounded-md border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-800">
+                          <span className="font-semibold">{status === 'rejected' ? 'Rejected: ' : 'Previous review: '}</span>
+                          {post.review_comment}
+                        </div>
+                      )}
+
+                      {rejectingPost?.id === post.id && (
+                        <div className="space-y-2">
+                          <textarea
+                            className="textarea min-h-0"
+                            rows={3}
+                            placeholder="What should the author change?"
+                            value={rejectingPost.comment}
+                            onChange={(event) => setRejectingPost({ id: post.id, comment: event.target.value })}
+                          />
+                          <div className="flex gap-2">
+                            <button
+                              type="button"
+                              onClick={handleReject}
+                              disabled={isBusy}
+                              className="rounded-md border border-rose-300 bg-rose-50 px-3 py-1 text-xs font-medium text-rose-700 hover:bg-rose-100 disabled:opacity-50"
+                            >
+                              Send back
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setRejectingPost(null)}
+                              disabled={isBusy}
+                              className="rounded-md border border-gray-300 px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                            >
+                              Keep pending
+                            </button>
+                          </div>
+                        </div>
+                      )}
+
+                      {preflightWarnings.length > 0 && (
+                        <div className="rounded-md border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800 space-y-1">
+                          <p className="inline-flex items-center gap-1 font-semibold">
+                            <AlertTriangle className="h-3 w-3" />
+                            Fix before {formatTimePart(post.scheduled_for, displayTimezone)} or this post may fail
+                          </p>
+                          <ul className="list-disc pl-4 space-y-0.5">
+                            {preflightWarnings.map((warning, index) => (
+                              <li key={`${post.id}-preflight-${warning.code}-${index}`}>
+                                {warning.platform && warning.platform !== 'content' && warning.platform !== 'media' && (
+                                  <span className="font-medium">{DELIVERY_PLATFORM_LABELS[warning.platform] || warning.platform}: </span>
+                                )}
+                                {warning.message}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {!isExternal && post.last_error_message && status !== 'posted' && (
+                        <div className="rounded-md border border-red-200 bg-red-50 px-3 py-2 text-xs text-red-700 space-y-1">
+                          <p>
+                            {post.last_error_code && <span className="font-semibold">{post.last_error_code}: </span>}
+                            {post.last_error_message}
+                          </p>
+                          {status === 'scheduled' && post.next_retry_at && (
+                            <p className="text-red-600">
+                              Automatic retry {Number(post.publish_attempts || 0) + 1} at{' '}
+                              {formatTimePart(post.next_retry_at, displayTimezone)}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      {!isExternal && Array.isArray(post.publish_attempt_history) && post.publish_attempt_history.length > 0 && (
+                        <details className="text-xs text-gray-600">
+                          <summary className="cursor-pointer select-none text-gray-500">
+                            Attempt history ({post.publish_attempt_history.length})
+                          </summary>
+                          <ul className="mt-2 space-y-1">
+                            {post.publish_attempt_history.map((attempt) => (
+                              <li key={`${post.id}-attempt-${attempt.attempted_at}`}>
+                                <span className="font-medium">#{attempt.attempt_number}</span>
+                                {' · '}
+                                {formatDatePart(attempt.attempted_at, displayTimezone)}{' '}
+                                {formatTimePart(attempt.attempted_at, displayTimezone)}
+                                {' · '}
+                                {String(attempt.outcome || '').replace(/_/g, ' ')}
+                                {(attempt.failures || []).map((failure, index) => (
+                                  <span key={`${failure.platform || 'post'}-${index}`} className="block pl-4 text-red-600">
+                                    {failure.platform ? `${DELIVERY_PLATFORM_LABELS[failure.platform] || failure.platform}: ` : ''}
+                                    {failure.code} {failure.retryable ? '(retryable)' : '(needs attention)'}
+                                  </span>
+                                ))}
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
+
                       <div className="flex flex-wrap gap-2 pt-1">
                         {isExternal ? (
                           <span className="rounded-md border border-gray-200 bg-gray-50 px-3 py-1 text-xs font-medium text-gray-500">
@@ -382,14 +748,48 @@ const SchedulePage = () => {
                           </button>
                         )}
 
-                        {!isExternal && status === 'failed' && (
+                        {!isExternal && canReviewPosts && status === 'pending_approval' && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => handleApprove(post)}
+                              disabled={isBusy}
+                              className="rounded-md border border-emerald-300 bg-emerald-50 px-3 py-1 text-xs font-medium text-emerald-700 hover:bg-emerald-100 disabled:opacity-50"
+                            >
+                              Approve
+                            </button>
+                            {rejectingPost?.id !== post.id && (
+                              <button
+                                type="button"
+                                onClick={() => setRejectingPost({ id: post.id, comment: '' })}
+                                disabled={isBusy}
+                                className="rounded-md border border-rose-300 bg-rose-50 px-3 py-1 text-xs font-medium text-rose-700 hover:bg-rose-100 disabled:opacity-50"
+                              >
+                                Reject
+                              </button>
+                            )}
+                          </>
+                        )}
+
+                        {!isExternal && ['scheduled', 'failed', 'partially_posted', 'pending_approval', 'rejected'].includes(status) && editingPost?.id !== post.id && (
+                          <button
+                            type="button"
+                            onClick={() => setEditingPost({ id: post.id, caption: post.caption || '' })}
+                            disabled={isBusy}
+                            className="rounded-md border border-gray-300 px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                          >
+                            Edit
+                          </button>
+                        )}
+
+                        {!isExternal && (status === 'failed' || status === 'partially_posted') && (
                           <button
                             type="button"
                             onClick={() => handleRetry(post)}
                             disabled={isBusy}
                             className="rounded-md border border-blue-300 bg-blue-50 px-3 py-1 text-xs font-medium text-blue-700 hover:bg-blue-100 disabled:opacity-50"
                           >
-                            Retry Now
+                            {status === 'partially_posted' ? 'Retry Failed' : 'Retry Now'}
                           </button>
                         )}
 
@@ -403,7 +803,19 @@ const SchedulePage = () => {
                             Cancel
                           </button>
                         )}
+
+                        {!isExternal && (
+                          <button
+                            type="button"
+                            onClick={() => setActivityPostId(activityPostId === post.id ? null : post.id)}
+                            className="rounded-md border border-gray-300 px-3 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50"
+                          >
+                            {activityPostId === post.id ? 'Hide activity' : 'Activity & comments'}
+                          </button>
+                        )}
                       </div>
+
+                      {activityPostId === post.id && <PostActivityPanel postId={post.id} />}
                     </div>
                   );
                 })}
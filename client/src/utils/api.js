@@ -192,6 +192,7 @@ export const accountsApi = {
   permissions: () => api.get('/api/accounts/permissions'),
   connectInstagramByok: (payload) => api.post('/api/accounts/instagram/byok-connect', payload),
   disconnect: (id) => api.delete(`/api/accounts/${id}`),
+  profileHistory: (id, days = 30) => api.get(`/api/accounts/${id}/profile-history`, { params: { days } }),
 };
 
 export const postsApi = {
@@ -199,17 +200,48 @@ export const postsApi = {
   recent: (limit = 10) => api.get('/api/posts/recent', { params: { limit } }),
   history: (params = {}) => api.get('/api/posts/history', { params }),
   delete: (postId) => api.delete(`/api/posts/${postId}`),
+  activity: (postId) => api.get(`/api/posts/${postId}/activity`),
+  addComment: (postId, body) => api.post(`/api/posts/${postId}/comments`, { body }),
+  deleteComment: (postId, commentId) => api.delete(`/api/posts/${postId}/comments/${commentId}`),
+  listDrafts: (params = {}) => api.get('/api/posts/drafts', { params }),
+  getDraft: (draftId) => api.get(`/api/posts/drafts/${draftId}`),
+  createDraft: (payload) => api.post('/api/posts/drafts', payload),
+  updateDraft: (draftId, payload) => api.patch(`/api/posts/drafts/${draftId}`, payload),
+  deleteDraft: (draftId) => api.delete(`/api/posts/drafts/${draftId}`),
+  promoteDraft: (draftId, payload) => api.post(`/api/posts/drafts/${draftId}/promote`, payload),
 };
 
 export const scheduleApi = {
   list: (params = {}) => api.get('/api/schedule', { params }),
+  update: (postId, payload) => api.patch(`/api/schedule/${postId}`, payload),
   reschedule: (postId, payload) => api.patch(`/api/schedule/${postId}/reschedule`, payload),
   retry: (postId, payload = {}) => api.post(`/api/schedule/${postId}/retry`, payload),
   cancel: (postId) => api.delete(`/api/schedule/${postId}`),
+  uploadProgress: (postId) => api.get(`/api/schedule/${postId}/upload-progress`),
+  approve: (postId, payload = {}) => api.post(`/api/schedule/${postId}/approve`, payload),
+  reject: (postId, payload) => api.post(`/api/schedule/${postId}/reject`, payload),
+  approvalPolicy: () => api.get('/api/schedule/approval-policy'),
+  updateApprovalPolicy: (payload) => api.put('/api/schedule/approval-policy', payload),
+  failed: (params = {}) => api.get('/api/schedule/failed', { params }),
+  bulkRecover: (payload) => api.post('/api/schedule/failed/bulk', payload),
+  listSeries: (params = {}) => api.get('/api/schedule/series', { params }),
+  createSeries: (payload) => api.post('/api/schedule/series', payload),
+  updateSeries: (seriesId, payload) => api.patch(`/api/schedule/series/${seriesId}`, payload),
+  pauseSeries: (seriesId) => api.post(`/api/schedule/series/${seriesId}/pause`),
+  resumeSeries: (seriesId) => api.post(`/api/schedule/series/${seriesId}/resume`),
+  cancelSeries: (seriesId) => api.delete(`/api/schedule/series/${seriesId}`),
+  listSlots: () => api.get('/api/schedule/slots'),
+  nextSlot: (params = {}) => api.get('/api/schedule/slots/next', { params }),
+  createSlots: (payload) => api.post('/api/schedule/slots', payload),
+  updateSlot: (slotId, payload) => api.patch(`/api/schedule/slots/${slotId}`, payload),
+  deleteSlot: (slotId) => api.delete(`/api/schedule/slots/${slotId}`),
 };
 
 export const analyticsApi = {
   overview: (days = 30) => api.get('/api/analytics/overview', { params: { days } }),
+  timeseries: (params = {}) => api.get('/api/analytics/timeseries', { params }),
+  comparison: (params = {}) => api.get('/api/analytics/comparison', { params }),
+  post: (postId) => api.get(`/api/analytics/posts/${postId}`),
 };
 
 export const creditsApi = {
@@ -234,6 +266,9 @@ export const mediaApi = {
         'Content-Type': 'multipart/form-data',
       },
     }),
+  assets: (params = {}) => api.get('/api/media/assets', { params }),
+  updateAssetTags: (assetId, tags) => api.patch(`/api/media/assets/${assetId}`, { tags }),
+  deleteAsset: (assetId) => api.delete(`/api/media/assets/${assetId}`),
 };
 
 export const oauthApi = {
@@ -87,6 +87,388 @@ const statements = [
     ALTER TABLE social_posts
     ADD COLUMN IF NOT EXISTS threads_views BIGINT DEFAULT 0;
   `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS metrics_synced_at TIMESTAMPTZ;
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_posts_metrics_sync
+    ON social_posts(status, metrics_synced_at, posted_at);
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_post_metric_snapshots (
+      id UUID PRIMARY KEY,
+      post_id UUID NOT NULL REFERENCES social_posts(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL,
+      team_id UUID,
+      platform VARCHAR(50) NOT NULL,
+      captured_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      likes BIGINT,
+      comments BIGINT,
+      replies BIGINT,
+      views BIGINT,
+      reach BIGINT,
+      watch_time_minutes NUMERIC(12,2),
+      subscribers_gained BIGINT,
+      UNIQUE (post_id, platform, captured_at)
+    );
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_post_metric_snapshots_team
+    ON social_post_metric_snapshots(team_id, platform, captured_at);
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_post_metric_snapshots_user
+    ON social_post_metric_snapshots(user_id, platform, captured_at);
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_account_profile_snapshots (
+      id UUID PRIMARY KEY,
+      connected_account_id UUID NOT NULL REFERENCES social_connected_accounts(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      captured_on DATE NOT NULL,
+      followers_count BIGINT,
+      following_count BIGINT,
+      media_count BIGINT,
+      captured_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (connected_account_id, captured_on)
+    );
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_publish_jobs (
+      id UUID PRIMARY KEY,
+      post_id UUID NOT NULL REFERENCES social_posts(id) ON DELETE CASCADE,
+      status VARCHAR(30) NOT NULL DEFAULT 'queued',
+      run_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      locked_by VARCHAR(255),
+      lease_expires_at TIMESTAMPTZ,
+      heartbeat_at TIMESTAMPTZ,
+      last_error TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_social_publish_jobs_active_post
+    ON social_publish_jobs(post_id)
+    WHERE status IN ('queued', 'running');
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_publish_jobs_claim
+    ON social_publish_jobs(status, run_at);
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_publish_jobs_lease
+    ON social_publish_jobs(lease_expires_at)
+    WHERE status = 'running';
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_post_deliveries (
+      id UUID PRIMARY KEY,
+      post_id UUID NOT NULL REFERENCES social_posts(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      status VARCHAR(30) NOT NULL DEFAULT 'pending',
+      external_id VARCHAR(255),
+      error_code VARCHAR(100),
+      error_message TEXT,
+      attempt_count INTEGER NOT NULL DEFAULT 0,
+      last_attempt_at TIMESTAMPTZ,
+      posted_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (post_id, platform)
+    );
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS publish_attempts INTEGER NOT NULL DEFAULT 0;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS last_error_code VARCHAR(100);
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS last_error_message TEXT;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ;
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_post_publish_attempts (
+      id UUID PRIMARY KEY,
+      post_id UUID NOT NULL REFERENCES social_posts(id) ON DELETE CASCADE,
+      attempt_number INTEGER NOT NULL,
+      outcome VARCHAR(30) NOT NULL,
+      failures JSONB DEFAULT '[]'::jsonb,
+      next_retry_at TIMESTAMPTZ,
+      attempted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_post_publish_attempts_post
+    ON social_post_publish_attempts(post_id, attempted_at DESC);
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb;
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_post_series (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL,
+      team_id UUID,
+      status VARCHAR(30) NOT NULL DEFAULT 'active',
+      frequency VARCHAR(20) NOT NULL,
+      interval_count INTEGER NOT NULL DEFAULT 1,
+      by_weekday JSONB DEFAULT '[]'::jsonb,
+      starts_at TIMESTAMPTZ NOT NULL,
+      timezone VARCHAR(100) NOT NULL DEFAULT 'UTC',
+      until_at TIMESTAMPTZ,
+      occurrence_limit INTEGER,
+      caption_variants JSONB DEFAULT '[]'::jsonb,
+      template JSONB NOT NULL DEFAULT '{}'::jsonb,
+      materialized_through TIMESTAMPTZ,
+      next_occurrence_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_post_series_due
+    ON social_post_series(status, next_occurrence_at);
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES social_post_series(id) ON DELETE SET NULL;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS series_occurrence INTEGER;
+  `,
+  `
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_social_posts_series_occurrence
+    ON social_posts(series_id, series_occurrence)
+    WHERE series_id IS NOT NULL AND status <> 'deleted';
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_posting_slots (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL,
+      team_id UUID,
+      account_id UUID REFERENCES social_connected_accounts(id) ON DELETE CASCADE,
+      weekday SMALLINT NOT NULL,
+      local_time TIME NOT NULL,
+      timezone VARCHAR(100) NOT NULL DEFAULT 'UTC',
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_posting_slots_owner
+    ON social_posting_slots(team_id, user_id, account_id);
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS is_queued BOOLEAN NOT NULL DEFAULT false;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS queue_account_id UUID;
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_posts_queue
+    ON social_posts(is_queued, status, scheduled_for)
+    WHERE is_queued = true;
+  `,
+  `
+    ALTER TABLE social_connected_accounts
+    ADD COLUMN IF NOT EXISTS token_key_id VARCHAR(64);
+  `,
+  `
+    ALTER TABLE social_connected_accounts
+    ADD COLUMN IF NOT EXISTS token_data_key TEXT;
+  `,
+  `
+    ALTER TABLE social_connected_accounts
+    ADD COLUMN IF NOT EXISTS token_refreshed_at TIMESTAMPTZ;
+  `,
+  `
+    ALTER TABLE social_connected_accounts
+    ADD COLUMN IF NOT EXISTS token_refresh_error TEXT;
+  `,
+  `
+    ALTER TABLE social_connected_accounts
+    ADD COLUMN IF NOT EXISTS requires_reconnect BOOLEAN NOT NULL DEFAULT false;
+  `,
+  `
+    ALTER TABLE social_connected_accounts
+    ADD COLUMN IF NOT EXISTS health_status VARCHAR(32) NOT NULL DEFAULT 'ok';
+  `,
+  `
+    ALTER TABLE social_connected_accounts
+    ADD COLUMN IF NOT EXISTS health_error TEXT;
+  `,
+  `
+    ALTER TABLE social_connected_accounts
+    ADD COLUMN IF NOT EXISTS health_checked_at TIMESTAMPTZ;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS preflight_warnings JSONB;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS preflight_checked_at TIMESTAMPTZ;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS instagram_options JSONB;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS youtube_options JSONB;
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_youtube_upload_sessions (
+      post_id UUID PRIMARY KEY,
+      connected_account_id UUID REFERENCES social_connected_accounts(id) ON DELETE CASCADE,
+      media_url TEXT NOT NULL,
+      session_url TEXT NOT NULL,
+      total_bytes BIGINT NOT NULL,
+      uploaded_bytes BIGINT NOT NULL DEFAULT 0,
+      status VARCHAR(30) NOT NULL DEFAULT 'uploading',
+      video_id VARCHAR(64),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS threads_options JSONB;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS draft_state JSONB;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS promoting_at TIMESTAMPTZ;
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_team_settings (
+      team_id UUID PRIMARY KEY,
+      require_post_approval BOOLEAN NOT NULL DEFAULT false,
+      updated_by UUID,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS reviewed_by UUID;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS review_comment TEXT;
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_post_activity (
+      id UUID PRIMARY KEY,
+      post_id UUID NOT NULL,
+      actor_id UUID,
+      actor_name TEXT,
+      action VARCHAR(30) NOT NULL,
+      details JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_post_activity_post
+    ON social_post_activity(post_id, created_at);
+  `,
+  `
+    CREATE OR REPLACE FUNCTION social_post_activity_append_only()
+    RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'DELETE' AND current_setting('social.allow_activity_purge', true) = 'on' THEN
+        RETURN OLD;
+      END IF;
+      RAISE EXCEPTION 'social_post_activity is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `,
+  `
+    DROP TRIGGER IF EXISTS trg_social_post_activity_append_only ON social_post_activity;
+  `,
+  `
+    CREATE TRIGGER trg_social_post_activity_append_only
+    BEFORE UPDATE OR DELETE ON social_post_activity
+    FOR EACH ROW EXECUTE FUNCTION social_post_activity_append_only();
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_post_comments (
+      id UUID PRIMARY KEY,
+      post_id UUID NOT NULL,
+      user_id UUID NOT NULL,
+      author_name TEXT,
+      body TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMPTZ
+    );
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_post_comments_post
+    ON social_post_comments(post_id, created_at);
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS social_media_assets (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL,
+      team_id UUID,
+      public_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      resource_type VARCHAR(10) NOT NULL,
+      mime_type VARCHAR(100),
+      format VARCHAR(20),
+      width INTEGER,
+      height INTEGER,
+      duration_seconds NUMERIC(10, 2),
+      size_bytes BIGINT,
+      checksum VARCHAR(64),
+      original_name TEXT,
+      tags JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  `
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_social_media_assets_public_id
+    ON social_media_assets(public_id);
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_media_assets_team_created
+    ON social_media_assets(team_id, created_at DESC);
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_media_assets_user_created
+    ON social_media_assets(user_id, created_at DESC)
+    WHERE team_id IS NULL;
+  `,
+  `
+    CREATE INDEX IF NOT EXISTS idx_social_media_assets_checksum
+    ON social_media_assets(checksum);
+  `,
+  `
+    ALTER TABLE social_posts
+    ADD COLUMN IF NOT EXISTS metrics_sync_after TIMESTAMPTZ;
+  `,
   `
     CREATE INDEX IF NOT EXISTS idx_social_posts_team_status_schedule
     ON social_posts(team_id, status, scheduled_for);
@@ -1,7 +1,10 @@
 ﻿import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
 import { query } from '../config/database.js';
+import { encryptAccountTokens } from '../utils/tokenCrypto.js';
 import { getPlatformModeErrorPayload } from '../utils/platformAvailability.js';
+import { requiresPostApproval } from '../services/postApprovalService.js';
+import { isTeamManager } from '../services/teamContextService.js';
 
 const INSTAGRAM_API_VERSION = process.env.INSTAGRAM_API_VERSION || 'v23.0';
 
@@ -39,6 +42,7 @@ const upsertConnectedAccount = async ({
   followersCount = 0,
   metadata = {},
 }) => {
+  const sealed = encryptAccountTokens({ accessToken, refreshToken });
   const lookup = teamId
     ? await query(
         `SELECT id
@@ -63,7 +67,14 @@ const upsertConnectedAccount = async ({
            account_display_name = $2,
            access_token = $3,
            refresh_token = $4,
+           token_key_id = $10,
+           token_data_key = $11,
            token_expires_at = $5,
+           token_refresh_error = NULL,
+           requires_reconnect = false,
+           health_status = 'ok',
+           health_error = NULL,
+           health_checked_at = NULL,
            profile_image_url = $6,
            followers_count = $7,
            metadata = $8::jsonb,
@@ -73,13 +84,15 @@ const upsertConnectedAccount = async ({
       [
         accountUsername,
         accountDisplayName,
-        accessToken,
-        refreshToken,
+        sealed.accessToken,
+        sealed.refreshToken,
         tokenExpiresAt,
         profileImageUrl,
         followersCount,
         JSON.stringify(metadata || {}),
         id,
+        sealed.keyId,
+        sealed.dataKey,
       ]
     );
     return id;
@@ -90,11 +103,11 @@ const upsertConnectedAccount = async ({
     `INSERT INTO social_connected_accounts (
       id, user_id, team_id, platform, account_id, account_username, account_display_name,
       access_token, refresh_token, token_expires_at, profile_image_url, followers_count,
-      metadata, connected_by, is_active
+      metadata, connected_by, is_active, token_key_id, token_data_key
     ) VALUES (
       $1, $2, $3, $4, $5, $6, $7,
       $8, $9, $10, $11, $12,
-      $13::jsonb, $14, true
+      $13::jsonb, $14, true, $15, $16
     )`,
     [
       id,
@@ -104,13 +117,15 @@ const upsertConnectedAccount = async ({
       accountId,
       accountUsername,
       accountDisplayName,
-      accessToken,
-      refreshToken,
+      sealed.accessToken,
+      sealed.refreshToken,
       tokenExpiresAt,
       profileImageUrl,
       followersCount,
       JSON.stringify(metadata || {}),
       userId,
+      sealed.keyId,
+      sealed.dataKey,
     ]
   );
 
@@ -261,7 +276,8 @@ export const listAccounts = async (req, res) => {
     const result = isTeamMember && teamId
       ? await query(
           `SELECT id, platform, account_id, account_username, account_display_name, profile_image_url,
-                  followers_count, metadata, token_expires_at, is_active, created_at, updated_at
+                  followers_count, metadata, token_expires_at, token_refreshed_at, token_refresh_error,
+                  requires_reconnect, health_status, health_error, health_checked_at, is_active, created_at, updated_at
            FROM social_connected_accounts
            WHERE team_id = $1 AND is_active = true
            ORDER BY created_at DESC`,
@@ -269,7 +285,8 @@ export const listAccounts = async (req, res) => {
         )
       : await query(
           `SELECT id, platform, account_id, account_username, account_display_name, profile_image_url,
-                  followers_count, metadata, token_expires_at, is_active, created_at, updated_at
+                  followers_count, metadata, token_expires_at, token_refreshed_at, token_refresh_error,
+                  requires_reconnect, health_status, health_error, health_checked_at, is_active, created_at, updated_at
            FROM social_connected_accounts
            WHERE user_id = $1 AND team_id IS NULL AND is_active = true
            ORDER BY created_at DESC`,
@@ -297,13 +314,18 @@ export const listAccounts = async (req, res) => {
 
 export const getAccountPermissions = async (req, res) => {
   const { teamId, role, isTeamMember } = req.teamContext || {};
-  const canManageConnections = !isTeamMember || !teamId || ['owner', 'admin'].includes(role);
+  const canManageConnections = isTeamManager(req.teamContext);
+  // A failed policy lookup should not hide the rest of the permissions; the
+  // server still enforces approval when the post is submitted.
+  const requiresApproval = await requiresPostApproval(req.teamContext).catch(() => false);
 
   return res.json({
     role: role || 'viewer',
     teamId: teamId || null,
     isTeamMember: Boolean(isTeamMember),
     canManageConnections,
+    canReviewPosts: Boolean(isTeamMember && teamId) && canManageConnections,
+    requiresPostApproval: requiresApproval,
   });
 };
 
@@ -345,6 +367,61 @@ export const disconnectAccount = async (req, res) => {
   }
 };
 
+export const getAccountProfileHistory = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = getScope(req);
+    const { accountId } = req.params;
+    const days = Math.max(1, Math.min(Number.parseInt(req.query.days || '30', 10) || 30, 365));
+
+    const lookup = isTeamMember && teamId
+      ? await query(
+          `SELECT id, platform, followers_count
+           FROM social_connected_accounts
+           WHERE id::text = $1 AND team_id = $2 AND is_active = true
+           LIMIT 1`,
+          [accountId, teamId]
+        )
+      : await query(
+          `SELECT id, platform, followers_count
+           FROM social_connected_accounts
+           WHERE id::text = $1 AND user_id = $2 AND team_id IS NULL AND is_active = true
+           LIMIT 1`,
+          [accountId, userId]
+        );
+
+    const account = lookup.rows[0];
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const history = await query(
+      `SELECT to_char(captured_on, 'YYYY-MM-DD') AS captured_on, followers_count, following_count, media_count
+       FROM social_account_profile_snapshots
+       WHERE connected_account_id = $1
+         AND captured_on >= CURRENT_DATE - $2::int
+       ORDER BY captured_on ASC`,
+      [account.id, days]
+    );
+
+    const toCount = (value) => (value === null || value === undefined ? null : Number.parseInt(value, 10));
+
+    return res.json({
+      success: true,
+      accountId: account.id,
+      platform: account.platform,
+      days,
+      history: history.rows.map((row) => ({
+        date: row.captured_on,
+        followers: toCount(row.followers_count),
+        following: toCount(row.following_count),
+        media: toCount(row.media_count),
+      })),
+    });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch account profile history', details: error.message });
+  }
+};
+
 export const connectInstagramByok = async (req, res) => {
   try {
     const platformModeError = getPlatformModeErrorPayload({
@@ -1,4 +1,5 @@
 ﻿import { query } from '../config/database.js';
+import { listPostDeliveries } from '../services/postDeliveryService.js';
 
 export const getAnalyticsOverview = async (req, res) => {
   try {
@@ -25,19 +26,19 @@ export const getAnalyticsOverview = async (req, res) => {
          COALESCE(SUM(threads_views), 0) AS threads_views
        FROM social_posts
        WHERE ${condition}
-         AND status = 'posted'
+         AND status IN ('posted', 'partially_posted')
          AND COALESCE(posted_at, created_at) >= NOW() - ($2::text || ' days')::interval`,
       [identifier, days]
     );
 
     const countResult = await query(
       `SELECT
-         COUNT(*) FILTER (WHERE status = 'posted')::bigint AS total_posted,
-         COUNT(*) FILTER (WHERE status = 'scheduled')::bigint AS total_scheduled,
+         COUNT(*) FILTER (WHERE status IN ('posted', 'partially_posted'))::bigint AS total_posted,
+         COUNT(*) FILTER (WHERE status IN ('scheduled', 'scheduled_on_platform'))::bigint AS total_scheduled,
          COUNT(*) FILTER (WHERE status = 'deleted')::bigint AS total_deleted,
-         COUNT(*) FILTER (WHERE status = 'posted' AND platforms ? 'instagram')::bigint AS instagram_posts,
-         COUNT(*) FILTER (WHERE status = 'posted' AND platforms ? 'threads')::bigint AS threads_posts,
-         COUNT(*) FILTER (WHERE status = 'posted' AND platforms ? 'youtube')::bigint AS youtube_posts
+         COUNT(*) FILTER (WHERE status IN ('posted', 'partially_posted') AND platforms ? 'instagram')::bigint AS instagram_posts,
+         COUNT(*) FILTER (WHERE status IN ('posted', 'partially_posted') AND platforms ? 'threads')::bigint AS threads_posts,
+         COUNT(*) FILTER (WHERE status IN ('posted', 'partially_posted') AND platforms ? 'youtube')::bigint AS youtube_posts
        FROM social_posts
        WHERE ${condition}
          AND COALESCE(posted_at, scheduled_for, created_at) >= NOW() - ($2::text || ' days')::interval`,
@@ -78,3 +79,379 @@ export const getAnalyticsOverview = async (req, res) => {
     return res.status(500).json({ error: 'Failed to fetch analytics', details: error.message });
   }
 };
+
+const PLATFORM_METRICS = {
+  instagram: ['likes', 'comments', 'reach'],
+  threads: ['likes', 'replies', 'views'],
+  youtube: ['views', 'watch_time_minutes', 'subscribers_gained'],
+};
+
+const SNAPSHOT_METRICS = ['likes', 'comments', 'replies', 'views', 'reach', 'watch_time_minutes', 'subscribers_gained'];
+
+const resolveOwnerScope = (req) => {
+  const userId = req.user.id;
+  const { teamId, isTeamMember } = req.teamContext || {};
+  return isTeamMember && teamId
+    ? { condition: 'team_id = $1', identifier: teamId }
+    : { condition: 'user_id = $1 AND team_id IS NULL', identifier: userId };
+};
+
+const resolvePlatformFilter = (value) => {
+  const normalized = String(value || '').trim().toLowerCase();
+  return PLATFORM_METRICS[normalized] ? [normalized] : Object.keys(PLATFORM_METRICS);
+};
+
+const toMetricValue = (value) => {
+  const parsed = Number.parseFloat(value ?? '0');
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// Truncated in UTC whatever the session time zone is, so buckets line up
+// with the UTC keys built in JS.
+const BUCKET_EXPRESSION = `date_trunc($3, captured_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`;
+
+// Snapshots hold cumulative totals per post. Engagement gained in a bucket is
+// the difference between a post's last snapshot in that bucket and its last
+// snapshot in the previous bucket, summed across posts. Providers return NULL
+// for metrics they do not report, so a NULL is skipped rather than read as 0:
+// each metric is compared with its last non-null value, and a metric that
+// only starts reporting later adds nothing until it has a value to compare.
+// Only buckets in [since, until) are returned.
+const queryBucketDeltas = async ({ condition, identifier, platforms, interval, since, until = null }) => {
+  const metricColumns = SNAPSHOT_METRICS.map((metric) => `SUM(${metric}) AS ${metric}`).join(',\n         ');
+  const groupColumns = SNAPSHOT_METRICS
+    .map((metric) => `COUNT(${metric}) OVER w AS ${metric}_grp`)
+    .join(',\n             ');
+  const carriedColumns = SNAPSHOT_METRICS
+    .map(
+      (metric) =>
+        `FIRST_VALUE(${metric}) OVER (PARTITION BY post_id, platform, ${metric}_grp ORDER BY bucket) AS ${metric}_carried`
+    )
+    .join(',\n             ');
+  const deltaColumns = SNAPSHOT_METRICS
+    .map(
+      (metric) => `CASE
+               WHEN ${metric} IS NULL THEN NULL
+               WHEN LAG(${metric}_carried) OVER w IS NOT NULL
+                 THEN GREATEST(${metric} - LAG(${metric}_carried) OVER w, 0)
+               WHEN ROW_NUMBER() OVER w = 1 THEN ${metric}
+             END AS ${metric}`
+    )
+    .join(',\n             ');
+
+  const result = await query(
+    `WITH bucketed AS (
+       SELECT DISTINCT ON (post_id, platform, ${BUCKET_EXPRESSION})
+         post_id, platform, ${BUCKET_EXPRESSION} AS bucket,
+         ${SNAPSHOT_METRICS.join(', ')}
+       FROM social_post_metric_snapshots
+       WHERE ${condition}
+         AND platform = ANY($2::text[])
+       ORDER BY post_id, platform, ${BUCKET_EXPRESSION}, captured_at DESC
+     ),
+     grouped AS (
+       SELECT *,
+             ${groupColumns}
+       FROM bucketed
+       WINDOW w AS (PARTITION BY post_id, platform ORDER BY bucket)
+     ),
+     carried AS (
+       SELECT *,
+             ${carriedColumns}
+       FROM grouped
+     ),
+     deltas AS (
+       SELECT platform, bucket,
+             ${deltaColumns}
+       FROM carried
+       WINDOW w AS (PARTITION BY post_id, platform ORDER BY bucket)
+     )
+     SELECT platform, bucket,
+         ${metricColumns}
+     FROM deltas
+     WHERE bucket >= date_trunc($3, $4::timestamptz AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+       AND ($5::timestamptz IS NULL OR bucket < $5::timestamptz)
+     GROUP BY platform, bucket
+     ORDER BY bucket ASC`,
+    [identifier, platforms, interval, since, until]
+  );
+
+  return result.rows;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfUtcDay = (value) => {
+  const day = new Date(value);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const buildBucketKeys = (interval, since, until) => {
+  const keys = [];
+  const cursor = startOfUtcDay(since);
+  if (interval === 'week') {
+    // date_trunc('week') starts weeks on Monday.
+    const offset = (cursor.getUTCDay() + 6) % 7;
+    cursor.setUTCDate(cursor.getUTCDate() - offset);
+  }
+
+  const step = interval === 'week' ? 7 : 1;
+  while (cursor <= until) {
+    keys.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + step);
+  }
+  return keys;
+};
+
+export const getAnalyticsTimeseries = async (req, res) => {
+  try {
+    const { condition, identifier } = resolveOwnerScope(req);
+    const days = Math.max(1, Math.min(Number.parseInt(req.query.days || '30', 10), 365));
+    const interval = String(req.query.interval || 'day').toLowerCase() === 'week' ? 'week' : 'day';
+    const platforms = resolvePlatformFilter(req.query.platform);
+    const until = new Date();
+    const since = new Date(until.getTime() - (days * 24 * 60 * 60 * 1000));
+
+    const rows = await queryBucketDeltas({ condition, identifier, platforms, interval, since: since.toISOString() });
+    const bucketKeys = buildBucketKeys(interval, since, until);
+
+    const series = {};
+    for (const platform of platforms) {
+      const byBucket = new Map(
+        rows
+          .filter((row) => row.platform === platform)
+          .map((row) => [new Date(row.bucket).toISOString().slice(0, 10), row])
+      );
+
+      series[platform] = bucketKeys.map((bucket) => {
+        const row = byBucket.get(bucket) || {};
+        const point = { bucket };
+        for (const metric of PLATFORM_METRICS[platform]) {
+          point[metric] = toMetricValue(row[metric]);
+        }
+        return point;
+      });
+    }
+
+    return res.json({
+      success: true,
+      days,
+      interval,
+      series,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch analytics timeseries', details: error.message });
+  }
+};
+
+export const getAnalyticsComparison = async (req, res) => {
+  try {
+    const { condition, identifier } = resolveOwnerScope(req);
+    const days = Math.max(1, Math.min(Number.parseInt(req.query.days || '30', 10), 365));
+    const platforms = resolvePlatformFilter(req.query.platform);
+    // Both periods are whole UTC days, today included in the current one, so
+    // every day bucket lands in exactly one of [previousStart, currentStart)
+    // and [currentStart, currentEnd).
+    const currentEnd = new Date(startOfUtcDay(Date.now()).getTime() + DAY_MS);
+    const currentStart = new Date(currentEnd.getTime() - (days * DAY_MS));
+    const previousStart = new Date(currentStart.getTime() - (days * DAY_MS));
+
+    const rows = await queryBucketDeltas({
+      condition,
+      identifier,
+      platforms,
+      interval: 'day',
+      since: previousStart.toISOString(),
+      until: currentEnd.toISOString(),
+    });
+
+    const comparison = {};
+    for (const platform of platforms) {
+      const current = {};
+      const previous = {};
+      for (const metric of PLATFORM_METRICS[platform]) {
+        current[metric] = 0;
+        previous[metric] = 0;
+      }
+
+      for (const row of rows) {
+        if (row.platform !== platform) continue;
+        const bucket = new Date(row.bucket);
+        if (bucket < previousStart || bucket >= currentEnd) continue;
+        const target = bucket >= currentStart ? current : previous;
+        for (const metric of PLATFORM_METRICS[platform]) {
+          target[metric] += toMetricValue(row[metric]);
+        }
+      }
+
+      const delta = {};
+      const deltaPercent = {};
+      for (const metric of PLATFORM_METRICS[platform]) {
+        delta[metric] = current[metric] - previous[metric];
+        deltaPercent[metric] = previous[metric] > 0
+          ? Math.round((delta[metric] / previous[metric]) * 1000) / 10
+          : null;
+      }
+
+      comparison[platform] = { current, previous, delta, deltaPercent };
+    }
+
+    return res.json({
+      success: true,
+      days,
+      currentPeriodStart: currentStart.toISOString(),
+      currentPeriodEnd: currentEnd.toISOString(),
+      previousPeriodStart: previousStart.toISOString(),
+      comparison,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch analytics comparison', details: error.message });
+  }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const parseJsonValue = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const toNullableMetric = (value) => {
+  if (value === null || value === undefined) return null;
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const buildThreadsParts = (post, metadata) => {
+  const storedParts = Array.isArray(metadata?.threads_metrics?.parts) ? metadata.threads_metrics.parts : [];
+  const statsById = new Map(storedParts.map((part) => [String(part?.postId || ''), part]));
+  const sequence = parseJsonValue(post.threads_sequence, [])
+    .map((item) => String(item || '').trim())
+    .filter(Boolean);
+  const parts = sequence.length > 0 ? sequence : (post.threads_post_id ? [String(post.threads_post_id)] : []);
+
+  // Before publishing, threads_sequence holds the part texts; afterwards it holds the published ids.
+  return parts.map((part, index) => {
+    const isPublishedId = /^[0-9_]+$/.test(part) && part.length >= 6;
+    const stats = isPublishedId ? statsById.get(part) || {} : {};
+    return {
+      index: index + 1,
+      postId: isPublishedId ? part : null,
+      text: isPublishedId ? null : part,
+      views: toNullableMetric(stats.views),
+      likes: toNullableMetric(stats.likes),
+      replies: toNullableMetric(stats.replies),
+    };
+  });
+};
+
+const buildCrossPostDetail = (metadata) => {
+  const crossPost = metadata?.cross_post && typeof metadata.cross_post === 'object' ? metadata.cross_post : null;
+  if (!crossPost) return null;
+
+  return {
+    targets: crossPost.targets && typeof crossPost.targets === 'object' ? crossPost.targets : {},
+    lastAttemptedAt: crossPost.last_attempted_at || null,
+    results: crossPost.last_result && typeof crossPost.last_result === 'object' ? crossPost.last_result : {},
+  };
+};
+
+export const getPostAnalytics = async (req, res) => {
+  try {
+    const postId = String(req.params.postId || '').trim();
+    if (!UUID_PATTERN.test(postId)) {
+      return res.status(400).json({ error: 'Invalid postId format', code: 'POST_ID_INVALID' });
+    }
+
+    const { condition, identifier } = resolveOwnerScope(req);
+    const postResult = await query(
+      `SELECT *
+       FROM social_posts
+       WHERE ${condition} AND id = $2
+       LIMIT 1`,
+      [identifier, postId]
+    );
+
+    const post = postResult.rows[0];
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found', code: 'POST_NOT_FOUND' });
+    }
+
+    const platforms = parseJsonValue(post.platforms, []).map((platform) => String(platform || '').toLowerCase());
+    const metadata = parseJsonValue(post.metadata, {}) || {};
+
+    const snapshotResult = await query(
+      `SELECT platform, captured_at, ${SNAPSHOT_METRICS.join(', ')}
+       FROM social_post_metric_snapshots
+       WHERE post_id = $1
+       ORDER BY captured_at ASC`,
+      [postId]
+    );
+
+    const deliveries = await listPostDeliveries(postId);
+
+    const metrics = {};
+    const history = {};
+    for (const platform of platforms.filter((item) => PLATFORM_METRICS[item])) {
+      metrics[platform] = {};
+      for (const metric of PLATFORM_METRICS[platform]) {
+        metrics[platform][metric] = toNullableMetric(post[`${platform}_${metric}`]);
+      }
+
+      history[platform] = snapshotResult.rows
+        .filter((row) => row.platform === platform)
+        .map((row) => {
+          const point = { capturedAt: row.captured_at };
+          for (const metric of PLATFORM_METRICS[platform]) {
+            point[metric] = toNullableMetric(row[metric]);
+          }
+          return point;
+        });
+    }
+
+    return res.json({
+      success: true,
+      post: {
+        id: post.id,
+        caption: post.caption,
+        status: post.status,
+        platforms,
+        mediaUrls: parseJsonValue(post.media_urls, []),
+        createdAt: post.created_at,
+        scheduledFor: post.scheduled_for,
+        postedAt: post.posted_at,
+        instagramPostId: post.instagram_post_id,
+        threadsPostId: post.threads_post_id,
+        youtubeVideoId: post.youtube_video_id,
+        contentTypes: {
+          instagram: post.instagram_content_type,
+          threads: post.threads_content_type,
+          youtube: post.youtube_content_type,
+        },
+      },
+      metricsSyncedAt: post.metrics_synced_at || null,
+      deliveries: deliveries.map((row) => ({
+        platform: row.platform,
+        status: row.status,
+        externalId: row.external_id,
+        errorCode: row.error_code,
+        errorMessage: row.error_message,
+        attemptCount: Number(row.attempt_count || 0),
+        lastAttemptAt: row.last_attempt_at,
+        postedAt: row.posted_at,
+      })),
+      metrics,
+      history,
+      threadsParts: platforms.includes('threads') ? buildThreadsParts(post, metadata) : [],
+      crossPost: buildCrossPostDetail(metadata),
+    });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch post analytics', details: error.message });
+  }
+};
@@ -0,0 +1,129 @@
+import { query } from '../config/database.js';
+import { reshuffleQueueForPost } from '../services/postingQueueService.js';
+import {
+  approvePendingPost,
+  getTeamApprovalPolicy,
+  normalizeReviewComment,
+  rejectPendingPost,
+  requiresPostApproval,
+  setTeamApprovalPolicy,
+} from '../services/postApprovalService.js';
+import { isTeamManager } from '../services/teamContextService.js';
+import { recordPostActivity, toActivityActor } from '../services/postActivityService.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const resolveContextParams = (req) => {
+  const userId = req.user.id;
+  const { teamId, isTeamMember } = req.teamContext || {};
+
+  return {
+    userId,
+    teamId: isTeamMember ? teamId : null,
+    isTeamMember: Boolean(isTeamMember),
+  };
+};
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (Number.isInteger(error.status)) {
+    return res.status(error.status).json({ error: error.message, code: error.code || null });
+  }
+  return res.status(500).json({ error: fallbackMessage, details: error.message });
+};
+
+// Review only exists inside a team, so personal posts are never found here.
+const findTeamPost = async (req) => {
+  const { teamId, isTeamMember } = resolveContextParams(req);
+  const postId = String(req.params.postId || '').trim();
+  if (!isTeamMember || !teamId || !UUID_PATTERN.test(postId)) return null;
+
+  const result = await query(
+    `SELECT id, user_id, team_id, status, is_queued, queue_account_id
+     FROM social_posts
+     WHERE id = $1 AND team_id = $2 AND status <> 'draft'
+     LIMIT 1`,
+    [postId, teamId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getApprovalPolicy = async (req, res) => {
+  try {
+    const { teamId } = resolveContextParams(req);
+    const [policy, requiresApproval] = await Promise.all([
+      getTeamApprovalPolicy(teamId),
+      requiresPostApproval(req.teamContext),
+    ]);
+
+    return res.json({
+      success: true,
+      policy,
+      canReview: Boolean(teamId) && isTeamManager(req.teamContext),
+      requiresApproval,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch approval policy', details: error.message });
+  }
+};
+
+// Turning approval off leaves posts that are already waiting in place; they
+// still need a review.
+export const updateApprovalPolicy = async (req, res) => {
+  try {
+    const { userId, teamId } = resolveContextParams(req);
+    if (!teamId) {
+      return res.status(400).json({ error: 'Post approval is only available for teams', code: 'TEAM_REQUIRED' });
+    }
+
+    const requested = req.body?.requirePostApproval;
+    if (typeof requested !== 'boolean') {
+      return res.status(400).json({ error: 'requirePostApproval must be true or false', code: 'APPROVAL_POLICY_INVALID' });
+    }
+
+    const policy = await setTeamApprovalPolicy({ teamId, requirePostApproval: requested, updatedBy: userId });
+    return res.json({ success: true, policy });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to update approval policy', details: error.message });
+  }
+};
+
+export const approvePost = async (req, res) => {
+  try {
+    const found = await findTeamPost(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Post not found', code: 'POST_NOT_FOUND' });
+    }
+
+    const comment = normalizeReviewComment(req.body?.comment);
+    const post = await approvePendingPost({ postId: found.id, reviewerId: req.user.id, comment });
+    await recordPostActivity({
+      postId: found.id,
+      actor: toActivityActor(req.user),
+      action: 'approved',
+      details: { scheduledFor: post.scheduled_for, ...(comment ? { comment } : {}) },
+    });
+
+    return res.json({ success: true, post });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to approve post');
+  }
+};
+
+export const rejectPost = async (req, res) => {
+  try {
+    const found = await findTeamPost(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Post not found', code: 'POST_NOT_FOUND' });
+    }
+
+    const comment = normalizeReviewComment(req.body?.comment);
+    const post = await rejectPendingPost({ postId: found.id, reviewerId: req.user.id, comment });
+    await recordPostActivity({ postId: found.id, actor: toActivityActor(req.user), action: 'rejected', details: { comment } });
+    await reshuffleQueueForPost(found);
+
+    return res.json({ success: true, post });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to reject post');
+  }
+};
@@ -19,6 +19,32 @@ const deleteFromTable = async (client, tableName, whereSql, params, label, count
   return deleted;
 };
 
+// Activity and comment threads go with their posts. The activity log is
+// append-only, so the transaction has to opt in before it can delete from it.
+const deletePostThreads = async (client, postWhereSql, params, counts) => {
+  await client.query("SET LOCAL social.allow_activity_purge = 'on'");
+
+  await deleteFromTable(
+    client,
+    'social_post_comments',
+    `WHERE post_id IN (SELECT id FROM social_posts ${postWhereSql})`,
+    params,
+    'post comments',
+    counts,
+    'comments'
+  );
+
+  await deleteFromTable(
+    client,
+    'social_post_activity',
+    `WHERE post_id IN (SELECT id FROM social_posts ${postWhereSql})`,
+    params,
+    'post activity entries',
+    counts,
+    'activity'
+  );
+};
+
 export const cleanupController = {
   async cleanupUserData(req, res) {
     try {
@@ -37,6 +63,8 @@ export const cleanupController = {
         await client.query('BEGIN');
         const deletedCounts = {};
 
+        await deletePostThreads(client, 'WHERE user_id = $1', [userId], deletedCounts);
+
         await deleteFromTable(
           client,
           'social_posts',
@@ -57,6 +85,16 @@ export const cleanupController = {
           'accounts'
         );
 
+        await deleteFromTable(
+          client,
+          'social_media_assets',
+          'WHERE user_id::text = $1::text',
+          [userId],
+          'social media assets',
+          deletedCounts,
+          'mediaAssets'
+        );
+
         await client.query('COMMIT');
         return res.json({
           success: true,
@@ -96,6 +134,8 @@ export const cleanupController = {
         await client.query('BEGIN');
         const deletedCounts = {};
 
+        await deletePostThreads(client, 'WHERE team_id::text = $1::text', [teamId], deletedCounts);
+
         await deleteFromTable(
           client,
           'social_posts',
@@ -116,6 +156,16 @@ export const cleanupController = {
           'accounts'
         );
 
+        await deleteFromTable(
+          client,
+          'social_media_assets',
+          'WHERE team_id::text = $1::text',
+          [teamId],
+          'team media assets',
+          deletedCounts,
+          'mediaAssets'
+        );
+
         await client.query('COMMIT');
         return res.json({
           success: true,
@@ -155,6 +205,8 @@ export const cleanupController = {
         await client.query('BEGIN');
         const deletedCounts = {};
 
+        await deletePostThreads(client, 'WHERE team_id::text = $1::text AND user_id::text = $2::text', [teamId, userId], deletedCounts);
+
         await deleteFromTable(
           client,
           'social_posts',
@@ -175,6 +227,16 @@ export const cleanupController = {
           'accounts'
         );
 
+        await deleteFromTable(
+          client,
+          'social_media_assets',
+          'WHERE team_id::text = $1::text AND user_id::text = $2::text',
+          [teamId, userId],
+          'member media assets',
+          deletedCounts,
+          'mediaAssets'
+        );
+
         await client.query('COMMIT');
         return res.json({
           success: true,
@@ -16,14 +16,16 @@ export const getDashboard = async (req, res) => {
 
     const accountResult = isTeamMember && teamId
       ? await query(
-          `SELECT id, platform, account_id, account_username, account_display_name, profile_image_url, followers_count
+          `SELECT id, platform, account_id, account_username, account_display_name, profile_image_url, followers_count,
+                  health_status, health_error
            FROM social_connected_accounts
            WHERE team_id = $1 AND is_active = true
            ORDER BY created_at DESC`,
           [teamId]
         )
       : await query(
-          `SELECT id, platform, account_id, account_username, account_display_name, profile_image_url, followers_count
+          `SELECT id, platform, account_id, account_username, account_display_name, profile_image_url, followers_count,
+                  health_status, health_error
            FROM social_connected_accounts
            WHERE user_id = $1 AND team_id IS NULL AND is_active = true
            ORDER BY created_at DESC`,
@@ -35,7 +37,7 @@ export const getDashboard = async (req, res) => {
           `SELECT *
            FROM social_posts
            WHERE team_id = $1
-             AND status <> 'deleted'
+             AND status NOT IN ('deleted', 'draft')
            ORDER BY COALESCE(posted_at, scheduled_for, created_at) DESC
            LIMIT 8`,
           [teamId]
@@ -44,7 +46,7 @@ export const getDashboard = async (req, res) => {
           `SELECT *
            FROM social_posts
            WHERE user_id = $1 AND team_id IS NULL
-             AND status <> 'deleted'
+             AND status NOT IN ('deleted', 'draft')
            ORDER BY COALESCE(posted_at, scheduled_for, created_at) DESC
            LIMIT 8`,
           [userId]
@@ -55,20 +57,20 @@ export const getDashboard = async (req, res) => {
           `SELECT
              COALESCE(SUM(instagram_likes), 0) + COALESCE(SUM(threads_likes), 0) AS likes,
              COALESCE(SUM(youtube_views), 0) + COALESCE(SUM(threads_views), 0) AS views,
-             COUNT(*) FILTER (WHERE status <> 'deleted')::bigint AS total_posts
+             COUNT(*)::bigint AS total_posts
            FROM social_posts
            WHERE team_id = $1
-             AND status <> 'deleted'`,
+             AND status NOT IN ('deleted', 'draft')`,
           [teamId]
         )
       : await query(
           `SELECT
              COALESCE(SUM(instagram_likes), 0) + COALESCE(SUM(threads_likes), 0) AS likes,
              COALESCE(SUM(youtube_views), 0) + COALESCE(SUM(threads_views), 0) AS views,
-             COUNT(*) FILTER (WHERE status <> 'deleted')::bigint AS total_posts
+             COUNT(*)::bigint AS total_posts
            FROM social_posts
            WHERE user_id = $1 AND team_id IS NULL
-             AND status <> 'deleted'`,
+             AND status NOT IN ('deleted', 'draft')`,
           [userId]
         );
 
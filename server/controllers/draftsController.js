@@ -0,0 +1,315 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { createPost } from './postsController.js';
+
+// Drafts are social_posts rows with status 'draft'. draft_state holds the
+// createPost body as the composer last saw it, so promoting a draft is just
+// createPost with that body. `composer` inside it is UI-only state the
+// client uses to restore its form and is never read here.
+
+const SUPPORTED_PLATFORMS = new Set(['instagram', 'youtube', 'threads']);
+const DRAFT_FIELDS = [
+  'caption',
+  'mediaUrls',
+  'platforms',
+  'crossPost',
+  'instagramContentType',
+  'instagramOptions',
+  'youtubeContentType',
+  'youtubeOptions',
+  'youtubeScheduleMode',
+  'threadsContentType',
+  'threadsPosts',
+  'threadsOptions',
+  'postNow',
+  'scheduledFor',
+  'queue',
+  'queueAccountId',
+  'targetAccountIds',
+  'crossPostTargets',
+  'crossPostTargetAccountIds',
+  'crossPostTargetAccountLabels',
+  'optimizeCrossPost',
+  'composer',
+];
+const MAX_DRAFT_STATE_BYTES = 256 * 1024;
+const DRAFT_PROMOTION_CLAIM_MINUTES = 30;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const resolveContextParams = (req) => {
+  const userId = req.user.id;
+  const { teamId, isTeamMember } = req.teamContext || {};
+
+  return {
+    userId,
+    teamId: isTeamMember ? teamId : null,
+    isTeamMember: Boolean(isTeamMember),
+  };
+};
+
+const buildOwnershipClause = ({ isTeamMember, teamId, userId, startIndex = 1 }) => {
+  if (isTeamMember && teamId) {
+    return {
+      clause: `team_id = $${startIndex}`,
+      params: [teamId],
+    };
+  }
+
+  return {
+    clause: `user_id = $${startIndex} AND team_id IS NULL`,
+    params: [userId],
+  };
+};
+
+const parseJsonObject = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+};
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : []).map((item) => String(item || '').trim()).filter(Boolean);
+
+// Drafts may be incomplete, so only the shape is checked here. Everything
+// else is validated by createPost when the draft is promoted.
+const normalizeDraftState = (body = {}) => {
+  const state = {};
+  for (const field of DRAFT_FIELDS) {
+    if (body[field] !== undefined) {
+      state[field] = body[field];
+    }
+  }
+
+  if (state.caption !== undefined) state.caption = String(state.caption || '');
+  if (state.mediaUrls !== undefined) state.mediaUrls = toStringList(state.mediaUrls);
+  if (state.threadsPosts !== undefined) {
+    state.threadsPosts = (Array.isArray(state.threadsPosts) ? state.threadsPosts : []).map((post) => String(post || ''));
+  }
+  if (state.platforms !== undefined) {
+    state.platforms = [...new Set(toStringList(state.platforms).map((platform) => platform.toLowerCase()))]
+      .filter((platform) => SUPPORTED_PLATFORMS.has(platform));
+  }
+
+  if (Buffer.byteLength(JSON.stringify(state)) > MAX_DRAFT_STATE_BYTES) {
+    return { error: { error: 'Draft is too large to save', code: 'DRAFT_TOO_LARGE' } };
+  }
+
+  return { state };
+};
+
+// Columns the history-style lists read, kept in step with draft_state.
+const buildDraftColumns = (state) => {
+  const threadsPosts = toStringList(state.threadsPosts);
+  return [
+    String(state.caption || '').trim() || threadsPosts[0] || '',
+    JSON.stringify(state.mediaUrls || []),
+    JSON.stringify(state.platforms || []),
+    state.instagramContentType ? String(state.instagramContentType) : null,
+    state.youtubeContentType ? String(state.youtubeContentType) : null,
+    state.threadsContentType ? String(state.threadsContentType) : null,
+    JSON.stringify(threadsPosts),
+    JSON.stringify(state),
+  ];
+};
+
+const findOwnedDraft = async (req) => {
+  const { userId, teamId, isTeamMember } = resolveContextParams(req);
+  const draftId = String(req.params.draftId || '').trim();
+  if (!UUID_PATTERN.test(draftId)) return null;
+
+  const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
+  const result = await query(
+    `SELECT *
+     FROM social_posts
+     WHERE id = $1 AND status = 'draft' AND ${clause}
+     LIMIT 1`,
+    [draftId, ...params]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const listDrafts = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const limit = Math.max(1, Math.min(Number.parseInt(req.query.limit || '50', 10), 200));
+    const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId });
+
+    const result = await query(
+      `SELECT *
+       FROM social_posts
+       WHERE ${clause} AND status = 'draft'
+       ORDER BY updated_at DESC
+       LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+
+    return res.json({ success: true, drafts: result.rows });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch drafts', details: error.message });
+  }
+};
+
+export const getDraft = async (req, res) => {
+  try {
+    const draft = await findOwnedDraft(req);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found', code: 'DRAFT_NOT_FOUND' });
+    }
+
+    return res.json({ success: true, draft });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch draft', details: error.message });
+  }
+};
+
+export const createDraft = async (req, res) => {
+  try {
+    const { userId, teamId } = resolveContextParams(req);
+    const { state, error } = normalizeDraftState(req.body || {});
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const created = await query(
+      `INSERT INTO social_posts (
+         id, user_id, team_id, caption, media_urls, platforms,
+         instagram_content_type, youtube_content_type, threads_content_type,
+         status, threads_sequence, draft_state, created_at, updated_at
+       ) VALUES (
+         $1, $2, $3, $4, $5::jsonb, $6::jsonb,
+         $7, $8, $9,
+         'draft', $10::jsonb, $11::jsonb, NOW(), NOW()
+       )
+       RETURNING *`,
+      [uuidv4(), userId, teamId, ...buildDraftColumns(state)]
+    );
+
+    return res.status(201).json({ success: true, draft: created.rows[0] });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to save draft', details: error.message });
+  }
+};
+
+// Replaces the saved state; the composer always sends all of it.
+export const updateDraft = async (req, res) => {
+  try {
+    const found = await findOwnedDraft(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Draft not found', code: 'DRAFT_NOT_FOUND' });
+    }
+
+    const { state, error } = normalizeDraftState(req.body || {});
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const updated = await query(
+      `UPDATE social_posts
+       SET caption = $2,
+           media_urls = $3::jsonb,
+           platforms = $4::jsonb,
+           instagram_content_type = $5,
+           youtube_content_type = $6,
+           threads_content_type = $7,
+           threads_sequence = $8::jsonb,
+           draft_state = $9::jsonb,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'draft'
+       RETURNING *`,
+      [found.id, ...buildDraftColumns(state)]
+    );
+
+    if (updated.rowCount === 0) {
+      return res.status(404).json({ error: 'Draft not found', code: 'DRAFT_NOT_FOUND' });
+    }
+
+    return res.json({ success: true, draft: updated.rows[0] });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to update draft', details: error.message });
+  }
+};
+
+export const deleteDraft = async (req, res) => {
+  try {
+    const found = await findOwnedDraft(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Draft not found', code: 'DRAFT_NOT_FOUND' });
+    }
+
+    await query(`DELETE FROM social_posts WHERE id = $1 AND status = 'draft'`, [found.id]);
+
+    return res.json({ success: true });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to delete draft', details: error.message });
+  }
+};
+
+// Publishes or schedules a draft. Fields in the body (usually postNow,
+// scheduledFor or queue) override the saved state. The draft is claimed
+// through promoting_at so a double submit cannot publish it twice, and
+// createPost overwrites the draft row under the same id, so nothing is
+// deleted before the post exists. A rejected promotion releases the claim;
+// one left behind by a crash expires after DRAFT_PROMOTION_CLAIM_MINUTES.
+export const promoteDraft = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const draftId = String(req.params.draftId || '').trim();
+    if (!UUID_PATTERN.test(draftId)) {
+      return res.status(404).json({ error: 'Draft not found', code: 'DRAFT_NOT_FOUND' });
+    }
+
+    const { state: overrides, error } = normalizeDraftState(req.body || {});
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 3 });
+    const claimed = await query(
+      `UPDATE social_posts
+       SET promoting_at = NOW()
+       WHERE id = $1
+         AND status = 'draft'
+         AND (promoting_at IS NULL OR promoting_at < NOW() - make_interval(mins => $2))
+         AND ${clause}
+       RETURNING *`,
+      [draftId, DRAFT_PROMOTION_CLAIM_MINUTES, ...params]
+    );
+    const draft = claimed.rows[0];
+    if (!draft) {
+      const found = await findOwnedDraft(req);
+      if (found) {
+        return res.status(409).json({ error: 'Draft is already being published', code: 'DRAFT_PROMOTION_IN_PROGRESS' });
+      }
+      return res.status(404).json({ error: 'Draft not found', code: 'DRAFT_NOT_FOUND' });
+    }
+
+    res.once('finish', () => {
+      if (res.statusCode < 400) return;
+      query(
+        `UPDATE social_posts SET promoting_at = NULL WHERE id = $1 AND status = 'draft'`,
+        [draft.id]
+      ).catch((releaseError) => {
+        logger.error('Failed to release draft after rejected promotion', {
+          draftId: draft.id,
+          error: releaseError?.message || String(releaseError),
+        });
+      });
+    });
+
+    req.promotedDraftId = draft.id;
+    req.body = { ...parseJsonObject(draft.draft_state), ...overrides };
+    delete req.body.composer;
+    return createPost(req, res);
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to promote draft', details: error.message });
+  }
+};
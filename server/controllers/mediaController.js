@@ -1,7 +1,39 @@
 ﻿import { v2 as cloudinary } from 'cloudinary';
+import { createHash } from 'crypto';
 import { Readable } from 'stream';
 import multer from 'multer';
 import path from 'path';
+import {
+  deleteMediaAssetRecord,
+  findAssetByChecksum,
+  findMediaAsset,
+  listAssetReferences,
+  listMediaAssets,
+  normalizeAssetTags,
+  recordMediaAsset,
+  updateMediaAssetTags,
+} from '../services/mediaAssetService.js';
+import { isTeamManager } from '../services/teamContextService.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const resolveContextParams = (req) => {
+  const userId = req.user.id;
+  const { teamId, isTeamMember } = req.teamContext || {};
+
+  return {
+    userId,
+    teamId: isTeamMember ? teamId : null,
+    isTeamMember: Boolean(isTeamMember),
+  };
+};
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (Number.isInteger(error.status)) {
+    return res.status(error.status).json({ error: error.message, code: error.code || null });
+  }
+  return res.status(500).json({ error: fallbackMessage, details: error.message });
+};
 
 // Lazy Cloudinary configuration (populate from env at request time)
 let cloudinaryConfigured = false;
@@ -99,12 +131,51 @@ const uploadToCloudinary = (buffer, mimetype, originalName) => {
   });
 };
 
+const toUploadResponse = (asset, { reused = false } = {}) => ({
+  success: true,
+  url: asset.url,
+  publicId: asset.public_id,
+  assetId: asset.id,
+  originalName: asset.original_name,
+  size: asset.size_bytes === null ? null : Number(asset.size_bytes),
+  mimetype: asset.mime_type,
+  width: asset.width || null,
+  height: asset.height || null,
+  duration: asset.duration_seconds === null ? null : Number(asset.duration_seconds),
+  format: asset.format || null,
+  tags: asset.tags || [],
+  reused,
+});
+
 // ── POST /api/media/upload ────────────────────────────────────────────────────
+// Internal uploads come without a user and are not added to the library.
 export const uploadMedia = async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'File is required' });
   }
 
+  const owner = req.user?.id ? resolveContextParams(req) : null;
+  let tags = [];
+  let checksum = null;
+  if (owner) {
+    try {
+      tags = normalizeAssetTags(req.body?.tags);
+    } catch (error) {
+      return sendServiceError(res, error, 'Failed to upload media');
+    }
+
+    checksum = createHash('md5').update(req.file.buffer).digest('hex');
+    try {
+      const existing = await findAssetByChecksum({ ...owner, checksum });
+      if (existing) {
+        console.log('[CLOUDINARY] Reusing library asset:', { assetId: existing.id, publicId: existing.public_id });
+        return res.json(toUploadResponse(existing, { reused: true }));
+      }
+    } catch (error) {
+      console.error('[MEDIA] Library lookup failed:', error?.message || error);
+    }
+  }
+
   // Validate Cloudinary is configured
   if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
     console.error('[CLOUDINARY] Missing environment variables: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET');
@@ -134,16 +205,38 @@ export const uploadMedia = async (req, res) => {
       bytes: result.bytes,
     });
 
+    // The file is already on Cloudinary, so a failed library insert only
+    // costs the dedupe and is not reported as a failed upload.
+    let asset = null;
+    if (owner) {
+      try {
+        asset = await recordMediaAsset({
+          ...owner,
+          upload: result,
+          mimeType: req.file.mimetype,
+          originalName: req.file.originalname,
+          checksum,
+          tags,
+        });
+      } catch (error) {
+        console.error('[MEDIA] Failed to record library asset:', error?.message || error);
+      }
+    }
+
     return res.json({
       success: true,
       url: result.secure_url,          // full https:// URL — Meta can fetch this directly
       publicId: result.public_id,
+      assetId: asset?.id || null,
       originalName: req.file.originalname,
       size: result.bytes,
       mimetype: req.file.mimetype,
       width: result.width || null,
       height: result.height || null,
+      duration: Number.isFinite(Number(result.duration)) ? Number(result.duration) : null,
       format: result.format || null,
+      tags,
+      reused: false,
     });
   } catch (error) {
     // Log full error server-side (avoid leaking provider internals to clients)
@@ -154,4 +247,90 @@ export const uploadMedia = async (req, res) => {
       details: 'Internal server error',
     });
   }
-};
\ No newline at end of file
+};
+
+// ── GET /api/media/assets ─────────────────────────────────────────────────────
+export const listAssets = async (req, res) => {
+  try {
+    const { userId, teamId } = resolveContextParams(req);
+    const limit = Math.max(1, Math.min(Number.parseInt(req.query.limit || '30', 10) || 30, 100));
+    const offset = Math.max(0, Number.parseInt(req.query.offset || '0', 10) || 0);
+    const type = String(req.query.type || '').toLowerCase() || null;
+
+    const { assets, hasMore } = await listMediaAssets({
+      userId,
+      teamId,
+      search: String(req.query.q || ''),
+      type,
+      tag: String(req.query.tag || '').trim() || null,
+      limit,
+      offset,
+    });
+
+    return res.json({ success: true, assets, hasMore });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch media library', details: error.message });
+  }
+};
+
+// ── PATCH /api/media/assets/:assetId ──────────────────────────────────────────
+export const updateAssetTags = async (req, res) => {
+  try {
+    const { userId, teamId } = resolveContextParams(req);
+    const assetId = String(req.params.assetId || '').trim();
+    const found = UUID_PATTERN.test(assetId) ? await findMediaAsset({ userId, teamId, assetId }) : null;
+    if (!found) {
+      return res.status(404).json({ error: 'Media asset not found', code: 'ASSET_NOT_FOUND' });
+    }
+
+    const asset = await updateMediaAssetTags({ assetId: found.id, tags: normalizeAssetTags(req.body?.tags) });
+    return res.json({ success: true, asset });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to update media asset');
+  }
+};
+
+// ── DELETE /api/media/assets/:assetId ─────────────────────────────────────────
+// Team members can delete what they uploaded; owners/admins can delete any of
+// the team's assets. The file is removed from Cloudinary before the record so
+// a failed destroy can simply be retried.
+export const deleteAsset = async (req, res) => {
+  try {
+    const { userId, teamId } = resolveContextParams(req);
+    const assetId = String(req.params.assetId || '').trim();
+    const found = UUID_PATTERN.test(assetId) ? await findMediaAsset({ userId, teamId, assetId }) : null;
+    if (!found) {
+      return res.status(404).json({ error: 'Media asset not found', code: 'ASSET_NOT_FOUND' });
+    }
+
+    if (String(found.user_id) !== String(userId) && !isTeamManager(req.teamContext)) {
+      return res.status(403).json({
+        error: 'Only the uploader or a team owner/admin can delete this asset',
+        code: 'ASSET_DELETE_FORBIDDEN',
+      });
+    }
+
+    // otherCount covers posts and series outside the caller's scope; only
+    // their number is revealed.
+    const references = await listAssetReferences({ url: found.url, userId, teamId });
+    if (references.inUse) {
+      return res.status(409).json({
+        error: 'This asset is used by a post or series that can still be published',
+        code: 'ASSET_IN_USE',
+        posts: references.posts,
+        series: references.series,
+        referenceCount: references.ownCount + references.otherCount,
+        otherCount: references.otherCount,
+      });
+    }
+
+    configureCloudinary();
+    await cloudinary.uploader.destroy(found.public_id, { resource_type: found.resource_type, invalidate: true });
+    await deleteMediaAssetRecord(found.id);
+
+    console.log('[CLOUDINARY] Deleted library asset:', { assetId: found.id, publicId: found.public_id });
+    return res.json({ success: true });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to delete media asset');
+  }
+};
@@ -1,6 +1,7 @@
 ﻿import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
 import { query } from '../config/database.js';
+import { encryptAccountTokens } from '../utils/tokenCrypto.js';
 import { createOAuthState, consumeOAuthState } from '../services/oauthStateStore.js';
 import {
   INSTAGRAM_INVITE_ONLY_ENABLED,
@@ -78,6 +79,7 @@ const upsertConnectedAccount = async ({
   followersCount = 0,
   metadata = {},
 }) => {
+  const sealed = encryptAccountTokens({ accessToken, refreshToken });
   const lookup = teamId
     ? await query(
       `SELECT id
@@ -102,7 +104,14 @@ const upsertConnectedAccount = async ({
            account_display_name = $2,
            access_token = $3,
            refresh_token = $4,
+           token_key_id = $10,
+           token_data_key = $11,
            token_expires_at = $5,
+           token_refresh_error = NULL,
+           requires_reconnect = false,
+           health_status = 'ok',
+           health_error = NULL,
+           health_checked_at = NULL,
            profile_image_url = $6,
            followers_count = $7,
            metadata = $8::jsonb,
@@ -112,13 +121,15 @@ const upsertConnectedAccount = async ({
       [
         accountUsername,
         accountDisplayName,
-        accessToken,
-        refreshToken,
+        sealed.accessToken,
+        sealed.refreshToken,
         tokenExpiresAt,
         profileImageUrl,
         followersCount,
         JSON.stringify(metadata || {}),
         id,
+        sealed.keyId,
+        sealed.dataKey,
       ]
     );
     return id;
@@ -129,11 +140,11 @@ const upsertConnectedAccount = async ({
     `INSERT INTO social_connected_accounts (
       id, user_id, team_id, platform, account_id, account_username, account_display_name,
       access_token, refresh_token, token_expires_at, profile_image_url, followers_count,
-      metadata, connected_by, is_active
+      metadata, connected_by, is_active, token_key_id, token_data_key
     ) VALUES (
       $1, $2, $3, $4, $5, $6, $7,
       $8, $9, $10, $11, $12,
-      $13::jsonb, $14, true
+      $13::jsonb, $14, true, $15, $16
     )`,
     [
       id,
@@ -143,13 +154,15 @@ const upsertConnectedAccount = async ({
       accountId,
       accountUsername,
       accountDisplayName,
-      accessToken,
-      refreshToken,
+      sealed.accessToken,
+      sealed.refreshToken,
       tokenExpiresAt,
       profileImageUrl,
       followersCount,
       JSON.stringify(metadata || {}),
       userId,
+      sealed.keyId,
+      sealed.dataKey,
     ]
   );
 
@@ -589,6 +602,7 @@ export const connectYoutube = async (req, res) => {
   const scopes = (process.env.YOUTUBE_SCOPES || '').trim() || [
     'https://www.googleapis.com/auth/youtube.upload',
     'https://www.googleapis.com/auth/youtube.readonly',
+    'https://www.googleapis.com/auth/youtube.force-ssl',
     'https://www.googleapis.com/auth/yt-analytics.readonly',
   ].join(' ');
 
@@ -0,0 +1,108 @@
+import { query } from '../config/database.js';
+import {
+  addPostComment,
+  deletePostComment,
+  listPostActivity,
+  listPostComments,
+  toActivityActor,
+} from '../services/postActivityService.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const resolveContextParams = (req) => {
+  const userId = req.user.id;
+  const { teamId, isTeamMember } = req.teamContext || {};
+
+  return {
+    userId,
+    teamId: isTeamMember ? teamId : null,
+    isTeamMember: Boolean(isTeamMember),
+  };
+};
+
+const buildOwnershipClause = ({ isTeamMember, teamId, userId, startIndex = 1 }) => {
+  if (isTeamMember && teamId) {
+    return {
+      clause: `team_id = $${startIndex}`,
+      params: [teamId],
+    };
+  }
+
+  return {
+    clause: `user_id = $${startIndex} AND team_id IS NULL`,
+    params: [userId],
+  };
+};
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (Number.isInteger(error.status)) {
+    return res.status(error.status).json({ error: error.message, code: error.code || null });
+  }
+  return res.status(500).json({ error: fallbackMessage, details: error.message });
+};
+
+// Deleted posts keep their thread so the history page can still explain them.
+const findOwnedPost = async (req) => {
+  const { userId, teamId, isTeamMember } = resolveContextParams(req);
+  const postId = String(req.params.postId || '').trim();
+  if (!UUID_PATTERN.test(postId)) return null;
+
+  const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
+  const result = await query(
+    `SELECT id
+     FROM social_posts
+     WHERE id = $1 AND ${clause} AND status <> 'draft'
+     LIMIT 1`,
+    [postId, ...params]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const getPostActivity = async (req, res) => {
+  try {
+    const found = await findOwnedPost(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Post not found', code: 'POST_NOT_FOUND' });
+    }
+
+    const [activity, comments] = await Promise.all([listPostActivity(found.id), listPostComments(found.id)]);
+    return res.json({ success: true, activity, comments });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch post activity', details: error.message });
+  }
+};
+
+export const createPostComment = async (req, res) => {
+  try {
+    const found = await findOwnedPost(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Post not found', code: 'POST_NOT_FOUND' });
+    }
+
+    const comment = await addPostComment({
+      postId: found.id,
+      author: toActivityActor(req.user),
+      body: req.body?.body,
+    });
+
+    return res.status(201).json({ success: true, comment });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to add comment');
+  }
+};
+
+export const removePostComment = async (req, res) => {
+  try {
+    const found = await findOwnedPost(req);
+    const commentId = String(req.params.commentId || '').trim();
+    if (!found || !UUID_PATTERN.test(commentId)) {
+      return res.status(404).json({ error: 'Comment not found', code: 'COMMENT_NOT_FOUND' });
+    }
+
+    await deletePostComment({ postId: found.id, commentId, userId: req.user.id });
+    return res.json({ success: true });
+  } catch (error) {
+    return sendServiceError(res, error, 'Failed to delete comment');
+  }
+};
@@ -4,20 +4,33 @@ import { TeamCreditService } from '../services/teamCreditService.js';
 import { publishInstagramPost } from '../services/instagramService.js';
 import { publishThreadsPost, publishThreadsThread, deleteThreadsPosts } from '../services/threadsService.js';
 import { publishYoutubeVideo } from '../services/youtubeService.js';
+import { cancelYoutubePremiere } from '../services/youtubePremiereService.js';
 import { mapSocialPublishError } from '../utils/publishErrors.js';
 import { getPlatformModeErrorPayload } from '../utils/platformAvailability.js';
+import { findNextQueueSlot, reshuffleQueueForPost } from '../services/postingQueueService.js';
+import { requiresPostApproval } from '../services/postApprovalService.js';
+import { recordPostActivity, toActivityActor } from '../services/postActivityService.js';
+import {
+  ensureConnectedPlatforms,
+  getConnectedAccountByPlatform,
+  validateTargetAccountIds,
+} from '../services/connectedAccountService.js';
+import {
+  PLATFORM_CAPTION_LIMITS,
+  THREADS_AUTO_SPLIT_MAX_CHARS,
+  THREADS_MAX_CHAIN_POSTS,
+  hasAtLeastOneVideoMedia,
+  inferThreadsContentType,
+  normalizeInstagramOptions,
+  normalizeThreadsOptions,
+  normalizeThreadsPosts,
+  normalizeYoutubeOptions,
+  resolveCaptionLimit,
+  runPostPreflight,
+  splitThreadsCaption,
+} from '../services/postPreflightService.js';
 
 const SUPPORTED_PLATFORMS = new Set(['instagram', 'youtube', 'threads']);
-const PLATFORM_CAPTION_LIMITS = {
-  instagram: Math.max(120, Number.parseInt(process.env.INSTAGRAM_CAPTION_MAX_CHARS || '2200', 10)),
-  threads: Math.max(120, Number.parseInt(process.env.THREADS_TEXT_MAX_CHARS || '500', 10)),
-  youtube: Math.max(120, Number.parseInt(process.env.YOUTUBE_CAPTION_MAX_CHARS || '5000', 10)),
-};
-const THREADS_AUTO_SPLIT_MAX_CHARS = Math.max(
-  PLATFORM_CAPTION_LIMITS.threads,
-  Number.parseInt(process.env.THREADS_AUTO_SPLIT_MAX_CHARS || '10000', 10)
-);
-const THREADS_MAX_CHAIN_POSTS = Math.max(2, Number.parseInt(process.env.THREADS_MAX_CHAIN_POSTS || '30', 10));
 const X_CROSSPOST_TIMEOUT_MS = Number.parseInt(process.env.X_CROSSPOST_TIMEOUT_MS || '10000', 10);
 const LINKEDIN_CROSSPOST_TIMEOUT_MS = Number.parseInt(process.env.LINKEDIN_CROSSPOST_TIMEOUT_MS || '10000', 10);
 const X_CROSSPOST_MAX_MEDIA_ITEMS = Math.max(1, Number.parseInt(process.env.X_CROSSPOST_MAX_MEDIA_ITEMS || '4', 10));
@@ -25,7 +38,6 @@ const LINKEDIN_CROSSPOST_MAX_MEDIA_ITEMS = Math.max(1, Number.parseInt(process.e
 const X_MAX_CHARS = 280;
 const X_MAX_THREAD_PARTS = Math.max(2, Number.parseInt(process.env.X_MAX_THREAD_PARTS || '25', 10));
 const INTERNAL_CALLER = 'social-genie-api';
-const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.m4v', '.webm', '.avi', '.mpeg', '.mpg']);
 const UUID_V4_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 let socialPostsMetadataColumnExistsCache = null;
 
@@ -69,18 +81,6 @@ const queryWithSingleRetry = async (text, params = []) => {
   }
 };
 
-const resolveCaptionLimit = (platforms = []) => {
-  const limits = platforms
-    .map((platform) => PLATFORM_CAPTION_LIMITS[platform])
-    .filter((value) => Number.isFinite(value) && value > 0);
-
-  if (limits.length === 0) {
-    return Math.max(120, Number.parseInt(process.env.AI_CAPTION_MAX_CHARS || '500', 10));
-  }
-
-  return Math.max(120, Math.min(...limits));
-};
-
 const resolveContextParams = (req) => {
   const userId = req.user?.id;
   if (!userId) {
@@ -101,38 +101,35 @@ const resolveUserToken = (req) => {
   return req.platformAccessToken || bearerToken || req.cookies?.accessToken || null;
 };
 
-const ensureConnectedPlatforms = async ({ userId, teamId, isTeamMember, platforms }) => {
-  const baseQuery = isTeamMember && teamId
-    ? `SELECT platform FROM social_connected_accounts WHERE team_id = $1 AND is_active = true AND platform = ANY($2::text[])`
-    : `SELECT platform FROM social_connected_accounts WHERE user_id = $1 AND team_id IS NULL AND is_active = true AND platform = ANY($2::text[])`;
+const buildTargetAccountError = (platforms) => ({
+  error: `Selected account is not connected for: ${platforms.join(', ')}`,
+  code: 'TARGET_ACCOUNT_INVALID',
+  platforms,
+});
 
-  const baseParams = isTeamMember && teamId ? [teamId, platforms] : [userId, platforms];
-  const result = await query(baseQuery, baseParams);
-  const connected = new Set(result.rows.map((row) => row.platform));
-  const missing = platforms.filter((platform) => !connected.has(platform));
-  return missing;
-};
+// Queued posts use either the owner-wide slots (no account id) or the slots of
+// one connected account. Returns undefined when the account is not usable.
+const resolveQueueAccountId = async ({ queueAccountId, userId, teamId, isTeamMember }) => {
+  if (queueAccountId === undefined || queueAccountId === null || queueAccountId === '') return null;
+
+  const normalized = String(queueAccountId).trim();
+  if (!UUID_V4_PATTERN.test(normalized)) return undefined;
 
-const getConnectedAccountByPlatform = async ({ userId, teamId, isTeamMember, platform }) => {
   const result = isTeamMember && teamId
     ? await query(
-        `SELECT id, account_id, account_username, account_display_name, access_token, refresh_token, token_expires_at, metadata
-         FROM social_connected_accounts
-         WHERE team_id = $1 AND platform = $2 AND is_active = true
-         ORDER BY updated_at DESC
+        `SELECT id FROM social_connected_accounts
+         WHERE id = $1 AND team_id = $2 AND is_active = true
          LIMIT 1`,
-        [teamId, platform]
+        [normalized, teamId]
       )
     : await query(
-        `SELECT id, account_id, account_username, account_display_name, access_token, refresh_token, token_expires_at, metadata
-         FROM social_connected_accounts
-         WHERE user_id = $1 AND team_id IS NULL AND platform = $2 AND is_active = true
-         ORDER BY updated_at DESC
+        `SELECT id FROM social_connected_accounts
+         WHERE id = $1 AND user_id = $2 AND team_id IS NULL AND is_active = true
          LIMIT 1`,
-        [userId, platform]
+        [normalized, userId]
       );
 
-  return result.rows[0] || null;
+  return result.rows[0] ? result.rows[0].id : undefined;
 };
 
 const getRequestHost = (req) => {
@@ -595,15 +592,6 @@ const executeImmediateThreadsCrossPost = async ({
   };
 };
 
-const normalizeThreadsPosts = (input) => {
-  if (!Array.isArray(input)) {
-    return [];
-  }
-  return input
-    .map((item) => String(item || '').trim())
-    .filter(Boolean);
-};
-
 const parseJsonArray = (value) => {
   if (Array.isArray(value)) return value;
   if (typeof value === 'string') {
@@ -617,6 +605,19 @@ const parseJsonArray = (value) => {
   return [];
 };
 
+const parseJsonObject = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+};
+
 const looksLikeThreadsPostId = (value) => {
   const normalized = String(value || '').trim();
   if (!normalized) return false;
@@ -641,94 +642,6 @@ const collectThreadsDeletionIds = (post) => {
   return [...new Set(ids)];
 };
 
-const isVideoMediaUrl = (value) => {
-  try {
-    const url = String(value || '').trim();
-    if (!url) return false;
-    const parsed = url.startsWith('http://') || url.startsWith('https://')
-      ? new URL(url)
-      : new URL(`https://dummy.local${url.startsWith('/') ? '' : '/'}${url}`);
-    const path = parsed.pathname.toLowerCase();
-    return Array.from(VIDEO_EXTENSIONS).some((ext) => path.endsWith(ext));
-  } catch {
-    return false;
-  }
-};
-
-const hasAtLeastOneVideoMedia = (mediaUrls = []) =>
-  Array.isArray(mediaUrls) && mediaUrls.some((value) => isVideoMediaUrl(String(value || '').trim()));
-
-const inferThreadsContentType = (selectedType, mediaUrls = []) => {
-  const normalized = String(selectedType || 'text').toLowerCase();
-  if (normalized === 'thread' || normalized === 'image' || normalized === 'video') {
-    return normalized;
-  }
-
-  if (Array.isArray(mediaUrls) && mediaUrls.length > 0) {
-    return isVideoMediaUrl(mediaUrls[0]) ? 'video' : 'image';
-  }
-
-  return 'text';
-};
-
-const splitThreadsCaption = (text, limit = PLATFORM_CAPTION_LIMITS.threads, maxPosts = THREADS_MAX_CHAIN_POSTS) => {
-  const normalized = String(text || '').replace(/\r/g, '').trim();
-  if (!normalized) return [];
-  if (normalized.length <= limit) return [normalized];
-
-  const posts = [];
-  let remaining = normalized;
-  const softFloor = Math.floor(limit * 0.55);
-
-  while (remaining.length > limit && posts.length < maxPosts - 1) {
-    const slice = remaining.slice(0, limit + 1);
-    let cut = -1;
-
-    const newlineCut = slice.lastIndexOf('\n');
-    if (newlineCut >= softFloor) {
-      cut = newlineCut;
-    }
-
-    if (cut < softFloor) {
-      const sentenceCut = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
-      if (sentenceCut >= softFloor) {
-        cut = sentenceCut + 1;
-      }
-    }
-
-    if (cut < softFloor) {
-      const spaceCut = slice.lastIndexOf(' ');
-      if (spaceCut >= softFloor) {
-        cut = spaceCut;
-      }
-    }
-
-    if (cut < softFloor) {
-      cut = limit;
-    }
-
-    const part = remaining.slice(0, cut).trim();
-    if (part) {
-      posts.push(part);
-    }
-    remaining = remaining.slice(cut).trim();
-  }
-
-  if (remaining) {
-    posts.push(remaining);
-  }
-
-  if (posts.length > maxPosts) {
-    throw createHttpError(
-      400,
-      `Caption is too long for auto thread split (max ${maxPosts} posts).`,
-      'THREADS_CHAIN_TOO_LONG'
-    );
-  }
-
-  return posts;
-};
-
 const buildOwnershipClause = ({ isTeamMember, teamId, userId, startIndex = 1 }) => {
   if (isTeamMember && teamId) {
     return {
@@ -743,7 +656,7 @@ const buildOwnershipClause = ({ isTeamMember, teamId, userId, startIndex = 1 })
   };
 };
 
-const normalizeThreadsCrossPostTargets = ({ crossPostTargets = null, postToX = false, postToTwitter = false, postToLinkedin = false, postToLinkedIn = false } = {}) => {
+export const normalizeThreadsCrossPostTargets = ({ crossPostTargets = null, postToX = false, postToTwitter = false, postToLinkedin = false, postToLinkedIn = false } = {}) => {
   const raw =
     crossPostTargets && typeof crossPostTargets === 'object' && !Array.isArray(crossPostTargets)
       ? crossPostTargets
@@ -761,7 +674,7 @@ const normalizeThreadsCrossPostTargets = ({ crossPostTargets = null, postToX = f
   };
 };
 
-const normalizeThreadsCrossPostTargetAccountIds = ({ crossPostTargetAccountIds = null } = {}) => {
+export const normalizeThreadsCrossPostTargetAccountIds = ({ crossPostTargetAccountIds = null } = {}) => {
   const raw =
     crossPostTargetAccountIds && typeof crossPostTargetAccountIds === 'object' && !Array.isArray(crossPostTargetAccountIds)
       ? crossPostTargetAccountIds
@@ -779,7 +692,29 @@ const normalizeThreadsCrossPostTargetAccountIds = ({ crossPostTargetAccountIds =
   };
 };
 
-const buildThreadsCrossPostMetadata = ({ targets, optimizeCrossPost = true, routing = null, source = 'social_genie_threads' } = {}) => {
+export const buildThreadsCrossPostRouting = ({ targets, targetAccountIds, labels = null } = {}) => {
+  const getTargetLabel = (key) =>
+    labels &&
+    typeof labels === 'object' &&
+    !Array.isArray(labels) &&
+    labels[key] !== undefined &&
+    labels[key] !== null
+      ? String(labels[key]).trim().slice(0, 255) || null
+      : null;
+
+  const routing = {};
+  for (const key of ['x', 'linkedin']) {
+    if (targets?.[key] && targetAccountIds?.[key]) {
+      routing[key] = {
+        targetAccountId: targetAccountIds[key],
+        ...(getTargetLabel(key) ? { targetLabel: getTargetLabel(key) } : {}),
+      };
+    }
+  }
+  return Object.keys(routing).length > 0 ? routing : null;
+};
+
+export const buildThreadsCrossPostMetadata = ({ targets, optimizeCrossPost = true, routing = null, source = 'social_genie_threads' } = {}) => {
   const x = Boolean(targets?.x);
   const linkedin = Boolean(targets?.linkedin);
   if (!x && !linkedin) return null;
@@ -799,6 +734,29 @@ const buildThreadsCrossPostMetadata = ({ targets, optimizeCrossPost = true, rout
   };
 };
 
+const POST_INSERT_COLUMNS = [
+  'id', 'user_id', 'team_id', 'caption', 'media_urls', 'platforms', 'cross_post',
+  'instagram_content_type', 'youtube_content_type', 'threads_content_type',
+  'status', 'scheduled_for', 'posted_at',
+  'instagram_post_id', 'youtube_video_id', 'threads_post_id', 'threads_sequence',
+  'instagram_likes', 'instagram_comments', 'instagram_reach',
+  'youtube_views', 'youtube_watch_time_minutes', 'youtube_subscribers_gained',
+  'threads_likes', 'threads_replies', 'threads_views',
+  'is_queued', 'queue_account_id', 'instagram_options', 'youtube_options', 'threads_options',
+];
+
+// A promoted draft keeps its id, so the insert overwrites the draft row in
+// place and its comments and activity stay attached. The WHERE keeps it
+// from overwriting anything that is no longer a draft.
+const buildDraftPromotionClause = (columns) =>
+  `ON CONFLICT (id) DO UPDATE SET
+     ${columns.filter((column) => column !== 'id').map((column) => `${column} = EXCLUDED.${column}`).join(', ')},
+     draft_state = NULL,
+     promoting_at = NULL,
+     created_at = EXCLUDED.created_at,
+     updated_at = NOW()
+   WHERE social_posts.status = 'draft'`;
+
 const ensureSocialPostsMetadataColumn = async () => {
   if (typeof socialPostsMetadataColumnExistsCache === 'boolean') {
     return socialPostsMetadataColumnExistsCache;
@@ -839,11 +797,18 @@ export const createPost = async (req, res) => {
       platforms = [],
       crossPost = false,
       instagramContentType = 'feed',
+      instagramOptions = null,
       youtubeContentType = 'video',
+      youtubeOptions = null,
+      youtubeScheduleMode = 'app',
       threadsContentType = 'text',
       threadsPosts = [],
-      postNow = true,
+      threadsOptions = null,
+      postNow: postNowRequested = true,
       scheduledFor = null,
+      queue = false,
+      queueAccountId: requestedQueueAccountId = null,
+      targetAccountIds: requestedTargetAccountIds = null,
       crossPostTargets = null,
       crossPostTargetAccountIds = null,
       crossPostTargetAccountLabels = null,
@@ -854,6 +819,15 @@ export const createPost = async (req, res) => {
       postToLinkedIn = false,
     } = req.body || {};
 
+    // `queue: true` replaces an explicit time with the next free posting slot.
+    const queueRequested = queue === true || queue === 'true';
+    // Members without publish rights submit for review when their team
+    // requires approval. A post-now submission waits with no time set and
+    // goes out as soon as it is approved.
+    const needsApproval = await requiresPostApproval(req.teamContext);
+    const publishOnApproval = needsApproval && Boolean(postNowRequested) && !queueRequested;
+    const postNow = Boolean(postNowRequested) && !queueRequested && !needsApproval;
+
     const normalizedPlatforms = Array.isArray(platforms)
       ? [...new Set(platforms.map((platform) => String(platform).toLowerCase()))]
       : [];
@@ -918,40 +892,21 @@ export const createPost = async (req, res) => {
     const normalizedThreadsCrossPostTargetAccountIds = normalizeThreadsCrossPostTargetAccountIds({
       crossPostTargetAccountIds,
     });
-    const getTargetLabel = (key) =>
-      crossPostTargetAccountLabels &&
-      typeof crossPostTargetAccountLabels === 'object' &&
-      !Array.isArray(crossPostTargetAccountLabels) &&
-      crossPostTargetAccountLabels[key] !== undefined &&
-      crossPostTargetAccountLabels[key] !== null
-        ? String(crossPostTargetAccountLabels[key]).trim().slice(0, 255) || null
-        : null;
     const effectiveThreadsCrossPostTargets = threadsSelected
       ? requestedThreadsCrossPostTargets
       : { x: false, linkedin: false };
-    const threadsCrossPostRouting = (() => {
-      const routing = {};
-      if (effectiveThreadsCrossPostTargets.x && normalizedThreadsCrossPostTargetAccountIds.x) {
-        routing.x = {
-          targetAccountId: normalizedThreadsCrossPostTargetAccountIds.x,
-          ...(getTargetLabel('x') ? { targetLabel: getTargetLabel('x') } : {}),
-        };
-      }
-      if (effectiveThreadsCrossPostTargets.linkedin && normalizedThreadsCrossPostTargetAccountIds.linkedin) {
-        routing.linkedin = {
-          targetAccountId: normalizedThreadsCrossPostTargetAccountIds.linkedin,
-          ...(getTargetLabel('linkedin') ? { targetLabel: getTargetLabel('linkedin') } : {}),
-        };
-      }
-      return Object.keys(routing).length > 0 ? routing : null;
-    })();
+    const threadsCrossPostRouting = buildThreadsCrossPostRouting({
+      targets: effectiveThreadsCrossPostTargets,
+      targetAccountIds: normalizedThreadsCrossPostTargetAccountIds,
+      labels: crossPostTargetAccountLabels,
+    });
     const threadsCrossPostMetadata = buildThreadsCrossPostMetadata({
       targets: effectiveThreadsCrossPostTargets,
       optimizeCrossPost,
       routing: threadsCrossPostRouting,
       source: postNow ? 'social_genie_threads_now' : 'social_genie_threads_schedule',
     });
-    const canStoreMetadata = threadsCrossPostMetadata ? await ensureSocialPostsMetadataColumn() : false;
+    const canStoreMetadata = await ensureSocialPostsMetadataColumn();
 
     if (normalizedPlatforms.some((platform) => platform === 'instagram' || platform === 'youtube') && !normalizedCaption) {
       return res.status(400).json({ error: 'Caption is required for Instagram/YouTube posts' });
@@ -986,10 +941,67 @@ export const createPost = async (req, res) => {
       }
     }
 
-    if (!postNow && !scheduledFor) {
+    if (!postNow && !publishOnApproval && !queueRequested && !scheduledFor) {
       return res.status(400).json({ error: 'scheduledFor is required when scheduling a post' });
     }
 
+    let normalizedInstagramOptions = null;
+    if (normalizedPlatforms.includes('instagram')) {
+      const { options, errors } = normalizeInstagramOptions(instagramOptions, {
+        contentType: instagramContentType,
+        mediaUrls,
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0].message, code: errors[0].code });
+      }
+      normalizedInstagramOptions = options;
+    }
+
+    let normalizedYoutubeOptions = null;
+    if (normalizedPlatforms.includes('youtube')) {
+      const { options, errors } = normalizeYoutubeOptions(youtubeOptions);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0].message, code: errors[0].code });
+      }
+      normalizedYoutubeOptions = options;
+    }
+
+    let normalizedThreadsOptions = null;
+    if (threadsSelected) {
+      const { options, errors } = normalizeThreadsOptions(threadsOptions, { contentType: effectiveThreadsType });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0].message, code: errors[0].code });
+      }
+      normalizedThreadsOptions = options;
+    }
+
+    // 'platform' uploads now as a private video and lets YouTube publish it at
+    // scheduledFor, instead of our worker uploading when the slot comes up.
+    const scheduleOnYoutube = String(youtubeScheduleMode || 'app').toLowerCase() === 'platform';
+    if (scheduleOnYoutube) {
+      if (needsApproval) {
+        return res.status(400).json({
+          error: 'Posts that need approval are scheduled in the app, not on YouTube',
+          code: 'YOUTUBE_PLATFORM_SCHEDULE_NEEDS_APPROVAL',
+        });
+      }
+      if (postNow || queueRequested || normalizedPlatforms.length !== 1 || normalizedPlatforms[0] !== 'youtube') {
+        return res.status(400).json({
+          error: 'YouTube scheduling is only available for YouTube-only posts with an explicit schedule time',
+          code: 'YOUTUBE_PLATFORM_SCHEDULE_INVALID',
+        });
+      }
+      if (!(new Date(scheduledFor).getTime() > Date.now())) {
+        return res.status(400).json({ error: 'YouTube publish time must be in the future', code: 'SCHEDULED_FOR_IN_PAST' });
+      }
+      if (normalizedYoutubeOptions?.privacyStatus && normalizedYoutubeOptions.privacyStatus !== 'public') {
+        return res.status(400).json({
+          error: 'YouTube-scheduled videos always go public at the scheduled time',
+          code: 'YOUTUBE_PLATFORM_SCHEDULE_PRIVACY',
+        });
+      }
+    }
+
     const missingConnections = await ensureConnectedPlatforms({
       userId,
       teamId,
@@ -1004,6 +1016,16 @@ export const createPost = async (req, res) => {
       });
     }
 
+    const { targetAccountIds, invalidPlatforms: invalidTargetPlatforms } = await validateTargetAccountIds({
+      userId,
+      teamId,
+      targetAccountIds: requestedTargetAccountIds,
+      platforms: normalizedPlatforms,
+    });
+    if (invalidTargetPlatforms.length > 0) {
+      return res.status(400).json(buildTargetAccountError(invalidTargetPlatforms));
+    }
+
     let instagramAccount = null;
     if (normalizedPlatforms.includes('instagram')) {
       instagramAccount = await getConnectedAccountByPlatform({
@@ -1011,6 +1033,7 @@ export const createPost = async (req, res) => {
         teamId,
         isTeamMember,
         platform: 'instagram',
+        accountId: targetAccountIds.instagram || null,
       });
 
       if (!instagramAccount?.access_token || !instagramAccount?.account_id) {
@@ -1038,6 +1061,7 @@ export const createPost = async (req, res) => {
         teamId,
         isTeamMember,
         platform: 'threads',
+        accountId: targetAccountIds.threads || null,
       });
 
       if (!threadsAccount?.access_token || !threadsAccount?.account_id) {
@@ -1065,6 +1089,7 @@ export const createPost = async (req, res) => {
         teamId,
         isTeamMember,
         platform: 'youtube',
+        accountId: targetAccountIds.youtube || null,
       });
 
       if (!youtubeAccount?.access_token || !youtubeAccount?.account_id) {
@@ -1093,6 +1118,31 @@ export const createPost = async (req, res) => {
       }
     }
 
+    let queueAccountId = null;
+    let queuedSlotAt = null;
+    if (queueRequested) {
+      queueAccountId = await resolveQueueAccountId({
+        queueAccountId: requestedQueueAccountId,
+        userId,
+        teamId,
+        isTeamMember,
+      });
+      if (queueAccountId === undefined) {
+        return res.status(400).json({
+          error: 'queueAccountId must be one of your connected accounts',
+          code: 'QUEUE_ACCOUNT_INVALID',
+        });
+      }
+
+      queuedSlotAt = await findNextQueueSlot({ userId, teamId, accountId: queueAccountId });
+      if (!queuedSlotAt) {
+        return res.status(400).json({
+          error: 'No posting slots are set up for this queue. Add slots before queueing posts.',
+          code: 'QUEUE_NO_SLOTS',
+        });
+      }
+    }
+
     const userToken = resolveUserToken(req);
     const creditOperation = postNow ? 'social_post_create' : 'social_post_schedule';
     const creditCost = TeamCreditService.calculateCost(creditOperation, {
@@ -1146,9 +1196,14 @@ export const createPost = async (req, res) => {
       };
     }
 
-    const status = postNow ? 'posted' : 'scheduled';
+    let status = 'scheduled';
+    if (postNow) status = 'posted';
+    else if (needsApproval) status = 'pending_approval';
+    else if (scheduleOnYoutube) status = 'scheduled_on_platform';
     const nowIso = new Date().toISOString();
-    const scheduledIso = postNow ? null : new Date(scheduledFor).toISOString();
+    const scheduledIso = postNow || publishOnApproval
+      ? null
+      : (queuedSlotAt || new Date(scheduledFor)).toISOString();
     const metrics = {
       instagram_likes: 0,
       instagram_comments: 0,
@@ -1161,10 +1216,24 @@ export const createPost = async (req, res) => {
       threads_views: 0,
     };
 
-    const id = uuidv4();
+    // Pin each platform to the account resolved now, so a scheduled post still
+    // goes to the same profile if another one is connected or refreshed later.
+    const resolvedTargetAccountIds = Object.fromEntries(
+      [
+        ['instagram', instagramAccount],
+        ['threads', threadsAccount],
+        ['youtube', youtubeAccount],
+      ]
+        .filter(([, account]) => account?.id)
+        .map(([platform, account]) => [platform, account.id])
+    );
+
+    const promotedDraftId = req.promotedDraftId || null;
+    const id = promotedDraftId || uuidv4();
     const effectiveCaption = normalizedCaption || effectiveThreadsPosts[0] || '';
     let instagramPostId = null;
     let youtubeVideoId = null;
+    let youtubeWarnings = [];
     let threadsPostId = null;
     let threadPostIds = [];
     let resolvedThreadsCrossPostMetadata = threadsCrossPostMetadata || null;
@@ -1182,6 +1251,7 @@ export const createPost = async (req, res) => {
             mediaUrls,
             caption: effectiveCaption,
             contentType: instagramContentType,
+            options: normalizedInstagramOptions,
             requestHost: getRequestHost(req),
           });
 
@@ -1199,6 +1269,7 @@ export const createPost = async (req, res) => {
               accountId: threadsAccount.account_id,
               accessToken: threadsAccount.access_token,
               posts: effectiveThreadsPosts,
+              options: normalizedThreadsOptions,
             });
             threadsPostId = publishResult.publishId || null;
             threadPostIds = Array.isArray(publishResult.threadPostIds) ? publishResult.threadPostIds : [];
@@ -1209,6 +1280,7 @@ export const createPost = async (req, res) => {
               text: effectiveCaption,
               mediaUrls,
               contentType: effectiveThreadsType,
+              options: normalizedThreadsOptions,
               requestHost: getRequestHost(req),
             });
 
@@ -1220,16 +1292,21 @@ export const createPost = async (req, res) => {
         }
       }
 
-      if (postNow && normalizedPlatforms.includes('youtube')) {
+      if ((postNow || scheduleOnYoutube) && normalizedPlatforms.includes('youtube')) {
         try {
           const publishResult = await publishYoutubeVideo({
             connection: youtubeAccount,
             mediaUrls,
             caption: effectiveCaption,
             contentType: youtubeContentType,
+            options: scheduleOnYoutube
+              ? { ...(normalizedYoutubeOptions || {}), publishAt: scheduledIso }
+              : normalizedYoutubeOptions,
+            uploadKey: id,
           });
 
           youtubeVideoId = publishResult.videoId || null;
+          youtubeWarnings = publishResult.warnings || [];
           if (!youtubeVideoId) {
             throw createHttpError(400, 'YouTube upload did not return a video ID', 'YOUTUBE_UPLOAD_NO_VIDEO_ID');
           }
@@ -1258,6 +1335,7 @@ export const createPost = async (req, res) => {
         }
       }
 
+      let inserted;
       const insertParams = [
         id,
         userId,
@@ -1285,11 +1363,21 @@ export const createPost = async (req, res) => {
         metrics.threads_likes,
         metrics.threads_replies,
         metrics.threads_views,
+        queueRequested,
+        queueAccountId,
+        normalizedInstagramOptions ? JSON.stringify(normalizedInstagramOptions) : null,
+        normalizedYoutubeOptions ? JSON.stringify(normalizedYoutubeOptions) : null,
+        normalizedThreadsOptions ? JSON.stringify(normalizedThreadsOptions) : null,
       ];
 
       if (canStoreMetadata) {
-        insertParams.push(JSON.stringify(resolvedThreadsCrossPostMetadata || {}));
-        await query(
+        insertParams.push(
+          JSON.stringify({
+            ...(resolvedThreadsCrossPostMetadata || {}),
+            target_account_ids: resolvedTargetAccountIds,
+          })
+        );
+        inserted = await query(
           `INSERT INTO social_posts (
              id, user_id, team_id, caption, media_urls, platforms, cross_post,
              instagram_content_type, youtube_content_type, threads_content_type,
@@ -1298,6 +1386,7 @@ export const createPost = async (req, res) => {
              instagram_likes, instagram_comments, instagram_reach,
              youtube_views, youtube_watch_time_minutes, youtube_subscribers_gained,
              threads_likes, threads_replies, threads_views,
+             is_queued, queue_account_id, instagram_options, youtube_options, threads_options,
              metadata
            ) VALUES (
              $1, $2, $3, $4, $5::jsonb, $6::jsonb, $7,
@@ -1307,12 +1396,14 @@ export const createPost = async (req, res) => {
              $18, $19, $20,
              $21, $22, $23,
              $24, $25, $26,
-             $27::jsonb
-           )`,
+             $27, $28, $29::jsonb, $30::jsonb, $31::jsonb,
+             $32::jsonb
+           )
+           ${promotedDraftId ? buildDraftPromotionClause([...POST_INSERT_COLUMNS, 'metadata']) : ''}`,
           insertParams
         );
       } else {
-        await query(
+        inserted = await query(
           `INSERT INTO social_posts (
              id, user_id, team_id, caption, media_urls, platforms, cross_post,
              instagram_content_type, youtube_content_type, threads_content_type,
@@ -1320,7 +1411,8 @@ export const createPost = async (req, res) => {
              instagram_post_id, youtube_video_id, threads_post_id, threads_sequence,
              instagram_likes, instagram_comments, instagram_reach,
              youtube_views, youtube_watch_time_minutes, youtube_subscribers_gained,
-             threads_likes, threads_replies, threads_views
+             threads_likes, threads_replies, threads_views,
+             is_queued, queue_account_id, instagram_options, youtube_options, threads_options
            ) VALUES (
              $1, $2, $3, $4, $5::jsonb, $6::jsonb, $7,
              $8, $9, $10,
@@ -1328,11 +1420,17 @@ export const createPost = async (req, res) => {
              $14, $15, $16, $17::jsonb,
              $18, $19, $20,
              $21, $22, $23,
-             $24, $25, $26
-           )`,
+             $24, $25, $26,
+             $27, $28, $29::jsonb, $30::jsonb, $31::jsonb
+           )
+           ${promotedDraftId ? buildDraftPromotionClause(POST_INSERT_COLUMNS) : ''}`,
           insertParams
         );
       }
+
+      if (promotedDraftId && inserted.rowCount === 0) {
+        throw createHttpError(409, 'Draft was already promoted', 'DRAFT_ALREADY_PROMOTED');
+      }
     } catch (operationError) {
       if (creditsDeducted && creditMeta.creditsUsed > 0) {
         await TeamCreditService.refundCredits(
@@ -1357,10 +1455,32 @@ export const createPost = async (req, res) => {
       throw operationError;
     }
 
+    const actor = toActivityActor(req.user);
+    await recordPostActivity({
+      postId: id,
+      actor,
+      action: 'created',
+      details: { status, platforms: normalizedPlatforms, scheduledFor: scheduledIso, queued: queueRequested },
+    });
+    if (postNow) {
+      await recordPostActivity({
+        postId: id,
+        actor,
+        action: 'published',
+        details: {
+          platforms: normalizedPlatforms,
+          ...(youtubeWarnings.length > 0
+            ? { warnings: youtubeWarnings.map((warning) => ({ platform: 'youtube', ...warning })) }
+            : {}),
+        },
+      });
+    }
+
     const created = await query('SELECT * FROM social_posts WHERE id = $1', [id]);
     return res.status(201).json({
       success: true,
       post: created.rows[0],
+      warnings: youtubeWarnings.map((warning) => ({ platform: 'youtube', ...warning })),
       creditsUsed: creditMeta.creditsUsed,
       creditSource: creditMeta.creditSource,
       creditsRemaining: creditMeta.creditsRemaining,
@@ -1384,6 +1504,12 @@ export const preflightPost = async (req, res) => {
       platforms = [],
       threadsContentType = 'text',
       threadsPosts = [],
+      targetAccountIds: requestedTargetAccountIds = null,
+      instagramContentType = 'feed',
+      instagramOptions = null,
+      youtubeOptions = null,
+      threadsOptions = null,
+      checkMedia = false,
     } = req.body || {};
 
     const normalizedPlatforms = Array.isArray(platforms)
@@ -1406,164 +1532,28 @@ export const preflightPost = async (req, res) => {
       return res.status(400).json(platformModeError);
     }
 
-    const issues = [];
-    const pushIssue = (platform, code, message) => {
-      issues.push({ platform, code, message, severity: 'error' });
-    };
-
-    const normalizedCaption = String(caption || '').trim();
-    const normalizedThreadsPosts = normalizeThreadsPosts(threadsPosts);
-    const threadsSelected = normalizedPlatforms.includes('threads');
-    const requestedThreadsType = String(threadsContentType || 'text').toLowerCase();
-    const inferredThreadsType = threadsSelected
-      ? inferThreadsContentType(requestedThreadsType, mediaUrls)
-      : requestedThreadsType;
-    const shouldAutoSplitThreads =
-      threadsSelected &&
-      inferredThreadsType === 'text' &&
-      normalizedCaption.length > PLATFORM_CAPTION_LIMITS.threads;
-    const isThreadsThread =
-      threadsSelected && (requestedThreadsType === 'thread' || shouldAutoSplitThreads);
-    const effectiveThreadsType = isThreadsThread ? 'thread' : inferredThreadsType;
-    const effectiveThreadsPosts = requestedThreadsType === 'thread'
-      ? normalizedThreadsPosts
-      : (shouldAutoSplitThreads
-        ? splitThreadsCaption(normalizedCaption, PLATFORM_CAPTION_LIMITS.threads, THREADS_MAX_CHAIN_POSTS)
-        : []);
-
-    const captionTargetPlatforms = normalizedPlatforms.filter(
-      (platform) => !(platform === 'threads' && isThreadsThread)
-    );
-    const baseCaptionLimit = resolveCaptionLimit(captionTargetPlatforms);
-    const captionMaxChars =
-      captionTargetPlatforms.length === 0 && isThreadsThread
-        ? THREADS_AUTO_SPLIT_MAX_CHARS
-        : baseCaptionLimit;
-
-    if (normalizedPlatforms.some((platform) => platform === 'instagram' || platform === 'youtube') && !normalizedCaption) {
-      pushIssue('content', 'CAPTION_REQUIRED', 'Caption is required for Instagram/YouTube posts.');
-    }
-
-    if (!isThreadsThread && !normalizedCaption) {
-      pushIssue('threads', 'CAPTION_REQUIRED', 'Caption/Text is required.');
-    }
-
-    if (isThreadsThread && effectiveThreadsPosts.length < 2) {
-      pushIssue('threads', 'THREADS_CHAIN_MIN_POSTS', 'Threads chain mode requires at least 2 posts.');
-    }
-
-    if (normalizedCaption && normalizedCaption.length > captionMaxChars) {
-      pushIssue('content', 'CAPTION_TOO_LONG', `Caption is too long. Max ${captionMaxChars} characters for selected platforms.`);
-    }
-
-    if (isThreadsThread) {
-      const tooLong = effectiveThreadsPosts.find((post) => post.length > PLATFORM_CAPTION_LIMITS.threads);
-      if (tooLong) {
-        pushIssue(
-          'threads',
-          'THREADS_POST_TOO_LONG',
-          `Each thread post must be ${PLATFORM_CAPTION_LIMITS.threads} characters or fewer.`
-        );
-      }
-    }
-
-    if (normalizedPlatforms.includes('instagram') && (!Array.isArray(mediaUrls) || mediaUrls.length === 0)) {
-      pushIssue('instagram', 'INSTAGRAM_MEDIA_REQUIRED', 'Instagram posting requires at least one uploaded media file.');
-    }
-
-    if (
-      threadsSelected &&
-      !isThreadsThread &&
-      ['image', 'video'].includes(effectiveThreadsType) &&
-      (!Array.isArray(mediaUrls) || mediaUrls.length === 0)
-    ) {
-      pushIssue('threads', 'THREADS_MEDIA_REQUIRED', 'Threads image/video post requires uploaded media.');
-    }
-
-    if (normalizedPlatforms.includes('youtube') && !hasAtLeastOneVideoMedia(mediaUrls)) {
-      pushIssue('youtube', 'YOUTUBE_VIDEO_REQUIRED', 'YouTube posts require at least one uploaded video file (.mp4/.mov/.webm).');
-    }
-
-    const missingConnections = await ensureConnectedPlatforms({
+    const { issues, resolved } = await runPostPreflight({
       userId,
       teamId,
       isTeamMember,
+      caption,
+      mediaUrls,
       platforms: normalizedPlatforms,
+      threadsContentType,
+      threadsPosts,
+      targetAccountIds: requestedTargetAccountIds,
+      instagramContentType,
+      instagramOptions,
+      youtubeOptions,
+      threadsOptions,
+      checkMedia: Boolean(checkMedia),
     });
 
-    for (const platform of missingConnections) {
-      pushIssue(platform, 'MISSING_CONNECTED_ACCOUNT', `Connect ${platform} before posting.`);
-    }
-
-    const shouldCheckPlatform = (platform) => normalizedPlatforms.includes(platform) && !missingConnections.includes(platform);
-
-    if (shouldCheckPlatform('instagram')) {
-      const instagramAccount = await getConnectedAccountByPlatform({
-        userId,
-        teamId,
-        isTeamMember,
-        platform: 'instagram',
-      });
-
-      if (!instagramAccount?.access_token || !instagramAccount?.account_id) {
-        pushIssue('instagram', 'INSTAGRAM_TOKEN_MISSING', 'Instagram account is connected but missing token/account details.');
-      } else if (
-        instagramAccount.token_expires_at &&
-        new Date(instagramAccount.token_expires_at).getTime() <= Date.now()
-      ) {
-        pushIssue('instagram', 'INSTAGRAM_TOKEN_EXPIRED', 'Instagram token has expired. Reconnect Instagram.');
-      }
-    }
-
-    if (shouldCheckPlatform('threads')) {
-      const threadsAccount = await getConnectedAccountByPlatform({
-        userId,
-        teamId,
-        isTeamMember,
-        platform: 'threads',
-      });
-
-      if (!threadsAccount?.access_token || !threadsAccount?.account_id) {
-        pushIssue('threads', 'THREADS_TOKEN_MISSING', 'Threads account is connected but missing token/account details.');
-      } else if (
-        threadsAccount.token_expires_at &&
-        new Date(threadsAccount.token_expires_at).getTime() <= Date.now()
-      ) {
-        pushIssue('threads', 'THREADS_TOKEN_EXPIRED', 'Threads token has expired. Reconnect Threads.');
-      }
-    }
-
-    if (shouldCheckPlatform('youtube')) {
-      const youtubeAccount = await getConnectedAccountByPlatform({
-        userId,
-        teamId,
-        isTeamMember,
-        platform: 'youtube',
-      });
-
-      if (!youtubeAccount?.access_token || !youtubeAccount?.account_id) {
-        pushIssue('youtube', 'YOUTUBE_TOKEN_MISSING', 'YouTube account is connected but missing token/account details.');
-      } else {
-        const youtubeTokenExpired =
-          youtubeAccount.token_expires_at &&
-          new Date(youtubeAccount.token_expires_at).getTime() <= Date.now();
-        const hasRefreshToken = Boolean(String(youtubeAccount.refresh_token || '').trim());
-        if (youtubeTokenExpired && !hasRefreshToken) {
-          pushIssue('youtube', 'YOUTUBE_TOKEN_EXPIRED', 'YouTube token has expired. Reconnect YouTube.');
-        }
-      }
-    }
-
     return res.json({
       success: true,
-      canPublish: issues.length === 0,
+      canPublish: issues.every((issue) => issue.severity !== 'error'),
       issues,
-      resolved: {
-        platforms: normalizedPlatforms,
-        threadsContentType: effectiveThreadsType,
-        isThreadsThread,
-        captionMaxChars,
-      },
+      resolved,
     });
   } catch (error) {
     return res.status(500).json({
@@ -1582,7 +1572,7 @@ export const listRecentPosts = async (req, res) => {
     const result = await query(
       `SELECT * FROM social_posts
        WHERE ${clause}
-         AND status <> 'deleted'
+         AND status NOT IN ('deleted', 'draft')
        ORDER BY COALESCE(posted_at, scheduled_for, created_at) DESC
        LIMIT $${params.length + 1}`,
       [...params, limit]
@@ -1602,7 +1592,17 @@ export const listHistoryPosts = async (req, res) => {
     const platform = String(req.query.platform || 'all').toLowerCase();
     const days = Number.parseInt(req.query.days || '0', 10);
     const sort = String(req.query.sort || 'newest').toLowerCase();
-    const allowedStatuses = new Set(['all', 'posted', 'scheduled', 'failed', 'deleted']);
+    const allowedStatuses = new Set([
+      'all',
+      'posted',
+      'partially_posted',
+      'scheduled',
+      'scheduled_on_platform',
+      'pending_approval',
+      'rejected',
+      'failed',
+      'deleted',
+    ]);
     const allowedPlatforms = new Set(['all', 'instagram', 'threads', 'youtube']);
 
     const normalizedStatus = allowedStatuses.has(status) ? status : 'all';
@@ -1611,7 +1611,7 @@ export const listHistoryPosts = async (req, res) => {
     const sortDirection = sort === 'oldest' ? 'ASC' : 'DESC';
 
     const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId });
-    const filters = [clause];
+    const filters = [clause, `status <> 'draft'`];
     const queryParams = [...params];
 
     if (normalizedStatus !== 'all') {
@@ -1664,9 +1664,10 @@ export const deleteHistoryPost = async (req, res) => {
 
     const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
     const lookup = await queryWithSingleRetry(
-      `SELECT id, status, platforms, threads_post_id, threads_sequence
+      `SELECT id, user_id, team_id, status, platforms, threads_post_id, threads_sequence, is_queued, queue_account_id, metadata,
+              youtube_video_id
        FROM social_posts
-       WHERE id = $1 AND ${clause}
+       WHERE id = $1 AND ${clause} AND status <> 'draft'
        LIMIT 1`,
       [postId, ...params]
     );
@@ -1682,6 +1683,7 @@ export const deleteHistoryPost = async (req, res) => {
     const threadIds = hasThreads ? collectThreadsDeletionIds(found) : [];
     const shouldDeleteOnThreads = hasThreads && (
       found.status === 'posted' ||
+      (found.status === 'partially_posted' && threadIds.length > 0) ||
       (isAlreadyDeleted && threadIds.length > 0)
     );
 
@@ -1691,6 +1693,7 @@ export const deleteHistoryPost = async (req, res) => {
         teamId,
         isTeamMember,
         platform: 'threads',
+        accountId: parseJsonObject(found.metadata)?.target_account_ids?.threads || null,
       });
 
       if (!threadsAccount?.access_token) {
@@ -1713,6 +1716,13 @@ export const deleteHistoryPost = async (req, res) => {
       });
     }
 
+    // A video waiting for its YouTube publish time would still go public.
+    if (found.status === 'scheduled_on_platform') {
+      await cancelYoutubePremiere(found).catch((error) => {
+        throw mapSocialPublishError(error, { platform: 'youtube' });
+      });
+    }
+
     if (isAlreadyDeleted) {
       return res.json({
         success: true,
@@ -1727,6 +1737,16 @@ export const deleteHistoryPost = async (req, res) => {
        WHERE id = $1`,
       [postId]
     );
+    await recordPostActivity({
+      postId,
+      actor: toActivityActor(req.user),
+      action: 'deleted',
+      details: { previousStatus: found.status, deletedOnThreads: shouldDeleteOnThreads },
+    });
+
+    if (found.status === 'scheduled' || found.status === 'pending_approval') {
+      await reshuffleQueueForPost(found);
+    }
 
     return res.json({ success: true, message: 'Post deleted' });
   } catch (error) {
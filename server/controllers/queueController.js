@@ -0,0 +1,255 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { isValidTimeZone } from '../utils/zonedTime.js';
+import {
+  findNextQueueSlot,
+  formatSlotTime,
+  reshuffleQueue,
+} from '../services/postingQueueService.js';
+
+const MAX_SLOTS_PER_OWNER = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const resolveContextParams = (req) => {
+  const userId = req.user.id;
+  const { teamId, isTeamMember } = req.teamContext || {};
+
+  return {
+    userId,
+    teamId: isTeamMember ? teamId : null,
+    isTeamMember: Boolean(isTeamMember),
+  };
+};
+
+const buildOwnershipClause = ({ isTeamMember, teamId, userId, startIndex = 1 }) => {
+  if (isTeamMember && teamId) {
+    return {
+      clause: `team_id = $${startIndex}`,
+      params: [teamId],
+    };
+  }
+
+  return {
+    clause: `user_id = $${startIndex} AND team_id IS NULL`,
+    params: [userId],
+  };
+};
+
+const normalizeWeekday = (value) => {
+  const weekday = Number(value);
+  return Number.isInteger(weekday) && weekday >= 0 && weekday <= 6 ? weekday : null;
+};
+
+const serializeSlot = (row) => ({
+  id: row.id,
+  accountId: row.account_id || null,
+  weekday: Number(row.weekday),
+  time: formatSlotTime(row.local_time),
+  timezone: row.timezone,
+  createdAt: row.created_at,
+});
+
+// An empty accountId means the slot applies to the whole owner scope rather
+// than one connected account. Returns undefined when the id is not usable.
+const resolveSlotAccountId = async ({ accountId, userId, teamId, isTeamMember }) => {
+  if (accountId === undefined || accountId === null || accountId === '') return null;
+
+  const normalized = String(accountId).trim();
+  if (!UUID_PATTERN.test(normalized)) return undefined;
+
+  const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
+  const result = await query(
+    `SELECT id
+     FROM social_connected_accounts
+     WHERE id = $1 AND is_active = true AND ${clause}
+     LIMIT 1`,
+    [normalized, ...params]
+  );
+
+  return result.rows[0] ? result.rows[0].id : undefined;
+};
+
+const findOwnedSlot = async (req) => {
+  const { userId, teamId, isTeamMember } = resolveContextParams(req);
+  const slotId = String(req.params.slotId || '').trim();
+  if (!UUID_PATTERN.test(slotId)) return null;
+
+  const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
+  const result = await query(
+    `SELECT *
+     FROM social_posting_slots
+     WHERE id = $1 AND ${clause}
+     LIMIT 1`,
+    [slotId, ...params]
+  );
+
+  return result.rows[0] || null;
+};
+
+const laneForSlot = (slot) => ({
+  userId: slot.user_id,
+  teamId: slot.team_id || null,
+  accountId: slot.account_id || null,
+});
+
+export const listSlots = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId });
+
+    const result = await query(
+      `SELECT *
+       FROM social_posting_slots
+       WHERE ${clause}
+       ORDER BY account_id NULLS FIRST, weekday ASC, local_time ASC`,
+      params
+    );
+
+    return res.json({ success: true, slots: result.rows.map(serializeSlot) });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch posting slots', details: error.message });
+  }
+};
+
+// Creates one slot per weekday, e.g. { weekdays: [1, 3, 5], time: '09:00' }
+// for Mon/Wed/Fri mornings. Weekdays that already have that slot are skipped.
+export const createSlots = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const body = req.body || {};
+    const rawWeekdays = Array.isArray(body.weekdays) ? body.weekdays : [body.weekday];
+    const weekdays = [...new Set(rawWeekdays.map(normalizeWeekday))];
+    const localTime = formatSlotTime(body.time);
+    const timezone = String(body.timezone || 'UTC').trim();
+
+    if (weekdays.length === 0 || weekdays.includes(null)) {
+      return res.status(400).json({ error: 'weekdays must be numbers from 0 (Sunday) to 6', code: 'SLOT_WEEKDAY_INVALID' });
+    }
+
+    if (!localTime) {
+      return res.status(400).json({ error: 'time must be in HH:MM format', code: 'SLOT_TIME_INVALID' });
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be a valid IANA time zone', code: 'SLOT_TIMEZONE_INVALID' });
+    }
+
+    const accountId = await resolveSlotAccountId({ accountId: body.accountId, userId, teamId, isTeamMember });
+    if (accountId === undefined) {
+      return res.status(400).json({ error: 'accountId must be one of your connected accounts', code: 'SLOT_ACCOUNT_INVALID' });
+    }
+
+    const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId });
+    const existing = await query(
+      `SELECT account_id, weekday, local_time, timezone
+       FROM social_posting_slots
+       WHERE ${clause}`,
+      params
+    );
+
+    if (existing.rows.length + weekdays.length > MAX_SLOTS_PER_OWNER) {
+      return res.status(400).json({ error: `At most ${MAX_SLOTS_PER_OWNER} posting slots are allowed`, code: 'SLOT_LIMIT_REACHED' });
+    }
+
+    const taken = new Set(
+      existing.rows
+        .filter((row) => (row.account_id || null) === accountId && row.timezone === timezone)
+        .filter((row) => formatSlotTime(row.local_time) === localTime)
+        .map((row) => Number(row.weekday))
+    );
+
+    const created = [];
+    for (const weekday of weekdays.filter((day) => !taken.has(day))) {
+      const inserted = await query(
+        `INSERT INTO social_posting_slots (
+           id, user_id, team_id, account_id, weekday, local_time, timezone, created_at, updated_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+         RETURNING *`,
+        [uuidv4(), userId, teamId, accountId, weekday, localTime, timezone]
+      );
+      created.push(inserted.rows[0]);
+    }
+
+    const reshuffled = created.length > 0 ? await reshuffleQueue({ userId, teamId, accountId }) : 0;
+
+    return res.status(201).json({ success: true, slots: created.map(serializeSlot), reshuffledPosts: reshuffled });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to create posting slots', details: error.message });
+  }
+};
+
+export const updateSlot = async (req, res) => {
+  try {
+    const found = await findOwnedSlot(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Posting slot not found', code: 'SLOT_NOT_FOUND' });
+    }
+
+    const body = req.body || {};
+    const weekday = body.weekday !== undefined ? normalizeWeekday(body.weekday) : Number(found.weekday);
+    const localTime = formatSlotTime(body.time !== undefined ? body.time : found.local_time);
+    const timezone = String(body.timezone !== undefined ? body.timezone : found.timezone).trim();
+
+    if (weekday === null) {
+      return res.status(400).json({ error: 'weekday must be a number from 0 (Sunday) to 6', code: 'SLOT_WEEKDAY_INVALID' });
+    }
+
+    if (!localTime) {
+      return res.status(400).json({ error: 'time must be in HH:MM format', code: 'SLOT_TIME_INVALID' });
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be a valid IANA time zone', code: 'SLOT_TIMEZONE_INVALID' });
+    }
+
+    const updated = await query(
+      `UPDATE social_posting_slots
+       SET weekday = $2,
+           local_time = $3,
+           timezone = $4,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [found.id, weekday, localTime, timezone]
+    );
+
+    const reshuffled = await reshuffleQueue(laneForSlot(found));
+
+    return res.json({ success: true, slot: serializeSlot(updated.rows[0]), reshuffledPosts: reshuffled });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to update posting slot', details: error.message });
+  }
+};
+
+// Queued posts keep their current times when the last slot of a lane is
+// removed; otherwise they are packed into the remaining slots.
+export const deleteSlot = async (req, res) => {
+  try {
+    const found = await findOwnedSlot(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Posting slot not found', code: 'SLOT_NOT_FOUND' });
+    }
+
+    await query('DELETE FROM social_posting_slots WHERE id = $1', [found.id]);
+    const reshuffled = await reshuffleQueue(laneForSlot(found));
+
+    return res.json({ success: true, reshuffledPosts: reshuffled });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to delete posting slot', details: error.message });
+  }
+};
+
+export const getNextSlot = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const accountId = await resolveSlotAccountId({ accountId: req.query.accountId, userId, teamId, isTeamMember });
+    if (accountId === undefined) {
+      return res.status(400).json({ error: 'accountId must be one of your connected accounts', code: 'SLOT_ACCOUNT_INVALID' });
+    }
+
+    const next = await findNextQueueSlot({ userId, teamId, accountId });
+    return res.json({ success: true, nextSlotAt: next ? next.toISOString() : null });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to resolve next posting slot', details: error.message });
+  }
+};
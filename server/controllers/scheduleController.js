@@ -1,6 +1,52 @@
 import { query } from '../config/database.js';
+import {
+  cancelOutstandingDeliveries,
+  listDeliveriesForPosts,
+  listPublishAttemptsForPosts,
+  resetFailedDeliveries,
+} from '../services/postDeliveryService.js';
+import { reshuffleQueueForPost } from '../services/postingQueueService.js';
+import {
+  getUploadSession,
+  listUploadProgressForPosts,
+  toUploadProgress,
+} from '../services/youtubeUploadSessionService.js';
+import { validateTargetAccountIds } from '../services/connectedAccountService.js';
+import { cancelYoutubePremiere, rescheduleYoutubePremiere } from '../services/youtubePremiereService.js';
+import { mapSocialPublishError } from '../utils/publishErrors.js';
+import { getPlatformModeErrorPayload } from '../utils/platformAvailability.js';
+import { TeamCreditService } from '../services/teamCreditService.js';
+import {
+  PENDING_APPROVAL_STATUS,
+  REJECTED_STATUS,
+  requiresPostApproval,
+} from '../services/postApprovalService.js';
+import { recordPostActivity, toActivityActor } from '../services/postActivityService.js';
+import {
+  normalizeInstagramOptions,
+  normalizeThreadsOptions,
+  normalizeYoutubeOptions,
+  runPostPreflight,
+  splitThreadsCaption,
+} from '../services/postPreflightService.js';
+import {
+  buildThreadsCrossPostMetadata,
+  buildThreadsCrossPostRouting,
+  normalizeThreadsCrossPostTargetAccountIds,
+  normalizeThreadsCrossPostTargets,
+} from './postsController.js';
 
 const EXTERNAL_CROSS_SCHEDULE_FETCH_LIMIT = 100;
+const FAILED_POSTS_MAX_LIMIT = 200;
+const BULK_ACTION_MAX_POSTS = 100;
+const BULK_ACTIONS = new Set(['retry_now', 'retry_at', 'reschedule_offset', 'cancel']);
+const SUPPORTED_PLATFORMS = new Set(['instagram', 'youtube', 'threads']);
+const EDITABLE_STATUSES = ['scheduled', 'failed', 'partially_posted', PENDING_APPROVAL_STATUS, REJECTED_STATUS];
+// Posts under review; moving them in time must not put them on the schedule.
+const REVIEW_STATUSES = [PENDING_APPROVAL_STATUS, REJECTED_STATUS];
+// Statuses whose queued posts hold a queue slot.
+const QUEUE_HOLDING_STATUSES = ['scheduled', PENDING_APPROVAL_STATUS];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
 const resolveContextParams = (req) => {
   const userId = req.user.id;
@@ -13,6 +59,12 @@ const resolveContextParams = (req) => {
   };
 };
 
+const resolveUserToken = (req) => {
+  const authHeader = req.headers.authorization || '';
+  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  return req.platformAccessToken || bearerToken || req.cookies?.accessToken || null;
+};
+
 const buildOwnershipClause = ({ isTeamMember, teamId, userId, startIndex = 1 }) => {
   if (isTeamMember && teamId) {
     return {
@@ -275,19 +327,115 @@ const fetchExternalLinkedInThreadsCrossSchedules = async ({ userId, teamId = nul
     .filter((row) => matchesScheduleStatusFilter(row.status, statusFilter));
 };
 
+const findOwnedPost = async ({ postId, userId, teamId, isTeamMember }) => {
+  const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
+  const lookup = await query(
+    `SELECT id, status, scheduled_for
+     FROM social_posts
+     WHERE id = $1 AND ${clause} AND status <> 'draft'
+     LIMIT 1`,
+    [postId, ...params]
+  );
+
+  return lookup.rows[0] || null;
+};
+
+// Puts a post back on the schedule with a fresh retry budget. Platforms that
+// already went out keep their posted delivery and are skipped by the worker;
+// only the failed ones are attempted again. An explicit time takes the post
+// out of its posting queue.
+// Returns null when a publish job picked the post up in the meantime; the
+// job owns it until it settles.
+const requeuePost = async (postId, scheduledForIso) => {
+  const updated = await query(
+    `UPDATE social_posts
+     SET status = 'scheduled',
+         scheduled_for = $2,
+         is_queued = false,
+         publish_attempts = 0,
+         next_retry_at = NULL,
+         updated_at = NOW()
+     WHERE id = $1 AND status <> 'publishing'
+     RETURNING *`,
+    [postId, scheduledForIso]
+  );
+
+  if (updated.rowCount === 0) {
+    return null;
+  }
+
+  await resetFailedDeliveries(postId);
+  return updated.rows[0];
+};
+
+const POST_PUBLISHING_ERROR = {
+  error: 'This post is being published right now; try again once it finishes',
+  code: 'POST_PUBLISHING',
+};
+
+// Returns false when a publish job claimed the post after it was looked up.
+const markPostCancelled = async (postId) => {
+  const result = await query(
+    `UPDATE social_posts
+     SET status = 'deleted',
+         updated_at = NOW()
+     WHERE id = $1 AND status <> 'publishing'`,
+    [postId]
+  );
+
+  return result.rowCount > 0;
+};
+
+// A partially posted post is already live somewhere, so cancelling it only
+// drops the platforms that never went out; the post itself counts as posted
+// from then on. Returns null when the post is no longer partially posted.
+const cancelRemainingPlatforms = async (postId) => {
+  const updated = await query(
+    `UPDATE social_posts
+     SET status = 'posted',
+         next_retry_at = NULL,
+         last_error_code = NULL,
+         last_error_message = NULL,
+         updated_at = NOW()
+     WHERE id = $1 AND status = 'partially_posted'`,
+    [postId]
+  );
+
+  if (updated.rowCount === 0) {
+    return null;
+  }
+
+  return cancelOutstandingDeliveries(postId);
+};
+
+const sendYoutubePremiereError = (res, error) => {
+  const mapped = mapSocialPublishError(error, { platform: 'youtube' });
+  return res.status(mapped.status).json({ error: mapped.message, code: mapped.code });
+};
+
 export const listScheduledPosts = async (req, res) => {
   try {
     const { userId, teamId, isTeamMember } = resolveContextParams(req);
     const status = String(req.query.status || 'active').toLowerCase();
-    const allowed = new Set(['active', 'all', 'scheduled', 'failed', 'publishing']);
+    const allowed = new Set([
+      'active',
+      'all',
+      'scheduled',
+      'scheduled_on_platform',
+      'failed',
+      'publishing',
+      'partially_posted',
+      PENDING_APPROVAL_STATUS,
+      REJECTED_STATUS,
+    ]);
     const normalizedStatus = allowed.has(status) ? status : 'active';
 
     const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId });
-    const filters = [clause, `status <> 'deleted'`];
+    const filters = [clause, `status NOT IN ('deleted', 'draft')`];
     const queryParams = [...params];
 
     if (normalizedStatus === 'active') {
-      filters.push(`status IN ('scheduled', 'publishing')`);
+      filters.push(`status IN ('scheduled', 'scheduled_on_platform', 'publishing', 'pending_approval')`);
     } else if (normalizedStatus !== 'all') {
       queryParams.push(normalizedStatus);
       filters.push(`status = $${queryParams.length}`);
@@ -301,6 +449,19 @@ export const listScheduledPosts = async (req, res) => {
       queryParams
     );
 
+    const postIds = result.rows.map((row) => row.id);
+    const [deliveriesByPost, attemptsByPost, uploadsByPost] = await Promise.all([
+      listDeliveriesForPosts(postIds),
+      listPublishAttemptsForPosts(postIds),
+      listUploadProgressForPosts(postIds),
+    ]);
+    const ownPosts = result.rows.map((row) => ({
+      ...row,
+      deliveries: deliveriesByPost.get(String(row.id)) || [],
+      publish_attempt_history: attemptsByPost.get(String(row.id)) || [],
+      youtube_upload: uploadsByPost.get(String(row.id)) || null,
+    }));
+
     let externalPosts = [];
     try {
       const [tweetGenieExternalPosts, linkedInExternalPosts] = await Promise.all([
@@ -324,7 +485,7 @@ export const listScheduledPosts = async (req, res) => {
       externalPosts = [];
     }
 
-    const posts = [...result.rows, ...externalPosts].sort((a, b) => {
+    const posts = [...ownPosts, ...externalPosts].sort((a, b) => {
       const aTime = new Date(a?.scheduled_for || a?.created_at || 0).getTime();
       const bTime = new Date(b?.scheduled_for || b?.created_at || 0).getTime();
       return aTime - bTime;
@@ -336,6 +497,301 @@ export const listScheduledPosts = async (req, res) => {
   }
 };
 
+// Polled by the client while a YouTube upload is running.
+export const getUploadProgress = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const postId = String(req.params.postId || '').trim();
+
+    if (!UUID_PATTERN.test(postId)) {
+      return res.status(400).json({ error: 'Invalid postId format', code: 'POST_ID_INVALID' });
+    }
+
+    const found = await findOwnedPost({ postId, userId, teamId, isTeamMember });
+    if (!found) {
+      return res.status(404).json({ error: 'Post not found', code: 'POST_NOT_FOUND' });
+    }
+
+    const session = await getUploadSession(postId);
+    return res.json({
+      success: true,
+      postStatus: found.status,
+      upload: session ? toUploadProgress(session) : null,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch upload progress', details: error.message });
+  }
+};
+
+// True when the stored chain is just the caption split up by createPost, so
+// a caption edit should re-split it rather than publish the old parts.
+const isAutoSplitThread = (post) => {
+  if (String(post.threads_content_type || '').toLowerCase() !== 'thread') return false;
+  try {
+    const sequence = parseJsonArray(post.threads_sequence).map((item) => String(item || '').trim());
+    const split = splitThreadsCaption(String(post.caption || '').trim());
+    return sequence.length === split.length && sequence.every((item, index) => item === split[index]);
+  } catch {
+    return false;
+  }
+};
+
+const normalizePlatformList = (value) =>
+  [...new Set((Array.isArray(value) ? value : []).map((platform) => String(platform || '').toLowerCase()))];
+
+// Keeps the stored Threads cross-post settings unless the body changes them.
+const resolveCrossPostMetadata = ({ body, stored, platforms }) => {
+  if (!platforms.includes('threads')) return null;
+
+  const touched = ['crossPostTargets', 'crossPostTargetAccountIds', 'crossPostTargetAccountLabels', 'optimizeCrossPost']
+    .some((field) => body[field] !== undefined);
+  if (!touched) return stored || null;
+
+  const storedRouting = stored?.routing || {};
+  const targets = body.crossPostTargets !== undefined
+    ? normalizeThreadsCrossPostTargets({ crossPostTargets: body.crossPostTargets })
+    : { x: Boolean(stored?.targets?.x), linkedin: Boolean(stored?.targets?.linkedin) };
+  const targetAccountIds = body.crossPostTargetAccountIds !== undefined
+    ? normalizeThreadsCrossPostTargetAccountIds({ crossPostTargetAccountIds: body.crossPostTargetAccountIds })
+    : { x: storedRouting.x?.targetAccountId || null, linkedin: storedRouting.linkedin?.targetAccountId || null };
+  const labels = body.crossPostTargetAccountLabels !== undefined
+    ? body.crossPostTargetAccountLabels
+    : { x: storedRouting.x?.targetLabel ?? null, linkedin: storedRouting.linkedin?.targetLabel ?? null };
+
+  const built = buildThreadsCrossPostMetadata({
+    targets,
+    optimizeCrossPost: body.optimizeCrossPost !== undefined ? body.optimizeCrossPost : stored?.optimizeCrossPost,
+    routing: buildThreadsCrossPostRouting({ targets, targetAccountIds, labels }),
+    source: stored?.source || 'social_genie_threads_schedule',
+  });
+  return built?.cross_post || null;
+};
+
+// Edits the content of a post that has not gone out yet. Fields missing from
+// the body keep their stored values, and the merged post has to pass the
+// same preflight as a new one. Adding platforms charges the credit
+// difference. Edits that need approval, and any edit of a rejected post,
+// put the post up for review again.
+export const updateScheduledPost = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const postId = String(req.params.postId || '').trim();
+    const body = req.body || {};
+    const has = (field) => body[field] !== undefined;
+
+    if (!UUID_PATTERN.test(postId)) {
+      return res.status(400).json({ error: 'Invalid postId format', code: 'POST_ID_INVALID' });
+    }
+
+    const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
+    const lookup = await query(
+      `SELECT *
+       FROM social_posts
+       WHERE id = $1 AND ${clause} AND status <> 'draft'
+       LIMIT 1`,
+      [postId, ...params]
+    );
+
+    const found = lookup.rows[0];
+    if (!found) {
+      return res.status(404).json({ error: 'Post not found', code: 'POST_NOT_FOUND' });
+    }
+
+    if (found.status === 'publishing') {
+      return res.status(409).json({ error: 'This post is being published and can no longer be edited', code: 'POST_PUBLISHING' });
+    }
+
+    if (found.status === 'scheduled_on_platform') {
+      return res.status(400).json({
+        error: 'This video is already uploaded to YouTube. Cancel it and create a new post instead.',
+        code: 'POST_NOT_EDITABLE',
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(found.status)) {
+      return res.status(400).json({ error: 'Only scheduled/failed posts can be edited', code: 'POST_NOT_EDITABLE' });
+    }
+
+    const storedPlatforms = normalizePlatformList(parseJsonArray(found.platforms));
+    const platforms = has('platforms') ? normalizePlatformList(body.platforms) : storedPlatforms;
+    if (platforms.length === 0) {
+      return res.status(400).json({ error: 'At least one platform is required', code: 'PLATFORM_REQUIRED' });
+    }
+
+    const unsupported = platforms.filter((platform) => !SUPPORTED_PLATFORMS.has(platform));
+    if (unsupported.length > 0) {
+      return res.status(400).json({ error: `Unsupported platforms: ${unsupported.join(', ')}`, code: 'PLATFORM_UNSUPPORTED' });
+    }
+
+    const platformModeError = getPlatformModeErrorPayload({ platforms, user: req.user });
+    if (platformModeError) {
+      return res.status(400).json(platformModeError);
+    }
+
+    // Deliveries that already went out are tied to their platforms.
+    const platformsChanged =
+      platforms.length !== storedPlatforms.length || platforms.some((platform) => !storedPlatforms.includes(platform));
+    if (found.status === 'partially_posted' && platformsChanged) {
+      return res.status(400).json({
+        error: 'Platforms cannot change after part of the post was published',
+        code: 'POST_PLATFORMS_LOCKED',
+      });
+    }
+
+    const metadata = parseJsonObject(found.metadata, {});
+    const caption = has('caption') ? String(body.caption || '') : String(found.caption || '');
+    const mediaUrls = has('mediaUrls')
+      ? (Array.isArray(body.mediaUrls) ? body.mediaUrls : []).map((url) => String(url || '').trim()).filter(Boolean)
+      : parseJsonArray(found.media_urls);
+    const storedThreadsType = isAutoSplitThread(found) ? 'text' : (found.threads_content_type || 'text');
+    const threadsContentType = has('threadsContentType')
+      ? String(body.threadsContentType || 'text').toLowerCase()
+      : storedThreadsType;
+    const threadsPosts = has('threadsPosts')
+      ? body.threadsPosts
+      : (threadsContentType === 'thread' ? parseJsonArray(found.threads_sequence) : []);
+    const instagramContentType = has('instagramContentType')
+      ? String(body.instagramContentType || 'feed').toLowerCase()
+      : (found.instagram_content_type || 'feed');
+    const youtubeContentType = has('youtubeContentType')
+      ? String(body.youtubeContentType || 'video').toLowerCase()
+      : (found.youtube_content_type || 'video');
+    const instagramOptions = has('instagramOptions') ? body.instagramOptions : parseJsonObject(found.instagram_options, {});
+    const youtubeOptions = has('youtubeOptions') ? body.youtubeOptions : parseJsonObject(found.youtube_options, {});
+    const threadsOptions = has('threadsOptions') ? body.threadsOptions : parseJsonObject(found.threads_options, {});
+    const requestedTargetAccountIds = has('targetAccountIds') ? body.targetAccountIds : metadata.target_account_ids;
+
+    const { issues, resolved } = await runPostPreflight({
+      userId,
+      teamId,
+      isTeamMember,
+      caption,
+      mediaUrls,
+      platforms,
+      threadsContentType,
+      threadsPosts,
+      targetAccountIds: requestedTargetAccountIds,
+      instagramContentType,
+      instagramOptions,
+      youtubeOptions,
+      threadsOptions,
+      checkMedia: Boolean(body.checkMedia),
+    });
+
+    const blocking = issues.filter((issue) => issue.severity === 'error');
+    if (blocking.length > 0) {
+      return res.status(400).json({ error: blocking[0].message, code: blocking[0].code, issues });
+    }
+
+    const nextStatus = found.status === REJECTED_STATUS || (await requiresPostApproval(req.teamContext))
+      ? PENDING_APPROVAL_STATUS
+      : found.status;
+
+    const crossPost = resolveCrossPostMetadata({ body, stored: metadata.cross_post, platforms });
+    const nextMetadata = { ...metadata };
+    nextMetadata.target_account_ids = Object.fromEntries(
+      Object.entries({ ...(metadata.target_account_ids || {}), ...resolved.targetAccountIds })
+        .filter(([platform]) => platforms.includes(platform))
+    );
+    if (crossPost) {
+      nextMetadata.cross_post = crossPost;
+    } else {
+      delete nextMetadata.cross_post;
+    }
+
+    const hasCrossPostTargets = Boolean(crossPost?.targets?.x || crossPost?.targets?.linkedin);
+    const costFor = (platformCount, crossPosted) =>
+      TeamCreditService.calculateCost('social_post_schedule', { platformCount, crossPost: crossPosted });
+    const creditDelta =
+      costFor(platforms.length, platforms.length > 1 || hasCrossPostTargets) -
+      costFor(storedPlatforms.length, Boolean(found.cross_post));
+    const userToken = resolveUserToken(req);
+    if (creditDelta > 0) {
+      const deductResult = await TeamCreditService.deductCredits(userId, teamId, creditDelta, 'social_post_schedule', userToken, {
+        description: `Edit scheduled post (${platforms.join(', ')})`,
+      });
+      if (!deductResult.success) {
+        return res.status(402).json({
+          error: deductResult.error || 'Insufficient credits',
+          creditsRequired: creditDelta,
+          creditsAvailable: deductResult.available ?? deductResult.creditsAvailable ?? 0,
+          creditSource: deductResult.source || (isTeamMember && teamId ? 'team' : 'user'),
+        });
+      }
+    }
+
+    const effectiveThreadsPosts = resolved.isThreadsThread ? resolved.threadsPosts : [];
+    const normalizeFor = (platform, normalize) => (platforms.includes(platform) ? normalize().options : null);
+    const toJson = (value) => (value ? JSON.stringify(value) : null);
+
+    // The status check is repeated here because the worker may have claimed
+    // the post while preflight was running.
+    const updated = await query(
+      `UPDATE social_posts
+       SET caption = $2,
+           media_urls = $3::jsonb,
+           platforms = $4::jsonb,
+           cross_post = $5,
+           instagram_content_type = $6,
+           youtube_content_type = $7,
+           threads_content_type = $8,
+           threads_sequence = $9::jsonb,
+           instagram_options = $10::jsonb,
+           youtube_options = $11::jsonb,
+           threads_options = $12::jsonb,
+           metadata = $13::jsonb,
+           preflight_warnings = $14::jsonb,
+           preflight_checked_at = NULL,
+           status = $16,
+           updated_at = NOW()
+       WHERE id = $1 AND status = ANY($15::text[])
+       RETURNING *`,
+      [
+        postId,
+        caption.trim() || effectiveThreadsPosts[0] || '',
+        JSON.stringify(mediaUrls),
+        JSON.stringify(platforms),
+        platforms.length > 1 || hasCrossPostTargets,
+        instagramContentType,
+        youtubeContentType,
+        resolved.threadsContentType,
+        JSON.stringify(effectiveThreadsPosts),
+        toJson(normalizeFor('instagram', () => normalizeInstagramOptions(instagramOptions, { contentType: instagramContentType, mediaUrls }))),
+        toJson(normalizeFor('youtube', () => normalizeYoutubeOptions(youtubeOptions))),
+        toJson(normalizeFor('threads', () => normalizeThreadsOptions(threadsOptions, { contentType: resolved.threadsContentType }))),
+        JSON.stringify(nextMetadata),
+        JSON.stringify(issues),
+        EDITABLE_STATUSES,
+        nextStatus,
+      ]
+    );
+
+    if (updated.rowCount === 0) {
+      if (creditDelta > 0) {
+        await TeamCreditService.refundCredits(userId, teamId, creditDelta, 'social_post_edit_failed', userToken, {
+          description: 'Refund for scheduled post edit that could not be saved',
+        }).catch(() => null);
+      }
+      return res.status(409).json({ error: 'This post is being published and can no longer be edited', code: 'POST_PUBLISHING' });
+    }
+
+    await recordPostActivity({
+      postId,
+      actor: toActivityActor(req.user),
+      action: 'edited',
+      details: {
+        fields: Object.keys(body).filter((field) => has(field) && field !== 'checkMedia'),
+        previousStatus: found.status,
+        status: nextStatus,
+      },
+    });
+
+    return res.json({ success: true, post: updated.rows[0], warnings: issues });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to update post', details: error.message });
+  }
+};
+
 export const reschedulePost = async (req, res) => {
   try {
     const { userId, teamId, isTeamMember } = resolveContextParams(req);
@@ -352,9 +808,10 @@ export const reschedulePost = async (req, res) => {
 
     const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
     const lookup = await query(
-      `SELECT id, status
+      `SELECT id, user_id, team_id, status, platforms, is_queued, queue_account_id, youtube_video_id, metadata,
+              scheduled_for
        FROM social_posts
-       WHERE id = $1 AND ${clause}
+       WHERE id = $1 AND ${clause} AND status <> 'draft'
        LIMIT 1`,
       [postId, ...params]
     );
@@ -368,15 +825,99 @@ export const reschedulePost = async (req, res) => {
       return res.status(400).json({ error: 'Only scheduled/failed posts can be rescheduled', code: 'POST_NOT_RESCHEDULABLE' });
     }
 
+    if (found.status === 'publishing') {
+      return res.status(409).json(POST_PUBLISHING_ERROR);
+    }
+
+    // The video already sits on YouTube; only its publish time can move.
+    if (found.status === 'scheduled_on_platform') {
+      if (req.body?.targetAccountIds !== undefined) {
+        return res.status(400).json({
+          error: 'This video is already uploaded to its YouTube channel',
+          code: 'YOUTUBE_PREMIERE_ACCOUNT_LOCKED',
+        });
+      }
+      if (new Date(scheduledForIso).getTime() <= Date.now()) {
+        return res.status(400).json({ error: 'YouTube publish time must be in the future', code: 'SCHEDULED_FOR_IN_PAST' });
+      }
+
+      try {
+        await rescheduleYoutubePremiere(found, scheduledForIso);
+      } catch (error) {
+        return sendYoutubePremiereError(res, error);
+      }
+
+      const updated = await query(
+        `UPDATE social_posts
+         SET scheduled_for = $2,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [postId, scheduledForIso]
+      );
+      await recordPostActivity({
+        postId,
+        actor: toActivityActor(req.user),
+        action: 'rescheduled',
+        details: { from: found.scheduled_for, to: scheduledForIso, onYoutube: true },
+      });
+      return res.json({ success: true, post: updated.rows[0] });
+    }
+
+    // Optionally moves the post to other connected accounts of its platforms.
+    let targetAccountIds = null;
+    if (req.body?.targetAccountIds !== undefined) {
+      const validated = await validateTargetAccountIds({
+        userId: found.user_id,
+        teamId: found.team_id || null,
+        targetAccountIds: req.body.targetAccountIds,
+        platforms: parseJsonArray(found.platforms).map((platform) => String(platform || '').toLowerCase()),
+      });
+      if (validated.invalidPlatforms.length > 0) {
+        return res.status(400).json({
+          error: `Selected account is not connected for: ${validated.invalidPlatforms.join(', ')}`,
+          code: 'TARGET_ACCOUNT_INVALID',
+        });
+      }
+      targetAccountIds = validated.targetAccountIds;
+    }
+
+    // Posts under review only move in time; approval still decides when
+    // they are scheduled.
     const updated = await query(
       `UPDATE social_posts
-       SET status = 'scheduled',
+       SET status = CASE WHEN status = ANY($4::text[]) THEN status ELSE 'scheduled' END,
            scheduled_for = $2,
+           is_queued = false,
+           metadata = CASE
+             WHEN $3::jsonb IS NULL THEN metadata
+             ELSE jsonb_set(COALESCE(metadata, '{}'::jsonb), '{target_account_ids}', COALESCE(metadata->'target_account_ids', '{}'::jsonb) || $3::jsonb)
+           END,
+           publish_attempts = 0,
+           next_retry_at = NULL,
            updated_at = NOW()
-       WHERE id = $1
+       WHERE id = $1 AND status <> 'publishing'
        RETURNING *`,
-      [postId, scheduledForIso]
+      [postId, scheduledForIso, targetAccountIds ? JSON.stringify(targetAccountIds) : null, REVIEW_STATUSES]
     );
+    if (updated.rowCount === 0) {
+      return res.status(409).json(POST_PUBLISHING_ERROR);
+    }
+    await recordPostActivity({
+      postId,
+      actor: toActivityActor(req.user),
+      action: 'rescheduled',
+      details: {
+        from: found.scheduled_for,
+        to: scheduledForIso,
+        ...(targetAccountIds ? { targetAccountIds } : {}),
+      },
+    });
+
+    // A manually timed post leaves the queue, so the posts behind it move up.
+    if (QUEUE_HOLDING_STATUSES.includes(found.status)) {
+      await reshuffleQueueForPost(found);
+    }
 
     return res.json({ success: true, post: updated.rows[0] });
   } catch (error) {
@@ -399,7 +940,7 @@ export const retryPost = async (req, res) => {
     const lookup = await query(
       `SELECT id, status
        FROM social_posts
-       WHERE id = $1 AND ${clause}
+       WHERE id = $1 AND ${clause} AND status <> 'draft'
        LIMIT 1`,
       [postId, ...params]
     );
@@ -409,21 +950,29 @@ export const retryPost = async (req, res) => {
       return res.status(404).json({ error: 'Post not found', code: 'POST_NOT_FOUND' });
     }
 
-    if (found.status === 'posted' || found.status === 'deleted') {
+    if (found.status === 'posted' || found.status === 'deleted' || found.status === 'scheduled_on_platform') {
       return res.status(400).json({ error: 'Only scheduled/failed posts can be retried', code: 'POST_NOT_RETRYABLE' });
     }
 
-    const updated = await query(
-      `UPDATE social_posts
-       SET status = 'scheduled',
-           scheduled_for = $2,
-           updated_at = NOW()
-       WHERE id = $1
-       RETURNING *`,
-      [postId, scheduledForIso]
-    );
+    if (REVIEW_STATUSES.includes(found.status)) {
+      return res.status(400).json({ error: 'This post is waiting for approval', code: 'POST_AWAITING_APPROVAL' });
+    }
 
-    return res.json({ success: true, post: updated.rows[0] });
+    if (found.status === 'publishing') {
+      return res.status(409).json(POST_PUBLISHING_ERROR);
+    }
+
+    const post = await requeuePost(postId, scheduledForIso);
+    if (!post) {
+      return res.status(409).json(POST_PUBLISHING_ERROR);
+    }
+    await recordPostActivity({
+      postId,
+      actor: toActivityActor(req.user),
+      action: 'retried',
+      details: { previousStatus: found.status, scheduledFor: scheduledForIso },
+    });
+    return res.json({ success: true, post });
   } catch (error) {
     return res.status(500).json({ error: 'Failed to retry post', details: error.message });
   }
@@ -440,9 +989,9 @@ export const cancelScheduledPost = async (req, res) => {
 
     const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
     const lookup = await query(
-      `SELECT id, status
+      `SELECT id, user_id, team_id, status, is_queued, queue_account_id, youtube_video_id, metadata
        FROM social_posts
-       WHERE id = $1 AND ${clause}
+       WHERE id = $1 AND ${clause} AND status <> 'draft'
        LIMIT 1`,
       [postId, ...params]
     );
@@ -456,16 +1005,254 @@ export const cancelScheduledPost = async (req, res) => {
       return res.status(400).json({ error: 'Only scheduled/failed posts can be cancelled', code: 'POST_NOT_CANCELLABLE' });
     }
 
-    await query(
-      `UPDATE social_posts
-       SET status = 'deleted',
-           updated_at = NOW()
-       WHERE id = $1`,
-      [postId]
-    );
+    if (found.status === 'publishing') {
+      return res.status(409).json(POST_PUBLISHING_ERROR);
+    }
+
+    if (found.status === 'partially_posted') {
+      const cancelledPlatforms = await cancelRemainingPlatforms(postId);
+      if (!cancelledPlatforms) {
+        return res.status(409).json({ error: 'This post changed while it was being cancelled', code: 'POST_STATE_CHANGED' });
+      }
+      await recordPostActivity({
+        postId,
+        actor: toActivityActor(req.user),
+        action: 'cancelled',
+        details: { platforms: cancelledPlatforms },
+      });
+      return res.json({ success: true, status: 'posted', cancelledPlatforms });
+    }
+
+    if (found.status === 'scheduled_on_platform') {
+      try {
+        await cancelYoutubePremiere(found);
+      } catch (error) {
+        return sendYoutubePremiereError(res, error);
+      }
+    }
+
+    if (!(await markPostCancelled(postId))) {
+      return res.status(409).json(POST_PUBLISHING_ERROR);
+    }
+    await recordPostActivity({
+      postId,
+      actor: toActivityActor(req.user),
+      action: 'deleted',
+      details: { previousStatus: found.status },
+    });
+    if (QUEUE_HOLDING_STATUSES.includes(found.status)) {
+      await reshuffleQueueForPost(found);
+    }
 
     return res.json({ success: true });
   } catch (error) {
     return res.status(500).json({ error: 'Failed to cancel post', details: error.message });
   }
 };
+
+export const listFailedPosts = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const platform = String(req.query.platform || 'all').toLowerCase();
+    const errorCode = String(req.query.errorCode || req.query.error_code || '').trim().toUpperCase();
+    const from = parseScheduleDate(req.query.from);
+    const to = parseScheduleDate(req.query.to);
+    const limit = Math.max(1, Math.min(Number.parseInt(req.query.limit || '100', 10) || 100, FAILED_POSTS_MAX_LIMIT));
+
+    const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId });
+    const filters = [clause, `status IN ('failed', 'partially_posted')`];
+    const queryParams = [...params];
+
+    if (['instagram', 'threads', 'youtube'].includes(platform)) {
+      queryParams.push(platform);
+      filters.push(`platforms ? $${queryParams.length}`);
+    }
+
+    if (errorCode) {
+      queryParams.push(errorCode);
+      filters.push(`last_error_code = $${queryParams.length}`);
+    }
+
+    if (from) {
+      queryParams.push(from);
+      filters.push(`updated_at >= $${queryParams.length}`);
+    }
+
+    if (to) {
+      queryParams.push(to);
+      filters.push(`updated_at <= $${queryParams.length}`);
+    }
+
+    queryParams.push(limit);
+    const result = await query(
+      `SELECT *
+       FROM social_posts
+       WHERE ${filters.join(' AND ')}
+       ORDER BY updated_at DESC
+       LIMIT $${queryParams.length}`,
+      queryParams
+    );
+
+    const codeResult = await query(
+      `SELECT last_error_code AS code, COUNT(*)::int AS count
+       FROM social_posts
+       WHERE ${clause}
+         AND status IN ('failed', 'partially_posted')
+         AND last_error_code IS NOT NULL
+       GROUP BY last_error_code
+       ORDER BY count DESC`,
+      params
+    );
+
+    const postIds = result.rows.map((row) => row.id);
+    const [deliveriesByPost, attemptsByPost] = await Promise.all([
+      listDeliveriesForPosts(postIds),
+      listPublishAttemptsForPosts(postIds),
+    ]);
+
+    const posts = result.rows.map((row) => ({
+      ...row,
+      deliveries: deliveriesByPost.get(String(row.id)) || [],
+      publish_attempt_history: attemptsByPost.get(String(row.id)) || [],
+    }));
+
+    return res.json({ success: true, posts, errorCodes: codeResult.rows });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch failed posts', details: error.message });
+  }
+};
+
+// Applies one recovery action to many failed posts. Every post is handled
+// independently, so one bad id never blocks the rest; the response carries a
+// result per requested post.
+export const bulkRecoverFailedPosts = async (req, res) => {
+  try {
+    const context = resolveContextParams(req);
+    const action = String(req.body?.action || '').trim().toLowerCase();
+    const postIds = Array.isArray(req.body?.postIds)
+      ? [...new Set(req.body.postIds.map((id) => String(id || '').trim()).filter(Boolean))]
+      : [];
+
+    if (!BULK_ACTIONS.has(action)) {
+      return res.status(400).json({ error: 'Unsupported bulk action', code: 'BULK_ACTION_INVALID' });
+    }
+
+    if (postIds.length === 0) {
+      return res.status(400).json({ error: 'postIds is required', code: 'POST_IDS_REQUIRED' });
+    }
+
+    if (postIds.length > BULK_ACTION_MAX_POSTS) {
+      return res.status(400).json({
+        error: `A bulk action can include at most ${BULK_ACTION_MAX_POSTS} posts`,
+        code: 'BULK_ACTION_TOO_LARGE',
+      });
+    }
+
+    let retryAtIso = null;
+    if (action === 'retry_at') {
+      retryAtIso = parseScheduleDate(req.body?.scheduledFor || req.body?.scheduled_for);
+      if (!retryAtIso) {
+        return res.status(400).json({ error: 'scheduledFor is required', code: 'SCHEDULED_FOR_REQUIRED' });
+      }
+    }
+
+    let offsetMinutes = 0;
+    if (action === 'reschedule_offset') {
+      offsetMinutes = Number.parseInt(req.body?.offsetMinutes, 10);
+      if (!Number.isFinite(offsetMinutes) || offsetMinutes === 0) {
+        return res.status(400).json({ error: 'offsetMinutes must be a non-zero number', code: 'OFFSET_REQUIRED' });
+      }
+    }
+
+    const actor = toActivityActor(req.user);
+    const results = [];
+    for (const postId of postIds) {
+      if (!UUID_PATTERN.test(postId)) {
+        results.push({ postId, success: false, code: 'POST_ID_INVALID', error: 'Invalid postId format' });
+        continue;
+      }
+
+      try {
+        const found = await findOwnedPost({ postId, ...context });
+        if (!found) {
+          results.push({ postId, success: false, code: 'POST_NOT_FOUND', error: 'Post not found' });
+          continue;
+        }
+
+        if (found.status !== 'failed' && found.status !== 'partially_posted') {
+          results.push({ postId, success: false, code: 'POST_NOT_FAILED', error: `Post is ${found.status}` });
+          continue;
+        }
+
+        if (action === 'cancel' && found.status === 'partially_posted') {
+          const cancelledPlatforms = await cancelRemainingPlatforms(postId);
+          if (!cancelledPlatforms) {
+            results.push({ postId, success: false, code: 'POST_STATE_CHANGED', error: 'Post changed while it was being cancelled' });
+            continue;
+          }
+          await recordPostActivity({
+            postId,
+            actor,
+            action: 'cancelled',
+            details: { platforms: cancelledPlatforms, bulk: true },
+          });
+          results.push({ postId, success: true, status: 'posted', cancelledPlatforms });
+          continue;
+        }
+
+        if (action === 'cancel') {
+          if (!(await markPostCancelled(postId))) {
+            results.push({ postId, success: false, ...POST_PUBLISHING_ERROR });
+            continue;
+          }
+          await recordPostActivity({ postId, actor, action: 'deleted', details: { previousStatus: found.status, bulk: true } });
+          results.push({ postId, success: true, status: 'deleted' });
+          continue;
+        }
+
+        let scheduledForIso = new Date().toISOString();
+        if (action === 'retry_at') {
+          scheduledForIso = retryAtIso;
+        } else if (action === 'reschedule_offset') {
+          const base = found.scheduled_for ? new Date(found.scheduled_for) : new Date();
+          const shifted = new Date(base.getTime() + offsetMinutes * 60 * 1000);
+          if (shifted.getTime() <= Date.now()) {
+            results.push({
+              postId,
+              success: false,
+              code: 'SCHEDULE_IN_PAST',
+              error: 'Offset schedule time is in the past',
+            });
+            continue;
+          }
+          scheduledForIso = shifted.toISOString();
+        }
+
+        const post = await requeuePost(postId, scheduledForIso);
+        if (!post) {
+          results.push({ postId, success: false, ...POST_PUBLISHING_ERROR });
+          continue;
+        }
+        await recordPostActivity({
+          postId,
+          actor,
+          action: action === 'reschedule_offset' ? 'rescheduled' : 'retried',
+          details: { previousStatus: found.status, from: found.scheduled_for || null, to: scheduledForIso, bulk: true },
+        });
+        results.push({ postId, success: true, status: post.status, scheduledFor: post.scheduled_for });
+      } catch (error) {
+        results.push({ postId, success: false, code: 'BULK_ACTION_FAILED', error: error.message });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    return res.json({
+      success: succeeded > 0,
+      action,
+      summary: { requested: postIds.length, succeeded, failed: postIds.length - succeeded },
+      results,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to apply bulk action', details: error.message });
+  }
+};
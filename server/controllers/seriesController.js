@@ -0,0 +1,549 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { isValidTimeZone } from '../utils/zonedTime.js';
+import {
+  SERIES_FREQUENCIES,
+  cancelFutureOccurrences,
+  findNextOccurrence,
+} from '../services/postSeriesService.js';
+import { validateTargetAccountIds } from '../services/connectedAccountService.js';
+import { requiresPostApproval } from '../services/postApprovalService.js';
+import { normalizeInstagramOptions, normalizeThreadsOptions, normalizeYoutubeOptions } from '../services/postPreflightService.js';
+
+const SUPPORTED_PLATFORMS = new Set(['instagram', 'youtube', 'threads']);
+const PLATFORM_CAPTION_LIMITS = {
+  instagram: Math.max(120, Number.parseInt(process.env.INSTAGRAM_CAPTION_MAX_CHARS || '2200', 10)),
+  threads: Math.max(120, Number.parseInt(process.env.THREADS_TEXT_MAX_CHARS || '500', 10)),
+  youtube: Math.max(120, Number.parseInt(process.env.YOUTUBE_CAPTION_MAX_CHARS || '5000', 10)),
+};
+const MAX_CAPTION_VARIANTS = 50;
+const MAX_INTERVAL = 52;
+const MAX_OCCURRENCE_LIMIT = 1000;
+const SERIES_STATUSES = new Set(['active', 'paused', 'cancelled', 'completed']);
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+// Occurrences go straight onto the schedule, so members whose posts need
+// approval cannot start, change or resume a series.
+const SERIES_APPROVAL_ERROR = {
+  error: 'Only team owner/admin can manage recurring series while post approval is on',
+  code: 'SERIES_NEEDS_APPROVER',
+};
+
+const resolveContextParams = (req) => {
+  const userId = req.user.id;
+  const { teamId, isTeamMember } = req.teamContext || {};
+
+  return {
+    userId,
+    teamId: isTeamMember ? teamId : null,
+    isTeamMember: Boolean(isTeamMember),
+  };
+};
+
+const buildOwnershipClause = ({ isTeamMember, teamId, userId, startIndex = 1 }) => {
+  if (isTeamMember && teamId) {
+    return {
+      clause: `team_id = $${startIndex}`,
+      params: [teamId],
+    };
+  }
+
+  return {
+    clause: `user_id = $${startIndex} AND team_id IS NULL`,
+    params: [userId],
+  };
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString();
+};
+
+const createValidationError = (error, code) => ({ error, code });
+
+// Validates the series rule and post template. `current` holds the stored
+// series when editing, so a PATCH only needs the fields it changes.
+const normalizeSeriesInput = (body = {}, current = null) => {
+  const currentTemplate = current?.template || {};
+  const pick = (key, fallback) => (body[key] !== undefined ? body[key] : fallback);
+
+  const platforms = [...new Set(
+    (Array.isArray(pick('platforms', currentTemplate.platforms)) ? pick('platforms', currentTemplate.platforms) : [])
+      .map((platform) => String(platform || '').toLowerCase())
+      .filter(Boolean)
+  )];
+  if (platforms.length === 0) {
+    return { error: createValidationError('At least one platform is required', 'SERIES_PLATFORMS_REQUIRED') };
+  }
+  const unsupported = platforms.filter((platform) => !SUPPORTED_PLATFORMS.has(platform));
+  if (unsupported.length > 0) {
+    return { error: createValidationError(`Unsupported platforms: ${unsupported.join(', ')}`, 'SERIES_PLATFORM_UNSUPPORTED') };
+  }
+
+  const caption = String(pick('caption', currentTemplate.caption) || '').trim();
+  const rawVariants = pick('captionVariants', current?.caption_variants);
+  const captionVariants = (Array.isArray(rawVariants) ? rawVariants : [])
+    .map((item) => String(item || '').trim())
+    .filter(Boolean);
+  if (captionVariants.length > MAX_CAPTION_VARIANTS) {
+    return { error: createValidationError(`At most ${MAX_CAPTION_VARIANTS} caption variants are allowed`, 'SERIES_TOO_MANY_VARIANTS') };
+  }
+  if (!caption && captionVariants.length === 0) {
+    return { error: createValidationError('Caption or caption variants are required', 'SERIES_CAPTION_REQUIRED') };
+  }
+
+  const captionLimit = Math.min(...platforms.map((platform) => PLATFORM_CAPTION_LIMITS[platform]));
+  const tooLong = [caption, ...captionVariants].find((text) => text.length > captionLimit);
+  if (tooLong) {
+    return {
+      error: createValidationError(`Captions must be ${captionLimit} characters or fewer for selected platforms`, 'CAPTION_TOO_LONG'),
+    };
+  }
+
+  const mediaUrls = Array.isArray(pick('mediaUrls', currentTemplate.mediaUrls)) ? pick('mediaUrls', currentTemplate.mediaUrls) : [];
+  if ((platforms.includes('instagram') || platforms.includes('youtube')) && mediaUrls.length === 0) {
+    return { error: createValidationError('Instagram/YouTube series require media', 'SERIES_MEDIA_REQUIRED') };
+  }
+
+  const threadsContentType = String(pick('threadsContentType', currentTemplate.threadsContentType) || 'text').toLowerCase();
+  const threadsPosts = (Array.isArray(pick('threadsPosts', currentTemplate.threadsPosts)) ? pick('threadsPosts', currentTemplate.threadsPosts) : [])
+    .map((item) => String(item || '').trim())
+    .filter(Boolean);
+  if (platforms.includes('threads') && threadsContentType === 'thread' && threadsPosts.length < 2) {
+    return { error: createValidationError('Threads chain mode requires at least 2 posts', 'THREADS_CHAIN_MIN_POSTS') };
+  }
+
+  const instagramContentType = String(pick('instagramContentType', currentTemplate.instagramContentType) || 'feed').toLowerCase();
+  let instagramOptions = null;
+  if (platforms.includes('instagram')) {
+    const { options, errors } = normalizeInstagramOptions(
+      pick('instagramOptions', currentTemplate.instagramOptions),
+      { contentType: instagramContentType, mediaUrls }
+    );
+    if (errors.length > 0) {
+      return { error: createValidationError(errors[0].message, errors[0].code) };
+    }
+    instagramOptions = options;
+  }
+
+  let youtubeOptions = null;
+  if (platforms.includes('youtube')) {
+    const { options, errors } = normalizeYoutubeOptions(pick('youtubeOptions', currentTemplate.youtubeOptions));
+    if (errors.length > 0) {
+      return { error: createValidationError(errors[0].message, errors[0].code) };
+    }
+    youtubeOptions = options;
+  }
+
+  let threadsOptions = null;
+  if (platforms.includes('threads')) {
+    const { options, errors } = normalizeThreadsOptions(
+      pick('threadsOptions', currentTemplate.threadsOptions),
+      { contentType: threadsContentType }
+    );
+    if (errors.length > 0) {
+      return { error: createValidationError(errors[0].message, errors[0].code) };
+    }
+    threadsOptions = options;
+  }
+
+  const frequency = String(pick('frequency', current?.frequency) || '').toLowerCase();
+  if (!SERIES_FREQUENCIES.has(frequency)) {
+    return { error: createValidationError('frequency must be daily, weekly or monthly', 'SERIES_FREQUENCY_INVALID') };
+  }
+
+  const interval = Number.parseInt(pick('interval', current?.interval_count) ?? 1, 10);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: createValidationError(`interval must be between 1 and ${MAX_INTERVAL}`, 'SERIES_INTERVAL_INVALID') };
+  }
+
+  const rawWeekdays = pick('byWeekday', current?.by_weekday);
+  const byWeekday = frequency === 'weekly' && Array.isArray(rawWeekdays)
+    ? [...new Set(rawWeekdays.map(Number))].filter((day) => Number.isInteger(day) && day >= 0 && day <= 6).sort((a, b) => a - b)
+    : [];
+
+  const startsAt = parseDate(pick('startAt', current?.starts_at));
+  if (!startsAt) {
+    return { error: createValidationError('startAt is required', 'SERIES_START_REQUIRED') };
+  }
+
+  const timezone = String(pick('timezone', current?.timezone) || 'UTC').trim();
+  if (!isValidTimeZone(timezone)) {
+    return { error: createValidationError('timezone must be a valid IANA time zone', 'SERIES_TIMEZONE_INVALID') };
+  }
+
+  const rawUntil = pick('until', current?.until_at);
+  const untilAt = rawUntil ? parseDate(rawUntil) : null;
+  if (rawUntil && !untilAt) {
+    return { error: createValidationError('until must be a valid date', 'SERIES_UNTIL_INVALID') };
+  }
+  if (untilAt && untilAt <= startsAt) {
+    return { error: createValidationError('until must be after startAt', 'SERIES_UNTIL_INVALID') };
+  }
+
+  const rawCount = pick('count', current?.occurrence_limit);
+  const occurrenceLimit = rawCount === null || rawCount === undefined || rawCount === '' ? null : Number.parseInt(rawCount, 10);
+  if (occurrenceLimit !== null && (!Number.isInteger(occurrenceLimit) || occurrenceLimit < 1 || occurrenceLimit > MAX_OCCURRENCE_LIMIT)) {
+    return { error: createValidationError(`count must be between 1 and ${MAX_OCCURRENCE_LIMIT}`, 'SERIES_COUNT_INVALID') };
+  }
+
+  return {
+    value: {
+      frequency,
+      interval_count: interval,
+      by_weekday: byWeekday,
+      starts_at: startsAt,
+      timezone,
+      until_at: untilAt,
+      occurrence_limit: occurrenceLimit,
+      caption_variants: captionVariants,
+      template: {
+        caption,
+        mediaUrls,
+        platforms,
+        crossPost: Boolean(pick('crossPost', currentTemplate.crossPost)),
+        instagramContentType,
+        instagramOptions,
+        youtubeContentType: String(pick('youtubeContentType', currentTemplate.youtubeContentType) || 'video').toLowerCase(),
+        youtubeOptions,
+        threadsContentType,
+        threadsPosts: threadsContentType === 'thread' ? threadsPosts : [],
+        threadsOptions,
+        metadata: currentTemplate.metadata || {},
+      },
+    },
+  };
+};
+
+const findMissingConnections = async ({ userId, teamId, isTeamMember, platforms }) => {
+  const result = isTeamMember && teamId
+    ? await query(
+        `SELECT platform FROM social_connected_accounts WHERE team_id = $1 AND is_active = true AND platform = ANY($2::text[])`,
+        [teamId, platforms]
+      )
+    : await query(
+        `SELECT platform FROM social_connected_accounts WHERE user_id = $1 AND team_id IS NULL AND is_active = true AND platform = ANY($2::text[])`,
+        [userId, platforms]
+      );
+  const connected = new Set(result.rows.map((row) => row.platform));
+  return platforms.filter((platform) => !connected.has(platform));
+};
+
+const findOwnedSeries = async (req) => {
+  const { userId, teamId, isTeamMember } = resolveContextParams(req);
+  const seriesId = String(req.params.seriesId || '').trim();
+  if (!UUID_PATTERN.test(seriesId)) return null;
+
+  const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId, startIndex: 2 });
+  const result = await query(
+    `SELECT *
+     FROM social_post_series
+     WHERE id = $1 AND ${clause}
+     LIMIT 1`,
+    [seriesId, ...params]
+  );
+
+  return result.rows[0] || null;
+};
+
+const withPreview = (series) => {
+  if (series.status !== 'active' && series.status !== 'paused') {
+    return { ...series, preview: [] };
+  }
+
+  const preview = [];
+  let cursor = new Date();
+  while (preview.length < 3) {
+    const next = findNextOccurrence(series, cursor);
+    if (!next) break;
+    preview.push(next.toISOString());
+    cursor = next;
+  }
+  return { ...series, preview };
+};
+
+// Pins the series template to specific connected accounts. Stored targets are
+// re-checked on edit so a disconnected account is not silently kept.
+const applyTargetAccounts = async ({ value, body, userId, teamId }) => {
+  const metadata = value.template.metadata || {};
+  const requested = body.targetAccountIds !== undefined ? body.targetAccountIds : metadata.target_account_ids;
+  const { targetAccountIds, invalidPlatforms } = await validateTargetAccountIds({
+    userId,
+    teamId,
+    targetAccountIds: requested,
+    platforms: value.template.platforms,
+  });
+
+  if (invalidPlatforms.length > 0) {
+    return createValidationError(
+      `Selected account is not connected for: ${invalidPlatforms.join(', ')}`,
+      'TARGET_ACCOUNT_INVALID'
+    );
+  }
+
+  value.template.metadata = { ...metadata, target_account_ids: targetAccountIds };
+  return null;
+};
+
+export const createSeries = async (req, res) => {
+  try {
+    if (await requiresPostApproval(req.teamContext)) {
+      return res.status(403).json(SERIES_APPROVAL_ERROR);
+    }
+
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const { value, error } = normalizeSeriesInput(req.body || {});
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const missing = await findMissingConnections({ userId, teamId, isTeamMember, platforms: value.template.platforms });
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: `Connect accounts before scheduling: ${missing.join(', ')}`,
+        code: 'MISSING_CONNECTED_ACCOUNT',
+      });
+    }
+
+    const targetError = await applyTargetAccounts({ value, body: req.body || {}, userId, teamId });
+    if (targetError) {
+      return res.status(400).json(targetError);
+    }
+
+    const nextOccurrence = findNextOccurrence(value, new Date());
+    if (!nextOccurrence) {
+      return res.status(400).json({ error: 'The recurrence has no future occurrences', code: 'SERIES_NO_OCCURRENCES' });
+    }
+
+    const created = await query(
+      `INSERT INTO social_post_series (
+         id, user_id, team_id, status, frequency, interval_count, by_weekday,
+         starts_at, timezone, until_at, occurrence_limit, caption_variants, template,
+         next_occurrence_at, created_at, updated_at
+       ) VALUES (
+         $1, $2, $3, 'active', $4, $5, $6::jsonb,
+         $7, $8, $9, $10, $11::jsonb, $12::jsonb,
+         $13, NOW(), NOW()
+       )
+       RETURNING *`,
+      [
+        uuidv4(),
+        userId,
+        teamId,
+        value.frequency,
+        value.interval_count,
+        JSON.stringify(value.by_weekday),
+        value.starts_at,
+        value.timezone,
+        value.until_at,
+        value.occurrence_limit,
+        JSON.stringify(value.caption_variants),
+        JSON.stringify(value.template),
+        nextOccurrence.toISOString(),
+      ]
+    );
+
+    return res.status(201).json({ success: true, series: withPreview(created.rows[0]) });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to create series', details: error.message });
+  }
+};
+
+export const listSeries = async (req, res) => {
+  try {
+    const { userId, teamId, isTeamMember } = resolveContextParams(req);
+    const status = String(req.query.status || 'all').toLowerCase();
+    const { clause, params } = buildOwnershipClause({ isTeamMember, teamId, userId });
+    const filters = [clause];
+    const queryParams = [...params];
+
+    if (SERIES_STATUSES.has(status)) {
+      queryParams.push(status);
+      filters.push(`status = $${queryParams.length}`);
+    } else {
+      filters.push(`status <> 'cancelled'`);
+    }
+
+    const result = await query(
+      `SELECT s.*,
+              (SELECT COUNT(*)::int
+               FROM social_posts sp
+               WHERE sp.series_id = s.id AND sp.status = 'scheduled') AS upcoming_count,
+              (SELECT COUNT(*)::int
+               FROM social_posts sp
+               WHERE sp.series_id = s.id AND sp.status IN ('posted', 'partially_posted')) AS posted_count
+       FROM (
+         SELECT *
+         FROM social_post_series
+         WHERE ${filters.join(' AND ')}
+       ) s
+       ORDER BY s.created_at DESC`,
+      queryParams
+    );
+
+    return res.json({ success: true, series: result.rows.map(withPreview) });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to fetch series', details: error.message });
+  }
+};
+
+// Edits apply to every occurrence that has not started publishing: those are
+// dropped and regenerated from the new rule and template on the next tick.
+export const updateSeries = async (req, res) => {
+  try {
+    if (await requiresPostApproval(req.teamContext)) {
+      return res.status(403).json(SERIES_APPROVAL_ERROR);
+    }
+
+    const found = await findOwnedSeries(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Series not found', code: 'SERIES_NOT_FOUND' });
+    }
+
+    if (found.status === 'cancelled' || found.status === 'completed') {
+      return res.status(400).json({ error: `A ${found.status} series cannot be edited`, code: 'SERIES_NOT_EDITABLE' });
+    }
+
+    const { value, error } = normalizeSeriesInput(req.body || {}, found);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const targetError = await applyTargetAccounts({
+      value,
+      body: req.body || {},
+      userId: found.user_id,
+      teamId: found.team_id || null,
+    });
+    if (targetError) {
+      return res.status(400).json(targetError);
+    }
+
+    const cancelled = await cancelFutureOccurrences(found.id);
+    const updated = await query(
+      `UPDATE social_post_series
+       SET frequency = $2,
+           interval_count = $3,
+           by_weekday = $4::jsonb,
+           starts_at = $5,
+           timezone = $6,
+           until_at = $7,
+           occurrence_limit = $8,
+           caption_variants = $9::jsonb,
+           template = $10::jsonb,
+           materialized_through = NOW(),
+           next_occurrence_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        found.id,
+        value.frequency,
+        value.interval_count,
+        JSON.stringify(value.by_weekday),
+        value.starts_at,
+        value.timezone,
+        value.until_at,
+        value.occurrence_limit,
+        JSON.stringify(value.caption_variants),
+        JSON.stringify(value.template),
+      ]
+    );
+
+    return res.json({ success: true, series: withPreview(updated.rows[0]), replacedOccurrences: cancelled });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to update series', details: error.message });
+  }
+};
+
+export const pauseSeries = async (req, res) => {
+  try {
+    const found = await findOwnedSeries(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Series not found', code: 'SERIES_NOT_FOUND' });
+    }
+
+    if (found.status !== 'active') {
+      return res.status(400).json({ error: 'Only active series can be paused', code: 'SERIES_NOT_ACTIVE' });
+    }
+
+    const cancelled = await cancelFutureOccurrences(found.id);
+    const updated = await query(
+      `UPDATE social_post_series
+       SET status = 'paused',
+           materialized_through = NOW(),
+           next_occurrence_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [found.id]
+    );
+
+    return res.json({ success: true, series: withPreview(updated.rows[0]), cancelledOccurrences: cancelled });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to pause series', details: error.message });
+  }
+};
+
+export const resumeSeries = async (req, res) => {
+  try {
+    if (await requiresPostApproval(req.teamContext)) {
+      return res.status(403).json(SERIES_APPROVAL_ERROR);
+    }
+
+    const found = await findOwnedSeries(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Series not found', code: 'SERIES_NOT_FOUND' });
+    }
+
+    if (found.status !== 'paused') {
+      return res.status(400).json({ error: 'Only paused series can be resumed', code: 'SERIES_NOT_PAUSED' });
+    }
+
+    // Occurrences that fell inside the pause are skipped, not backfilled.
+    // Pausing dropped everything already materialized ahead of now, so
+    // materialization restarts from now rather than from the old horizon.
+    const updated = await query(
+      `UPDATE social_post_series
+       SET status = 'active',
+           materialized_through = NOW(),
+           next_occurrence_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [found.id]
+    );
+
+    return res.json({ success: true, series: withPreview(updated.rows[0]) });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to resume series', details: error.message });
+  }
+};
+
+export const cancelSeries = async (req, res) => {
+  try {
+    const found = await findOwnedSeries(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Series not found', code: 'SERIES_NOT_FOUND' });
+    }
+
+    if (found.status === 'cancelled') {
+      return res.status(400).json({ error: 'Series is already cancelled', code: 'SERIES_ALREADY_CANCELLED' });
+    }
+
+    const cancelled = await cancelFutureOccurrences(found.id);
+    await query(
+      `UPDATE social_post_series
+       SET status = 'cancelled',
+           next_occurrence_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [found.id]
+    );
+
+    return res.json({ success: true, cancelledOccurrences: cancelled });
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to cancel series', details: error.message });
+  }
+};
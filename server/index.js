@@ -43,6 +43,14 @@ import { resolveTeamContextMiddleware } from './middleware/resolveTeamContext.js
 import { ensureSchema } from './config/schema.js';
 import { logger } from './utils/logger.js';
 import { startScheduledPostWorker, stopScheduledPostWorker, runSchedulerTick } from './services/scheduledPostWorker.js';
+import { startPostMetricsSyncWorker, stopPostMetricsSyncWorker, runMetricsSyncTick } from './services/postMetricsSyncWorker.js';
+import {
+  startAccountProfileRefreshWorker,
+  stopAccountProfileRefreshWorker,
+  runProfileRefreshTick,
+} from './services/accountProfileRefreshWorker.js';
+import { startTokenRefreshWorker, stopTokenRefreshWorker, runTokenRefreshTick } from './services/tokenRefreshWorker.js';
+import { startAccountHealthWorker, stopAccountHealthWorker, runAccountHealthTick } from './services/accountHealthWorker.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.resolve(__dirname, '.env') });
@@ -59,6 +67,10 @@ const metaRuntimeState = {
   schemaReady: false,
   schemaError: 'Schema readiness not checked yet',
   scheduledWorkerStarted: false,
+  metricsSyncWorkerStarted: false,
+  profileRefreshWorkerStarted: false,
+  tokenRefreshWorkerStarted: false,
+  accountHealthWorkerStarted: false,
 };
 
 const allowedOrigins = [
@@ -206,6 +218,26 @@ const maybeEnsureMetaSchemaAndWorker = async () => {
     startScheduledPostWorker();
     metaRuntimeState.scheduledWorkerStarted = true;
   }
+
+  if (!metaRuntimeState.metricsSyncWorkerStarted) {
+    startPostMetricsSyncWorker();
+    metaRuntimeState.metricsSyncWorkerStarted = true;
+  }
+
+  if (!metaRuntimeState.profileRefreshWorkerStarted) {
+    startAccountProfileRefreshWorker();
+    metaRuntimeState.profileRefreshWorkerStarted = true;
+  }
+
+  if (!metaRuntimeState.tokenRefreshWorkerStarted) {
+    startTokenRefreshWorker();
+    metaRuntimeState.tokenRefreshWorkerStarted = true;
+  }
+
+  if (!metaRuntimeState.accountHealthWorkerStarted) {
+    startAccountHealthWorker();
+    metaRuntimeState.accountHealthWorkerStarted = true;
+  }
 };
 
 const getMetaHealthPayload = () => {
@@ -225,6 +257,18 @@ const getMetaHealthPayload = () => {
       scheduledWorker: {
         started: metaRuntimeState.scheduledWorkerStarted,
       },
+      metricsSyncWorker: {
+        started: metaRuntimeState.metricsSyncWorkerStarted,
+      },
+      profileRefreshWorker: {
+        started: metaRuntimeState.profileRefreshWorkerStarted,
+      },
+      tokenRefreshWorker: {
+        started: metaRuntimeState.tokenRefreshWorkerStarted,
+      },
+      accountHealthWorker: {
+        started: metaRuntimeState.accountHealthWorkerStarted,
+      },
     },
   };
 };
@@ -276,11 +320,15 @@ app.use('/api/cleanup', cleanupRoutes);
 
 // Vercel Cron trigger for the Meta Genie post scheduler.
 // Called every minute by Vercel (see server/vercel.json). Auth via CRON_SECRET.
-app.post('/api/cron/scheduler', async (req, res) => {
+const isAuthorizedCronRequest = (req) => {
   const cronSecret = (process.env.CRON_SECRET || '').trim();
   const authHeader = req.headers['authorization'] || '';
   const providedToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : (authHeader || req.query.secret || '');
-  if (!cronSecret || providedToken !== cronSecret) {
+  return Boolean(cronSecret) && providedToken === cronSecret;
+};
+
+app.post('/api/cron/scheduler', async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
   try {
@@ -292,6 +340,58 @@ app.post('/api/cron/scheduler', async (req, res) => {
   }
 });
 
+app.post('/api/cron/metrics-sync', async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  try {
+    await runMetricsSyncTick();
+    return res.json({ ok: true });
+  } catch (error) {
+    logger.error('[MetaMetricsCron] Tick failed', { message: error?.message });
+    return res.status(500).json({ ok: false, error: error?.message || 'unknown_error' });
+  }
+});
+
+app.post('/api/cron/profile-refresh', async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  try {
+    await runProfileRefreshTick();
+    return res.json({ ok: true });
+  } catch (error) {
+    logger.error('[MetaProfileRefreshCron] Tick failed', { message: error?.message });
+    return res.status(500).json({ ok: false, error: error?.message || 'unknown_error' });
+  }
+});
+
+app.post('/api/cron/token-refresh', async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  try {
+    await runTokenRefreshTick();
+    return res.json({ ok: true });
+  } catch (error) {
+    logger.error('[MetaTokenRefreshCron] Tick failed', { message: error?.message });
+    return res.status(500).json({ ok: false, error: error?.message || 'unknown_error' });
+  }
+});
+
+app.post('/api/cron/account-health', async (req, res) => {
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  try {
+    await runAccountHealthTick();
+    return res.json({ ok: true });
+  } catch (error) {
+    logger.error('[MetaAccountHealthCron] Tick failed', { message: error?.message });
+    return res.status(500).json({ ok: false, error: error?.message || 'unknown_error' });
+  }
+});
+
 app.use('/api', requirePlatformLogin, resolveTeamContextMiddleware);
 app.use('/api/accounts', accountsRoutes);
 app.use('/api/posts', postsRoutes);
@@ -356,10 +456,18 @@ start().catch((error) => {
 
 process.on('SIGINT', () => {
   stopScheduledPostWorker();
+  stopPostMetricsSyncWorker();
+  stopAccountProfileRefreshWorker();
+  stopTokenRefreshWorker();
+  stopAccountHealthWorker();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   stopScheduledPostWorker();
+  stopPostMetricsSyncWorker();
+  stopAccountProfileRefreshWorker();
+  stopTokenRefreshWorker();
+  stopAccountHealthWorker();
   process.exit(0);
 });
@@ -1,12 +1,9 @@
-﻿export const requireConnectionManager = (req, res, next) => {
-  const context = req.teamContext || { isTeamMember: false, role: 'viewer' };
+﻿import { isTeamManager } from '../services/teamContextService.js';
 
-  // Personal mode (no team): user can manage their own connections.
-  if (!context.isTeamMember || !context.teamId) {
-    return next();
-  }
+export const requireConnectionManager = (req, res, next) => {
+  const context = req.teamContext || { isTeamMember: false, role: 'viewer' };
 
-  if (!['owner', 'admin'].includes(context.role)) {
+  if (!isTeamManager(context)) {
     return res.status(403).json({
       error: 'Only team owner/admin can manage connected accounts',
       code: 'INSUFFICIENT_ROLE',
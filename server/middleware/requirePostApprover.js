@@ -0,0 +1,14 @@
+import { isTeamManager } from '../services/teamContextService.js';
+
+export const requirePostApprover = (req, res, next) => {
+  const context = req.teamContext || { isTeamMember: false, role: 'viewer' };
+
+  if (!isTeamManager(context)) {
+    return res.status(403).json({
+      error: 'Only team owner/admin can review posts',
+      code: 'INSUFFICIENT_ROLE',
+    });
+  }
+
+  return next();
+};
@@ -4,6 +4,7 @@ import {
   getAccountPermissions,
   disconnectAccount,
   connectInstagramByok,
+  getAccountProfileHistory,
 } from '../controllers/accountsController.js';
 import { requireConnectionManager } from '../middleware/requireConnectionManager.js';
 
@@ -11,6 +12,7 @@ const router = express.Router();
 
 router.get('/', listAccounts);
 router.get('/permissions', getAccountPermissions);
+router.get('/:accountId/profile-history', getAccountProfileHistory);
 router.post('/instagram/byok-connect', requireConnectionManager, connectInstagramByok);
 router.delete('/:accountId', requireConnectionManager, disconnectAccount);
 
@@ -1,8 +1,16 @@
 ﻿import express from 'express';
-import { getAnalyticsOverview } from '../controllers/analyticsController.js';
+import {
+  getAnalyticsComparison,
+  getAnalyticsOverview,
+  getAnalyticsTimeseries,
+  getPostAnalytics,
+} from '../controllers/analyticsController.js';
 
 const router = express.Router();
 
 router.get('/overview', getAnalyticsOverview);
+router.get('/timeseries', getAnalyticsTimeseries);
+router.get('/comparison', getAnalyticsComparison);
+router.get('/posts/:postId', getPostAnalytics);
 
 export default router;
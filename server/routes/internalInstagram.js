@@ -2,6 +2,7 @@ import express from 'express';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { query } from '../config/database.js';
+import { decryptAccountTokens } from '../utils/tokenCrypto.js';
 import { publishInstagramPost } from '../services/instagramService.js';
 import { uploadUrlToCloudinary, uploadBufferToCloudinary, isCloudinaryUrl } from '../utils/cloudinaryUpload.js';
 import { logger } from '../utils/logger.js';
@@ -95,7 +96,7 @@ const getPersonalInstagramAccount = async (platformUserId) => {
 
   const result = await query(
     `SELECT id, user_id, team_id, account_id, account_username, account_display_name, profile_image_url,
-            access_token, token_expires_at, metadata
+            access_token, token_expires_at, token_key_id, token_data_key, metadata
      FROM social_connected_accounts
      WHERE user_id = $1
        AND team_id IS NULL
@@ -106,7 +107,7 @@ const getPersonalInstagramAccount = async (platformUserId) => {
     [platformUserId]
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const getPersonalInstagramAccountById = async (platformUserId, targetAccountId) => {
@@ -114,7 +115,7 @@ const getPersonalInstagramAccountById = async (platformUserId, targetAccountId)
 
   const result = await query(
     `SELECT id, user_id, team_id, account_id, account_username, account_display_name, profile_image_url,
-            access_token, token_expires_at, metadata
+            access_token, token_expires_at, token_key_id, token_data_key, metadata
      FROM social_connected_accounts
      WHERE user_id = $1
        AND team_id IS NULL
@@ -125,7 +126,7 @@ const getPersonalInstagramAccountById = async (platformUserId, targetAccountId)
     [platformUserId, String(targetAccountId)]
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const getTeamInstagramAccountForMember = async (platformUserId, platformTeamId) => {
@@ -133,7 +134,7 @@ const getTeamInstagramAccountForMember = async (platformUserId, platformTeamId)
 
   const result = await query(
     `SELECT sca.id, sca.user_id, sca.team_id, sca.account_id, sca.account_username, sca.account_display_name,
-            sca.profile_image_url, sca.access_token, sca.token_expires_at, sca.metadata
+            sca.profile_image_url, sca.access_token, sca.token_expires_at, sca.token_key_id, sca.token_data_key, sca.metadata
      FROM social_connected_accounts sca
      INNER JOIN team_members tm
        ON tm.team_id::text = sca.team_id::text
@@ -147,7 +148,7 @@ const getTeamInstagramAccountForMember = async (platformUserId, platformTeamId)
     [platformUserId, String(platformTeamId)]
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const getTeamInstagramAccountForMemberById = async (platformUserId, platformTeamId, targetAccountId) => {
@@ -155,7 +156,7 @@ const getTeamInstagramAccountForMemberById = async (platformUserId, platformTeam
 
   const result = await query(
     `SELECT sca.id, sca.user_id, sca.team_id, sca.account_id, sca.account_username, sca.account_display_name,
-            sca.profile_image_url, sca.access_token, sca.token_expires_at, sca.metadata
+            sca.profile_image_url, sca.access_token, sca.token_expires_at, sca.token_key_id, sca.token_data_key, sca.metadata
      FROM social_connected_accounts sca
      INNER JOIN team_members tm
        ON tm.team_id::text = sca.team_id::text
@@ -169,7 +170,7 @@ const getTeamInstagramAccountForMemberById = async (platformUserId, platformTeam
     [platformUserId, String(platformTeamId), String(targetAccountId)]
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const normalizeThreadParts = (parts = []) =>
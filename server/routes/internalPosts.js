@@ -6,6 +6,7 @@ import { publishThreadsPost, publishThreadsThread } from '../services/threadsSer
 import { publishYoutubeVideo } from '../services/youtubeService.js';
 import { mapSocialPublishError } from '../utils/publishErrors.js';
 import { logger } from '../utils/logger.js';
+import { decryptAccountTokens } from '../utils/tokenCrypto.js';
 
 const router = express.Router();
 const THREADS_TEXT_MAX_CHARS = Math.max(120, Number.parseInt(process.env.THREADS_TEXT_MAX_CHARS || '500', 10));
@@ -154,7 +155,8 @@ const getConnectedAccount = async ({ userId, teamId, platform, targetAccountId =
   }
 
   const result = await query(
-    `SELECT id, user_id, team_id, platform, account_id, access_token, refresh_token, token_expires_at, metadata
+    `SELECT id, user_id, team_id, platform, account_id, access_token, refresh_token, token_expires_at,
+            token_key_id, token_data_key, metadata
      FROM social_connected_accounts
      WHERE ${filters.join(' AND ')}
      ORDER BY updated_at DESC NULLS LAST, id DESC
@@ -162,7 +164,7 @@ const getConnectedAccount = async ({ userId, teamId, platform, targetAccountId =
     params
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const insertSocialPost = async ({
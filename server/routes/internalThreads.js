@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import { query } from '../config/database.js';
+import { decryptAccountTokens } from '../utils/tokenCrypto.js';
 import { publishThreadsPost, publishThreadsThread } from '../services/threadsService.js';
 import { uploadUrlToCloudinary, uploadBufferToCloudinary, isCloudinaryUrl } from '../utils/cloudinaryUpload.js';
 import { logger } from '../utils/logger.js';
@@ -41,7 +42,7 @@ const getPersonalThreadsAccount = async (platformUserId) => {
   if (!platformUserId) return null;
 
   const result = await query(
-    `SELECT id, user_id, account_id, account_username, access_token, token_expires_at, metadata
+    `SELECT id, user_id, account_id, account_username, access_token, token_expires_at, token_key_id, token_data_key, metadata
      FROM social_connected_accounts
      WHERE user_id = $1
        AND team_id IS NULL
@@ -52,14 +53,14 @@ const getPersonalThreadsAccount = async (platformUserId) => {
     [platformUserId]
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const getPersonalThreadsAccountById = async (platformUserId, targetAccountId) => {
   if (!platformUserId || !targetAccountId) return null;
 
   const result = await query(
-    `SELECT id, user_id, team_id, account_id, account_username, account_display_name, profile_image_url, access_token, token_expires_at, metadata
+    `SELECT id, user_id, team_id, account_id, account_username, account_display_name, profile_image_url, access_token, token_expires_at, token_key_id, token_data_key, metadata
      FROM social_connected_accounts
      WHERE user_id = $1
        AND team_id IS NULL
@@ -70,7 +71,7 @@ const getPersonalThreadsAccountById = async (platformUserId, targetAccountId) =>
     [platformUserId, String(targetAccountId)]
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const getTeamThreadsAccountForMember = async (platformUserId, platformTeamId) => {
@@ -78,7 +79,7 @@ const getTeamThreadsAccountForMember = async (platformUserId, platformTeamId) =>
 
   const result = await query(
     `SELECT sca.id, sca.user_id, sca.team_id, sca.account_id, sca.account_username, sca.account_display_name,
-            sca.profile_image_url, sca.access_token, sca.token_expires_at, sca.metadata
+            sca.profile_image_url, sca.access_token, sca.token_expires_at, sca.token_key_id, sca.token_data_key, sca.metadata
      FROM social_connected_accounts sca
      INNER JOIN team_members tm
        ON tm.team_id::text = sca.team_id::text
@@ -92,7 +93,7 @@ const getTeamThreadsAccountForMember = async (platformUserId, platformTeamId) =>
     [platformUserId, String(platformTeamId)]
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const getTeamThreadsAccountForMemberById = async (platformUserId, platformTeamId, targetAccountId) => {
@@ -100,7 +101,7 @@ const getTeamThreadsAccountForMemberById = async (platformUserId, platformTeamId
 
   const result = await query(
     `SELECT sca.id, sca.user_id, sca.team_id, sca.account_id, sca.account_username, sca.account_display_name,
-            sca.profile_image_url, sca.access_token, sca.token_expires_at, sca.metadata
+            sca.profile_image_url, sca.access_token, sca.token_expires_at, sca.token_key_id, sca.token_data_key, sca.metadata
      FROM social_connected_accounts sca
      INNER JOIN team_members tm
        ON tm.team_id::text = sca.team_id::text
@@ -114,7 +115,7 @@ const getTeamThreadsAccountForMemberById = async (platformUserId, platformTeamId
     [platformUserId, String(platformTeamId), String(targetAccountId)]
   );
 
-  return result.rows[0] || null;
+  return decryptAccountTokens(result.rows[0] || null);
 };
 
 const isTokenExpired = (tokenExpiresAt) => {
@@ -1,8 +1,17 @@
 ﻿import express from 'express';
-import { uploadMedia, uploadMiddleware } from '../controllers/mediaController.js';
+import {
+  deleteAsset,
+  listAssets,
+  updateAssetTags,
+  uploadMedia,
+  uploadMiddleware,
+} from '../controllers/mediaController.js';
 
 const router = express.Router();
 
 router.post('/upload', uploadMiddleware.single('file'), uploadMedia);
+router.get('/assets', listAssets);
+router.patch('/assets/:assetId', updateAssetTags);
+router.delete('/assets/:assetId', deleteAsset);
 
 export default router;
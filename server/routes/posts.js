@@ -6,6 +6,19 @@ import {
   listHistoryPosts,
   deleteHistoryPost,
 } from '../controllers/postsController.js';
+import {
+  listDrafts,
+  getDraft,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  promoteDraft,
+} from '../controllers/draftsController.js';
+import {
+  getPostActivity,
+  createPostComment,
+  removePostComment,
+} from '../controllers/postActivityController.js';
 
 const router = express.Router();
 
@@ -13,6 +26,15 @@ router.post('/preflight', preflightPost);
 router.post('/', createPost);
 router.get('/recent', listRecentPosts);
 router.get('/history', listHistoryPosts);
+router.get('/drafts', listDrafts);
+router.post('/drafts', createDraft);
+router.get('/drafts/:draftId', getDraft);
+router.patch('/drafts/:draftId', updateDraft);
+router.delete('/drafts/:draftId', deleteDraft);
+router.post('/drafts/:draftId/promote', promoteDraft);
+router.get('/:postId/activity', getPostActivity);
+router.post('/:postId/comments', createPostComment);
+router.delete('/:postId/comments/:commentId', removePostComment);
 router.delete('/:postId', deleteHistoryPost);
 
 export default router;
@@ -1,16 +1,61 @@
 import express from 'express';
 import {
   listScheduledPosts,
+  getUploadProgress,
+  updateScheduledPost,
   reschedulePost,
   retryPost,
   cancelScheduledPost,
+  listFailedPosts,
+  bulkRecoverFailedPosts,
 } from '../controllers/scheduleController.js';
+import {
+  createSeries,
+  listSeries,
+  updateSeries,
+  pauseSeries,
+  resumeSeries,
+  cancelSeries,
+} from '../controllers/seriesController.js';
+import {
+  listSlots,
+  createSlots,
+  updateSlot,
+  deleteSlot,
+  getNextSlot,
+} from '../controllers/queueController.js';
+import {
+  getApprovalPolicy,
+  updateApprovalPolicy,
+  approvePost,
+  rejectPost,
+} from '../controllers/approvalsController.js';
+import { requirePostApprover } from '../middleware/requirePostApprover.js';
 
 const router = express.Router();
 
 router.get('/', listScheduledPosts);
+router.get('/failed', listFailedPosts);
+router.post('/failed/bulk', bulkRecoverFailedPosts);
+router.get('/series', listSeries);
+router.post('/series', createSeries);
+router.patch('/series/:seriesId', updateSeries);
+router.post('/series/:seriesId/pause', pauseSeries);
+router.post('/series/:seriesId/resume', resumeSeries);
+router.delete('/series/:seriesId', cancelSeries);
+router.get('/slots', listSlots);
+router.get('/slots/next', getNextSlot);
+router.post('/slots', createSlots);
+router.patch('/slots/:slotId', updateSlot);
+router.delete('/slots/:slotId', deleteSlot);
+router.get('/approval-policy', getApprovalPolicy);
+router.put('/approval-policy', requirePostApprover, updateApprovalPolicy);
+router.post('/:postId/approve', requirePostApprover, approvePost);
+router.post('/:postId/reject', requirePostApprover, rejectPost);
+router.get('/:postId/upload-progress', getUploadProgress);
 router.patch('/:postId/reschedule', reschedulePost);
 router.post('/:postId/retry', retryPost);
+router.patch('/:postId', updateScheduledPost);
 router.delete('/:postId', cancelScheduledPost);
 
 export default router;
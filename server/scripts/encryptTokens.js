@@ -0,0 +1,60 @@
+import { ensureSchema } from '../config/schema.js';
+import { query } from '../config/database.js';
+import { encryptAccountTokens, isEncryptedToken, isTokenEncryptionEnabled } from '../utils/tokenCrypto.js';
+
+// Seals connected-account tokens that were stored before encryption was
+// enabled. Safe to re-run: rows that already have a data key are skipped.
+const BATCH_SIZE = 200;
+
+const run = async () => {
+  await ensureSchema();
+
+  if (!isTokenEncryptionEnabled()) {
+    throw new Error('SOCIAL_TOKEN_ENCRYPTION_KEYS must be set before encrypting tokens');
+  }
+
+  let cursor = '00000000-0000-0000-0000-000000000000';
+  let encrypted = 0;
+
+  for (;;) {
+    const result = await query(
+      `SELECT id, access_token, refresh_token
+       FROM social_connected_accounts
+       WHERE id > $1
+         AND token_data_key IS NULL
+         AND (access_token IS NOT NULL OR refresh_token IS NOT NULL)
+       ORDER BY id ASC
+       LIMIT $2`,
+      [cursor, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      cursor = row.id;
+      if (isEncryptedToken(row.access_token) || isEncryptedToken(row.refresh_token)) {
+        console.warn(`Skipping account ${row.id}: tokens look encrypted but the row has no data key`);
+        continue;
+      }
+
+      const sealed = encryptAccountTokens({ accessToken: row.access_token, refreshToken: row.refresh_token });
+      const updated = await query(
+        `UPDATE social_connected_accounts
+         SET access_token = $2,
+             refresh_token = $3,
+             token_key_id = $4,
+             token_data_key = $5
+         WHERE id = $1 AND token_data_key IS NULL`,
+        [row.id, sealed.accessToken, sealed.refreshToken, sealed.keyId, sealed.dataKey]
+      );
+      encrypted += updated.rowCount || 0;
+    }
+  }
+
+  console.log(`Encrypted tokens for ${encrypted} connected account(s)`);
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('Token encryption failed:', error);
+  process.exit(1);
+});
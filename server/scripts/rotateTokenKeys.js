@@ -0,0 +1,54 @@
+import { query } from '../config/database.js';
+import { getActiveTokenKeyId, rewrapDataKey } from '../utils/tokenCrypto.js';
+
+// Re-wraps every account's data key under the active master key (or the one
+// passed as `--key <id>`). Keep the old key in SOCIAL_TOKEN_ENCRYPTION_KEYS
+// until this has finished, then it can be removed.
+const BATCH_SIZE = 200;
+
+const resolveTargetKeyId = () => {
+  const flagIndex = process.argv.indexOf('--key');
+  if (flagIndex !== -1) return String(process.argv[flagIndex + 1] || '').trim();
+  return getActiveTokenKeyId();
+};
+
+const run = async () => {
+  const targetKeyId = resolveTargetKeyId();
+  if (!targetKeyId) {
+    throw new Error('No target key: set SOCIAL_TOKEN_ENCRYPTION_KEYS or pass --key <id>');
+  }
+
+  let rotated = 0;
+
+  for (;;) {
+    const result = await query(
+      `SELECT id, token_key_id, token_data_key
+       FROM social_connected_accounts
+       WHERE token_data_key IS NOT NULL
+         AND token_key_id IS DISTINCT FROM $1
+       ORDER BY id ASC
+       LIMIT $2`,
+      [targetKeyId, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      const updated = await query(
+        `UPDATE social_connected_accounts
+         SET token_key_id = $2,
+             token_data_key = $3
+         WHERE id = $1 AND token_key_id = $4`,
+        [row.id, targetKeyId, rewrapDataKey(row, targetKeyId), row.token_key_id]
+      );
+      rotated += updated.rowCount || 0;
+    }
+  }
+
+  console.log(`Re-wrapped data keys for ${rotated} connected account(s) under key "${targetKeyId}"`);
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('Token key rotation failed:', error);
+  process.exit(1);
+});
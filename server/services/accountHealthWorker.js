@@ -0,0 +1,157 @@
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { fetchInstagramProfileStats } from './instagramService.js';
+import { fetchThreadsProfileStats } from './threadsService.js';
+import { fetchYoutubeChannelStats } from './youtubeService.js';
+import { extractProviderErrorMessage } from '../utils/publishErrors.js';
+import { classifyAccountHealthError } from '../utils/accountHealth.js';
+import { decryptAccountTokens } from '../utils/tokenCrypto.js';
+
+const HEALTH_ENABLED = String(process.env.SOCIAL_ACCOUNT_HEALTH_ENABLED || 'true').toLowerCase() === 'true';
+const HEALTH_POLL_MS = Math.max(60000, Number.parseInt(process.env.SOCIAL_ACCOUNT_HEALTH_POLL_MS || '900000', 10));
+const HEALTH_BATCH_SIZE = Math.max(1, Number.parseInt(process.env.SOCIAL_ACCOUNT_HEALTH_BATCH_SIZE || '25', 10));
+const HEALTH_INTERVAL_HOURS = Math.max(1, Number.parseInt(process.env.SOCIAL_ACCOUNT_HEALTH_INTERVAL_HOURS || '6', 10));
+const EXPIRING_WINDOW_DAYS = Math.max(1, Number.parseInt(process.env.SOCIAL_ACCOUNT_HEALTH_EXPIRING_DAYS || '7', 10));
+
+let pollTimer = null;
+let isRunning = false;
+
+// The probe reads the account's own profile, which every connected token is
+// allowed to do, so a failure says something about the token itself.
+const PROFILE_PROBES = {
+  instagram: (account) => fetchInstagramProfileStats({ accountId: account.account_id, accessToken: account.access_token }),
+  threads: (account) => fetchThreadsProfileStats({ accountId: account.account_id, accessToken: account.access_token }),
+  youtube: (account) => fetchYoutubeChannelStats({ connection: account }),
+};
+
+// YouTube access tokens are short-lived by design and renewed from the
+// refresh token on use, so their expiry says nothing about account health.
+const canRenewOnUse = (account) => account.platform === 'youtube' && Boolean(String(account.refresh_token || '').trim());
+
+const getExpiryMs = (account) => {
+  const expiresAtMs = account.token_expires_at ? new Date(account.token_expires_at).getTime() : Number.NaN;
+  return Number.isFinite(expiresAtMs) ? expiresAtMs : null;
+};
+
+const listAccountsDueForHealthCheck = async () => {
+  const result = await query(
+    `SELECT id, platform, account_id, access_token, refresh_token, token_expires_at,
+            token_key_id, token_data_key, health_status
+     FROM social_connected_accounts
+     WHERE is_active = true
+       AND platform = ANY($1::text[])
+       AND (health_checked_at IS NULL OR health_checked_at < NOW() - ($2::int * INTERVAL '1 hour'))
+     ORDER BY health_checked_at ASC NULLS FIRST
+     LIMIT $3`,
+    [Object.keys(PROFILE_PROBES), HEALTH_INTERVAL_HOURS, HEALTH_BATCH_SIZE]
+  );
+
+  return result.rows;
+};
+
+const saveHealth = async (account, { status, error = null }) => {
+  await query(
+    `UPDATE social_connected_accounts
+     SET health_status = $2,
+         health_error = $3,
+         health_checked_at = NOW()
+     WHERE id = $1`,
+    [account.id, status, error ? String(error).slice(0, 1000) : null]
+  );
+
+  if (status !== (account.health_status || 'ok')) {
+    logger.info('Connected account health changed', {
+      accountId: account.id,
+      platform: account.platform,
+      from: account.health_status || 'ok',
+      to: status,
+    });
+  }
+};
+
+export const probeAccountHealth = async (account) => {
+  const expiresAtMs = getExpiryMs(account);
+  const renewsOnUse = canRenewOnUse(account);
+
+  if (!renewsOnUse && expiresAtMs !== null && expiresAtMs <= Date.now()) {
+    await saveHealth(account, { status: 'expired', error: 'Access token expired' });
+    return;
+  }
+
+  try {
+    await PROFILE_PROBES[account.platform](decryptAccountTokens(account));
+  } catch (error) {
+    const status = classifyAccountHealthError(error, { platform: account.platform });
+    // Transient failures keep the last known state until the next probe.
+    await saveHealth(account, {
+      status: status || account.health_status || 'ok',
+      error: extractProviderErrorMessage(error),
+    });
+    return;
+  }
+
+  const expiringSoon =
+    !renewsOnUse &&
+    expiresAtMs !== null &&
+    expiresAtMs - Date.now() <= EXPIRING_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  await saveHealth(account, { status: expiringSoon ? 'expiring' : 'ok' });
+};
+
+const tick = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const accounts = await listAccountsDueForHealthCheck();
+    for (const account of accounts) {
+      try {
+        await probeAccountHealth(account);
+      } catch (error) {
+        logger.warn('Account health probe failed', {
+          accountId: account.id,
+          platform: account.platform,
+          error: error?.message || String(error),
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Account health tick failed', { message: error?.message || String(error) });
+  } finally {
+    isRunning = false;
+  }
+};
+
+export const runAccountHealthTick = async () => {
+  return tick();
+};
+
+export const startAccountHealthWorker = () => {
+  if (!HEALTH_ENABLED) {
+    logger.info('Account health worker disabled via SOCIAL_ACCOUNT_HEALTH_ENABLED');
+    return;
+  }
+
+  if (pollTimer) {
+    return;
+  }
+
+  logger.info('Account health worker started', {
+    pollMs: HEALTH_POLL_MS,
+    batchSize: HEALTH_BATCH_SIZE,
+    intervalHours: HEALTH_INTERVAL_HOURS,
+  });
+
+  tick().catch(() => null);
+  pollTimer = setInterval(() => {
+    tick().catch(() => null);
+  }, HEALTH_POLL_MS);
+};
+
+export const stopAccountHealthWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
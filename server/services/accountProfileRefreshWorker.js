@@ -0,0 +1,139 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { fetchInstagramProfileStats } from './instagramService.js';
+import { fetchThreadsProfileStats } from './threadsService.js';
+import { fetchYoutubeChannelStats } from './youtubeService.js';
+import { extractProviderErrorMessage } from '../utils/publishErrors.js';
+import { decryptAccountTokens } from '../utils/tokenCrypto.js';
+
+const REFRESH_ENABLED = String(process.env.SOCIAL_PROFILE_REFRESH_ENABLED || 'true').toLowerCase() === 'true';
+const REFRESH_POLL_MS = Math.max(60000, Number.parseInt(process.env.SOCIAL_PROFILE_REFRESH_POLL_MS || '3600000', 10));
+const REFRESH_BATCH_SIZE = Math.max(1, Number.parseInt(process.env.SOCIAL_PROFILE_REFRESH_BATCH_SIZE || '25', 10));
+const FAILURE_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+let pollTimer = null;
+let isRunning = false;
+
+// connected account id -> last failed attempt (ms). Keeps broken accounts from
+// starving healthy ones out of every batch.
+const recentFailures = new Map();
+
+const PROFILE_FETCHERS = {
+  instagram: (account) => fetchInstagramProfileStats({ accountId: account.account_id, accessToken: account.access_token }),
+  threads: (account) => fetchThreadsProfileStats({ accountId: account.account_id, accessToken: account.access_token }),
+  youtube: (account) => fetchYoutubeChannelStats({ connection: account }),
+};
+
+// Accounts that have no snapshot for today. Failed accounts are retried after
+// a cooldown, so a transient outage does not lose the day.
+const listAccountsDueForRefresh = async () => {
+  const now = Date.now();
+  for (const [accountId, failedAt] of recentFailures) {
+    if (now - failedAt >= FAILURE_COOLDOWN_MS) recentFailures.delete(accountId);
+  }
+
+  const result = await query(
+    `SELECT sca.id, sca.platform, sca.account_id, sca.access_token, sca.refresh_token, sca.token_expires_at,
+            sca.token_key_id, sca.token_data_key
+     FROM social_connected_accounts sca
+     WHERE sca.is_active = true
+       AND sca.platform = ANY($1::text[])
+       AND NOT EXISTS (
+         SELECT 1
+         FROM social_account_profile_snapshots snap
+         WHERE snap.connected_account_id = sca.id
+           AND snap.captured_on = CURRENT_DATE
+       )
+       AND NOT (sca.id::text = ANY($3::text[]))
+     ORDER BY sca.updated_at ASC
+     LIMIT $2`,
+    [Object.keys(PROFILE_FETCHERS), REFRESH_BATCH_SIZE, [...recentFailures.keys()]]
+  );
+
+  return result.rows;
+};
+
+const saveProfileSnapshot = async (account, stats) => {
+  await query(
+    `INSERT INTO social_account_profile_snapshots (
+       id, connected_account_id, platform, captured_on, followers_count, following_count, media_count, captured_at
+     ) VALUES ($1, $2, $3, CURRENT_DATE, $4, $5, $6, NOW())
+     ON CONFLICT (connected_account_id, captured_on) DO UPDATE
+     SET followers_count = EXCLUDED.followers_count,
+         following_count = EXCLUDED.following_count,
+         media_count = EXCLUDED.media_count,
+         captured_at = EXCLUDED.captured_at`,
+    [uuidv4(), account.id, account.platform, stats.followers, stats.following, stats.media]
+  );
+
+  if (stats.followers !== null && stats.followers !== undefined) {
+    await query(
+      `UPDATE social_connected_accounts
+       SET followers_count = $2
+       WHERE id = $1`,
+      [account.id, stats.followers]
+    );
+  }
+};
+
+const tick = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const accounts = await listAccountsDueForRefresh();
+    for (const account of accounts) {
+      try {
+        const stats = await PROFILE_FETCHERS[account.platform](decryptAccountTokens(account));
+        await saveProfileSnapshot(account, stats);
+        recentFailures.delete(account.id);
+      } catch (error) {
+        recentFailures.set(account.id, Date.now());
+        logger.warn('Account profile refresh failed', {
+          accountId: account.id,
+          platform: account.platform,
+          error: extractProviderErrorMessage(error),
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Account profile refresh tick failed', { message: error?.message || String(error) });
+  } finally {
+    isRunning = false;
+  }
+};
+
+export const runProfileRefreshTick = async () => {
+  return tick();
+};
+
+export const startAccountProfileRefreshWorker = () => {
+  if (!REFRESH_ENABLED) {
+    logger.info('Account profile refresh worker disabled via SOCIAL_PROFILE_REFRESH_ENABLED');
+    return;
+  }
+
+  if (pollTimer) {
+    return;
+  }
+
+  logger.info('Account profile refresh worker started', {
+    pollMs: REFRESH_POLL_MS,
+    batchSize: REFRESH_BATCH_SIZE,
+  });
+
+  tick().catch(() => null);
+  pollTimer = setInterval(() => {
+    tick().catch(() => null);
+  }, REFRESH_POLL_MS);
+};
+
+export const stopAccountProfileRefreshWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
@@ -0,0 +1,161 @@
+import { query } from '../config/database.js';
+import { decryptAccountTokens } from '../utils/tokenCrypto.js';
+
+const ACCOUNT_COLUMNS = 'id, account_id, access_token, refresh_token, token_expires_at, token_key_id, token_data_key';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const parseJsonObject = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+};
+
+// Resolves the connected account a stored post publishes through. An explicit
+// metadata.target_account_ids[platform] must still be connected; without one
+// the most recently updated active account in the post's owner scope is used.
+// Never falling back from an explicit target keeps a post meant for one brand
+// from going out on another.
+export const getConnectedAccountForPost = async (post, platform) => {
+  const metadata = parseJsonObject(post?.metadata);
+  const targetAccountIds =
+    metadata?.target_account_ids && typeof metadata.target_account_ids === 'object'
+      ? metadata.target_account_ids
+      : {};
+  const explicitTargetAccountId =
+    targetAccountIds?.[platform] !== undefined && targetAccountIds?.[platform] !== null
+      ? String(targetAccountIds[platform]).trim() || null
+      : null;
+
+  if (explicitTargetAccountId) {
+    const params = [explicitTargetAccountId, platform];
+    const filters = [`id::text = $1::text`, `platform = $2`, `is_active = true`];
+
+    if (post.team_id) {
+      params.push(post.team_id);
+      filters.push(`team_id::text = $${params.length}::text`);
+    } else {
+      params.push(post.user_id);
+      filters.push(`user_id = $${params.length}`);
+      filters.push(`team_id IS NULL`);
+    }
+
+    const explicitResult = await query(
+      `SELECT ${ACCOUNT_COLUMNS}
+       FROM social_connected_accounts
+       WHERE ${filters.join(' AND ')}
+       LIMIT 1`,
+      params
+    );
+
+    return decryptAccountTokens(explicitResult.rows[0] || null);
+  }
+
+  if (post.team_id) {
+    const result = await query(
+      `SELECT ${ACCOUNT_COLUMNS}
+       FROM social_connected_accounts
+       WHERE team_id = $1 AND platform = $2 AND is_active = true
+       ORDER BY updated_at DESC
+       LIMIT 1`,
+      [post.team_id, platform]
+    );
+    return decryptAccountTokens(result.rows[0] || null);
+  }
+
+  const result = await query(
+    `SELECT ${ACCOUNT_COLUMNS}
+     FROM social_connected_accounts
+     WHERE user_id = $1 AND team_id IS NULL AND platform = $2 AND is_active = true
+     ORDER BY updated_at DESC
+     LIMIT 1`,
+    [post.user_id, platform]
+  );
+  return decryptAccountTokens(result.rows[0] || null);
+};
+
+// Checks requested per-platform target account ids ({ instagram: id, ... })
+// against the owner's active connected accounts. Entries for platforms outside
+// `platforms` are dropped; ids that are malformed, unknown or belong to another
+// platform are reported in invalidPlatforms.
+export const validateTargetAccountIds = async ({ userId, teamId = null, targetAccountIds, platforms = [] }) => {
+  const requested = parseJsonObject(targetAccountIds);
+  const entries = Object.entries(requested)
+    .map(([platform, accountId]) => [String(platform).toLowerCase(), String(accountId ?? '').trim().toLowerCase()])
+    .filter(([platform, accountId]) => platforms.includes(platform) && accountId);
+
+  const invalidPlatforms = entries
+    .filter(([, accountId]) => !UUID_PATTERN.test(accountId))
+    .map(([platform]) => platform);
+  const candidates = entries.filter(([platform]) => !invalidPlatforms.includes(platform));
+
+  if (candidates.length === 0) {
+    return { targetAccountIds: {}, invalidPlatforms };
+  }
+
+  const ownerFilter = teamId ? 'team_id = $2' : 'user_id = $2 AND team_id IS NULL';
+  const result = await query(
+    `SELECT id, platform
+     FROM social_connected_accounts
+     WHERE id = ANY($1::uuid[]) AND ${ownerFilter} AND is_active = true`,
+    [candidates.map(([, accountId]) => accountId), teamId || userId]
+  );
+  const platformById = new Map(result.rows.map((row) => [String(row.id), row.platform]));
+
+  const validTargets = {};
+  for (const [platform, accountId] of candidates) {
+    if (platformById.get(accountId) === platform) {
+      validTargets[platform] = accountId;
+    } else {
+      invalidPlatforms.push(platform);
+    }
+  }
+
+  return { targetAccountIds: validTargets, invalidPlatforms };
+};
+
+export const ensureConnectedPlatforms = async ({ userId, teamId, isTeamMember, platforms }) => {
+  const baseQuery = isTeamMember && teamId
+    ? `SELECT platform FROM social_connected_accounts WHERE team_id = $1 AND is_active = true AND platform = ANY($2::text[])`
+    : `SELECT platform FROM social_connected_accounts WHERE user_id = $1 AND team_id IS NULL AND is_active = true AND platform = ANY($2::text[])`;
+
+  const baseParams = isTeamMember && teamId ? [teamId, platforms] : [userId, platforms];
+  const result = await query(baseQuery, baseParams);
+  const connected = new Set(result.rows.map((row) => row.platform));
+  const missing = platforms.filter((platform) => !connected.has(platform));
+  return missing;
+};
+
+// Without an explicit accountId the most recently updated account of the
+// platform is used, which is what single-account owners expect.
+export const getConnectedAccountByPlatform = async ({ userId, teamId, isTeamMember, platform, accountId = null }) => {
+  const params = [isTeamMember && teamId ? teamId : userId, platform];
+  const filters = [
+    isTeamMember && teamId ? 'team_id = $1' : 'user_id = $1 AND team_id IS NULL',
+    'platform = $2',
+    'is_active = true',
+  ];
+
+  if (accountId) {
+    params.push(accountId);
+    filters.push(`id = $${params.length}`);
+  }
+
+  const result = await query(
+    `SELECT id, account_id, account_username, account_display_name, access_token, refresh_token, token_expires_at,
+            token_key_id, token_data_key, metadata, health_status
+     FROM social_connected_accounts
+     WHERE ${filters.join(' AND ')}
+     ORDER BY updated_at DESC
+     LIMIT 1`,
+    params
+  );
+
+  return decryptAccountTokens(result.rows[0] || null);
+};
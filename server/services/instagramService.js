@@ -1,4 +1,5 @@
 ﻿import axios from 'axios';
+import { isProviderRateLimitError } from '../utils/publishErrors.js';
 
 const INSTAGRAM_API_VERSION = process.env.INSTAGRAM_API_VERSION || 'v23.0';
 const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.m4v', '.webm', '.avi', '.mpeg', '.mpg']);
@@ -116,7 +117,24 @@ const waitUntilContainerReady = async (containerId, accessToken) => {
   throw asHttpError(408, 'Instagram media processing timed out', 'INSTAGRAM_MEDIA_PROCESSING_TIMEOUT');
 };
 
-const createContainerForSinglePost = async ({ accountId, accessToken, mediaUrl, caption, contentType }) => {
+// Maps the options stored on a post to container params. Only fields that
+// passed preflight for this content type are ever present.
+const buildOptionParams = (options, requestHost) => {
+  if (!options || typeof options !== 'object') return {};
+
+  const params = {};
+  if (options.coverUrl) params.cover_url = resolvePublicMediaUrl(options.coverUrl, requestHost);
+  if (Number.isInteger(options.thumbOffset)) params.thumb_offset = options.thumbOffset;
+  if (typeof options.shareToFeed === 'boolean') params.share_to_feed = options.shareToFeed;
+  if (Array.isArray(options.userTags) && options.userTags.length > 0) params.user_tags = JSON.stringify(options.userTags);
+  if (options.locationId) params.location_id = options.locationId;
+  if (Array.isArray(options.collaborators) && options.collaborators.length > 0) {
+    params.collaborators = JSON.stringify(options.collaborators);
+  }
+  return params;
+};
+
+const createContainerForSinglePost = async ({ accountId, accessToken, mediaUrl, caption, contentType, optionParams = {} }) => {
   const isVideo = isVideoUrl(mediaUrl);
   const normalizedType = String(contentType || 'feed').toLowerCase();
 
@@ -125,6 +143,7 @@ const createContainerForSinglePost = async ({ accountId, accessToken, mediaUrl,
   }
 
   const params = {
+    ...optionParams,
     access_token: accessToken,
   };
 
@@ -158,7 +177,7 @@ const createContainerForSinglePost = async ({ accountId, accessToken, mediaUrl,
   return container.id;
 };
 
-const publishCarousel = async ({ accountId, accessToken, mediaUrls, caption }) => {
+const publishCarousel = async ({ accountId, accessToken, mediaUrls, caption, optionParams = {} }) => {
   if (!Array.isArray(mediaUrls) || mediaUrls.length < 2) {
     throw asHttpError(400, 'Carousel requires at least 2 media URLs', 'INSTAGRAM_CAROUSEL_MIN_ITEMS');
   }
@@ -188,6 +207,7 @@ const publishCarousel = async ({ accountId, accessToken, mediaUrls, caption }) =
   }
 
   const parent = await postGraph(`/${accountId}/media`, {
+    ...optionParams,
     access_token: accessToken,
     media_type: 'CAROUSEL',
     children: childContainerIds.join(','),
@@ -213,6 +233,7 @@ export const publishInstagramPost = async ({
   mediaUrls,
   caption,
   contentType = 'feed',
+  options = null,
   requestHost = null,
 }) => {
   if (!accountId || !accessToken) {
@@ -225,6 +246,7 @@ export const publishInstagramPost = async ({
 
   const publicUrls = mediaUrls.map((url) => resolvePublicMediaUrl(url, requestHost));
   const normalizedType = String(contentType || 'feed').toLowerCase();
+  const optionParams = buildOptionParams(options, requestHost);
 
   if (normalizedType === 'carousel') {
     return publishCarousel({
@@ -232,6 +254,7 @@ export const publishInstagramPost = async ({
       accessToken,
       mediaUrls: publicUrls,
       caption,
+      optionParams,
     });
   }
 
@@ -241,6 +264,7 @@ export const publishInstagramPost = async ({
     mediaUrl: publicUrls[0],
     caption,
     contentType: normalizedType,
+    optionParams,
   });
 
   const publish = await postGraph(`/${accountId}/media_publish`, {
@@ -253,3 +277,92 @@ export const publishInstagramPost = async ({
     publishId: publish.id,
   };
 };
+
+const readInsightValue = (insights, name) => {
+  const entry = (Array.isArray(insights?.data) ? insights.data : []).find((item) => item?.name === name);
+  const raw = entry?.total_value?.value ?? entry?.values?.[0]?.value;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : null;
+};
+
+export const fetchInstagramMediaInsights = async ({ mediaId, accessToken }) => {
+  if (!mediaId || !accessToken) {
+    throw asHttpError(400, 'Instagram media id and access token are required', 'INSTAGRAM_ACCOUNT_INCOMPLETE');
+  }
+
+  const media = await getGraph(`/${mediaId}`, {
+    fields: 'like_count,comments_count',
+    access_token: accessToken,
+  });
+
+  let reach = null;
+  try {
+    const insights = await getGraph(`/${mediaId}/insights`, {
+      metric: 'reach',
+      access_token: accessToken,
+    });
+    reach = readInsightValue(insights, 'reach');
+  } catch (error) {
+    // Reach is unavailable for some media (expired stories, pre-business posts).
+    // Rate limits must still surface so the caller can back off.
+    if (isProviderRateLimitError(error)) {
+      throw error;
+    }
+  }
+
+  return {
+    likes: Number.isFinite(Number(media?.like_count)) ? Number(media.like_count) : null,
+    comments: Number.isFinite(Number(media?.comments_count)) ? Number(media.comments_count) : null,
+    reach,
+  };
+};
+
+export const fetchInstagramProfileStats = async ({ accountId, accessToken }) => {
+  if (!accountId || !accessToken) {
+    throw asHttpError(400, 'Instagram account is not fully connected', 'INSTAGRAM_ACCOUNT_INCOMPLETE');
+  }
+
+  const profile = await getGraph(`/${accountId}`, {
+    fields: 'followers_count,follows_count,media_count',
+    access_token: accessToken,
+  });
+
+  const toCount = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+  return {
+    followers: toCount(profile?.followers_count),
+    following: toCount(profile?.follows_count),
+    media: toCount(profile?.media_count),
+  };
+};
+
+// Instagram is connected through Facebook Login, so the stored token is a
+// long-lived Facebook user token. Exchanging it again before it expires
+// returns a fresh ~60 day token.
+export const refreshInstagramLongLivedToken = async ({ accessToken }) => {
+  const appId = String(process.env.INSTAGRAM_APP_ID || '').trim();
+  const appSecret = String(process.env.INSTAGRAM_APP_SECRET || '').trim();
+  if (!appId || !appSecret) {
+    throw asHttpError(500, 'INSTAGRAM_APP_ID/INSTAGRAM_APP_SECRET are required to refresh tokens', 'INSTAGRAM_APP_NOT_CONFIGURED');
+  }
+
+  if (!accessToken) {
+    throw asHttpError(400, 'Instagram access token is missing. Reconnect Instagram account.', 'INSTAGRAM_TOKEN_MISSING');
+  }
+
+  const data = await getGraph('/oauth/access_token', {
+    grant_type: 'fb_exchange_token',
+    client_id: appId,
+    client_secret: appSecret,
+    fb_exchange_token: accessToken,
+  });
+
+  if (!data?.access_token) {
+    throw asHttpError(502, 'Instagram did not return a refreshed token', 'INSTAGRAM_TOKEN_REFRESH_FAILED');
+  }
+
+  const expiresIn = Number.parseInt(data.expires_in || '0', 10);
+  return {
+    accessToken: data.access_token,
+    tokenExpiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+  };
+};
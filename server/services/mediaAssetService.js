@@ -0,0 +1,255 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+
+// Every upload made by a signed-in user is kept in social_media_assets so it
+// can be picked again from the library instead of being uploaded twice.
+// Assets belong to the team when one is active, otherwise to the user alone.
+// checksum is the MD5 of the uploaded bytes and is how a repeat upload of
+// the same file is recognised.
+
+export const MAX_ASSET_TAGS = 20;
+export const MAX_ASSET_TAG_LENGTH = 40;
+export const ASSET_TYPES = new Set(['image', 'video']);
+
+// Posts in these statuses are being published or can still be published
+// (failed and partially posted ones by a retry, drafts once promoted), so the
+// files they point at have to stay on Cloudinary.
+const ASSET_HOLDING_POST_STATUSES = [
+  'draft',
+  'scheduled',
+  'publishing',
+  'failed',
+  'partially_posted',
+  'pending_approval',
+  'rejected',
+];
+const ASSET_HOLDING_SERIES_STATUSES = ['active', 'paused'];
+
+const asHttpError = (status, message, code = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+const buildScopeClause = ({ userId, teamId, startIndex = 1 }) => {
+  if (teamId) {
+    return {
+      clause: `team_id = $${startIndex}`,
+      params: [teamId],
+    };
+  }
+
+  return {
+    clause: `user_id = $${startIndex} AND team_id IS NULL`,
+    params: [userId],
+  };
+};
+
+// Accepts an array or a comma separated string. Tags are compared
+// case-insensitively, so they are stored lowercased.
+export const normalizeAssetTags = (value) => {
+  const raw = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tags = [...new Set(raw.map((tag) => String(tag ?? '').trim().toLowerCase()).filter(Boolean))];
+
+  if (tags.length > MAX_ASSET_TAGS) {
+    throw asHttpError(400, `An asset can have at most ${MAX_ASSET_TAGS} tags`, 'ASSET_TAGS_INVALID');
+  }
+  if (tags.some((tag) => tag.length > MAX_ASSET_TAG_LENGTH)) {
+    throw asHttpError(400, `Tags must be ${MAX_ASSET_TAG_LENGTH} characters or fewer`, 'ASSET_TAGS_INVALID');
+  }
+
+  return tags;
+};
+
+export const findAssetByChecksum = async ({ userId, teamId, checksum }) => {
+  if (!checksum) return null;
+
+  const { clause, params } = buildScopeClause({ userId, teamId, startIndex: 2 });
+  const result = await query(
+    `SELECT *
+     FROM social_media_assets
+     WHERE checksum = $1 AND ${clause}
+     ORDER BY created_at ASC
+     LIMIT 1`,
+    [checksum, ...params]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const recordMediaAsset = async ({ userId, teamId, upload, mimeType, originalName, checksum, tags = [] }) => {
+  const resourceType = upload.resource_type === 'video' ? 'video' : 'image';
+  const duration = Number(upload.duration);
+
+  const result = await query(
+    `INSERT INTO social_media_assets (
+       id, user_id, team_id, public_id, url, resource_type, mime_type, format,
+       width, height, duration_seconds, size_bytes, checksum, original_name, tags,
+       created_at, updated_at
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15::jsonb, NOW(), NOW())
+     RETURNING *`,
+    [
+      uuidv4(),
+      userId,
+      teamId || null,
+      upload.public_id,
+      upload.secure_url,
+      resourceType,
+      mimeType || null,
+      upload.format || null,
+      upload.width || null,
+      upload.height || null,
+      Number.isFinite(duration) ? duration : null,
+      upload.bytes || null,
+      checksum || null,
+      originalName || null,
+      JSON.stringify(tags),
+    ]
+  );
+
+  return result.rows[0];
+};
+
+// search matches the original file name or any tag; tag must match exactly.
+// One extra row is fetched to tell the caller whether there is another page.
+export const listMediaAssets = async ({ userId, teamId, search = '', type = null, tag = null, limit = 30, offset = 0 }) => {
+  const { clause, params } = buildScopeClause({ userId, teamId });
+  const filters = [clause];
+  const queryParams = [...params];
+
+  if (type && ASSET_TYPES.has(type)) {
+    queryParams.push(type);
+    filters.push(`resource_type = $${queryParams.length}`);
+  }
+
+  if (tag) {
+    queryParams.push(String(tag).trim().toLowerCase());
+    filters.push(`tags ? $${queryParams.length}`);
+  }
+
+  const term = String(search || '').trim();
+  if (term) {
+    queryParams.push(`%${term.replace(/[\\%_]/g, '\\$&')}%`);
+    filters.push(
+      `(original_name ILIKE $${queryParams.length}
+        OR EXISTS (SELECT 1 FROM jsonb_array_elements_text(tags) AS t(tag) WHERE t.tag ILIKE $${queryParams.length}))`
+    );
+  }
+
+  queryParams.push(limit + 1, offset);
+  const result = await query(
+    `SELECT *
+     FROM social_media_assets
+     WHERE ${filters.join(' AND ')}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`,
+    queryParams
+  );
+
+  return {
+    assets: result.rows.slice(0, limit),
+    hasMore: result.rows.length > limit,
+  };
+};
+
+export const findMediaAsset = async ({ userId, teamId, assetId }) => {
+  const { clause, params } = buildScopeClause({ userId, teamId, startIndex: 2 });
+  const result = await query(
+    `SELECT *
+     FROM social_media_assets
+     WHERE id = $1 AND ${clause}
+     LIMIT 1`,
+    [assetId, ...params]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const updateMediaAssetTags = async ({ assetId, tags }) => {
+  const result = await query(
+    `UPDATE social_media_assets
+     SET tags = $2::jsonb,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [assetId, JSON.stringify(tags)]
+  );
+
+  return result.rows[0] || null;
+};
+
+const POST_REFERENCE_FILTER = `status = ANY($2::text[])
+         AND (
+           media_urls ? $1
+           OR instagram_options->>'coverUrl' = $1
+           OR youtube_options->>'thumbnailUrl' = $1
+         )`;
+
+const SERIES_REFERENCE_FILTER = `status = ANY($2::text[])
+         AND (
+           template->'mediaUrls' ? $1
+           OR template->'instagramOptions'->>'coverUrl' = $1
+           OR template->'youtubeOptions'->>'thumbnailUrl' = $1
+         )`;
+
+// Looks across every owner: a URL can be pasted into any post, and a post
+// that still needs the file must not lose it. Cover images and YouTube
+// thumbnails count as references too. Only the caller's own posts and series
+// are listed; references held by anyone else are returned as a count.
+export const listAssetReferences = async ({ url, userId, teamId }) => {
+  const { clause, params } = buildScopeClause({ userId, teamId, startIndex: 3 });
+  const baseParams = [url, ASSET_HOLDING_POST_STATUSES];
+  const seriesParams = [url, ASSET_HOLDING_SERIES_STATUSES];
+
+  const [posts, series, postCount, seriesCount] = await Promise.all([
+    query(
+      `SELECT id, status, scheduled_for
+       FROM social_posts
+       WHERE ${POST_REFERENCE_FILTER}
+         AND ${clause}
+       ORDER BY scheduled_for ASC NULLS FIRST
+       LIMIT 20`,
+      [...baseParams, ...params]
+    ),
+    query(
+      `SELECT id, status
+       FROM social_post_series
+       WHERE ${SERIES_REFERENCE_FILTER}
+         AND ${clause}
+       LIMIT 20`,
+      [...seriesParams, ...params]
+    ),
+    query(
+      `SELECT COUNT(*) FILTER (WHERE ${clause}) AS own, COUNT(*) AS total
+       FROM social_posts
+       WHERE ${POST_REFERENCE_FILTER}`,
+      [...baseParams, ...params]
+    ),
+    query(
+      `SELECT COUNT(*) FILTER (WHERE ${clause}) AS own, COUNT(*) AS total
+       FROM social_post_series
+       WHERE ${SERIES_REFERENCE_FILTER}`,
+      [...seriesParams, ...params]
+    ),
+  ]);
+
+  const countOthers = (result) => Number(result.rows[0]?.total || 0) - Number(result.rows[0]?.own || 0);
+  const ownCount = Number(postCount.rows[0]?.own || 0) + Number(seriesCount.rows[0]?.own || 0);
+  const otherCount = countOthers(postCount) + countOthers(seriesCount);
+
+  return {
+    posts: posts.rows,
+    series: series.rows,
+    ownCount,
+    otherCount,
+    inUse: ownCount + otherCount > 0,
+  };
+};
+
+export const deleteMediaAssetRecord = async (assetId) => {
+  await query('DELETE FROM social_media_assets WHERE id = $1', [assetId]);
+};
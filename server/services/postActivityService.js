@@ -0,0 +1,114 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// social_post_activity is an append-only log of what happened to a post and
+// who did it; a trigger rejects updates and deletes, except deletes from the
+// data cleanup transaction, which opts in with SET LOCAL. actor_id is NULL for the
+// scheduler. actor_name is a snapshot so the log still reads correctly after
+// someone leaves the team. Comments live in social_post_comments and are the
+// only part of the thread users can remove (their own, soft-deleted).
+
+export const POST_ACTIVITY_ACTIONS = new Set([
+  'created',
+  'edited',
+  'rescheduled',
+  'approved',
+  'rejected',
+  'published',
+  'failed',
+  'retried',
+  'cancelled',
+  'deleted',
+]);
+export const MAX_COMMENT_LENGTH = 2000;
+
+const asHttpError = (status, message, code = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+// Request users carry a display name when the platform returned one.
+export const toActivityActor = (user) => {
+  if (!user?.id) return null;
+  return {
+    id: user.id,
+    name: String(user.name || user.fullName || user.email || '').trim() || null,
+  };
+};
+
+// A missing log line must never undo or fail the action it describes, so
+// write errors are logged and swallowed.
+export const recordPostActivity = async ({ postId, actor = null, action, details = {} }) => {
+  if (!postId || !POST_ACTIVITY_ACTIONS.has(action)) return;
+
+  try {
+    await query(
+      `INSERT INTO social_post_activity (id, post_id, actor_id, actor_name, action, details, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, NOW())`,
+      [uuidv4(), postId, actor?.id || null, actor?.name || null, action, JSON.stringify(details || {})]
+    );
+  } catch (error) {
+    logger.warn('Failed to record post activity', { postId, action, error: error?.message || String(error) });
+  }
+};
+
+export const listPostActivity = async (postId) => {
+  const result = await query(
+    `SELECT id, post_id, actor_id, actor_name, action, details, created_at
+     FROM social_post_activity
+     WHERE post_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [postId]
+  );
+
+  return result.rows;
+};
+
+export const listPostComments = async (postId) => {
+  const result = await query(
+    `SELECT id, post_id, user_id, author_name, body, created_at
+     FROM social_post_comments
+     WHERE post_id = $1 AND deleted_at IS NULL
+     ORDER BY created_at ASC, id ASC`,
+    [postId]
+  );
+
+  return result.rows;
+};
+
+export const addPostComment = async ({ postId, author, body }) => {
+  const text = String(body ?? '').trim();
+  if (!text) {
+    throw asHttpError(400, 'Comment cannot be empty', 'COMMENT_REQUIRED');
+  }
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw asHttpError(400, `Comment must be ${MAX_COMMENT_LENGTH} characters or fewer`, 'COMMENT_TOO_LONG');
+  }
+
+  const result = await query(
+    `INSERT INTO social_post_comments (id, post_id, user_id, author_name, body, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     RETURNING id, post_id, user_id, author_name, body, created_at`,
+    [uuidv4(), postId, author.id, author.name || null, text]
+  );
+
+  return result.rows[0];
+};
+
+export const deletePostComment = async ({ postId, commentId, userId }) => {
+  const result = await query(
+    `UPDATE social_post_comments
+     SET deleted_at = NOW()
+     WHERE id = $1 AND post_id = $2 AND user_id = $3 AND deleted_at IS NULL`,
+    [commentId, postId, userId]
+  );
+
+  if (result.rowCount === 0) {
+    throw asHttpError(404, 'Comment not found', 'COMMENT_NOT_FOUND');
+  }
+};
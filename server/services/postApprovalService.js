@@ -0,0 +1,138 @@
+import { query } from '../config/database.js';
+import { resetFailedDeliveries } from './postDeliveryService.js';
+import { isTeamManager } from './teamContextService.js';
+
+// Teams can turn on post approval. Posts created or edited by members without
+// publish rights then wait in 'pending_approval', which the worker never
+// claims, until an owner/admin approves them (-> 'scheduled') or rejects them
+// with a comment (-> 'rejected'). A rejected post goes back to
+// 'pending_approval' when its author edits it.
+
+export const PENDING_APPROVAL_STATUS = 'pending_approval';
+export const REJECTED_STATUS = 'rejected';
+export const MAX_REVIEW_COMMENT_LENGTH = 2000;
+
+const asHttpError = (status, message, code = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+export const getTeamApprovalPolicy = async (teamId) => {
+  if (!teamId) {
+    return { requirePostApproval: false, updatedBy: null, updatedAt: null };
+  }
+
+  const result = await query(
+    `SELECT require_post_approval, updated_by, updated_at
+     FROM social_team_settings
+     WHERE team_id = $1
+     LIMIT 1`,
+    [teamId]
+  );
+  const row = result.rows[0];
+
+  return {
+    requirePostApproval: Boolean(row?.require_post_approval),
+    updatedBy: row?.updated_by || null,
+    updatedAt: row?.updated_at || null,
+  };
+};
+
+export const setTeamApprovalPolicy = async ({ teamId, requirePostApproval, updatedBy }) => {
+  const result = await query(
+    `INSERT INTO social_team_settings (team_id, require_post_approval, updated_by, created_at, updated_at)
+     VALUES ($1, $2, $3, NOW(), NOW())
+     ON CONFLICT (team_id) DO UPDATE
+     SET require_post_approval = EXCLUDED.require_post_approval,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+     RETURNING require_post_approval, updated_by, updated_at`,
+    [teamId, Boolean(requirePostApproval), updatedBy || null]
+  );
+  const row = result.rows[0];
+
+  return {
+    requirePostApproval: Boolean(row.require_post_approval),
+    updatedBy: row.updated_by || null,
+    updatedAt: row.updated_at || null,
+  };
+};
+
+// True when posts from this team context have to be approved before the
+// worker may publish them.
+export const requiresPostApproval = async (teamContext) => {
+  if (isTeamManager(teamContext)) return false;
+  const policy = await getTeamApprovalPolicy(teamContext.teamId);
+  return policy.requirePostApproval;
+};
+
+export const normalizeReviewComment = (value) => {
+  const comment = String(value ?? '').trim();
+  if (comment.length > MAX_REVIEW_COMMENT_LENGTH) {
+    throw asHttpError(
+      400,
+      `Review comment must be ${MAX_REVIEW_COMMENT_LENGTH} characters or fewer`,
+      'REVIEW_COMMENT_TOO_LONG'
+    );
+  }
+  return comment || null;
+};
+
+// Posts that were submitted to publish now have no scheduled_for and go out
+// on the next worker tick; so do posts whose time passed while they waited.
+// Deliveries that failed before the post was sent back for review are reset
+// like a manual retry.
+export const approvePendingPost = async ({ postId, reviewerId, comment = null }) => {
+  const updated = await query(
+    `UPDATE social_posts
+     SET status = 'scheduled',
+         scheduled_for = COALESCE(scheduled_for, NOW()),
+         publish_attempts = 0,
+         next_retry_at = NULL,
+         reviewed_by = $2,
+         reviewed_at = NOW(),
+         review_comment = $3,
+         updated_at = NOW()
+     WHERE id = $1 AND status = $4
+     RETURNING *`,
+    [postId, reviewerId, comment, PENDING_APPROVAL_STATUS]
+  );
+
+  if (updated.rowCount === 0) {
+    throw asHttpError(409, 'Only posts waiting for approval can be approved', 'POST_NOT_PENDING_APPROVAL');
+  }
+
+  await resetFailedDeliveries(postId);
+  return updated.rows[0];
+};
+
+// A rejected post gives up its queue slot; it gets a time again when it is
+// edited and approved.
+export const rejectPendingPost = async ({ postId, reviewerId, comment }) => {
+  if (!comment) {
+    throw asHttpError(400, 'A comment is required when rejecting a post', 'REVIEW_COMMENT_REQUIRED');
+  }
+
+  const updated = await query(
+    `UPDATE social_posts
+     SET status = $4,
+         is_queued = false,
+         reviewed_by = $2,
+         reviewed_at = NOW(),
+         review_comment = $3,
+         updated_at = NOW()
+     WHERE id = $1 AND status = $5
+     RETURNING *`,
+    [postId, reviewerId, comment, REJECTED_STATUS, PENDING_APPROVAL_STATUS]
+  );
+
+  if (updated.rowCount === 0) {
+    throw asHttpError(409, 'Only posts waiting for approval can be rejected', 'POST_NOT_PENDING_APPROVAL');
+  }
+
+  return updated.rows[0];
+};
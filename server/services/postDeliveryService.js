@@ -0,0 +1,145 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+
+// One row per (post, platform) target. status is 'pending', 'posted',
+// 'failed' or 'cancelled'; posted and cancelled deliveries are never
+// published again on retry.
+
+export const listPostDeliveries = async (postId) => {
+  const result = await query(
+    `SELECT platform, status, external_id, error_code, error_message,
+            attempt_count, last_attempt_at, posted_at, created_at, updated_at
+     FROM social_post_deliveries
+     WHERE post_id = $1
+     ORDER BY created_at ASC`,
+    [postId]
+  );
+
+  return result.rows;
+};
+
+export const listDeliveriesForPosts = async (postIds = []) => {
+  if (postIds.length === 0) return new Map();
+
+  const result = await query(
+    `SELECT post_id, platform, status, external_id, error_code, error_message,
+            attempt_count, last_attempt_at, posted_at
+     FROM social_post_deliveries
+     WHERE post_id::text = ANY($1::text[])
+     ORDER BY created_at ASC`,
+    [postIds.map((id) => String(id))]
+  );
+
+  const byPost = new Map();
+  for (const row of result.rows) {
+    const key = String(row.post_id);
+    if (!byPost.has(key)) byPost.set(key, []);
+    byPost.get(key).push(row);
+  }
+  return byPost;
+};
+
+export const recordDeliverySuccess = async ({ postId, platform, externalId }) => {
+  await query(
+    `INSERT INTO social_post_deliveries (
+       id, post_id, platform, status, external_id, attempt_count, last_attempt_at, posted_at, created_at, updated_at
+     ) VALUES ($1, $2, $3, 'posted', $4, 1, NOW(), NOW(), NOW(), NOW())
+     ON CONFLICT (post_id, platform) DO UPDATE
+     SET status = 'posted',
+         external_id = EXCLUDED.external_id,
+         error_code = NULL,
+         error_message = NULL,
+         attempt_count = social_post_deliveries.attempt_count + 1,
+         last_attempt_at = NOW(),
+         posted_at = NOW(),
+         updated_at = NOW()`,
+    [uuidv4(), postId, platform, externalId || null]
+  );
+};
+
+export const recordDeliveryFailure = async ({ postId, platform, errorCode, errorMessage }) => {
+  await query(
+    `INSERT INTO social_post_deliveries (
+       id, post_id, platform, status, error_code, error_message, attempt_count, last_attempt_at, created_at, updated_at
+     ) VALUES ($1, $2, $3, 'failed', $4, $5, 1, NOW(), NOW(), NOW())
+     ON CONFLICT (post_id, platform) DO UPDATE
+     SET status = 'failed',
+         error_code = EXCLUDED.error_code,
+         error_message = EXCLUDED.error_message,
+         attempt_count = social_post_deliveries.attempt_count + 1,
+         last_attempt_at = NOW(),
+         updated_at = NOW()`,
+    [uuidv4(), postId, platform, errorCode || null, errorMessage || null]
+  );
+};
+
+// Puts failed targets back in line for the next publish attempt. Posted
+// targets are left alone so a retry only hits the platforms that failed.
+export const resetFailedDeliveries = async (postId) => {
+  const result = await query(
+    `UPDATE social_post_deliveries
+     SET status = 'pending',
+         updated_at = NOW()
+     WHERE post_id = $1 AND status = 'failed'
+     RETURNING platform`,
+    [postId]
+  );
+
+  return result.rows.map((row) => row.platform);
+};
+
+// Drops the targets that never went out, leaving posted ones untouched.
+export const cancelOutstandingDeliveries = async (postId) => {
+  const result = await query(
+    `UPDATE social_post_deliveries
+     SET status = 'cancelled',
+         updated_at = NOW()
+     WHERE post_id = $1 AND status IN ('pending', 'failed')
+     RETURNING platform`,
+    [postId]
+  );
+
+  return result.rows.map((row) => row.platform);
+};
+
+// Appends one row per worker attempt. failures holds
+// [{ platform, code, message, retryable }] for the platforms that failed.
+export const recordPublishAttempt = async ({ postId, attemptNumber, outcome, failures = [], nextRetryAt = null }) => {
+  await query(
+    `INSERT INTO social_post_publish_attempts (
+       id, post_id, attempt_number, outcome, failures, next_retry_at, attempted_at
+     ) VALUES ($1, $2, $3, $4, $5::jsonb, $6, NOW())`,
+    [uuidv4(), postId, attemptNumber, outcome, JSON.stringify(failures), nextRetryAt]
+  );
+};
+
+export const listPublishAttemptsForPosts = async (postIds = [], { perPost = 10 } = {}) => {
+  if (postIds.length === 0) return new Map();
+
+  const result = await query(
+    `SELECT post_id, attempt_number, outcome, failures, next_retry_at, attempted_at
+     FROM (
+       SELECT a.*,
+              ROW_NUMBER() OVER (PARTITION BY a.post_id ORDER BY a.attempted_at DESC) AS rn
+       FROM social_post_publish_attempts a
+       WHERE a.post_id::text = ANY($1::text[])
+     ) ranked
+     WHERE rn <= $2
+     ORDER BY attempted_at DESC`,
+    [postIds.map((id) => String(id)), perPost]
+  );
+
+  const byPost = new Map();
+  for (const row of result.rows) {
+    const key = String(row.post_id);
+    if (!byPost.has(key)) byPost.set(key, []);
+    byPost.get(key).push({
+      attempt_number: row.attempt_number,
+      outcome: row.outcome,
+      failures: Array.isArray(row.failures) ? row.failures : [],
+      next_retry_at: row.next_retry_at,
+      attempted_at: row.attempted_at,
+    });
+  }
+  return byPost;
+};
@@ -0,0 +1,354 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { fetchInstagramMediaInsights } from './instagramService.js';
+import { fetchThreadsPostInsights } from './threadsService.js';
+import { fetchYoutubeVideoMetrics } from './youtubeService.js';
+import { getConnectedAccountForPost } from './connectedAccountService.js';
+import { extractProviderErrorMessage, isProviderRateLimitError } from '../utils/publishErrors.js';
+
+const SYNC_ENABLED = String(process.env.SOCIAL_METRICS_SYNC_ENABLED || 'true').toLowerCase() === 'true';
+const SYNC_POLL_MS = Math.max(60000, Number.parseInt(process.env.SOCIAL_METRICS_SYNC_POLL_MS || '300000', 10));
+const SYNC_BATCH_SIZE = Math.max(1, Number.parseInt(process.env.SOCIAL_METRICS_SYNC_BATCH_SIZE || '20', 10));
+const SYNC_MIN_INTERVAL_MINUTES = Math.max(5, Number.parseInt(process.env.SOCIAL_METRICS_SYNC_MIN_INTERVAL_MINUTES || '60', 10));
+const SYNC_LOOKBACK_DAYS = Math.max(1, Number.parseInt(process.env.SOCIAL_METRICS_SYNC_LOOKBACK_DAYS || '30', 10));
+const BACKOFF_BASE_MS = Math.max(1000, Number.parseInt(process.env.SOCIAL_METRICS_SYNC_BACKOFF_BASE_MS || '60000', 10));
+const BACKOFF_MAX_MS = Math.max(BACKOFF_BASE_MS, Number.parseInt(process.env.SOCIAL_METRICS_SYNC_BACKOFF_MAX_MS || '3600000', 10));
+
+let pollTimer = null;
+let isRunning = false;
+let metadataColumnChecked = false;
+let metadataColumnAvailable = false;
+
+// connected account id -> { until, failures }
+const accountBackoff = new Map();
+
+const parseJsonArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+};
+
+const ensureMetadataColumnSupport = async () => {
+  if (metadataColumnChecked) return metadataColumnAvailable;
+
+  try {
+    const result = await query(
+      `SELECT 1
+       FROM information_schema.columns
+       WHERE table_name = 'social_posts'
+         AND column_name = 'metadata'
+       LIMIT 1`
+    );
+    metadataColumnAvailable = result.rows.length > 0;
+  } catch {
+    metadataColumnAvailable = false;
+  } finally {
+    metadataColumnChecked = true;
+  }
+
+  return metadataColumnAvailable;
+};
+
+// Returns the time the account's backoff ends, or null when it is not
+// backed off.
+const getBackoffUntil = (accountId) => {
+  const entry = accountBackoff.get(accountId);
+  if (!entry || entry.until <= Date.now()) return null;
+  return entry.until;
+};
+
+const registerRateLimit = (accountId, platform) => {
+  const previous = accountBackoff.get(accountId);
+  const failures = (previous?.failures || 0) + 1;
+  const delayMs = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * (2 ** (failures - 1)));
+  accountBackoff.set(accountId, { until: Date.now() + delayMs, failures });
+
+  logger.warn('Metrics sync rate limited, backing off account', {
+    accountId,
+    platform,
+    failures,
+    retryInMs: delayMs,
+  });
+};
+
+const clearBackoff = (accountId) => {
+  accountBackoff.delete(accountId);
+};
+
+const listThreadsPartIds = (post) => {
+  const ids = parseJsonArray(post.threads_sequence)
+    .map((item) => String(item || '').trim())
+    .filter((item) => /^[0-9_]+$/.test(item) && item.length >= 6);
+
+  if (ids.length > 0) return ids;
+  return post.threads_post_id ? [String(post.threads_post_id)] : [];
+};
+
+const sumMetric = (parts, key) =>
+  parts.reduce((total, part) => (Number.isFinite(part[key]) ? (total ?? 0) + part[key] : total), null);
+
+const syncInstagram = async (post, account) => {
+  const insights = await fetchInstagramMediaInsights({
+    mediaId: post.instagram_post_id,
+    accessToken: account.access_token,
+  });
+
+  return {
+    columns: {
+      instagram_likes: insights.likes,
+      instagram_comments: insights.comments,
+      instagram_reach: insights.reach,
+    },
+    snapshot: {
+      likes: insights.likes,
+      comments: insights.comments,
+      reach: insights.reach,
+    },
+  };
+};
+
+const syncThreads = async (post, account) => {
+  const parts = [];
+  for (const postId of listThreadsPartIds(post)) {
+    parts.push(await fetchThreadsPostInsights({ accessToken: account.access_token, postId }));
+  }
+
+  const views = sumMetric(parts, 'views');
+  const likes = sumMetric(parts, 'likes');
+  const replies = sumMetric(parts, 'replies');
+
+  return {
+    columns: {
+      threads_views: views,
+      threads_likes: likes,
+      threads_replies: replies,
+    },
+    snapshot: { views, likes, replies },
+    parts,
+  };
+};
+
+const syncYoutube = async (post, account) => {
+  const metrics = await fetchYoutubeVideoMetrics({
+    connection: account,
+    videoId: post.youtube_video_id,
+    publishedAt: post.posted_at,
+  });
+
+  return {
+    columns: {
+      youtube_views: metrics.views,
+      youtube_watch_time_minutes: metrics.watchTimeMinutes,
+      youtube_subscribers_gained: metrics.subscribersGained,
+    },
+    snapshot: {
+      views: metrics.views,
+      watch_time_minutes: metrics.watchTimeMinutes,
+      subscribers_gained: metrics.subscribersGained,
+    },
+  };
+};
+
+const PLATFORM_SYNCS = [
+  { platform: 'instagram', idColumn: 'instagram_post_id', sync: syncInstagram },
+  { platform: 'threads', idColumn: 'threads_post_id', sync: syncThreads },
+  { platform: 'youtube', idColumn: 'youtube_video_id', sync: syncYoutube },
+];
+
+const claimPostsForSync = async () => {
+  const result = await query(
+    `SELECT *
+     FROM social_posts
+     WHERE status IN ('posted', 'partially_posted')
+       AND posted_at >= NOW() - ($1::int * INTERVAL '1 day')
+       AND (instagram_post_id IS NOT NULL OR threads_post_id IS NOT NULL OR youtube_video_id IS NOT NULL)
+       AND (metrics_synced_at IS NULL OR metrics_synced_at <= NOW() - ($2::int * INTERVAL '1 minute'))
+       AND (metrics_sync_after IS NULL OR metrics_sync_after <= NOW())
+     ORDER BY metrics_synced_at ASC NULLS FIRST, posted_at DESC
+     LIMIT $3`,
+    [SYNC_LOOKBACK_DAYS, SYNC_MIN_INTERVAL_MINUTES, SYNC_BATCH_SIZE]
+  );
+
+  return result.rows;
+};
+
+const insertSnapshot = async (post, platform, snapshot, capturedAt) => {
+  await query(
+    `INSERT INTO social_post_metric_snapshots (
+       id, post_id, user_id, team_id, platform, captured_at,
+       likes, comments, replies, views, reach, watch_time_minutes, subscribers_gained
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     ON CONFLICT (post_id, platform, captured_at) DO NOTHING`,
+    [
+      uuidv4(),
+      post.id,
+      post.user_id,
+      post.team_id || null,
+      platform,
+      capturedAt,
+      snapshot.likes ?? null,
+      snapshot.comments ?? null,
+      snapshot.replies ?? null,
+      snapshot.views ?? null,
+      snapshot.reach ?? null,
+      snapshot.watch_time_minutes ?? null,
+      snapshot.subscribers_gained ?? null,
+    ]
+  );
+};
+
+const saveMetrics = async (post, columns, threadsParts) => {
+  const entries = Object.entries(columns).filter(([, value]) => value !== null && value !== undefined);
+  const params = [post.id];
+  const assignments = entries.map(([column, value]) => {
+    params.push(value);
+    return `${column} = $${params.length}`;
+  });
+
+  if (threadsParts && (await ensureMetadataColumnSupport())) {
+    params.push(JSON.stringify({ synced_at: new Date().toISOString(), parts: threadsParts }));
+    assignments.push(
+      `metadata = jsonb_set(COALESCE(metadata, '{}'::jsonb), '{threads_metrics}', $${params.length}::jsonb, true)`
+    );
+  }
+
+  assignments.push('metrics_synced_at = NOW()', 'metrics_sync_after = NULL');
+
+  await query(
+    `UPDATE social_posts
+     SET ${assignments.join(',\n         ')}
+     WHERE id = $1`,
+    params
+  );
+};
+
+const syncPostMetrics = async (post) => {
+  const platforms = parseJsonArray(post.platforms).map((platform) => String(platform).toLowerCase());
+  const columns = {};
+  const snapshots = [];
+  let threadsParts = null;
+  let deferredUntil = null;
+
+  for (const { platform, idColumn, sync } of PLATFORM_SYNCS) {
+    if (!platforms.includes(platform) || !post[idColumn]) continue;
+
+    const account = await getConnectedAccountForPost(post, platform);
+    if (!account?.access_token) continue;
+    const backoffUntil = getBackoffUntil(account.id);
+    if (backoffUntil) {
+      deferredUntil = Math.min(deferredUntil ?? backoffUntil, backoffUntil);
+      continue;
+    }
+
+    try {
+      const result = await sync(post, account);
+      Object.assign(columns, result.columns);
+      snapshots.push({ platform, snapshot: result.snapshot });
+      if (result.parts) {
+        threadsParts = result.parts;
+      }
+      clearBackoff(account.id);
+    } catch (error) {
+      if (isProviderRateLimitError(error)) {
+        registerRateLimit(account.id, platform);
+        const until = getBackoffUntil(account.id);
+        deferredUntil = Math.min(deferredUntil ?? until, until);
+        continue;
+      }
+
+      logger.debug('Metrics sync failed for platform', {
+        postId: post.id,
+        platform,
+        error: extractProviderErrorMessage(error),
+      });
+    }
+  }
+
+  // Nothing came back and a platform was held back by rate limits. The post
+  // is parked until the earliest backoff ends instead of being marked synced,
+  // and the claim query skips it meanwhile, so posts of a backed-off account
+  // do not fill every batch. Other failures still advance metrics_synced_at,
+  // or a post that can never sync would stay at the front of every batch.
+  if (snapshots.length === 0 && deferredUntil) {
+    await query(
+      `UPDATE social_posts
+       SET metrics_sync_after = $2
+       WHERE id = $1`,
+      [post.id, new Date(deferredUntil).toISOString()]
+    );
+    return;
+  }
+
+  await saveMetrics(post, columns, threadsParts);
+
+  const capturedAt = new Date().toISOString();
+  for (const { platform, snapshot } of snapshots) {
+    await insertSnapshot(post, platform, snapshot, capturedAt);
+  }
+};
+
+const tick = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const posts = await claimPostsForSync();
+    for (const post of posts) {
+      try {
+        await syncPostMetrics(post);
+      } catch (error) {
+        logger.warn('Metrics sync failed for post', {
+          postId: post.id,
+          error: error?.message || String(error),
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Metrics sync tick failed', { message: error?.message || String(error) });
+  } finally {
+    isRunning = false;
+  }
+};
+
+export const runMetricsSyncTick = async () => {
+  return tick();
+};
+
+export const startPostMetricsSyncWorker = () => {
+  if (!SYNC_ENABLED) {
+    logger.info('Post metrics sync worker disabled via SOCIAL_METRICS_SYNC_ENABLED');
+    return;
+  }
+
+  if (pollTimer) {
+    return;
+  }
+
+  logger.info('Post metrics sync worker started', {
+    pollMs: SYNC_POLL_MS,
+    batchSize: SYNC_BATCH_SIZE,
+    lookbackDays: SYNC_LOOKBACK_DAYS,
+  });
+
+  tick().catch(() => null);
+  pollTimer = setInterval(() => {
+    tick().catch(() => null);
+  }, SYNC_POLL_MS);
+};
+
+export const stopPostMetricsSyncWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
@@ -0,0 +1,743 @@
+import axios from 'axios';
+import { ensureConnectedPlatforms, getConnectedAccountByPlatform, validateTargetAccountIds } from './connectedAccountService.js';
+import { ACCOUNT_HEALTH_MESSAGES, isAccountHealthy } from '../utils/accountHealth.js';
+
+// Content rules and account checks shared by the composer preflight and the
+// scheduler's pre-publish pass, so both judge a post the same way.
+
+export const PLATFORM_CAPTION_LIMITS = {
+  instagram: Math.max(120, Number.parseInt(process.env.INSTAGRAM_CAPTION_MAX_CHARS || '2200', 10)),
+  threads: Math.max(120, Number.parseInt(process.env.THREADS_TEXT_MAX_CHARS || '500', 10)),
+  youtube: Math.max(120, Number.parseInt(process.env.YOUTUBE_CAPTION_MAX_CHARS || '5000', 10)),
+};
+export const THREADS_AUTO_SPLIT_MAX_CHARS = Math.max(
+  PLATFORM_CAPTION_LIMITS.threads,
+  Number.parseInt(process.env.THREADS_AUTO_SPLIT_MAX_CHARS || '10000', 10)
+);
+export const THREADS_MAX_CHAIN_POSTS = Math.max(2, Number.parseInt(process.env.THREADS_MAX_CHAIN_POSTS || '30', 10));
+const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.m4v', '.webm', '.avi', '.mpeg', '.mpg']);
+const MEDIA_CHECK_TIMEOUT_MS = 10000;
+
+const asHttpError = (status, message, code = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+export const resolveCaptionLimit = (platforms = []) => {
+  const limits = platforms
+    .map((platform) => PLATFORM_CAPTION_LIMITS[platform])
+    .filter((value) => Number.isFinite(value) && value > 0);
+
+  if (limits.length === 0) {
+    return Math.max(120, Number.parseInt(process.env.AI_CAPTION_MAX_CHARS || '500', 10));
+  }
+
+  return Math.max(120, Math.min(...limits));
+};
+
+export const normalizeThreadsPosts = (input) => {
+  if (!Array.isArray(input)) {
+    return [];
+  }
+  return input
+    .map((item) => String(item || '').trim())
+    .filter(Boolean);
+};
+
+const isVideoMediaUrl = (value) => {
+  try {
+    const url = String(value || '').trim();
+    if (!url) return false;
+    const parsed = url.startsWith('http://') || url.startsWith('https://')
+      ? new URL(url)
+      : new URL(`https://dummy.local${url.startsWith('/') ? '' : '/'}${url}`);
+    const path = parsed.pathname.toLowerCase();
+    return Array.from(VIDEO_EXTENSIONS).some((ext) => path.endsWith(ext));
+  } catch {
+    return false;
+  }
+};
+
+export const hasAtLeastOneVideoMedia = (mediaUrls = []) =>
+  Array.isArray(mediaUrls) && mediaUrls.some((value) => isVideoMediaUrl(String(value || '').trim()));
+
+export const inferThreadsContentType = (selectedType, mediaUrls = []) => {
+  const normalized = String(selectedType || 'text').toLowerCase();
+  if (normalized === 'thread' || normalized === 'image' || normalized === 'video') {
+    return normalized;
+  }
+
+  if (Array.isArray(mediaUrls) && mediaUrls.length > 0) {
+    return isVideoMediaUrl(mediaUrls[0]) ? 'video' : 'image';
+  }
+
+  return 'text';
+};
+
+export const splitThreadsCaption = (text, limit = PLATFORM_CAPTION_LIMITS.threads, maxPosts = THREADS_MAX_CHAIN_POSTS) => {
+  const normalized = String(text || '').replace(/\r/g, '').trim();
+  if (!normalized) return [];
+  if (normalized.length <= limit) return [normalized];
+
+  const posts = [];
+  let remaining = normalized;
+  const softFloor = Math.floor(limit * 0.55);
+
+  while (remaining.length > limit && posts.length < maxPosts - 1) {
+    const slice = remaining.slice(0, limit + 1);
+    let cut = -1;
+
+    const newlineCut = slice.lastIndexOf('\n');
+    if (newlineCut >= softFloor) {
+      cut = newlineCut;
+    }
+
+    if (cut < softFloor) {
+      const sentenceCut = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+      if (sentenceCut >= softFloor) {
+        cut = sentenceCut + 1;
+      }
+    }
+
+    if (cut < softFloor) {
+      const spaceCut = slice.lastIndexOf(' ');
+      if (spaceCut >= softFloor) {
+        cut = spaceCut;
+      }
+    }
+
+    if (cut < softFloor) {
+      cut = limit;
+    }
+
+    const part = remaining.slice(0, cut).trim();
+    if (part) {
+      posts.push(part);
+    }
+    remaining = remaining.slice(cut).trim();
+  }
+
+  if (remaining) {
+    posts.push(remaining);
+  }
+
+  if (posts.length > maxPosts) {
+    throw asHttpError(
+      400,
+      `Caption is too long for auto thread split (max ${maxPosts} posts).`,
+      'THREADS_CHAIN_TOO_LONG'
+    );
+  }
+
+  return posts;
+};
+
+const INSTAGRAM_MAX_USER_TAGS = 20;
+const INSTAGRAM_MAX_COLLABORATORS = 3;
+const INSTAGRAM_USERNAME_PATTERN = /^[a-z0-9._]{1,30}$/;
+
+const normalizeInstagramUsername = (value) => String(value || '').trim().replace(/^@/, '').toLowerCase();
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// Cleans up the composer's Instagram options for the chosen content type. The
+// result is what gets stored on the post, so a scheduled publish sends exactly
+// what was validated. Returns every rule violation instead of throwing.
+export const normalizeInstagramOptions = (input, { contentType = 'feed', mediaUrls = [] } = {}) => {
+  const errors = [];
+  const pushError = (code, message) => errors.push({ code, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { options: null, errors };
+  }
+
+  const type = String(contentType || 'feed').toLowerCase();
+  const isReel = type === 'reel';
+  const isStory = type === 'story';
+  const isCarousel = type === 'carousel';
+  const firstMediaIsVideo = Array.isArray(mediaUrls) && mediaUrls.length > 0 && isVideoMediaUrl(mediaUrls[0]);
+  const options = {};
+
+  const coverUrl = String(input.coverUrl || '').trim();
+  const hasThumbOffset = isPresent(input.thumbOffset);
+  if (coverUrl || hasThumbOffset) {
+    if (!isReel) {
+      pushError('INSTAGRAM_COVER_REEL_ONLY', 'Cover image and thumbnail offset are only available for reels.');
+    } else if (coverUrl && hasThumbOffset) {
+      pushError('INSTAGRAM_COVER_CONFLICT', 'Choose either a cover image or a thumbnail offset, not both.');
+    } else if (coverUrl) {
+      if (isVideoMediaUrl(coverUrl)) {
+        pushError('INSTAGRAM_COVER_URL_INVALID', 'Reel cover must be an image file.');
+      } else {
+        options.coverUrl = coverUrl;
+      }
+    } else {
+      const thumbOffset = Number(input.thumbOffset);
+      if (!Number.isInteger(thumbOffset) || thumbOffset < 0) {
+        pushError('INSTAGRAM_THUMB_OFFSET_INVALID', 'Thumbnail offset must be a whole number of milliseconds.');
+      } else {
+        options.thumbOffset = thumbOffset;
+      }
+    }
+  }
+
+  if (isPresent(input.shareToFeed)) {
+    if (!isReel) {
+      pushError('INSTAGRAM_SHARE_TO_FEED_REEL_ONLY', 'Sharing to the main feed only applies to reels.');
+    } else {
+      options.shareToFeed = input.shareToFeed === true || String(input.shareToFeed).toLowerCase() === 'true';
+    }
+  }
+
+  const userTags = Array.isArray(input.userTags) ? input.userTags : [];
+  if (userTags.length > 0) {
+    // Reels and videos are tagged by username only; images need a position.
+    const needsPosition = !isReel && !firstMediaIsVideo;
+    if (isCarousel || isStory) {
+      pushError('INSTAGRAM_USER_TAGS_UNSUPPORTED', 'User tags are only supported on single feed posts and reels.');
+    } else if (userTags.length > INSTAGRAM_MAX_USER_TAGS) {
+      pushError('INSTAGRAM_USER_TAGS_INVALID', `Instagram allows at most ${INSTAGRAM_MAX_USER_TAGS} user tags.`);
+    } else {
+      const tags = [];
+      for (const tag of userTags) {
+        const username = normalizeInstagramUsername(tag?.username);
+        if (!INSTAGRAM_USERNAME_PATTERN.test(username)) {
+          pushError('INSTAGRAM_USER_TAGS_INVALID', `"${String(tag?.username || '')}" is not a valid Instagram username.`);
+          break;
+        }
+        if (!needsPosition) {
+          tags.push({ username });
+          continue;
+        }
+        const x = Number(tag?.x);
+        const y = Number(tag?.y);
+        if (!isPresent(tag?.x) || !isPresent(tag?.y) || !(x >= 0 && x <= 1) || !(y >= 0 && y <= 1)) {
+          pushError('INSTAGRAM_USER_TAGS_INVALID', `Tag for @${username} needs x and y positions between 0 and 1.`);
+          break;
+        }
+        tags.push({ username, x, y });
+      }
+      if (tags.length === userTags.length) {
+        options.userTags = tags;
+      }
+    }
+  }
+
+  const locationId = String(input.locationId ?? '').trim();
+  if (locationId) {
+    if (isStory) {
+      pushError('INSTAGRAM_LOCATION_INVALID', 'Locations cannot be added to stories.');
+    } else if (!/^\d+$/.test(locationId)) {
+      pushError('INSTAGRAM_LOCATION_INVALID', 'Location must be a numeric Facebook Page location id.');
+    } else {
+      options.locationId = locationId;
+    }
+  }
+
+  const collaborators = (Array.isArray(input.collaborators) ? input.collaborators : [])
+    .map(normalizeInstagramUsername)
+    .filter(Boolean);
+  if (collaborators.length > 0) {
+    if (isStory) {
+      pushError('INSTAGRAM_COLLABORATORS_INVALID', 'Collaborators cannot be invited on stories.');
+    } else if (collaborators.length > INSTAGRAM_MAX_COLLABORATORS) {
+      pushError('INSTAGRAM_COLLABORATORS_INVALID', `Instagram allows at most ${INSTAGRAM_MAX_COLLABORATORS} collaborators.`);
+    } else if (!collaborators.every((username) => INSTAGRAM_USERNAME_PATTERN.test(username))) {
+      pushError('INSTAGRAM_COLLABORATORS_INVALID', 'Collaborators must be valid Instagram usernames.');
+    } else {
+      options.collaborators = [...new Set(collaborators)];
+    }
+  }
+
+  return { options: Object.keys(options).length > 0 ? options : null, errors };
+};
+
+const THREADS_REPLY_CONTROLS = new Set(['everyone', 'accounts_you_follow', 'mentioned_only']);
+const THREADS_TOPIC_TAG_MAX_CHARS = 50;
+const THREADS_POLL_MIN_OPTIONS = 2;
+const THREADS_POLL_MAX_OPTIONS = 4;
+const THREADS_POLL_OPTION_MAX_CHARS = 25;
+const THREADS_POST_ID_PATTERN = /^[0-9_]{6,}$/;
+
+const isHttpUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// Same contract as normalizeInstagramOptions. contentType is the effective
+// Threads type; for a chain the attachments go on the first post and the
+// reply control on every post.
+export const normalizeThreadsOptions = (input, { contentType = 'text' } = {}) => {
+  const errors = [];
+  const pushError = (code, message) => errors.push({ code, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { options: null, errors };
+  }
+
+  const type = String(contentType || 'text').toLowerCase();
+  const isTextPost = type === 'text' || type === 'thread';
+  const options = {};
+
+  const replyControl = String(input.replyControl || '').trim().toLowerCase();
+  if (replyControl) {
+    if (!THREADS_REPLY_CONTROLS.has(replyControl)) {
+      pushError('THREADS_REPLY_CONTROL_INVALID', 'Replies must be open to everyone, accounts you follow or mentioned accounts only.');
+    } else if (replyControl !== 'everyone') {
+      options.replyControl = replyControl;
+    }
+  }
+
+  const topicTag = String(input.topicTag || '').trim().replace(/^#/, '');
+  if (topicTag) {
+    if (topicTag.length > THREADS_TOPIC_TAG_MAX_CHARS) {
+      pushError('THREADS_TOPIC_TAG_INVALID', `Threads topic tags must be ${THREADS_TOPIC_TAG_MAX_CHARS} characters or fewer.`);
+    } else if (/[.&]/.test(topicTag)) {
+      pushError('THREADS_TOPIC_TAG_INVALID', 'Threads topic tags cannot contain periods or ampersands.');
+    } else {
+      options.topicTag = topicTag;
+    }
+  }
+
+  const linkAttachment = String(input.linkAttachment || '').trim();
+  if (linkAttachment) {
+    if (!isTextPost) {
+      pushError('THREADS_LINK_ATTACHMENT_TEXT_ONLY', 'Link attachments can only be added to text posts.');
+    } else if (!isHttpUrl(linkAttachment)) {
+      pushError('THREADS_LINK_ATTACHMENT_INVALID', 'Link attachment must be an http(s) URL.');
+    } else {
+      options.linkAttachment = linkAttachment;
+    }
+  }
+
+  const quotePostId = String(input.quotePostId ?? '').trim();
+  if (quotePostId) {
+    if (!THREADS_POST_ID_PATTERN.test(quotePostId)) {
+      pushError('THREADS_QUOTE_POST_INVALID', 'Quoted post must be a numeric Threads post id.');
+    } else {
+      options.quotePostId = quotePostId;
+    }
+  }
+
+  const pollOptions = (Array.isArray(input.pollOptions) ? input.pollOptions : [])
+    .map((option) => String(option || '').trim())
+    .filter(Boolean);
+  if (pollOptions.length > 0) {
+    if (!isTextPost) {
+      pushError('THREADS_POLL_TEXT_ONLY', 'Polls can only be added to text posts.');
+    } else if (options.linkAttachment) {
+      pushError('THREADS_POLL_LINK_CONFLICT', 'A Threads post can have a poll or a link attachment, not both.');
+    } else if (pollOptions.length < THREADS_POLL_MIN_OPTIONS || pollOptions.length > THREADS_POLL_MAX_OPTIONS) {
+      pushError('THREADS_POLL_INVALID', `Polls need between ${THREADS_POLL_MIN_OPTIONS} and ${THREADS_POLL_MAX_OPTIONS} options.`);
+    } else if (pollOptions.some((option) => option.length > THREADS_POLL_OPTION_MAX_CHARS)) {
+      pushError('THREADS_POLL_INVALID', `Poll options must be ${THREADS_POLL_OPTION_MAX_CHARS} characters or fewer.`);
+    } else if (new Set(pollOptions.map((option) => option.toLowerCase())).size !== pollOptions.length) {
+      pushError('THREADS_POLL_INVALID', 'Poll options must be different from each other.');
+    } else {
+      options.pollOptions = pollOptions;
+    }
+  }
+
+  return { options: Object.keys(options).length > 0 ? options : null, errors };
+};
+
+const YOUTUBE_PRIVACY_STATUSES = new Set(['public', 'private', 'unlisted']);
+const YOUTUBE_TITLE_MAX_CHARS = 100;
+const YOUTUBE_DESCRIPTION_MAX_CHARS = 5000;
+const YOUTUBE_TAGS_MAX_CHARS = 500;
+const YOUTUBE_PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{10,64}$/;
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png']);
+
+const hasImageExtension = (value) => {
+  const path = String(value || '').split('?')[0].split('#')[0].toLowerCase();
+  return Array.from(IMAGE_EXTENSIONS).some((ext) => path.endsWith(ext));
+};
+
+// Same contract as normalizeInstagramOptions. Fields left empty fall back to
+// values derived from the caption when the video is uploaded.
+export const normalizeYoutubeOptions = (input) => {
+  const errors = [];
+  const pushError = (code, message) => errors.push({ code, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { options: null, errors };
+  }
+
+  const options = {};
+
+  const title = String(input.title || '').replace(/\s+/g, ' ').trim();
+  if (title) {
+    if (title.length > YOUTUBE_TITLE_MAX_CHARS) {
+      pushError('YOUTUBE_TITLE_INVALID', `YouTube titles must be ${YOUTUBE_TITLE_MAX_CHARS} characters or fewer.`);
+    } else if (/[<>]/.test(title)) {
+      pushError('YOUTUBE_TITLE_INVALID', 'YouTube titles cannot contain < or >.');
+    } else {
+      options.title = title;
+    }
+  }
+
+  const description = String(input.description || '').trim();
+  if (description) {
+    if (description.length > YOUTUBE_DESCRIPTION_MAX_CHARS) {
+      pushError('YOUTUBE_DESCRIPTION_TOO_LONG', `YouTube descriptions must be ${YOUTUBE_DESCRIPTION_MAX_CHARS} characters or fewer.`);
+    } else if (/[<>]/.test(description)) {
+      pushError('YOUTUBE_DESCRIPTION_INVALID', 'YouTube descriptions cannot contain < or >.');
+    } else {
+      options.description = description;
+    }
+  }
+
+  const rawTags = Array.isArray(input.tags) ? input.tags : String(input.tags || '').split(',');
+  const tags = [...new Set(rawTags.map((tag) => String(tag || '').trim().replace(/^#/, '')).filter(Boolean))];
+  if (tags.length > 0) {
+    // YouTube counts quotes around tags that contain spaces, plus separators.
+    const tagChars = tags.reduce((sum, tag) => sum + tag.length + (tag.includes(' ') ? 2 : 0), 0) + tags.length - 1;
+    if (tagChars > YOUTUBE_TAGS_MAX_CHARS) {
+      pushError('YOUTUBE_TAGS_INVALID', `YouTube tags must total ${YOUTUBE_TAGS_MAX_CHARS} characters or fewer.`);
+    } else if (tags.some((tag) => /[<>]/.test(tag))) {
+      pushError('YOUTUBE_TAGS_INVALID', 'YouTube tags cannot contain < or >.');
+    } else {
+      options.tags = tags;
+    }
+  }
+
+  const categoryId = String(input.categoryId ?? '').trim();
+  if (categoryId) {
+    if (!/^\d{1,3}$/.test(categoryId)) {
+      pushError('YOUTUBE_CATEGORY_INVALID', 'YouTube category must be a numeric category id.');
+    } else {
+      options.categoryId = categoryId;
+    }
+  }
+
+  const privacyStatus = String(input.privacyStatus || '').trim().toLowerCase();
+  if (privacyStatus) {
+    if (!YOUTUBE_PRIVACY_STATUSES.has(privacyStatus)) {
+      pushError('YOUTUBE_PRIVACY_INVALID', 'YouTube privacy must be public, unlisted or private.');
+    } else {
+      options.privacyStatus = privacyStatus;
+    }
+  }
+
+  if (isPresent(input.madeForKids)) {
+    options.madeForKids = input.madeForKids === true || String(input.madeForKids).toLowerCase() === 'true';
+  }
+
+  const thumbnailUrl = String(input.thumbnailUrl || '').trim();
+  if (thumbnailUrl) {
+    if (!hasImageExtension(thumbnailUrl)) {
+      pushError('YOUTUBE_THUMBNAIL_INVALID', 'YouTube thumbnails must be a JPG or PNG image.');
+    } else {
+      options.thumbnailUrl = thumbnailUrl;
+    }
+  }
+
+  const playlistId = String(input.playlistId || '').trim();
+  if (playlistId) {
+    if (!YOUTUBE_PLAYLIST_ID_PATTERN.test(playlistId)) {
+      pushError('YOUTUBE_PLAYLIST_INVALID', 'YouTube playlist id is not valid.');
+    } else {
+      options.playlistId = playlistId;
+    }
+  }
+
+  return { options: Object.keys(options).length > 0 ? options : null, errors };
+};
+
+const getPublicBaseUrl = () => String(process.env.PUBLIC_BASE_URL || process.env.PUBLIC_API_BASE_URL || '').trim();
+
+const toAbsoluteMediaUrl = (value) => {
+  const url = String(value || '').trim();
+  if (/^https?:\/\//i.test(url)) return url;
+  const base = getPublicBaseUrl().replace(/\/$/, '');
+  if (!url || !base) return null;
+  return `${base}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+// Only answers that prove the file is gone count; timeouts and 5xx are left
+// to the publish step so a slow CDN does not raise false alarms.
+const probeMediaUrl = async (url) => {
+  try {
+    const response = await axios.head(url, {
+      timeout: MEDIA_CHECK_TIMEOUT_MS,
+      maxRedirects: 5,
+      validateStatus: () => true,
+    });
+    if (response.status !== 405) return response.status;
+
+    const ranged = await axios.get(url, {
+      headers: { Range: 'bytes=0-0' },
+      responseType: 'stream',
+      timeout: MEDIA_CHECK_TIMEOUT_MS,
+      maxRedirects: 5,
+      validateStatus: () => true,
+    });
+    ranged.data?.destroy?.();
+    return ranged.status;
+  } catch {
+    return null;
+  }
+};
+
+const findUnreachableMedia = async (mediaUrls = []) => {
+  const unreachable = [];
+  for (const value of Array.isArray(mediaUrls) ? mediaUrls : []) {
+    const url = toAbsoluteMediaUrl(value);
+    if (!url) continue;
+    const status = await probeMediaUrl(url);
+    if ([401, 403, 404, 410].includes(status)) {
+      unreachable.push({ url: String(value), reason: `HTTP ${status}` });
+    }
+  }
+  return unreachable;
+};
+
+// Runs every preflight rule for a post. Issues with severity 'error' would
+// make the publish fail; 'warning' issues are worth fixing but do not block.
+// Platforms must already be normalized and supported.
+export const runPostPreflight = async ({
+  userId,
+  teamId = null,
+  isTeamMember = false,
+  caption,
+  mediaUrls = [],
+  platforms: normalizedPlatforms = [],
+  threadsContentType = 'text',
+  threadsPosts = [],
+  targetAccountIds: requestedTargetAccountIds = null,
+  instagramContentType = 'feed',
+  instagramOptions = null,
+  youtubeOptions = null,
+  threadsOptions = null,
+  checkMedia = false,
+}) => {
+  const issues = [];
+  const pushIssue = (platform, code, message) => {
+    issues.push({ platform, code, message, severity: 'error' });
+  };
+  // Warnings do not block publishing; they flag accounts the health probe
+  // found broken so the post can be fixed before it fails unattended.
+  const pushHealthWarning = (platform, account) => {
+    if (!account || isAccountHealthy(account)) return;
+    const state = account.health_status;
+    const label = account.account_username ? `@${account.account_username}` : platform;
+    issues.push({
+      platform,
+      code: `ACCOUNT_${state.toUpperCase()}`,
+      message: `${label} ${ACCOUNT_HEALTH_MESSAGES[state] || 'needs attention'}. Reconnect ${platform} to avoid failed posts.`,
+      severity: 'warning',
+    });
+  };
+
+  const normalizedCaption = String(caption || '').trim();
+  const normalizedThreadsPosts = normalizeThreadsPosts(threadsPosts);
+  const threadsSelected = normalizedPlatforms.includes('threads');
+  const requestedThreadsType = String(threadsContentType || 'text').toLowerCase();
+  const inferredThreadsType = threadsSelected
+    ? inferThreadsContentType(requestedThreadsType, mediaUrls)
+    : requestedThreadsType;
+  const shouldAutoSplitThreads =
+    threadsSelected &&
+    inferredThreadsType === 'text' &&
+    normalizedCaption.length > PLATFORM_CAPTION_LIMITS.threads;
+  const isThreadsThread =
+    threadsSelected && (requestedThreadsType === 'thread' || shouldAutoSplitThreads);
+  const effectiveThreadsType = isThreadsThread ? 'thread' : inferredThreadsType;
+  const effectiveThreadsPosts = requestedThreadsType === 'thread'
+    ? normalizedThreadsPosts
+    : (shouldAutoSplitThreads
+      ? splitThreadsCaption(normalizedCaption, PLATFORM_CAPTION_LIMITS.threads, THREADS_MAX_CHAIN_POSTS)
+      : []);
+
+  const captionTargetPlatforms = normalizedPlatforms.filter(
+    (platform) => !(platform === 'threads' && isThreadsThread)
+  );
+  const baseCaptionLimit = resolveCaptionLimit(captionTargetPlatforms);
+  const captionMaxChars =
+    captionTargetPlatforms.length === 0 && isThreadsThread
+      ? THREADS_AUTO_SPLIT_MAX_CHARS
+      : baseCaptionLimit;
+
+  if (normalizedPlatforms.some((platform) => platform === 'instagram' || platform === 'youtube') && !normalizedCaption) {
+    pushIssue('content', 'CAPTION_REQUIRED', 'Caption is required for Instagram/YouTube posts.');
+  }
+
+  if (!isThreadsThread && !normalizedCaption) {
+    pushIssue('threads', 'CAPTION_REQUIRED', 'Caption/Text is required.');
+  }
+
+  if (isThreadsThread && effectiveThreadsPosts.length < 2) {
+    pushIssue('threads', 'THREADS_CHAIN_MIN_POSTS', 'Threads chain mode requires at least 2 posts.');
+  }
+
+  if (normalizedCaption && normalizedCaption.length > captionMaxChars) {
+    pushIssue('content', 'CAPTION_TOO_LONG', `Caption is too long. Max ${captionMaxChars} characters for selected platforms.`);
+  }
+
+  if (isThreadsThread) {
+    const tooLong = effectiveThreadsPosts.find((post) => post.length > PLATFORM_CAPTION_LIMITS.threads);
+    if (tooLong) {
+      pushIssue(
+        'threads',
+        'THREADS_POST_TOO_LONG',
+        `Each thread post must be ${PLATFORM_CAPTION_LIMITS.threads} characters or fewer.`
+      );
+    }
+  }
+
+  if (normalizedPlatforms.includes('instagram') && (!Array.isArray(mediaUrls) || mediaUrls.length === 0)) {
+    pushIssue('instagram', 'INSTAGRAM_MEDIA_REQUIRED', 'Instagram posting requires at least one uploaded media file.');
+  }
+
+  if (normalizedPlatforms.includes('instagram')) {
+    const { errors } = normalizeInstagramOptions(instagramOptions, { contentType: instagramContentType, mediaUrls });
+    for (const error of errors) {
+      pushIssue('instagram', error.code, error.message);
+    }
+  }
+
+  if (
+    threadsSelected &&
+    !isThreadsThread &&
+    ['image', 'video'].includes(effectiveThreadsType) &&
+    (!Array.isArray(mediaUrls) || mediaUrls.length === 0)
+  ) {
+    pushIssue('threads', 'THREADS_MEDIA_REQUIRED', 'Threads image/video post requires uploaded media.');
+  }
+
+  if (threadsSelected) {
+    const { errors } = normalizeThreadsOptions(threadsOptions, { contentType: effectiveThreadsType });
+    for (const error of errors) {
+      pushIssue('threads', error.code, error.message);
+    }
+  }
+
+  if (normalizedPlatforms.includes('youtube') && !hasAtLeastOneVideoMedia(mediaUrls)) {
+    pushIssue('youtube', 'YOUTUBE_VIDEO_REQUIRED', 'YouTube posts require at least one uploaded video file (.mp4/.mov/.webm).');
+  }
+
+  if (normalizedPlatforms.includes('youtube')) {
+    const { errors } = normalizeYoutubeOptions(youtubeOptions);
+    for (const error of errors) {
+      pushIssue('youtube', error.code, error.message);
+    }
+  }
+
+  if (checkMedia) {
+    for (const unreachable of await findUnreachableMedia(mediaUrls)) {
+      pushIssue('media', 'MEDIA_UNREACHABLE', `Media file is no longer reachable (${unreachable.reason}): ${unreachable.url}`);
+    }
+  }
+
+  const missingConnections = await ensureConnectedPlatforms({
+    userId,
+    teamId,
+    isTeamMember,
+    platforms: normalizedPlatforms,
+  });
+
+  for (const platform of missingConnections) {
+    pushIssue(platform, 'MISSING_CONNECTED_ACCOUNT', `Connect ${platform} before posting.`);
+  }
+
+  const { targetAccountIds, invalidPlatforms: invalidTargetPlatforms } = await validateTargetAccountIds({
+    userId,
+    teamId,
+    targetAccountIds: requestedTargetAccountIds,
+    platforms: normalizedPlatforms,
+  });
+  for (const platform of invalidTargetPlatforms) {
+    pushIssue(platform, 'TARGET_ACCOUNT_INVALID', `The selected ${platform} account is not connected.`);
+  }
+
+  const shouldCheckPlatform = (platform) =>
+    normalizedPlatforms.includes(platform) &&
+    !missingConnections.includes(platform) &&
+    !invalidTargetPlatforms.includes(platform);
+
+  if (shouldCheckPlatform('instagram')) {
+    const instagramAccount = await getConnectedAccountByPlatform({
+      userId,
+      teamId,
+      isTeamMember,
+      platform: 'instagram',
+      accountId: targetAccountIds.instagram || null,
+    });
+
+    if (!instagramAccount?.access_token || !instagramAccount?.account_id) {
+      pushIssue('instagram', 'INSTAGRAM_TOKEN_MISSING', 'Instagram account is connected but missing token/account details.');
+    } else if (
+      instagramAccount.token_expires_at &&
+      new Date(instagramAccount.token_expires_at).getTime() <= Date.now()
+    ) {
+      pushIssue('instagram', 'INSTAGRAM_TOKEN_EXPIRED', 'Instagram token has expired. Reconnect Instagram.');
+    } else {
+      pushHealthWarning('instagram', instagramAccount);
+    }
+  }
+
+  if (shouldCheckPlatform('threads')) {
+    const threadsAccount = await getConnectedAccountByPlatform({
+      userId,
+      teamId,
+      isTeamMember,
+      platform: 'threads',
+      accountId: targetAccountIds.threads || null,
+    });
+
+    if (!threadsAccount?.access_token || !threadsAccount?.account_id) {
+      pushIssue('threads', 'THREADS_TOKEN_MISSING', 'Threads account is connected but missing token/account details.');
+    } else if (
+      threadsAccount.token_expires_at &&
+      new Date(threadsAccount.token_expires_at).getTime() <= Date.now()
+    ) {
+      pushIssue('threads', 'THREADS_TOKEN_EXPIRED', 'Threads token has expired. Reconnect Threads.');
+    } else {
+      pushHealthWarning('threads', threadsAccount);
+    }
+  }
+
+  if (shouldCheckPlatform('youtube')) {
+    const youtubeAccount = await getConnectedAccountByPlatform({
+      userId,
+      teamId,
+      isTeamMember,
+      platform: 'youtube',
+      accountId: targetAccountIds.youtube || null,
+    });
+
+    if (!youtubeAccount?.access_token || !youtubeAccount?.account_id) {
+      pushIssue('youtube', 'YOUTUBE_TOKEN_MISSING', 'YouTube account is connected but missing token/account details.');
+    } else {
+      const youtubeTokenExpired =
+        youtubeAccount.token_expires_at &&
+        new Date(youtubeAccount.token_expires_at).getTime() <= Date.now();
+      const hasRefreshToken = Boolean(String(youtubeAccount.refresh_token || '').trim());
+      if (youtubeTokenExpired && !hasRefreshToken) {
+        pushIssue('youtube', 'YOUTUBE_TOKEN_EXPIRED', 'YouTube token has expired. Reconnect YouTube.');
+      } else {
+        pushHealthWarning('youtube', youtubeAccount);
+      }
+    }
+  }
+
+  return {
+    issues,
+    resolved: {
+      platforms: normalizedPlatforms,
+      threadsContentType: effectiveThreadsType,
+      isThreadsThread,
+      threadsPosts: effectiveThreadsPosts,
+      captionMaxChars,
+      targetAccountIds,
+    },
+  };
+};
@@ -0,0 +1,279 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { recordPostActivity } from './postActivityService.js';
+import { PENDING_APPROVAL_STATUS, requiresPostApproval } from './postApprovalService.js';
+import { getActiveMembershipFromDatabase } from './teamContextService.js';
+import { addCalendarDays, daysInMonth, getZonedParts, zonedTimeToUtc } from '../utils/zonedTime.js';
+
+const SERIES_HORIZON_HOURS = Math.max(1, Number.parseInt(process.env.SOCIAL_SERIES_HORIZON_HOURS || '48', 10));
+const SERIES_BATCH_SIZE = Math.max(1, Number.parseInt(process.env.SOCIAL_SERIES_BATCH_SIZE || '25', 10));
+const MAX_OCCURRENCE_SCAN = 20000;
+// Occurrences missed while the scheduler was down are skipped rather than
+// backfilled, except for ones that are only a few minutes late.
+const MATERIALIZE_GRACE_MS = 5 * 60 * 1000;
+
+export const SERIES_FREQUENCIES = new Set(['daily', 'weekly', 'monthly']);
+
+const parseJsonArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+};
+
+const parseJsonObject = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+};
+
+// Yields every occurrence of the rule in order, keeping the local time of
+// starts_at in the series time zone. Monthly rules on the 29th-31st fall back
+// to the last day of shorter months.
+function* iterateOccurrences(series) {
+  const timeZone = series.timezone || 'UTC';
+  const start = new Date(series.starts_at);
+  const local = getZonedParts(start, timeZone);
+  const time = { hour: local.hour, minute: local.minute };
+  const interval = Math.max(1, Number(series.interval_count) || 1);
+
+  if (series.frequency === 'daily') {
+    for (let step = 0; ; step += 1) {
+      yield zonedTimeToUtc({ ...addCalendarDays(local, step * interval), ...time }, timeZone);
+    }
+  }
+
+  if (series.frequency === 'weekly') {
+    const weekdays = [...new Set(parseJsonArray(series.by_weekday).map(Number))]
+      .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+    const days = weekdays.length > 0 ? weekdays : [local.weekday];
+    const weekStart = addCalendarDays(local, -local.weekday);
+
+    for (let week = 0; ; week += 1) {
+      for (const weekday of days) {
+        const at = zonedTimeToUtc({ ...addCalendarDays(weekStart, week * 7 * interval + weekday), ...time }, timeZone);
+        if (at >= start) yield at;
+      }
+    }
+  }
+
+  for (let step = 0; ; step += 1) {
+    const monthIndex = local.month - 1 + step * interval;
+    const year = local.year + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const day = Math.min(local.day, daysInMonth(year, month));
+    yield zonedTimeToUtc({ year, month, day, ...time }, timeZone);
+  }
+}
+
+// Returns occurrences in (after, through] with their 1-based index in the
+// series, the first occurrence after `through`, whether the rule has run out
+// (end date or count reached), and whether the scan stopped at
+// MAX_OCCURRENCE_SCAN before reaching either.
+export const collectOccurrences = (series, { after = null, through }) => {
+  const untilAt = series.until_at ? new Date(series.until_at) : null;
+  const limit = Number(series.occurrence_limit) || null;
+  const occurrences = [];
+  let next = null;
+  let exhausted = false;
+  let scanLimited = false;
+  let index = 0;
+
+  for (const at of iterateOccurrences(series)) {
+    index += 1;
+    if ((limit && index > limit) || (untilAt && at > untilAt)) {
+      exhausted = true;
+      break;
+    }
+    if (at > through) {
+      next = at;
+      break;
+    }
+    if (index > MAX_OCCURRENCE_SCAN) {
+      scanLimited = true;
+      break;
+    }
+    if (!after || at > after) {
+      occurrences.push({ index, at });
+    }
+  }
+
+  return { occurrences, next, exhausted, scanLimited };
+};
+
+export const findNextOccurrence = (series, after = new Date()) => {
+  let index = 0;
+  for (const at of iterateOccurrences(series)) {
+    index += 1;
+    if (index > MAX_OCCURRENCE_SCAN) return null;
+    if (series.occurrence_limit && index > Number(series.occurrence_limit)) return null;
+    if (series.until_at && at > new Date(series.until_at)) return null;
+    if (at > after) return at;
+  }
+  return null;
+};
+
+const pickCaption = (series, template, index) => {
+  const variants = parseJsonArray(series.caption_variants)
+    .map((item) => String(item || '').trim())
+    .filter(Boolean);
+  if (variants.length === 0) return String(template.caption || '');
+  return variants[(index - 1) % variants.length];
+};
+
+// Occurrences are created as the series owner would create them, so an owner
+// who has to get posts approved gets them queued for review. An owner who has
+// left the team no longer has any publish rights there.
+const resolveOccurrenceStatus = async (series) => {
+  if (!series.team_id) return 'scheduled';
+
+  const membership = await getActiveMembershipFromDatabase(series.user_id, series.team_id);
+  const teamContext = {
+    teamId: series.team_id,
+    role: membership?.teamId === series.team_id ? membership.role : 'viewer',
+    isTeamMember: true,
+  };
+
+  return (await requiresPostApproval(teamContext)) ? PENDING_APPROVAL_STATUS : 'scheduled';
+};
+
+const insertOccurrence = async (series, template, { index, at }, status) => {
+  const id = uuidv4();
+  const result = await query(
+    `INSERT INTO social_posts (
+       id, user_id, team_id, caption, media_urls, platforms, cross_post,
+       instagram_content_type, youtube_content_type, threads_content_type,
+       status, scheduled_for, threads_sequence, metadata,
+       series_id, series_occurrence, instagram_options, youtube_options, threads_options, created_at, updated_at
+     ) VALUES (
+       $1, $2, $3, $4, $5::jsonb, $6::jsonb, $7,
+       $8, $9, $10,
+       $19, $11, $12::jsonb, $13::jsonb,
+       $14, $15, $16::jsonb, $17::jsonb, $18::jsonb, NOW(), NOW()
+     )
+     ON CONFLICT (series_id, series_occurrence) WHERE series_id IS NOT NULL AND status <> 'deleted' DO NOTHING`,
+    [
+      id,
+      series.user_id,
+      series.team_id || null,
+      pickCaption(series, template, index),
+      JSON.stringify(parseJsonArray(template.mediaUrls)),
+      JSON.stringify(parseJsonArray(template.platforms)),
+      Boolean(template.crossPost),
+      template.instagramContentType || 'feed',
+      template.youtubeContentType || 'video',
+      template.threadsContentType || 'text',
+      at.toISOString(),
+      JSON.stringify(parseJsonArray(template.threadsPosts)),
+      JSON.stringify(parseJsonObject(template.metadata)),
+      series.id,
+      index,
+      template.instagramOptions ? JSON.stringify(template.instagramOptions) : null,
+      template.youtubeOptions ? JSON.stringify(template.youtubeOptions) : null,
+      template.threadsOptions ? JSON.stringify(template.threadsOptions) : null,
+      status,
+    ]
+  );
+
+  if (result.rowCount > 0) {
+    await recordPostActivity({
+      postId: id,
+      action: 'created',
+      details: { status, scheduledFor: at.toISOString(), seriesId: series.id, occurrence: index },
+    });
+  }
+  return result.rowCount || 0;
+};
+
+// Creates social_posts rows for every active series occurrence inside the
+// horizon. The scheduler then publishes them like any other scheduled post.
+export const materializeDueSeries = async () => {
+  const horizonMs = SERIES_HORIZON_HOURS * 60 * 60 * 1000;
+  const due = await query(
+    `SELECT *
+     FROM social_post_series
+     WHERE status = 'active'
+       AND (next_occurrence_at IS NULL OR next_occurrence_at <= NOW() + ($1::int * INTERVAL '1 hour'))
+     ORDER BY next_occurrence_at ASC NULLS FIRST
+     LIMIT $2`,
+    [SERIES_HORIZON_HOURS, SERIES_BATCH_SIZE]
+  );
+
+  let created = 0;
+  for (const series of due.rows) {
+    try {
+      const now = Date.now();
+      const through = new Date(now + horizonMs);
+      const floor = new Date(now - MATERIALIZE_GRACE_MS);
+      const materializedThrough = series.materialized_through ? new Date(series.materialized_through) : null;
+      const after = materializedThrough && materializedThrough > floor ? materializedThrough : floor;
+      const template = parseJsonObject(series.template);
+
+      const { occurrences, next, exhausted, scanLimited } = collectOccurrences(series, { after, through });
+      const status = occurrences.length > 0 ? await resolveOccurrenceStatus(series) : 'scheduled';
+      for (const occurrence of occurrences) {
+        created += await insertOccurrence(series, template, occurrence, status);
+      }
+
+      // Hitting the scan cap says nothing about the rule itself, so the series
+      // stays active and is looked at again once the horizon has moved on.
+      if (scanLimited) {
+        logger.warn('Series occurrence scan limit reached', {
+          seriesId: series.id,
+          maxOccurrenceScan: MAX_OCCURRENCE_SCAN,
+        });
+      }
+
+      await query(
+        `UPDATE social_post_series
+         SET materialized_through = $2,
+             next_occurrence_at = $3,
+             status = CASE WHEN $4::boolean THEN 'completed' ELSE status END,
+             updated_at = NOW()
+         WHERE id = $1 AND status = 'active'`,
+        [
+          series.id,
+          through.toISOString(),
+          next ? next.toISOString() : scanLimited ? through.toISOString() : null,
+          exhausted && !next,
+        ]
+      );
+    } catch (error) {
+      logger.warn('Series materialization failed', { seriesId: series.id, error: error?.message || String(error) });
+    }
+  }
+
+  return created;
+};
+
+// Drops the series' occurrences that have not started publishing yet so they
+// can be regenerated from the updated rule, or not at all once paused or
+// cancelled. Returns the number of occurrences removed.
+export const cancelFutureOccurrences = async (seriesId) => {
+  const result = await query(
+    `UPDATE social_posts
+     SET status = 'deleted',
+         updated_at = NOW()
+     WHERE series_id = $1
+       AND status IN ('scheduled', $2)
+       AND scheduled_for > NOW()`,
+    [seriesId, PENDING_APPROVAL_STATUS]
+  );
+
+  return result.rowCount || 0;
+};
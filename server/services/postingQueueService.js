@@ -0,0 +1,163 @@
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { addCalendarDays, getZonedParts, zonedTimeToUtc } from '../utils/zonedTime.js';
+
+// Slots closer than this are skipped so a queued post never lands on a time
+// the scheduler is already about to pick up.
+const QUEUE_MIN_LEAD_MS = 60 * 1000;
+// Posts waiting for approval keep their slot so approving them does not
+// collide with posts queued in the meantime.
+const QUEUE_HOLDING_STATUSES = ['scheduled', 'pending_approval'];
+
+export const parseSlotTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+};
+
+export const formatSlotTime = (value) => {
+  const parsed = parseSlotTime(value);
+  if (!parsed) return null;
+  return `${String(parsed.hour).padStart(2, '0')}:${String(parsed.minute).padStart(2, '0')}`;
+};
+
+// A queue lane is the owner scope (team, or personal user) plus an optional
+// connected account. Slots and queued posts only ever interact within a lane.
+const buildLaneClause = ({ userId, teamId, accountId, accountColumn, startIndex = 1 }) => {
+  const params = [];
+  const filters = [];
+
+  if (teamId) {
+    params.push(teamId);
+    filters.push(`team_id = $${startIndex}`);
+  } else {
+    params.push(userId);
+    filters.push(`user_id = $${startIndex}`, 'team_id IS NULL');
+  }
+
+  if (accountId) {
+    params.push(accountId);
+    filters.push(`${accountColumn} = $${startIndex + 1}`);
+  } else {
+    filters.push(`${accountColumn} IS NULL`);
+  }
+
+  return { clause: filters.join(' AND '), params };
+};
+
+const listLaneSlots = async (lane) => {
+  const { clause, params } = buildLaneClause({ ...lane, accountColumn: 'account_id' });
+  const result = await query(
+    `SELECT id, weekday, local_time, timezone
+     FROM social_posting_slots
+     WHERE ${clause}`,
+    params
+  );
+  return result.rows;
+};
+
+const listQueuedLanePosts = async (lane, afterIso) => {
+  const { clause, params } = buildLaneClause({ ...lane, accountColumn: 'queue_account_id', startIndex: 2 });
+  const result = await query(
+    `SELECT id, scheduled_for
+     FROM social_posts
+     WHERE is_queued = true
+       AND status = ANY($${params.length + 2}::text[])
+       AND scheduled_for > $1
+       AND ${clause}
+     ORDER BY scheduled_for ASC, created_at ASC`,
+    [afterIso, ...params, QUEUE_HOLDING_STATUSES]
+  );
+  return result.rows;
+};
+
+// Returns the next `count` slot instants after `after`, merged across all the
+// lane's slots in chronological order. Slots sharing an instant count once.
+export const listUpcomingSlotTimes = (slots, { after = new Date(), count }) => {
+  const times = new Map();
+
+  for (const slot of slots) {
+    const time = parseSlotTime(slot.local_time);
+    if (!time) continue;
+
+    const timeZone = slot.timezone || 'UTC';
+    const local = getZonedParts(after, timeZone);
+    const firstDate = addCalendarDays(local, (Number(slot.weekday) - local.weekday + 7) % 7);
+
+    let produced = 0;
+    for (let week = 0; produced < count; week += 1) {
+      const at = zonedTimeToUtc({ ...addCalendarDays(firstDate, week * 7), ...time }, timeZone);
+      if (at <= after) continue;
+      times.set(at.getTime(), at);
+      produced += 1;
+    }
+  }
+
+  return [...times.values()].sort((a, b) => a - b).slice(0, count);
+};
+
+// Picks the earliest slot in the lane that no queued post occupies yet.
+// Returns null when the lane has no slots configured.
+export const findNextQueueSlot = async (lane) => {
+  const slots = await listLaneSlots(lane);
+  if (slots.length === 0) return null;
+
+  const after = new Date(Date.now() + QUEUE_MIN_LEAD_MS);
+  const queued = await listQueuedLanePosts(lane, after.toISOString());
+  const occupied = new Set(queued.map((post) => new Date(post.scheduled_for).getTime()));
+  const candidates = listUpcomingSlotTimes(slots, { after, count: occupied.size + 1 });
+
+  return candidates.find((at) => !occupied.has(at.getTime())) || null;
+};
+
+// Re-packs the lane's queued posts into its earliest upcoming slots, keeping
+// their order. Called after a queued post leaves the queue or the slots
+// change. Returns the number of posts that moved.
+export const reshuffleQueue = async (lane) => {
+  const slots = await listLaneSlots(lane);
+  if (slots.length === 0) return 0;
+
+  const after = new Date(Date.now() + QUEUE_MIN_LEAD_MS);
+  const queued = await listQueuedLanePosts(lane, after.toISOString());
+  if (queued.length === 0) return 0;
+
+  const times = listUpcomingSlotTimes(slots, { after, count: queued.length });
+  let moved = 0;
+
+  for (let index = 0; index < queued.length && index < times.length; index += 1) {
+    const post = queued[index];
+    const target = times[index];
+    if (new Date(post.scheduled_for).getTime() === target.getTime()) continue;
+
+    const updated = await query(
+      `UPDATE social_posts
+       SET scheduled_for = $2,
+           updated_at = NOW()
+       WHERE id = $1 AND is_queued = true AND status = ANY($3::text[])`,
+      [post.id, target.toISOString(), QUEUE_HOLDING_STATUSES]
+    );
+    moved += updated.rowCount || 0;
+  }
+
+  return moved;
+};
+
+// Convenience wrapper for callers holding a social_posts row. A failed
+// reshuffle only leaves gaps in the queue, so it is logged rather than thrown.
+export const reshuffleQueueForPost = async (post) => {
+  if (!post?.is_queued) return 0;
+
+  try {
+    return await reshuffleQueue({
+      userId: post.user_id,
+      teamId: post.team_id || null,
+      accountId: post.queue_account_id || null,
+    });
+  } catch (error) {
+    logger.warn('Queue reshuffle failed', { postId: post.id, error: error?.message || String(error) });
+    return 0;
+  }
+};
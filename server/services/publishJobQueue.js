@@ -0,0 +1,189 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { recordPostActivity } from './postActivityService.js';
+
+const JOB_LEASE_MS = Math.max(30000, Number.parseInt(process.env.SOCIAL_JOB_LEASE_MS || '300000', 10));
+const JOB_HEARTBEAT_MS = Math.max(5000, Number.parseInt(process.env.SOCIAL_JOB_HEARTBEAT_MS || String(Math.floor(JOB_LEASE_MS / 3)), 10));
+const JOB_MAX_LEASE_RECOVERIES = Math.max(0, Number.parseInt(process.env.SOCIAL_JOB_MAX_LEASE_RECOVERIES || '2', 10));
+
+// Identifies this process in locked_by so leases can only be extended or
+// released by the worker that claimed them.
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+// Creates a queued job for every due scheduled post that does not already have
+// one. The partial unique index keeps concurrent enqueuers from duplicating jobs.
+// A post waiting on an automatic retry is due at next_retry_at instead of its
+// scheduled time.
+export const enqueueDuePosts = async (limit) => {
+  const due = await query(
+    `SELECT sp.id, COALESCE(sp.next_retry_at, sp.scheduled_for) AS run_at
+     FROM social_posts sp
+     WHERE sp.status = 'scheduled'
+       AND sp.scheduled_for IS NOT NULL
+       AND COALESCE(sp.next_retry_at, sp.scheduled_for) <= NOW()
+       AND NOT EXISTS (
+         SELECT 1
+         FROM social_publish_jobs j
+         WHERE j.post_id = sp.id
+           AND j.status IN ('queued', 'running')
+       )
+     ORDER BY run_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+
+  let enqueued = 0;
+  for (const post of due.rows) {
+    const result = await query(
+      `INSERT INTO social_publish_jobs (id, post_id, status, run_at, created_at, updated_at)
+       VALUES ($1, $2, 'queued', $3, NOW(), NOW())
+       ON CONFLICT (post_id) WHERE status IN ('queued', 'running') DO NOTHING`,
+      [uuidv4(), post.id, post.run_at]
+    );
+    enqueued += result.rowCount || 0;
+  }
+
+  return enqueued;
+};
+
+export const claimJobs = async (limit) => {
+  const result = await query(
+    `UPDATE social_publish_jobs j
+     SET status = 'running',
+         locked_by = $2,
+         attempts = j.attempts + 1,
+         lease_expires_at = NOW() + ($3::int * INTERVAL '1 millisecond'),
+         heartbeat_at = NOW(),
+         updated_at = NOW()
+     WHERE j.id IN (
+       SELECT id
+       FROM social_publish_jobs
+       WHERE status = 'queued'
+         AND run_at <= NOW()
+       ORDER BY run_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING j.*`,
+    [limit, WORKER_ID, JOB_LEASE_MS]
+  );
+
+  return result.rows;
+};
+
+// Moves the job's post into 'publishing'. Returns null when the post was
+// cancelled, rescheduled or deleted after the job was queued.
+export const lockJobPost = async (job) => {
+  const result = await query(
+    `UPDATE social_posts
+     SET status = 'publishing',
+         updated_at = NOW()
+     WHERE id = $1
+       AND status = 'scheduled'
+       AND COALESCE(next_retry_at, scheduled_for) <= NOW()
+     RETURNING *`,
+    [job.post_id]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const startJobHeartbeat = (job) => {
+  const timer = setInterval(() => {
+    query(
+      `UPDATE social_publish_jobs
+       SET heartbeat_at = NOW(),
+           lease_expires_at = NOW() + ($3::int * INTERVAL '1 millisecond'),
+           updated_at = NOW()
+       WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+      [job.id, WORKER_ID, JOB_LEASE_MS]
+    ).catch((error) => {
+      logger.warn('Publish job heartbeat failed', { jobId: job.id, error: error?.message || String(error) });
+    });
+  }, JOB_HEARTBEAT_MS);
+
+  return () => clearInterval(timer);
+};
+
+export const finishJob = async (job, { status = 'completed', error = null } = {}) => {
+  await query(
+    `UPDATE social_publish_jobs
+     SET status = $3,
+         last_error = $4,
+         locked_by = NULL,
+         lease_expires_at = NULL,
+         updated_at = NOW()
+     WHERE id = $1 AND locked_by = $2`,
+    [job.id, WORKER_ID, status, error]
+  );
+};
+
+// Recovers jobs whose worker stopped heartbeating (crash, deploy, OOM). The
+// post goes back to 'scheduled' so the job can be claimed again; after too
+// many lost leases the post is failed instead of being retried forever.
+export const reapExpiredLeases = async () => {
+  const expired = await query(
+    `UPDATE social_publish_jobs
+     SET status = CASE WHEN attempts > $1 THEN 'failed' ELSE 'queued' END,
+         last_error = 'Lease expired before the publish finished',
+         locked_by = NULL,
+         lease_expires_at = NULL,
+         run_at = NOW(),
+         updated_at = NOW()
+     WHERE id IN (
+       SELECT id
+       FROM social_publish_jobs
+       WHERE status = 'running'
+         AND lease_expires_at < NOW()
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, post_id, status`,
+    [JOB_MAX_LEASE_RECOVERIES]
+  );
+
+  for (const job of expired.rows) {
+    const released = await query(
+      `UPDATE social_posts
+       SET status = $2,
+           last_error_code = CASE WHEN $2 = 'failed' THEN 'PUBLISH_LEASE_EXPIRED' ELSE last_error_code END,
+           last_error_message = CASE WHEN $2 = 'failed' THEN 'Publishing was interrupted too many times' ELSE last_error_message END,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'publishing'`,
+      [job.post_id, job.status === 'failed' ? 'failed' : 'scheduled']
+    );
+    if (job.status === 'failed' && released.rowCount > 0) {
+      await recordPostActivity({ postId: job.post_id, action: 'failed', details: { code: 'PUBLISH_LEASE_EXPIRED' } });
+    }
+
+    logger.warn('Publish job lease expired', { jobId: job.id, postId: job.post_id, nextStatus: job.status });
+  }
+
+  // Posts claimed by the pre-queue worker have no job row to recover from;
+  // fail them so they surface for a manual retry instead of staying stuck.
+  const orphaned = await query(
+    `UPDATE social_posts sp
+     SET status = 'failed',
+         last_error_code = 'PUBLISH_LEASE_EXPIRED',
+         last_error_message = 'Publishing was interrupted and did not finish',
+         updated_at = NOW()
+     WHERE sp.status = 'publishing'
+       AND sp.updated_at < NOW() - ($1::int * INTERVAL '1 millisecond')
+       AND NOT EXISTS (
+         SELECT 1
+         FROM social_publish_jobs j
+         WHERE j.post_id = sp.id
+           AND j.status = 'running'
+       )
+     RETURNING sp.id`,
+    [JOB_LEASE_MS * 2]
+  );
+
+  for (const post of orphaned.rows) {
+    await recordPostActivity({ postId: post.id, action: 'failed', details: { code: 'PUBLISH_LEASE_EXPIRED' } });
+    logger.warn('Stuck publishing post failed by reaper', { postId: post.id });
+  }
+
+  return expired.rows.length + orphaned.rows.length;
+};
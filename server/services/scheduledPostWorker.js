@@ -3,7 +3,26 @@ import { logger } from '../utils/logger.js';
 import { publishInstagramPost } from './instagramService.js';
 import { publishThreadsPost, publishThreadsThread } from './threadsService.js';
 import { publishYoutubeVideo } from './youtubeService.js';
-import { mapSocialPublishError } from '../utils/publishErrors.js';
+import { isRetryablePublishError, mapSocialPublishError } from '../utils/publishErrors.js';
+import { getConnectedAccountForPost } from './connectedAccountService.js';
+import {
+  listPostDeliveries,
+  recordDeliveryFailure,
+  recordDeliverySuccess,
+  recordPublishAttempt,
+} from './postDeliveryService.js';
+import {
+  claimJobs,
+  enqueueDuePosts,
+  finishJob,
+  lockJobPost,
+  reapExpiredLeases,
+  startJobHeartbeat,
+} from './publishJobQueue.js';
+import { materializeDueSeries } from './postSeriesService.js';
+import { runDuePreflights } from './scheduledPreflightService.js';
+import { settleDueYoutubePremieres } from './youtubePremiereService.js';
+import { recordPostActivity } from './postActivityService.js';
 
 const WORKER_ENABLED = String(process.env.SOCIAL_SCHEDULE_WORKER_ENABLED || 'true').toLowerCase() === 'true';
 const WORKER_POLL_MS = Math.max(5000, Number.parseInt(process.env.SOCIAL_SCHEDULE_WORKER_POLL_MS || '15000', 10));
@@ -14,12 +33,15 @@ const X_CROSSPOST_TIMEOUT_MS = Number.parseInt(process.env.X_CROSSPOST_TIMEOUT_M
 const LINKEDIN_CROSSPOST_TIMEOUT_MS = Number.parseInt(process.env.LINKEDIN_CROSSPOST_TIMEOUT_MS || '10000', 10);
 const X_CROSSPOST_MAX_MEDIA_ITEMS = Math.max(1, Number.parseInt(process.env.X_CROSSPOST_MAX_MEDIA_ITEMS || '4', 10));
 const LINKEDIN_CROSSPOST_MAX_MEDIA_ITEMS = Math.max(1, Number.parseInt(process.env.LINKEDIN_CROSSPOST_MAX_MEDIA_ITEMS || '9', 10));
+const RETRY_MAX_ATTEMPTS = Math.max(1, Number.parseInt(process.env.SOCIAL_PUBLISH_RETRY_MAX_ATTEMPTS || '4', 10));
+const RETRY_BASE_DELAY_MS = Math.max(1000, Number.parseInt(process.env.SOCIAL_PUBLISH_RETRY_BASE_MS || '60000', 10));
+const RETRY_MAX_DELAY_MS = Math.max(RETRY_BASE_DELAY_MS, Number.parseInt(process.env.SOCIAL_PUBLISH_RETRY_MAX_MS || '3600000', 10));
 const X_MAX_CHARS = 280;
 const X_MAX_THREAD_PARTS = Math.max(2, Number.parseInt(process.env.X_MAX_THREAD_PARTS || '25', 10));
 const INTERNAL_CALLER = 'social-genie-scheduler';
 
 let pollTimer = null;
-let isRunning = false;
+let workerStopped = true;
 let metadataColumnChecked = false;
 let metadataColumnAvailable = false;
 
@@ -403,110 +425,89 @@ const splitTextByLimit = (text, limit = THREADS_TEXT_MAX_CHARS) => {
   return parts;
 };
 
-const getConnectedAccountByPlatform = async (post, platform) => {
-  const metadata = parseJsonObject(post?.metadata, {});
-  const targetAccountIds =
-    metadata?.target_account_ids && typeof metadata.target_account_ids === 'object'
-      ? metadata.target_account_ids
-      : {};
-  const explicitTargetAccountId =
-    targetAccountIds?.[platform] !== undefined && targetAccountIds?.[platform] !== null
-      ? String(targetAccountIds[platform]).trim() || null
-      : null;
-
-  if (explicitTargetAccountId) {
-    const params = [explicitTargetAccountId, platform];
-    const filters = [`id::text = $1::text`, `platform = $2`, `is_active = true`];
-
-    if (post.team_id) {
-      params.push(post.team_id);
-      filters.push(`team_id::text = $${params.length}::text`);
-    } else {
-      params.push(post.user_id);
-      filters.push(`user_id = $${params.length}`);
-      filters.push(`team_id IS NULL`);
-    }
-
-    const explicitResult = await query(
-      `SELECT id, account_id, access_token, refresh_token, token_expires_at
-       FROM social_connected_accounts
-       WHERE ${filters.join(' AND ')}
-       LIMIT 1`,
-      params
-    );
-
-    if (explicitResult.rows[0]) {
-      return explicitResult.rows[0];
-    }
-  }
-
-  if (post.team_id) {
-    const result = await query(
-      `SELECT id, account_id, access_token, refresh_token, token_expires_at
-       FROM social_connected_accounts
-       WHERE team_id = $1 AND platform = $2 AND is_active = true
-       ORDER BY updated_at DESC
-       LIMIT 1`,
-      [post.team_id, platform]
-    );
-    return result.rows[0] || null;
-  }
-
-  const result = await query(
-    `SELECT id, account_id, access_token, refresh_token, token_expires_at
-     FROM social_connected_accounts
-     WHERE user_id = $1 AND team_id IS NULL AND platform = $2 AND is_active = true
-     ORDER BY updated_at DESC
-     LIMIT 1`,
-    [post.user_id, platform]
+const markFailed = async (postId, { code = 'SOCIAL_PUBLISH_FAILED', message = 'Unknown publish failure' } = {}) => {
+  await query(
+    `UPDATE social_posts
+     SET status = 'failed',
+         last_error_code = $2,
+         last_error_message = $3,
+         next_retry_at = NULL,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [postId, code, message]
   );
-  return result.rows[0] || null;
+
+  logger.warn('Scheduled post publish failed', {
+    postId,
+    code,
+    error: message,
+  });
 };
 
-const claimDuePosts = async () => {
-  const result = await query(
+// Puts the post back on the schedule until the next backoff slot. The slot
+// goes in next_retry_at so scheduled_for keeps the time the user picked.
+// Platforms that already posted keep their delivery and are skipped on the
+// next run.
+const markRetryScheduled = async (postId, { code, message, nextRetryAt }) => {
+  await query(
     `UPDATE social_posts
-     SET status = 'publishing',
+     SET status = 'scheduled',
+         next_retry_at = $4,
+         last_error_code = $2,
+         last_error_message = $3,
          updated_at = NOW()
-     WHERE id IN (
-       SELECT id
-       FROM social_posts
-       WHERE status = 'scheduled'
-         AND scheduled_for IS NOT NULL
-         AND scheduled_for <= NOW()
-       ORDER BY scheduled_for ASC
-       LIMIT $1
-     )
-     RETURNING *`,
-    [WORKER_BATCH_SIZE]
+     WHERE id = $1`,
+    [postId, code, message, nextRetryAt]
   );
-
-  return result.rows;
 };
 
-const markFailed = async (postId, errorMessage) => {
+const recordLastError = async (postId, { code, message }) => {
   await query(
     `UPDATE social_posts
-     SET status = 'failed',
+     SET last_error_code = $2,
+         last_error_message = $3,
+         next_retry_at = NULL,
          updated_at = NOW()
      WHERE id = $1`,
+    [postId, code, message]
+  );
+};
+
+const incrementPublishAttempts = async (postId) => {
+  const result = await query(
+    `UPDATE social_posts
+     SET publish_attempts = COALESCE(publish_attempts, 0) + 1
+     WHERE id = $1
+     RETURNING publish_attempts`,
     [postId]
   );
 
-  logger.warn('Scheduled post publish failed', {
-    postId,
-    error: errorMessage,
-  });
+  return Number(result.rows[0]?.publish_attempts || 1);
+};
+
+// Exponential backoff with equal jitter: half the delay is fixed, the other
+// half random, so posts that failed together do not all retry together.
+const computeRetryDelayMs = (attemptNumber) => {
+  const exponential = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * (2 ** Math.max(0, attemptNumber - 1)));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
 };
 
-const markPosted = async ({ postId, instagramPostId, youtubeVideoId, threadsPostId, threadsSequence = null, metadata = undefined }) => {
+const markPublishResult = async ({
+  postId,
+  status = 'posted',
+  instagramPostId,
+  youtubeVideoId,
+  threadsPostId,
+  threadsSequence = null,
+  metadata = undefined,
+}) => {
   const canWriteMetadata = (await ensureMetadataColumnSupport()) && metadata !== undefined;
 
   if (canWriteMetadata) {
     await query(
       `UPDATE social_posts
-       SET status = 'posted',
-           posted_at = NOW(),
+       SET status = $7,
+           posted_at = COALESCE(posted_at, NOW()),
            instagram_post_id = COALESCE($2, instagram_post_id),
            youtube_video_id = COALESCE($3, youtube_video_id),
            threads_post_id = COALESCE($4, threads_post_id),
@@ -514,120 +515,178 @@ const markPosted = async ({ postId, instagramPostId, youtubeVideoId, threadsPost
            metadata = $6::jsonb,
            updated_at = NOW()
        WHERE id = $1`,
-      [postId, instagramPostId, youtubeVideoId, threadsPostId, threadsSequence, JSON.stringify(metadata || {})]
+      [postId, instagramPostId, youtubeVideoId, threadsPostId, threadsSequence, JSON.stringify(metadata || {}), status]
     );
     return;
   }
 
   await query(
     `UPDATE social_posts
-     SET status = 'posted',
-         posted_at = NOW(),
+     SET status = $6,
+         posted_at = COALESCE(posted_at, NOW()),
          instagram_post_id = COALESCE($2, instagram_post_id),
          youtube_video_id = COALESCE($3, youtube_video_id),
          threads_post_id = COALESCE($4, threads_post_id),
          threads_sequence = COALESCE($5::jsonb, threads_sequence),
          updated_at = NOW()
      WHERE id = $1`,
-    [postId, instagramPostId, youtubeVideoId, threadsPostId, threadsSequence]
+    [postId, instagramPostId, youtubeVideoId, threadsPostId, threadsSequence, status]
   );
 };
 
-const publishScheduledPost = async (post) => {
-  const platforms = parseJsonArray(post.platforms).map((platform) => String(platform).toLowerCase());
-  const mediaUrls = parseJsonArray(post.media_urls);
-  const threadsSequence = parseJsonArray(post.threads_sequence)
-    .map((item) => String(item || '').trim())
-    .filter(Boolean);
-  const caption = String(post.caption || '').trim();
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  threads: 'Threads',
+  youtube: 'YouTube',
+};
 
-  let instagramPostId = null;
-  let youtubeVideoId = null;
-  let threadsPostId = null;
-  let threadPostIds = [];
+// Publishes the post to a single platform. Returns the provider id plus, for
+// Threads chains, the ids of every part.
+const publishToPlatform = async (post, platform, { caption, mediaUrls, threadsSequence }) => {
+  const account = await getConnectedAccountForPost(post, platform);
+  if (!account?.account_id || !account?.access_token) {
+    const error = new Error(`${PLATFORM_LABELS[platform]} account is not connected`);
+    error.status = 400;
+    error.code = `${platform.toUpperCase()}_NOT_CONNECTED`;
+    error.retryable = false;
+    throw error;
+  }
 
-  for (const platform of platforms) {
+  try {
     if (platform === 'instagram') {
-      const account = await getConnectedAccountByPlatform(post, 'instagram');
-      if (!account?.account_id || !account?.access_token) {
-        throw mapSocialPublishError(new Error('Instagram account is not connected'), { platform: 'instagram' });
-      }
+      const publishResult = await publishInstagramPost({
+        accountId: account.account_id,
+        accessToken: account.access_token,
+        mediaUrls,
+        caption,
+        contentType: post.instagram_content_type || 'feed',
+        options: parseJsonObject(post.instagram_options),
+        requestHost: null,
+      });
+      return { externalId: publishResult.publishId || publishResult.creationId || null };
+    }
 
-      try {
-        const publishResult = await publishInstagramPost({
+    if (platform === 'threads') {
+      const threadsType = String(post.threads_content_type || 'text').toLowerCase();
+      if (threadsType === 'thread') {
+        const posts = threadsSequence.length >= 2 ? threadsSequence : splitTextByLimit(caption, THREADS_TEXT_MAX_CHARS);
+        if (posts.length < 2) {
+          const error = new Error('Threads chain requires at least 2 posts');
+          error.status = 400;
+          error.code = 'THREADS_CHAIN_TOO_SHORT';
+          throw error;
+        }
+
+        const publishResult = await publishThreadsThread({
           accountId: account.account_id,
           accessToken: account.access_token,
-          mediaUrls,
-          caption,
-          contentType: post.instagram_content_type || 'feed',
-          requestHost: null,
+          posts,
+          options: parseJsonObject(post.threads_options),
         });
-
-        instagramPostId = publishResult.publishId || publishResult.creationId || null;
-      } catch (error) {
-        throw mapSocialPublishError(error, { platform: 'instagram' });
+        return {
+          externalId: publishResult.publishId || null,
+          threadPostIds: Array.isArray(publishResult.threadPostIds)
+            ? publishResult.threadPostIds.map((id) => String(id || '').trim()).filter(Boolean)
+            : [],
+        };
       }
-    }
 
-    if (platform === 'threads') {
-      const account = await getConnectedAccountByPlatform(post, 'threads');
-      if (!account?.account_id || !account?.access_token) {
-        throw mapSocialPublishError(new Error('Threads account is not connected'), { platform: 'threads' });
-      }
+      const publishResult = await publishThreadsPost({
+        accountId: account.account_id,
+        accessToken: account.access_token,
+        text: caption,
+        mediaUrls,
+        contentType: threadsType,
+        options: parseJsonObject(post.threads_options),
+        requestHost: null,
+      });
+      return { externalId: publishResult.publishId || publishResult.creationId || null };
+    }
 
-      const threadsType = String(post.threads_content_type || 'text').toLowerCase();
-      try {
-        if (threadsType === 'thread') {
-          const posts = threadsSequence.length >= 2 ? threadsSequence : splitTextByLimit(caption, THREADS_TEXT_MAX_CHARS);
-          if (posts.length < 2) {
-            throw new Error('Threads chain requires at least 2 posts');
-          }
-
-          const publishResult = await publishThreadsThread({
-            accountId: account.account_id,
-            accessToken: account.access_token,
-            posts,
-          });
-          threadsPostId = publishResult.publishId || null;
-          threadPostIds = Array.isArray(publishResult.threadPostIds)
-            ? publishResult.threadPostIds.map((id) => String(id || '').trim()).filter(Boolean)
-            : [];
-        } else {
-          const publishResult = await publishThreadsPost({
-            accountId: account.account_id,
-            accessToken: account.access_token,
-            text: caption,
-            mediaUrls,
-            contentType: threadsType,
-            requestHost: null,
-          });
-          threadsPostId = publishResult.publishId || publishResult.creationId || null;
-        }
-      } catch (error) {
-        throw mapSocialPublishError(error, { platform: 'threads' });
-      }
+    const publishResult = await publishYoutubeVideo({
+      connection: account,
+      mediaUrls,
+      caption,
+      contentType: post.youtube_content_type || 'video',
+      options: parseJsonObject(post.youtube_options),
+      uploadKey: post.id,
+    });
+    if (publishResult.warnings?.length > 0) {
+      logger.warn('YouTube video published with incomplete metadata', {
+        postId: post.id,
+        videoId: publishResult.videoId,
+        warnings: publishResult.warnings,
+      });
     }
+    return { externalId: publishResult.videoId || null, warnings: publishResult.warnings || [] };
+  } catch (error) {
+    const mapped = mapSocialPublishError(error, { platform });
+    mapped.retryable = isRetryablePublishError(error);
+    throw mapped;
+  }
+};
 
-    if (platform === 'youtube') {
-      const account = await getConnectedAccountByPlatform(post, 'youtube');
-      if (!account?.account_id || !account?.access_token) {
-        throw mapSocialPublishError(new Error('YouTube account is not connected'), { platform: 'youtube' });
-      }
+// Publishes every platform that does not already have a posted delivery, so a
+// retry after a partial failure never double-posts. Each platform's outcome is
+// recorded as soon as it is known. Returns { status, failures } where status is
+// 'posted', 'partially_posted' or 'failed'.
+const publishScheduledPost = async (post) => {
+  const platforms = parseJsonArray(post.platforms)
+    .map((platform) => String(platform).toLowerCase())
+    .filter((platform) => PLATFORM_LABELS[platform]);
+  const mediaUrls = parseJsonArray(post.media_urls);
+  const threadsSequence = parseJsonArray(post.threads_sequence)
+    .map((item) => String(item || '').trim())
+    .filter(Boolean);
+  const caption = String(post.caption || '').trim();
 
-      try {
-        const publishResult = await publishYoutubeVideo({
-          connection: account,
-          mediaUrls,
-          caption,
-          contentType: post.youtube_content_type || 'video',
-        });
-        youtubeVideoId = publishResult.videoId || null;
-      } catch (error) {
-        throw mapSocialPublishError(error, { platform: 'youtube' });
+  const deliveries = new Map((await listPostDeliveries(post.id)).map((row) => [row.platform, row]));
+  const externalIds = {};
+  const failures = [];
+  const warnings = [];
+  let threadPostIds = [];
+  let threadsPublishedNow = false;
+
+  for (const platform of platforms) {
+    const existing = deliveries.get(platform);
+    if (existing?.status === 'posted') {
+      externalIds[platform] = existing.external_id || null;
+      continue;
+    }
+    if (existing?.status === 'cancelled') {
+      continue;
+    }
+
+    try {
+      const result = await publishToPlatform(post, platform, { caption, mediaUrls, threadsSequence });
+      externalIds[platform] = result.externalId;
+      (result.warnings || []).forEach((warning) => warnings.push({ platform, ...warning }));
+      if (platform === 'threads') {
+        threadsPublishedNow = true;
+        threadPostIds = result.threadPostIds || [];
       }
+      await recordDeliverySuccess({ postId: post.id, platform, externalId: result.externalId });
+    } catch (error) {
+      const failure = {
+        platform,
+        code: error?.code || 'SOCIAL_PUBLISH_FAILED',
+        message: error?.message || 'Publish failed',
+        retryable: typeof error?.retryable === 'boolean' ? error.retryable : isRetryablePublishError(error),
+      };
+      failures.push(failure);
+      await recordDeliveryFailure({
+        postId: post.id,
+        platform,
+        errorCode: failure.code,
+        errorMessage: failure.message,
+      });
     }
   }
 
+  if (failures.length === platforms.length) {
+    return { status: 'failed', failures };
+  }
+
   const baseMetadata = parseJsonObject(post?.metadata, {});
   const crossPostMeta =
     baseMetadata?.cross_post && typeof baseMetadata.cross_post === 'object'
@@ -635,7 +694,7 @@ const publishScheduledPost = async (post) => {
       : null;
   let nextMetadata = baseMetadata;
 
-  if (crossPostMeta && platforms.includes('threads')) {
+  if (crossPostMeta && threadsPublishedNow) {
     const targets =
       crossPostMeta.targets && typeof crossPostMeta.targets === 'object'
         ? crossPostMeta.targets
@@ -731,11 +790,13 @@ const publishScheduledPost = async (post) => {
     };
   }
 
-  await markPosted({
+  const status = failures.length > 0 ? 'partially_posted' : 'posted';
+  await markPublishResult({
     postId: post.id,
-    instagramPostId,
-    youtubeVideoId,
-    threadsPostId,
+    status,
+    instagramPostId: externalIds.instagram || null,
+    youtubeVideoId: externalIds.youtube || null,
+    threadsPostId: externalIds.threads || null,
     threadsSequence: threadPostIds.length > 0 ? JSON.stringify(threadPostIds) : null,
     metadata: nextMetadata,
   });
@@ -743,28 +804,151 @@ const publishScheduledPost = async (post) => {
   logger.info('Scheduled post published', {
     postId: post.id,
     platforms,
+    status,
+    failedPlatforms: failures.map((failure) => failure.platform),
   });
+
+  return { status, failures, warnings };
 };
 
-const tick = async () => {
-  if (isRunning) {
+const summarizeFailures = (failures = []) =>
+  failures.map((failure) => (failure.platform ? `${failure.platform}: ${failure.message}` : failure.message)).join('; ');
+
+// Records the attempt and decides what happens next: retry later when at least
+// one failure is transient and attempts remain, otherwise leave the post
+// failed (or partially posted) with the last error for the user to act on.
+const settlePublishOutcome = async (post, outcome) => {
+  const attemptNumber = await incrementPublishAttempts(post.id);
+
+  if (outcome.status === 'posted') {
+    await recordPublishAttempt({ postId: post.id, attemptNumber, outcome: 'posted' });
+    await recordLastError(post.id, { code: null, message: null });
+    await recordPostActivity({
+      postId: post.id,
+      action: 'published',
+      details: {
+        attempt: attemptNumber,
+        ...(outcome.warnings?.length > 0 ? { warnings: outcome.warnings } : {}),
+      },
+    });
+    return { jobStatus: 'completed', error: null };
+  }
+
+  const failures = outcome.failures || [];
+  const canRetry = failures.some((failure) => failure.retryable) && attemptNumber < RETRY_MAX_ATTEMPTS;
+  const primary = failures.find((failure) => failure.retryable === canRetry) || failures[0] || {};
+  const code = primary.code || 'SOCIAL_PUBLISH_FAILED';
+  const message = summarizeFailures(failures) || 'Unknown publish failure';
+  const nextRetryAt = canRetry ? new Date(Date.now() + computeRetryDelayMs(attemptNumber)).toISOString() : null;
+
+  await recordPublishAttempt({
+    postId: post.id,
+    attemptNumber,
+    outcome: outcome.status,
+    failures,
+    nextRetryAt,
+  });
+  await recordPostActivity({
+    postId: post.id,
+    action: 'failed',
+    details: {
+      attempt: attemptNumber,
+      code,
+      message,
+      partial: outcome.status === 'partially_posted',
+      nextRetryAt,
+      ...(outcome.warnings?.length > 0 ? { warnings: outcome.warnings } : {}),
+    },
+  });
+
+  if (canRetry) {
+    await markRetryScheduled(post.id, { code, message, nextRetryAt });
+    logger.info('Scheduled post publish will be retried', {
+      postId: post.id,
+      attempt: attemptNumber,
+      maxAttempts: RETRY_MAX_ATTEMPTS,
+      nextRetryAt,
+      code,
+    });
+  } else if (outcome.status === 'partially_posted') {
+    await recordLastError(post.id, { code, message });
+  } else {
+    await markFailed(post.id, { code, message });
+  }
+
+  return { jobStatus: 'failed', error: message };
+};
+
+const processJob = async (job) => {
+  const post = await lockJobPost(job);
+  if (!post) {
+    await finishJob(job, { status: 'cancelled' });
     return;
   }
 
-  isRunning = true;
+  const stopHeartbeat = startJobHeartbeat(job);
   try {
-    const duePosts = await claimDuePosts();
-    if (duePosts.length === 0) {
-      return;
+    let outcome;
+    try {
+      outcome = await publishScheduledPost(post);
+    } catch (error) {
+      outcome = {
+        status: 'failed',
+        failures: [{
+          platform: null,
+          code: error?.code || 'SOCIAL_PUBLISH_FAILED',
+          message: error?.message || 'Unknown publish failure',
+          retryable: isTransientDbError(error) || isRetryablePublishError(error),
+        }],
+      };
     }
 
-    for (const post of duePosts) {
+    const settled = await settlePublishOutcome(post, outcome);
+    await finishJob(job, { status: settled.jobStatus, error: settled.error });
+  } catch (error) {
+    const message = error?.message || 'Unknown publish failure';
+    const code = error?.code || 'SOCIAL_PUBLISH_FAILED';
+    await markFailed(post.id, { code, message });
+    await recordPostActivity({ postId: post.id, action: 'failed', details: { code, message } });
+    await finishJob(job, { status: 'failed', error: message });
+  } finally {
+    stopHeartbeat();
+  }
+};
+
+// One pass over the durable queue: recover expired leases, materialize
+// recurring series occurrences, settle YouTube premieres, enqueue due posts,
+// claim and publish a batch, then re-check posts coming up soon. Safe to run
+// from several processes at once; claiming uses FOR UPDATE SKIP LOCKED so each
+// job is handled by one worker.
+const tick = async () => {
+  try {
+    await reapExpiredLeases();
+    await materializeDueSeries().catch((error) => {
+      logger.warn('Series materialization skipped', { message: error?.message || String(error) });
+    });
+    await settleDueYoutubePremieres().catch((error) => {
+      logger.warn('YouTube premiere settlement skipped', { message: error?.message || String(error) });
+    });
+    await enqueueDuePosts(WORKER_BATCH_SIZE * 4);
+
+    const jobs = await claimJobs(WORKER_BATCH_SIZE);
+    for (const job of jobs) {
       try {
-        await publishScheduledPost(post);
+        await processJob(job);
       } catch (error) {
-        await markFailed(post.id, error?.message || 'Unknown publish failure');
+        logger.error('Scheduled publish job failed unexpectedly', {
+          jobId: job.id,
+          postId: job.post_id,
+          message: error?.message || String(error),
+        });
       }
     }
+
+    // Runs after publishing so slow media probes never delay due posts.
+    await runDuePreflights().catch((error) => {
+      logger.warn('Scheduled post preflight skipped', { message: error?.message || String(error) });
+    });
   } catch (error) {
     const message = error?.message || String(error);
     if (isTransientDbError(error)) {
@@ -772,11 +956,17 @@ const tick = async () => {
     } else {
       logger.error('Scheduled worker tick failed', { message });
     }
-  } finally {
-    isRunning = false;
   }
 };
 
+const scheduleNextTick = () => {
+  if (workerStopped) return;
+  pollTimer = setTimeout(async () => {
+    await tick();
+    scheduleNextTick();
+  }, WORKER_POLL_MS);
+};
+
 export const runSchedulerTick = async () => {
   return tick();
 };
@@ -787,24 +977,25 @@ export const startScheduledPostWorker = () => {
     return;
   }
 
-  if (pollTimer) {
+  if (!workerStopped) {
     return;
   }
 
+  workerStopped = false;
   logger.info('Scheduled post worker started', {
     pollMs: WORKER_POLL_MS,
     batchSize: WORKER_BATCH_SIZE,
   });
 
-  tick().catch(() => null);
-  pollTimer = setInterval(() => {
-    tick().catch(() => null);
-  }, WORKER_POLL_MS);
+  // Each poll is scheduled after the previous one finishes, so ticks within a
+  // process never overlap; cross-process coordination happens in the job table.
+  tick().finally(scheduleNextTick);
 };
 
 export const stopScheduledPostWorker = () => {
+  workerStopped = true;
   if (pollTimer) {
-    clearInterval(pollTimer);
+    clearTimeout(pollTimer);
     pollTimer = null;
   }
 };
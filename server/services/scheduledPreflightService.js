@@ -0,0 +1,107 @@
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { runPostPreflight } from './postPreflightService.js';
+
+const PREFLIGHT_WINDOW_MINUTES = Math.max(5, Number.parseInt(process.env.SOCIAL_SCHEDULE_PREFLIGHT_WINDOW_MINUTES || '120', 10));
+const PREFLIGHT_RECHECK_MINUTES = Math.max(5, Number.parseInt(process.env.SOCIAL_SCHEDULE_PREFLIGHT_RECHECK_MINUTES || '30', 10));
+const PREFLIGHT_BATCH_SIZE = Math.max(1, Number.parseInt(process.env.SOCIAL_SCHEDULE_PREFLIGHT_BATCH_SIZE || '10', 10));
+
+const parseJsonArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+};
+
+const parseJsonObject = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+};
+
+const checkScheduledPost = async (post) => {
+  const metadata = parseJsonObject(post.metadata);
+  const threadsContentType = String(post.threads_content_type || 'text').toLowerCase();
+
+  const { issues } = await runPostPreflight({
+    userId: post.user_id,
+    teamId: post.team_id || null,
+    isTeamMember: Boolean(post.team_id),
+    caption: post.caption,
+    mediaUrls: parseJsonArray(post.media_urls),
+    platforms: parseJsonArray(post.platforms).map((platform) => String(platform || '').toLowerCase()),
+    threadsContentType,
+    threadsPosts: threadsContentType === 'thread' ? parseJsonArray(post.threads_sequence) : [],
+    targetAccountIds: metadata.target_account_ids || null,
+    instagramContentType: post.instagram_content_type || 'feed',
+    instagramOptions: parseJsonObject(post.instagram_options),
+    youtubeOptions: parseJsonObject(post.youtube_options),
+    threadsOptions: parseJsonObject(post.threads_options),
+    checkMedia: true,
+  });
+
+  await query(
+    `UPDATE social_posts
+     SET preflight_warnings = $2::jsonb,
+         preflight_checked_at = NOW()
+     WHERE id = $1 AND status = 'scheduled'`,
+    [post.id, JSON.stringify(issues)]
+  );
+
+  if (issues.length > 0) {
+    logger.info('Scheduled post preflight found problems', {
+      postId: post.id,
+      scheduledFor: post.scheduled_for,
+      codes: issues.map((issue) => issue.code),
+    });
+  }
+};
+
+// Re-validates scheduled posts that are about to go out so broken tokens,
+// purged media or over-long captions show up on the schedule while there is
+// still time to fix them. A post is checked again after it changes or once
+// the recheck interval has passed.
+export const runDuePreflights = async () => {
+  const due = await query(
+    `SELECT id, user_id, team_id, caption, media_urls, platforms, threads_content_type,
+            threads_sequence, metadata, scheduled_for, instagram_content_type, instagram_options,
+            youtube_options, threads_options
+     FROM social_posts
+     WHERE status = 'scheduled'
+       AND scheduled_for > NOW()
+       AND scheduled_for <= NOW() + ($1::int * INTERVAL '1 minute')
+       AND (
+         preflight_checked_at IS NULL
+         OR preflight_checked_at < updated_at
+         OR preflight_checked_at < NOW() - ($2::int * INTERVAL '1 minute')
+       )
+     ORDER BY scheduled_for ASC
+     LIMIT $3`,
+    [PREFLIGHT_WINDOW_MINUTES, PREFLIGHT_RECHECK_MINUTES, PREFLIGHT_BATCH_SIZE]
+  );
+
+  let checked = 0;
+  for (const post of due.rows) {
+    try {
+      await checkScheduledPost(post);
+      checked += 1;
+    } catch (error) {
+      logger.warn('Scheduled post preflight failed', { postId: post.id, error: error?.message || String(error) });
+    }
+  }
+
+  return checked;
+};
@@ -1,5 +1,13 @@
 ﻿import { query } from '../config/database.js';
 
+// Roles that can manage a team's connected accounts and publish without
+// going through post approval.
+export const TEAM_MANAGER_ROLES = ['owner', 'admin'];
+
+// Personal mode (no team) counts as a manager of the user's own workspace.
+export const isTeamManager = (context) =>
+  !context?.isTeamMember || !context?.teamId || TEAM_MANAGER_ROLES.includes(context.role);
+
 const normalizeMembership = (row) => ({
   teamId: row.team_id,
   role: row.role || 'viewer',
@@ -79,6 +79,37 @@ const isVideoUrl = (url) => {
   return false;
 };
 
+// Maps the stored Threads options (see normalizeThreadsOptions) to container
+// params. Replies in a chain only inherit the reply control; attachments,
+// quotes and the topic tag belong to the first post.
+const buildOptionParams = (options, { isReply = false } = {}) => {
+  const params = {};
+  if (!options) return params;
+
+  if (options.replyControl) {
+    params.reply_control = options.replyControl;
+  }
+  if (isReply) return params;
+
+  if (options.topicTag) {
+    params.topic_tag = options.topicTag;
+  }
+  if (options.linkAttachment) {
+    params.link_attachment = options.linkAttachment;
+  }
+  if (options.quotePostId) {
+    params.quote_post_id = options.quotePostId;
+  }
+  if (Array.isArray(options.pollOptions) && options.pollOptions.length > 0) {
+    const keys = ['option_a', 'option_b', 'option_c', 'option_d'];
+    params.poll_attachment = JSON.stringify(
+      Object.fromEntries(options.pollOptions.slice(0, keys.length).map((option, index) => [keys[index], option]))
+    );
+  }
+
+  return params;
+};
+
 const createThreadsContainer = async ({
   accountId,
   accessToken,
@@ -87,6 +118,7 @@ const createThreadsContainer = async ({
   imageUrl,
   videoUrl,
   replyToId,
+  optionParams = {},
 }) => {
   const endpoint = `${THREADS_GRAPH_BASE}/${THREADS_API_VERSION}/${accountId}/threads`;
 
@@ -106,6 +138,9 @@ const createThreadsContainer = async ({
   if (replyToId) {
     payload.append('reply_to_id', replyToId);
   }
+  for (const [key, value] of Object.entries(optionParams)) {
+    payload.append(key, value);
+  }
 
   const response = await axios.post(endpoint, payload.toString(), {
     headers: {
@@ -218,6 +253,7 @@ export const publishThreadsPost = async ({
   text,
   mediaUrls = [],
   contentType = 'text',
+  options = null,
   requestHost = null,
 }) => {
   if (!accountId || !accessToken) {
@@ -267,6 +303,7 @@ export const publishThreadsPost = async ({
       imageUrl,
       videoUrl,
       replyToId: null,
+      optionParams: buildOptionParams(options),
     });
   } catch (error) {
     if (isMissingResourceError(error)) {
@@ -303,6 +340,7 @@ export const publishThreadsThread = async ({
   accountId,
   accessToken,
   posts,
+  options = null,
 }) => {
   if (!accountId || !accessToken) {
     throw asHttpError(400, 'Threads account is not fully connected', 'THREADS_ACCOUNT_INCOMPLETE');
@@ -345,6 +383,7 @@ export const publishThreadsThread = async ({
         mediaType: 'TEXT',
         text,
         replyToId,
+        optionParams: buildOptionParams(options, { isReply: Boolean(replyToId) }),
       });
     } catch (error) {
       if (isMissingResourceError(error)) {
@@ -445,3 +484,80 @@ export const deleteThreadsPosts = async ({ accessToken, postIds = [] }) => {
     attemptedIds: normalized,
   };
 };
+
+const readInsightValue = (insights, name) => {
+  const entry = (Array.isArray(insights?.data) ? insights.data : []).find((item) => item?.name === name);
+  const raw = entry?.total_value?.value ?? entry?.values?.[0]?.value;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : null;
+};
+
+export const fetchThreadsPostInsights = async ({ accessToken, postId }) => {
+  const normalizedId = normalizeThreadsPostId(postId);
+  if (!accessToken || !looksLikeThreadsPostId(normalizedId)) {
+    throw asHttpError(400, 'Threads post id and access token are required', 'THREADS_INSIGHTS_INPUT_INVALID');
+  }
+
+  const response = await axios.get(`${THREADS_GRAPH_BASE}/${THREADS_API_VERSION}/${normalizedId}/insights`, {
+    params: {
+      metric: 'views,likes,replies',
+      access_token: accessToken,
+    },
+    timeout: 15000,
+  });
+
+  return {
+    postId: normalizedId,
+    views: readInsightValue(response.data, 'views'),
+    likes: readInsightValue(response.data, 'likes'),
+    replies: readInsightValue(response.data, 'replies'),
+  };
+};
+
+export const fetchThreadsProfileStats = async ({ accountId, accessToken }) => {
+  if (!accessToken) {
+    throw asHttpError(400, 'Threads access token is missing. Reconnect Threads account.', 'THREADS_TOKEN_MISSING');
+  }
+
+  const liveAccountId = await resolveLiveThreadsAccountId({ accountId, accessToken });
+  const response = await axios.get(`${THREADS_GRAPH_BASE}/${THREADS_API_VERSION}/${liveAccountId || 'me'}/threads_insights`, {
+    params: {
+      metric: 'followers_count',
+      access_token: accessToken,
+    },
+    timeout: 15000,
+  });
+
+  // Threads exposes no following or media totals for a profile.
+  return {
+    followers: readInsightValue(response.data, 'followers_count'),
+    following: null,
+    media: null,
+  };
+};
+
+// Long-lived Threads tokens can be refreshed once they are at least 24 hours
+// old and not yet expired; each refresh is valid for another 60 days.
+export const refreshThreadsLongLivedToken = async ({ accessToken }) => {
+  if (!accessToken) {
+    throw asHttpError(400, 'Threads access token is missing. Reconnect Threads account.', 'THREADS_TOKEN_MISSING');
+  }
+
+  const response = await axios.get(`${THREADS_GRAPH_BASE}/refresh_access_token`, {
+    params: {
+      grant_type: 'th_refresh_token',
+      access_token: accessToken,
+    },
+    timeout: 15000,
+  });
+
+  if (!response.data?.access_token) {
+    throw asHttpError(502, 'Threads did not return a refreshed token', 'THREADS_TOKEN_REFRESH_FAILED');
+  }
+
+  const expiresIn = Number.parseInt(response.data.expires_in || '0', 10);
+  return {
+    accessToken: response.data.access_token,
+    tokenExpiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+  };
+};
@@ -0,0 +1,183 @@
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { refreshInstagramLongLivedToken } from './instagramService.js';
+import { refreshThreadsLongLivedToken } from './threadsService.js';
+import { extractProviderErrorMessage, isRetryablePublishError } from '../utils/publishErrors.js';
+import { classifyAccountHealthError } from '../utils/accountHealth.js';
+import { decryptAccountTokens, encryptAccountTokens } from '../utils/tokenCrypto.js';
+
+const REFRESH_ENABLED = String(process.env.SOCIAL_TOKEN_REFRESH_ENABLED || 'true').toLowerCase() === 'true';
+const REFRESH_POLL_MS = Math.max(60000, Number.parseInt(process.env.SOCIAL_TOKEN_REFRESH_POLL_MS || '3600000', 10));
+const REFRESH_BATCH_SIZE = Math.max(1, Number.parseInt(process.env.SOCIAL_TOKEN_REFRESH_BATCH_SIZE || '25', 10));
+const REFRESH_WINDOW_DAYS = Math.max(1, Number.parseInt(process.env.SOCIAL_TOKEN_REFRESH_WINDOW_DAYS || '10', 10));
+const FAILURE_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+let pollTimer = null;
+let isRunning = false;
+
+// connected account id -> last transient failure (ms), same idea as the
+// profile refresh worker: a provider outage must not pin the batch.
+const recentFailures = new Map();
+
+const TOKEN_REFRESHERS = {
+  instagram: refreshInstagramLongLivedToken,
+  threads: refreshThreadsLongLivedToken,
+};
+
+// Missing app credentials are a deployment problem, not an account problem.
+const isConfigurationError = (error) => /_APP_NOT_CONFIGURED$/.test(String(error?.code || ''));
+
+// Long-lived tokens that expire within the refresh window. Accounts already
+// flagged for reconnect are left alone until the user connects them again.
+const listAccountsDueForTokenRefresh = async () => {
+  const now = Date.now();
+  for (const [accountId, failedAt] of recentFailures) {
+    if (now - failedAt >= FAILURE_COOLDOWN_MS) recentFailures.delete(accountId);
+  }
+
+  const result = await query(
+    `SELECT id, platform, account_id, access_token, refresh_token, token_expires_at,
+            token_key_id, token_data_key
+     FROM social_connected_accounts
+     WHERE is_active = true
+       AND requires_reconnect = false
+       AND platform = ANY($1::text[])
+       AND access_token IS NOT NULL
+       AND token_expires_at IS NOT NULL
+       AND token_expires_at < NOW() + ($2::int * INTERVAL '1 day')
+       AND NOT (id::text = ANY($4::text[]))
+     ORDER BY token_expires_at ASC
+     LIMIT $3`,
+    [Object.keys(TOKEN_REFRESHERS), REFRESH_WINDOW_DAYS, REFRESH_BATCH_SIZE, [...recentFailures.keys()]]
+  );
+
+  return result.rows;
+};
+
+const saveRefreshedToken = async (account, { accessToken, tokenExpiresAt }) => {
+  const sealed = encryptAccountTokens({ accessToken, refreshToken: account.refresh_token });
+  await query(
+    `UPDATE social_connected_accounts
+     SET access_token = $2,
+         refresh_token = $3,
+         token_key_id = $4,
+         token_data_key = $5,
+         token_expires_at = $6,
+         token_refreshed_at = NOW(),
+         token_refresh_error = NULL,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [account.id, sealed.accessToken, sealed.refreshToken, sealed.keyId, sealed.dataKey, tokenExpiresAt]
+  );
+};
+
+const flagAccountForReconnect = async (account, reason, healthStatus = 'expired') => {
+  await query(
+    `UPDATE social_connected_accounts
+     SET requires_reconnect = true,
+         token_refresh_error = $2,
+         health_status = $3,
+         health_error = $2,
+         health_checked_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [account.id, String(reason || 'Token refresh failed').slice(0, 1000), healthStatus]
+  );
+
+  logger.warn('Connected account needs to be reconnected', {
+    accountId: account.id,
+    platform: account.platform,
+    reason,
+  });
+};
+
+const refreshAccountToken = async (account) => {
+  // Neither provider can refresh a token once it has expired.
+  if (new Date(account.token_expires_at).getTime() <= Date.now()) {
+    await flagAccountForReconnect(account, 'Access token expired before it could be refreshed');
+    return;
+  }
+
+  const plain = decryptAccountTokens(account);
+
+  try {
+    const refreshed = await TOKEN_REFRESHERS[account.platform]({ accessToken: plain.access_token });
+    await saveRefreshedToken(plain, refreshed);
+    recentFailures.delete(account.id);
+  } catch (error) {
+    if (isConfigurationError(error) || isRetryablePublishError(error)) {
+      recentFailures.set(account.id, Date.now());
+      logger.warn('Connected account token refresh failed', {
+        accountId: account.id,
+        platform: account.platform,
+        error: extractProviderErrorMessage(error),
+      });
+      return;
+    }
+
+    await flagAccountForReconnect(
+      account,
+      extractProviderErrorMessage(error),
+      classifyAccountHealthError(error, { platform: account.platform }) || 'expired'
+    );
+  }
+};
+
+const tick = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const accounts = await listAccountsDueForTokenRefresh();
+    for (const account of accounts) {
+      try {
+        await refreshAccountToken(account);
+      } catch (error) {
+        recentFailures.set(account.id, Date.now());
+        logger.error('Connected account token refresh errored', {
+          accountId: account.id,
+          message: error?.message || String(error),
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Token refresh tick failed', { message: error?.message || String(error) });
+  } finally {
+    isRunning = false;
+  }
+};
+
+export const runTokenRefreshTick = async () => {
+  return tick();
+};
+
+export const startTokenRefreshWorker = () => {
+  if (!REFRESH_ENABLED) {
+    logger.info('Token refresh worker disabled via SOCIAL_TOKEN_REFRESH_ENABLED');
+    return;
+  }
+
+  if (pollTimer) {
+    return;
+  }
+
+  logger.info('Token refresh worker started', {
+    pollMs: REFRESH_POLL_MS,
+    batchSize: REFRESH_BATCH_SIZE,
+    windowDays: REFRESH_WINDOW_DAYS,
+  });
+
+  tick().catch(() => null);
+  pollTimer = setInterval(() => {
+    tick().catch(() => null);
+  }, REFRESH_POLL_MS);
+};
+
+export const stopTokenRefreshWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
@@ -0,0 +1,181 @@
+import { query } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { extractProviderErrorMessage, isRetryablePublishError } from '../utils/publishErrors.js';
+import { getConnectedAccountByPlatform } from './connectedAccountService.js';
+import { recordDeliveryFailure, recordDeliverySuccess } from './postDeliveryService.js';
+import { recordPostActivity } from './postActivityService.js';
+import { deleteYoutubeVideo, fetchYoutubeVideoStatus, updateYoutubeVideoPublishAt } from './youtubeService.js';
+
+// Posts in 'scheduled_on_platform' were uploaded to YouTube as private videos
+// with status.publishAt set; YouTube makes them public at scheduled_for. Our
+// scheduler never claims them, it only records the outcome afterwards.
+
+const SETTLE_BATCH_SIZE = 50;
+// YouTube flips the video to public shortly after publishAt, not exactly on
+// it, so a video that is still private gets this long before it counts as
+// failed.
+const SETTLE_GRACE_MS = 15 * 60 * 1000;
+const FAILED_UPLOAD_STATUSES = new Set(['failed', 'rejected', 'deleted']);
+
+const asHttpError = (status, message, code = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+const parseJsonObject = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+};
+
+// The channel the video was uploaded to, not whichever YouTube account is
+// newest now.
+const getPremiereConnection = async (post) => {
+  if (!post.youtube_video_id) {
+    throw asHttpError(409, 'YouTube video id is missing for this post', 'YOUTUBE_VIDEO_ID_MISSING');
+  }
+
+  const connection = await getConnectedAccountByPlatform({
+    userId: post.user_id,
+    teamId: post.team_id || null,
+    isTeamMember: Boolean(post.team_id),
+    platform: 'youtube',
+    accountId: parseJsonObject(post.metadata).target_account_ids?.youtube || null,
+  });
+  if (!connection?.access_token) {
+    throw asHttpError(400, 'YouTube account token is missing. Reconnect YouTube first.', 'YOUTUBE_TOKEN_MISSING');
+  }
+
+  return connection;
+};
+
+export const rescheduleYoutubePremiere = async (post, publishAtIso) => {
+  const connection = await getPremiereConnection(post);
+  await updateYoutubeVideoPublishAt({ connection, videoId: post.youtube_video_id, publishAt: publishAtIso });
+};
+
+export const cancelYoutubePremiere = async (post) => {
+  const connection = await getPremiereConnection(post);
+  await deleteYoutubeVideo({ connection, videoId: post.youtube_video_id });
+};
+
+// Decides what a due premiere's video looks like on YouTube: 'posted' once
+// it is public, 'failed' with a reason when it never will be, or 'pending'
+// while YouTube may still make it public.
+const checkPremiereOutcome = async (post) => {
+  const connection = await getPremiereConnection(post);
+  const status = await fetchYoutubeVideoStatus({ connection, videoId: post.youtube_video_id });
+
+  if (!status) {
+    return { outcome: 'failed', code: 'YOUTUBE_VIDEO_NOT_FOUND', message: 'The YouTube video no longer exists' };
+  }
+  if (FAILED_UPLOAD_STATUSES.has(status.uploadStatus)) {
+    const reason = status.failureReason || status.rejectionReason || status.uploadStatus;
+    return { outcome: 'failed', code: 'YOUTUBE_UPLOAD_FAILED', message: `YouTube did not accept the video (${reason})` };
+  }
+  if (status.privacyStatus === 'public') {
+    return { outcome: 'posted' };
+  }
+  if (Date.now() - new Date(post.scheduled_for).getTime() < SETTLE_GRACE_MS) {
+    return { outcome: 'pending' };
+  }
+  return {
+    outcome: 'failed',
+    code: 'YOUTUBE_PREMIERE_NOT_PUBLIC',
+    message: `The YouTube video is still ${status.privacyStatus || 'not public'} after its publish time`,
+  };
+};
+
+const markPremiereFailed = async (post, { code, message }) => {
+  const failed = await query(
+    `UPDATE social_posts
+     SET status = 'failed',
+         last_error_code = $2,
+         last_error_message = $3,
+         updated_at = NOW()
+     WHERE id = $1 AND status = 'scheduled_on_platform'`,
+    [post.id, code, message]
+  );
+  if (failed.rowCount === 0) return false;
+
+  await recordDeliveryFailure({ postId: post.id, platform: 'youtube', errorCode: code, errorMessage: message });
+  await recordPostActivity({ postId: post.id, action: 'failed', details: { platform: 'youtube', premiere: true, code, message } });
+  return true;
+};
+
+const markPremierePosted = async (post) => {
+  const posted = await query(
+    `UPDATE social_posts
+     SET status = 'posted',
+         posted_at = scheduled_for,
+         updated_at = NOW()
+     WHERE id = $1 AND status = 'scheduled_on_platform'`,
+    [post.id]
+  );
+  if (posted.rowCount === 0) return false;
+
+  await recordDeliverySuccess({ postId: post.id, platform: 'youtube', externalId: post.youtube_video_id });
+  await recordPostActivity({ postId: post.id, action: 'published', details: { platform: 'youtube', premiere: true } });
+  return true;
+};
+
+// Settles premieres whose publish time has passed by checking the video on
+// YouTube: public videos are marked posted, ones that were removed, rejected
+// or left private are marked failed. A check that fails transiently is logged
+// and tried again next tick; any other error fails the post.
+export const settleDueYoutubePremieres = async () => {
+  const due = await query(
+    `SELECT id, user_id, team_id, metadata, youtube_video_id, scheduled_for
+     FROM social_posts
+     WHERE status = 'scheduled_on_platform'
+       AND scheduled_for <= NOW()
+     ORDER BY scheduled_for ASC
+     LIMIT $1`,
+    [SETTLE_BATCH_SIZE]
+  );
+
+  let published = 0;
+  let failed = 0;
+  for (const post of due.rows) {
+    let result;
+    try {
+      result = await checkPremiereOutcome(post);
+    } catch (error) {
+      if (isRetryablePublishError(error)) {
+        logger.warn('YouTube premiere status check failed', {
+          postId: post.id,
+          error: error?.message || String(error),
+        });
+        continue;
+      }
+      result = {
+        outcome: 'failed',
+        code: (!error?.response && error?.code) || 'YOUTUBE_STATUS_CHECK_FAILED',
+        message: extractProviderErrorMessage(error) || 'Could not check the YouTube video status',
+      };
+    }
+
+    if (result.outcome === 'posted' && (await markPremierePosted(post))) {
+      published += 1;
+    } else if (result.outcome === 'failed' && (await markPremiereFailed(post, result))) {
+      failed += 1;
+    }
+  }
+
+  if (published > 0 || failed > 0) {
+    logger.info('YouTube premieres settled', { published, failed });
+  }
+
+  return published + failed;
+};
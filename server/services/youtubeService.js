@@ -3,15 +3,34 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import axios from 'axios';
 import { query } from '../config/database.js';
+import { encryptAccountTokens } from '../utils/tokenCrypto.js';
+import { isProviderRateLimitError } from '../utils/publishErrors.js';
+import {
+  completeUploadSession,
+  getUploadSession,
+  recordUploadProgress,
+  startUploadSession,
+} from './youtubeUploadSessionService.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const uploadsRoot = path.resolve(__dirname, '..', 'uploads');
 
 const YOUTUBE_UPLOAD_ENDPOINT = 'https://www.googleapis.com/upload/youtube/v3/videos';
 const YOUTUBE_OAUTH_TOKEN_ENDPOINT = 'https://oauth2.googleapis.com/token';
+const YOUTUBE_VIDEOS_ENDPOINT = 'https://www.googleapis.com/youtube/v3/videos';
+const YOUTUBE_THUMBNAILS_ENDPOINT = 'https://www.googleapis.com/upload/youtube/v3/thumbnails/set';
+const YOUTUBE_PLAYLIST_ITEMS_ENDPOINT = 'https://www.googleapis.com/youtube/v3/playlistItems';
+const YOUTUBE_CHANNELS_ENDPOINT = 'https://www.googleapis.com/youtube/v3/channels';
+const YOUTUBE_ANALYTICS_REPORTS_ENDPOINT = 'https://youtubeanalytics.googleapis.com/v2/reports';
 const YOUTUBE_UPLOAD_TIMEOUT_MS = Math.max(30000, Number.parseInt(process.env.YOUTUBE_UPLOAD_TIMEOUT_MS || '900000', 10));
+// Chunks are whole MiB, which keeps them multiples of the 256 KiB YouTube
+// requires for every chunk but the last.
+const YOUTUBE_UPLOAD_CHUNK_BYTES = Math.max(1, Number.parseInt(process.env.YOUTUBE_UPLOAD_CHUNK_SIZE_MB || '8', 10)) * 1024 * 1024;
+const YOUTUBE_UPLOAD_CHUNK_TIMEOUT_MS = Math.max(30000, Number.parseInt(process.env.YOUTUBE_UPLOAD_CHUNK_TIMEOUT_MS || '120000', 10));
 const YOUTUBE_REFRESH_SKEW_MS = Math.max(30000, Number.parseInt(process.env.YOUTUBE_REFRESH_SKEW_MS || '60000', 10));
 const YOUTUBE_DEFAULT_PRIVACY_STATUS = process.env.YOUTUBE_DEFAULT_PRIVACY_STATUS || 'public';
+const YOUTUBE_DEFAULT_CATEGORY_ID = '22';
+const YOUTUBE_THUMBNAIL_MAX_BYTES = 2 * 1024 * 1024;
 const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.m4v', '.webm', '.avi', '.mpeg', '.mpg', '.mkv']);
 
 const MIME_BY_EXTENSION = {
@@ -23,6 +42,9 @@ const MIME_BY_EXTENSION = {
   '.mpeg': 'video/mpeg',
   '.mpg': 'video/mpeg',
   '.mkv': 'video/x-matroska',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
 };
 
 const asHttpError = (status, message, code = null) => {
@@ -114,6 +136,16 @@ const openLocalMediaStream = async (mediaUrl) => {
     mimeType,
     size: stats.size,
     createStream: () => fs.createReadStream(localPath),
+    readChunk: async (start, end) => {
+      const handle = await fs.promises.open(localPath, 'r');
+      try {
+        const buffer = Buffer.alloc(end - start + 1);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
   };
 };
 
@@ -126,10 +158,19 @@ const openRemoteMediaStream = async (mediaUrl) => {
     );
   }
 
-  const mimeType = inferMimeType(mediaUrl, 'video/mp4');
+  const head = await axios.head(mediaUrl, {
+    timeout: 15000,
+    maxRedirects: 5,
+    validateStatus: () => true,
+  }).catch(() => null);
+  const headOk = head && head.status >= 200 && head.status < 300;
+  const size = headOk ? Number.parseInt(head.headers?.['content-length'] || '0', 10) || null : null;
+  const supportsRanges = headOk && /bytes/i.test(String(head.headers?.['accept-ranges'] || ''));
+  const mimeType = (headOk && String(head.headers?.['content-type'] || '').split(';')[0].trim()) || inferMimeType(mediaUrl, 'video/mp4');
+
   return {
     mimeType,
-    size: null,
+    size,
     createStream: async () => {
       const response = await axios.get(mediaUrl, {
         responseType: 'stream',
@@ -142,13 +183,32 @@ const openRemoteMediaStream = async (mediaUrl) => {
         mimeType: response.headers?.['content-type'] || mimeType,
       };
     },
+    readChunk: size && supportsRanges
+      ? async (start, end) => {
+          const response = await axios.get(mediaUrl, {
+            headers: { Range: `bytes=${start}-${end}` },
+            responseType: 'arraybuffer',
+            timeout: YOUTUBE_UPLOAD_CHUNK_TIMEOUT_MS,
+            maxContentLength: Infinity,
+          });
+          if (response.status !== 206) {
+            throw asHttpError(502, 'Media host ignored the byte range request', 'YOUTUBE_MEDIA_RANGE_UNSUPPORTED');
+          }
+          return Buffer.from(response.data);
+        }
+      : null,
   };
 };
 
+// readChunk is null when the file can only be streamed start to finish, i.e.
+// a remote host that reports no size or does not serve byte ranges.
 const openMediaSource = async (mediaUrl) => {
   const local = await openLocalMediaStream(mediaUrl);
   if (local) {
     return {
+      mimeType: local.mimeType,
+      size: local.size,
+      readChunk: local.readChunk,
       getPayload: async () => ({
         stream: local.createStream(),
         size: local.size,
@@ -159,6 +219,9 @@ const openMediaSource = async (mediaUrl) => {
 
   const remote = await openRemoteMediaStream(mediaUrl);
   return {
+    mimeType: remote.mimeType,
+    size: remote.size,
+    readChunk: remote.readChunk,
     getPayload: async () => remote.createStream(),
   };
 };
@@ -223,14 +286,20 @@ const refreshYoutubeAccessToken = async (refreshToken) => {
   return { accessToken, tokenExpiresAt };
 };
 
-const persistAccessToken = async (connectionId, accessToken, tokenExpiresAt) => {
+// Both tokens are sealed again under a fresh data key, so the refresh token
+// stays readable alongside the new access token.
+const persistAccessToken = async (connectionId, { accessToken, refreshToken }, tokenExpiresAt) => {
+  const sealed = encryptAccountTokens({ accessToken, refreshToken });
   await query(
     `UPDATE social_connected_accounts
      SET access_token = $1,
-         token_expires_at = $2,
+         refresh_token = $2,
+         token_key_id = $3,
+         token_data_key = $4,
+         token_expires_at = $5,
          updated_at = NOW()
-     WHERE id = $3`,
-    [accessToken, tokenExpiresAt, connectionId]
+     WHERE id = $6`,
+    [sealed.accessToken, sealed.refreshToken, sealed.keyId, sealed.dataKey, tokenExpiresAt, connectionId]
   );
 };
 
@@ -260,7 +329,7 @@ const ensureYoutubeAccessToken = async (connection, { forceRefresh = false } = {
 
   const refreshed = await refreshYoutubeAccessToken(refreshToken);
   if (connectionId) {
-    await persistAccessToken(connectionId, refreshed.accessToken, refreshed.tokenExpiresAt);
+    await persistAccessToken(connectionId, { accessToken: refreshed.accessToken, refreshToken }, refreshed.tokenExpiresAt);
   }
 
   connection.access_token = refreshed.accessToken;
@@ -268,17 +337,36 @@ const ensureYoutubeAccessToken = async (connection, { forceRefresh = false } = {
   return refreshed.accessToken;
 };
 
-const createResumableSession = async ({ accessToken, mimeType, size, caption, contentType }) => {
-  const metadata = {
-    snippet: {
-      title: parseTitle(caption),
-      description: parseDescription(caption, contentType),
-      categoryId: '22',
-    },
-    status: {
-      privacyStatus: YOUTUBE_DEFAULT_PRIVACY_STATUS,
-    },
+// Per-post options (see normalizeYoutubeOptions) win over values derived
+// from the caption and the deployment-wide defaults.
+const buildVideoResource = ({ caption, contentType, options = {} }) => {
+  const snippet = {
+    title: options.title || parseTitle(caption),
+    description: parseDescription(options.description || caption, contentType),
+    categoryId: options.categoryId || YOUTUBE_DEFAULT_CATEGORY_ID,
   };
+  if (Array.isArray(options.tags) && options.tags.length > 0) {
+    snippet.tags = options.tags;
+  }
+
+  const status = {
+    privacyStatus: options.privacyStatus || YOUTUBE_DEFAULT_PRIVACY_STATUS,
+  };
+  if (typeof options.madeForKids === 'boolean') {
+    status.selfDeclaredMadeForKids = options.madeForKids;
+  }
+  // YouTube only honours publishAt on private videos and makes them public
+  // at that time.
+  if (options.publishAt) {
+    status.privacyStatus = 'private';
+    status.publishAt = options.publishAt;
+  }
+
+  return { snippet, status };
+};
+
+const createResumableSession = async ({ accessToken, mimeType, size, caption, contentType, options }) => {
+  const metadata = buildVideoResource({ caption, contentType, options: options || {} });
 
   const headers = {
     Authorization: `Bearer ${accessToken}`,
@@ -325,6 +413,10 @@ const uploadVideoContent = async ({ sessionUrl, accessToken, stream, mimeType, s
     maxBodyLength: Infinity,
   });
 
+  return readUploadedVideoId(response);
+};
+
+const readUploadedVideoId = (response) => {
   const videoId = String(response.data?.id || '').trim();
   if (!videoId) {
     throw asHttpError(400, 'YouTube upload completed without a video ID', 'YOUTUBE_UPLOAD_NO_VIDEO_ID');
@@ -333,23 +425,257 @@ const uploadVideoContent = async ({ sessionUrl, accessToken, stream, mimeType, s
   return videoId;
 };
 
-const runUpload = async ({ accessToken, mediaFactory, caption, contentType }) => {
-  const payload = await mediaFactory.getPayload();
+// A 308 Resume Incomplete names the bytes YouTube has kept, e.g. "bytes=0-524287".
+const parseUploadedBytes = (rangeHeader) => {
+  const match = /bytes=0-(\d+)/.exec(String(rangeHeader || ''));
+  return match ? Number.parseInt(match[1], 10) + 1 : 0;
+};
+
+// Asks YouTube where an interrupted session stands: { videoId } if the upload
+// actually finished, { offset } if more bytes are needed, null once the
+// session has expired.
+const queryUploadStatus = async ({ sessionUrl, accessToken, size }) => {
+  const response = await axios.put(sessionUrl, null, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Length': '0',
+      'Content-Range': `bytes */${size}`,
+    },
+    timeout: 30000,
+    validateStatus: (status) => (status >= 200 && status < 300) || [308, 404, 410].includes(status),
+  });
+
+  if (response.status === 404 || response.status === 410) return null;
+  if (response.status === 308) return { offset: parseUploadedBytes(response.headers?.range) };
+  return { videoId: readUploadedVideoId(response) };
+};
+
+const uploadChunks = async ({ sessionUrl, accessToken, source, offset, onProgress }) => {
+  let position = offset;
+
+  while (position < source.size) {
+    const end = Math.min(position + YOUTUBE_UPLOAD_CHUNK_BYTES, source.size) - 1;
+    const chunk = await source.readChunk(position, end);
+    if (chunk.length === 0) {
+      throw asHttpError(400, 'Video file is shorter than expected', 'YOUTUBE_MEDIA_INVALID');
+    }
+
+    const response = await axios.put(sessionUrl, chunk, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': source.mimeType,
+        'Content-Length': String(chunk.length),
+        'Content-Range': `bytes ${position}-${position + chunk.length - 1}/${source.size}`,
+      },
+      timeout: YOUTUBE_UPLOAD_CHUNK_TIMEOUT_MS,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 308,
+    });
+
+    if (response.status !== 308) {
+      return readUploadedVideoId(response);
+    }
+
+    const acknowledged = parseUploadedBytes(response.headers?.range);
+    if (acknowledged <= position) {
+      throw asHttpError(502, 'YouTube did not accept the upload chunk', 'YOUTUBE_UPLOAD_STALLED');
+    }
+    position = acknowledged;
+    await onProgress(position);
+  }
+
+  // Every byte was acknowledged but the final response got lost.
+  const status = await queryUploadStatus({ sessionUrl, accessToken, size: source.size });
+  if (status?.videoId) {
+    return status.videoId;
+  }
+  throw asHttpError(502, 'YouTube did not finalize the upload', 'YOUTUBE_UPLOAD_INCOMPLETE');
+};
+
+// With an uploadKey (the post id) the session and confirmed offset are saved,
+// so a later attempt for the same post and file continues where this one
+// stopped instead of uploading the whole video again. alreadyCompleted in the
+// result means an earlier attempt finished this upload, so thumbnail and
+// playlist steps are not repeated (playlist inserts are not idempotent).
+const runUpload = async ({ accessToken, mediaFactory, mediaUrl, caption, contentType, options, uploadKey, connectionId }) => {
+  if (!mediaFactory.readChunk || !mediaFactory.size) {
+    const payload = await mediaFactory.getPayload();
+    const sessionUrl = await createResumableSession({
+      accessToken,
+      mimeType: payload.mimeType,
+      size: payload.size,
+      caption,
+      contentType,
+      options,
+    });
+
+    const videoId = await uploadVideoContent({
+      sessionUrl,
+      accessToken,
+      stream: payload.stream,
+      mimeType: payload.mimeType,
+      size: payload.size,
+    });
+    return { videoId, alreadyCompleted: false };
+  }
+
+  const onProgress = uploadKey ? (bytes) => recordUploadProgress(uploadKey, bytes) : async () => {};
+  const finish = async (videoId) => {
+    if (uploadKey) await completeUploadSession(uploadKey, videoId);
+    return { videoId, alreadyCompleted: false };
+  };
+
+  const saved = uploadKey ? await getUploadSession(uploadKey) : null;
+  const canResume =
+    saved &&
+    saved.media_url === mediaUrl &&
+    Number(saved.total_bytes) === mediaFactory.size &&
+    String(saved.connected_account_id || '') === String(connectionId || '');
+
+  if (canResume && saved.status === 'completed' && saved.video_id) {
+    return { videoId: saved.video_id, alreadyCompleted: true };
+  }
+
+  if (canResume) {
+    const status = await queryUploadStatus({ sessionUrl: saved.session_url, accessToken, size: mediaFactory.size });
+    if (status?.videoId) {
+      return finish(status.videoId);
+    }
+    if (status) {
+      await onProgress(status.offset);
+      return finish(await uploadChunks({
+        sessionUrl: saved.session_url,
+        accessToken,
+        source: mediaFactory,
+        offset: status.offset,
+        onProgress,
+      }));
+    }
+  }
+
   const sessionUrl = await createResumableSession({
     accessToken,
-    mimeType: payload.mimeType,
-    size: payload.size,
+    mimeType: mediaFactory.mimeType,
+    size: mediaFactory.size,
     caption,
     contentType,
+    options,
   });
+  if (uploadKey) {
+    await startUploadSession({
+      postId: uploadKey,
+      connectedAccountId: connectionId,
+      mediaUrl,
+      sessionUrl,
+      totalBytes: mediaFactory.size,
+    });
+  }
 
-  return uploadVideoContent({
-    sessionUrl,
-    accessToken,
-    stream: payload.stream,
-    mimeType: payload.mimeType,
-    size: payload.size,
+  return finish(await uploadChunks({ sessionUrl, accessToken, source: mediaFactory, offset: 0, onProgress }));
+};
+
+const readThumbnailImage = async (thumbnailUrl) => {
+  const localPath = toLocalUploadPath(thumbnailUrl);
+  if (localPath) {
+    const data = await fs.promises.readFile(localPath);
+    return { data, mimeType: inferMimeType(localPath, 'image/jpeg') };
+  }
+
+  if (!/^https?:\/\//i.test(thumbnailUrl)) {
+    throw asHttpError(400, 'YouTube thumbnail URL must be absolute or a local /uploads path.', 'YOUTUBE_THUMBNAIL_INVALID');
+  }
+
+  const response = await axios.get(thumbnailUrl, {
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    maxContentLength: YOUTUBE_THUMBNAIL_MAX_BYTES,
   });
+  return {
+    data: Buffer.from(response.data),
+    mimeType: String(response.headers?.['content-type'] || '').split(';')[0] || inferMimeType(thumbnailUrl, 'image/jpeg'),
+  };
+};
+
+const setVideoThumbnail = async ({ accessToken, videoId, thumbnailUrl }) => {
+  const image = await readThumbnailImage(thumbnailUrl);
+  if (image.data.length > YOUTUBE_THUMBNAIL_MAX_BYTES) {
+    throw asHttpError(400, 'YouTube thumbnails must be 2 MB or smaller', 'YOUTUBE_THUMBNAIL_TOO_LARGE');
+  }
+
+  await axios.post(YOUTUBE_THUMBNAILS_ENDPOINT, image.data, {
+    params: { videoId, uploadType: 'media' },
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': image.mimeType,
+    },
+    timeout: 60000,
+    maxBodyLength: Infinity,
+  });
+};
+
+const addVideoToPlaylist = async ({ accessToken, videoId, playlistId }) => {
+  await axios.post(
+    YOUTUBE_PLAYLIST_ITEMS_ENDPOINT,
+    {
+      snippet: {
+        playlistId,
+        resourceId: { kind: 'youtube#video', videoId },
+      },
+    },
+    {
+      params: { part: 'snippet' },
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 20000,
+    }
+  );
+};
+
+// Runs after the upload succeeded. Failures are reported rather than thrown:
+// the video already exists, and retrying the publish would upload it twice.
+// Accounts connected before youtube.force-ssl was requested can upload but
+// not set thumbnails or playlists; Google answers those calls with a 403.
+const isInsufficientScopeError = (error) => {
+  if (error?.response?.status !== 403) return false;
+  const body = error.response.data?.error || {};
+  const reasons = [
+    ...(Array.isArray(body.errors) ? body.errors.map((item) => item?.reason) : []),
+    ...(Array.isArray(body.details) ? body.details.map((item) => item?.reason) : []),
+  ];
+  return (
+    reasons.some((reason) => reason === 'insufficientPermissions' || reason === 'ACCESS_TOKEN_SCOPE_INSUFFICIENT') ||
+    /insufficient authentication scopes/i.test(String(body.message || '')) ||
+    /insufficient_scope/i.test(String(error.response.headers?.['www-authenticate'] || ''))
+  );
+};
+
+const applyPostUploadOptions = async ({ accessToken, videoId, options }) => {
+  const warnings = [];
+  const steps = [
+    options?.thumbnailUrl && ['YOUTUBE_THUMBNAIL_FAILED', () => setVideoThumbnail({ accessToken, videoId, thumbnailUrl: options.thumbnailUrl })],
+    options?.playlistId && ['YOUTUBE_PLAYLIST_FAILED', () => addVideoToPlaylist({ accessToken, videoId, playlistId: options.playlistId })],
+  ].filter(Boolean);
+
+  for (const [code, run] of steps) {
+    try {
+      await run();
+    } catch (error) {
+      if (isInsufficientScopeError(error)) {
+        warnings.push({
+          code,
+          message: 'Reconnect your YouTube account to allow thumbnails and playlists; it was connected without that permission.',
+          reconnectRequired: true,
+        });
+        continue;
+      }
+      warnings.push({
+        code,
+        message: error?.response?.data?.error?.message || error?.message || String(error),
+      });
+    }
+  }
+
+  return warnings;
 };
 
 export const publishYoutubeVideo = async ({
@@ -357,6 +683,8 @@ export const publishYoutubeVideo = async ({
   mediaUrls = [],
   caption = '',
   contentType = 'video',
+  options = null,
+  uploadKey = null,
 }) => {
   if (!connection?.id || !connection?.account_id) {
     throw asHttpError(400, 'YouTube account is not fully connected', 'YOUTUBE_ACCOUNT_INCOMPLETE');
@@ -364,31 +692,219 @@ export const publishYoutubeVideo = async ({
 
   const selectedVideoUrl = selectVideoMediaUrl(mediaUrls);
   const mediaFactory = await openMediaSource(selectedVideoUrl);
+  const uploadParams = {
+    mediaFactory,
+    mediaUrl: selectedVideoUrl,
+    caption,
+    contentType,
+    options,
+    uploadKey,
+    connectionId: connection.id,
+  };
 
   let accessToken = await ensureYoutubeAccessToken(connection);
+  let upload;
 
   try {
-    const videoId = await runUpload({
-      accessToken,
-      mediaFactory,
-      caption,
-      contentType,
-    });
-    return { videoId };
+    upload = await runUpload({ ...uploadParams, accessToken });
   } catch (error) {
     const status = error?.response?.status;
-    if (status === 401 && connection.refresh_token) {
-      accessToken = await ensureYoutubeAccessToken(connection, { forceRefresh: true });
-      const videoId = await runUpload({
-        accessToken,
-        mediaFactory,
-        caption,
-        contentType,
+    if (status !== 401 || !connection.refresh_token) {
+      throw error;
+    }
+
+    accessToken = await ensureYoutubeAccessToken(connection, { forceRefresh: true });
+    upload = await runUpload({ ...uploadParams, accessToken });
+  }
+
+  const warnings = upload.alreadyCompleted
+    ? []
+    : await applyPostUploadOptions({ accessToken, videoId: upload.videoId, options });
+  return { videoId: upload.videoId, warnings };
+};
+
+// Runs a Data API call with a valid token, refreshing once if YouTube rejects
+// the token we had.
+const withYoutubeAccessToken = async (connection, run) => {
+  const accessToken = await ensureYoutubeAccessToken(connection);
+  try {
+    return await run(accessToken);
+  } catch (error) {
+    if (error?.response?.status !== 401 || !connection.refresh_token) {
+      throw error;
+    }
+    return run(await ensureYoutubeAccessToken(connection, { forceRefresh: true }));
+  }
+};
+
+// Moves the time a platform-scheduled video goes public. videos.update clears
+// any status field it is not sent, so the current status is read first.
+export const updateYoutubeVideoPublishAt = async ({ connection, videoId, publishAt }) => {
+  return withYoutubeAccessToken(connection, async (accessToken) => {
+    const current = await axios.get(YOUTUBE_VIDEOS_ENDPOINT, {
+      params: { part: 'status', id: videoId },
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000,
+    });
+    const video = Array.isArray(current.data?.items) ? current.data.items[0] : null;
+    if (!video) {
+      throw asHttpError(404, 'YouTube video no longer exists', 'YOUTUBE_VIDEO_NOT_FOUND');
+    }
+
+    const { uploadStatus, failureReason, rejectionReason, madeForKids, ...mutableStatus } = video.status || {};
+    await axios.put(
+      YOUTUBE_VIDEOS_ENDPOINT,
+      {
+        id: videoId,
+        status: {
+          ...mutableStatus,
+          privacyStatus: 'private',
+          publishAt,
+        },
+      },
+      {
+        params: { part: 'status' },
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 20000,
+      }
+    );
+  });
+};
+
+// Returns the video's status part (privacyStatus, uploadStatus, ...), or null
+// when the video no longer exists.
+export const fetchYoutubeVideoStatus = async ({ connection, videoId }) => {
+  return withYoutubeAccessToken(connection, async (accessToken) => {
+    const response = await axios.get(YOUTUBE_VIDEOS_ENDPOINT, {
+      params: { part: 'status', id: videoId },
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000,
+    });
+    const video = Array.isArray(response.data?.items) ? response.data.items[0] : null;
+    return video ? video.status || {} : null;
+  });
+};
+
+// Treats a video that is already gone as deleted.
+export const deleteYoutubeVideo = async ({ connection, videoId }) => {
+  return withYoutubeAccessToken(connection, async (accessToken) => {
+    try {
+      await axios.delete(YOUTUBE_VIDEOS_ENDPOINT, {
+        params: { id: videoId },
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 20000,
       });
-      return { videoId };
+    } catch (error) {
+      if (error?.response?.status !== 404) {
+        throw error;
+      }
+    }
+  });
+};
+
+const toDateOnly = (value) => new Date(value).toISOString().slice(0, 10);
+
+const toMetricNumber = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const fetchVideoStatistics = async ({ accessToken, videoId, publishedAt }) => {
+  const statsResponse = await axios.get(YOUTUBE_VIDEOS_ENDPOINT, {
+    params: { part: 'statistics', id: videoId },
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 15000,
+  });
+
+  const item = Array.isArray(statsResponse.data?.items) ? statsResponse.data.items[0] : null;
+  if (!item) {
+    throw asHttpError(404, 'YouTube video not found', 'YOUTUBE_RESOURCE_NOT_FOUND');
+  }
+
+  let watchTimeMinutes = null;
+  let subscribersGained = null;
+  try {
+    // Watch time and subscriber attribution only exist in the Analytics API and
+    // lag a couple of days behind; missing yt-analytics scope leaves them null.
+    const reportResponse = await axios.get(YOUTUBE_ANALYTICS_REPORTS_ENDPOINT, {
+      params: {
+        ids: 'channel==MINE',
+        startDate: toDateOnly(publishedAt || Date.now()),
+        endDate: toDateOnly(Date.now()),
+        metrics: 'estimatedMinutesWatched,subscribersGained',
+        filters: `video==${videoId}`,
+      },
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000,
+    });
+    const row = Array.isArray(reportResponse.data?.rows) ? reportResponse.data.rows[0] : null;
+    if (Array.isArray(row)) {
+      watchTimeMinutes = toMetricNumber(row[0]);
+      subscribersGained = toMetricNumber(row[1]);
+    }
+  } catch (error) {
+    if (isProviderRateLimitError(error) || Number(error?.response?.status) === 401) {
+      throw error;
     }
+  }
+
+  return {
+    views: toMetricNumber(item.statistics?.viewCount),
+    watchTimeMinutes,
+    subscribersGained,
+  };
+};
 
+export const fetchYoutubeVideoMetrics = async ({ connection, videoId, publishedAt = null }) => {
+  if (!connection?.id || !videoId) {
+    throw asHttpError(400, 'YouTube connection and video id are required', 'YOUTUBE_ACCOUNT_INCOMPLETE');
+  }
+
+  let accessToken = await ensureYoutubeAccessToken(connection);
+
+  try {
+    return await fetchVideoStatistics({ accessToken, videoId, publishedAt });
+  } catch (error) {
+    if (Number(error?.response?.status) === 401 && connection.refresh_token) {
+      accessToken = await ensureYoutubeAccessToken(connection, { forceRefresh: true });
+      return fetchVideoStatistics({ accessToken, videoId, publishedAt });
+    }
     throw error;
   }
 };
 
+const fetchChannelStatistics = async (accessToken) => {
+  const response = await axios.get(YOUTUBE_CHANNELS_ENDPOINT, {
+    params: { part: 'statistics', mine: true },
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 15000,
+  });
+
+  const statistics = response.data?.items?.[0]?.statistics;
+  if (!statistics) {
+    throw asHttpError(404, 'YouTube channel not found for this token', 'YOUTUBE_RESOURCE_NOT_FOUND');
+  }
+
+  return {
+    followers: toMetricNumber(statistics.subscriberCount),
+    following: null,
+    media: toMetricNumber(statistics.videoCount),
+  };
+};
+
+export const fetchYoutubeChannelStats = async ({ connection }) => {
+  if (!connection?.id) {
+    throw asHttpError(400, 'YouTube account is not fully connected', 'YOUTUBE_ACCOUNT_INCOMPLETE');
+  }
+
+  let accessToken = await ensureYoutubeAccessToken(connection);
+  try {
+    return await fetchChannelStatistics(accessToken);
+  } catch (error) {
+    if (Number(error?.response?.status) === 401 && connection.refresh_token) {
+      accessToken = await ensureYoutubeAccessToken(connection, { forceRefresh: true });
+      return fetchChannelStatistics(accessToken);
+    }
+    throw error;
+  }
+};
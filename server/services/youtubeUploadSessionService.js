@@ -0,0 +1,84 @@
+import { query } from '../config/database.js';
+
+// One row per post with a YouTube upload in flight. session_url is Google's
+// resumable upload URI and uploaded_bytes the last offset YouTube confirmed,
+// so a publish that dies mid-upload continues from there on the next attempt.
+// status is 'uploading' or 'completed'.
+
+export const getUploadSession = async (postId) => {
+  const result = await query(
+    `SELECT post_id, connected_account_id, media_url, session_url, total_bytes, uploaded_bytes, status, video_id,
+            updated_at
+     FROM social_youtube_upload_sessions
+     WHERE post_id = $1
+     LIMIT 1`,
+    [postId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const startUploadSession = async ({ postId, connectedAccountId, mediaUrl, sessionUrl, totalBytes }) => {
+  await query(
+    `INSERT INTO social_youtube_upload_sessions (
+       post_id, connected_account_id, media_url, session_url, total_bytes, uploaded_bytes, status, created_at, updated_at
+     ) VALUES ($1, $2, $3, $4, $5, 0, 'uploading', NOW(), NOW())
+     ON CONFLICT (post_id) DO UPDATE
+     SET connected_account_id = EXCLUDED.connected_account_id,
+         media_url = EXCLUDED.media_url,
+         session_url = EXCLUDED.session_url,
+         total_bytes = EXCLUDED.total_bytes,
+         uploaded_bytes = 0,
+         status = 'uploading',
+         video_id = NULL,
+         updated_at = NOW()`,
+    [postId, connectedAccountId || null, mediaUrl, sessionUrl, totalBytes]
+  );
+};
+
+export const recordUploadProgress = async (postId, uploadedBytes) => {
+  await query(
+    `UPDATE social_youtube_upload_sessions
+     SET uploaded_bytes = $2,
+         updated_at = NOW()
+     WHERE post_id = $1 AND status = 'uploading'`,
+    [postId, uploadedBytes]
+  );
+};
+
+export const completeUploadSession = async (postId, videoId) => {
+  await query(
+    `UPDATE social_youtube_upload_sessions
+     SET status = 'completed',
+         uploaded_bytes = total_bytes,
+         video_id = $2,
+         updated_at = NOW()
+     WHERE post_id = $1`,
+    [postId, videoId]
+  );
+};
+
+export const listUploadProgressForPosts = async (postIds = []) => {
+  if (postIds.length === 0) return new Map();
+
+  const result = await query(
+    `SELECT post_id, total_bytes, uploaded_bytes, status, updated_at
+     FROM social_youtube_upload_sessions
+     WHERE post_id::text = ANY($1::text[])`,
+    [postIds.map((id) => String(id))]
+  );
+
+  return new Map(result.rows.map((row) => [String(row.post_id), toUploadProgress(row)]));
+};
+
+export const toUploadProgress = (row) => {
+  const totalBytes = Number(row.total_bytes) || 0;
+  const uploadedBytes = Math.min(Number(row.uploaded_bytes) || 0, totalBytes);
+  return {
+    status: row.status,
+    uploadedBytes,
+    totalBytes,
+    percent: totalBytes > 0 ? Math.floor((uploadedBytes / totalBytes) * 100) : 0,
+    updatedAt: row.updated_at || null,
+  };
+};
@@ -0,0 +1,36 @@
+import { isProviderRateLimitError, mapSocialPublishError } from './publishErrors.js';
+
+export const ACCOUNT_HEALTH_STATES = ['ok', 'expiring', 'expired', 'permission_missing', 'revoked'];
+
+export const ACCOUNT_HEALTH_MESSAGES = {
+  expiring: 'token expires soon and could not be renewed automatically',
+  expired: 'token has expired',
+  permission_missing: 'is missing publish permissions',
+  revoked: 'access was revoked or the account is no longer available',
+};
+
+// Graph API subcodes for tokens invalidated by the user: app removed (458),
+// password changed (460), session invalidated (464, 467).
+const GRAPH_REVOKED_SUBCODES = new Set([458, 460, 464, 467]);
+
+// Maps a failed profile probe (or token refresh) to a health state. Returns
+// null for transient failures, which should leave the current state alone.
+export const classifyAccountHealthError = (error, { platform = null } = {}) => {
+  if (isProviderRateLimitError(error)) return null;
+
+  const status = Number(error?.response?.status || error?.status || 0);
+  const providerError = error?.response?.data?.error;
+
+  if (providerError === 'invalid_grant') return 'revoked';
+  if (GRAPH_REVOKED_SUBCODES.has(Number(providerError?.error_subcode))) return 'revoked';
+
+  const code = String(mapSocialPublishError(error, { platform }).code || '');
+  if (/_(TOKEN_EXPIRED|TOKEN_MISSING)$/.test(code)) return 'expired';
+  if (/_PERMISSION_MISSING$/.test(code)) return 'permission_missing';
+  if (/_RESOURCE_NOT_FOUND$/.test(code)) return 'revoked';
+  if (status === 401) return 'expired';
+
+  return null;
+};
+
+export const isAccountHealthy = (account) => !account?.health_status || account.health_status === 'ok';
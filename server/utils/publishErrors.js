@@ -19,6 +19,10 @@ const RESOURCE_NOT_FOUND_PATTERNS = [
   /resource not found/i,
 ];
 
+// Graph API throttling codes (app, user, API-level and per-call limits).
+const GRAPH_RATE_LIMIT_CODES = new Set([4, 17, 32, 613, 80001, 80002, 80008]);
+const YOUTUBE_RATE_LIMIT_REASONS = new Set(['quotaExceeded', 'rateLimitExceeded', 'userRateLimitExceeded', 'dailyLimitExceeded']);
+
 const toError = (status, message, code) => {
   const error = new Error(message);
   error.status = status;
@@ -32,6 +36,16 @@ export const extractProviderErrorMessage = (error) =>
   error?.message ||
   '';
 
+export const isProviderRateLimitError = (error) => {
+  if (Number(error?.response?.status || error?.status) === 429) return true;
+
+  const providerError = error?.response?.data?.error;
+  if (GRAPH_RATE_LIMIT_CODES.has(Number(providerError?.code))) return true;
+
+  const reasons = Array.isArray(providerError?.errors) ? providerError.errors.map((item) => item?.reason) : [];
+  return reasons.some((reason) => YOUTUBE_RATE_LIMIT_REASONS.has(reason));
+};
+
 export const mapSocialPublishError = (error, { platform = null } = {}) => {
   if (error && Number.isInteger(error.status) && typeof error.message === 'string' && error.code) {
     return error;
@@ -93,3 +107,45 @@ export const mapSocialPublishError = (error, { platform = null } = {}) => {
 
   return toError(400, `Social publish failed: ${providerMessage}`, 'SOCIAL_PUBLISH_FAILED');
 };
+
+// Connection-level failures where the request may never have reached the
+// provider.
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_NETWORK',
+  'ESOCKETTIMEDOUT',
+  'ERR_SOCKET_CONNECTION_TIMEOUT',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+const isRetryableHttpStatus = (status) => status === 408 || (status >= 500 && status <= 599);
+
+// Only failures that can go away on their own are retried: rate limits,
+// provider 5xx/408, timeouts and network errors. Any other 4xx, our own
+// validation errors (bad media, invalid options, expired tokens) and plain
+// errors such as a TypeError fail the same way every time, so retrying them
+// just burns attempts.
+export const isRetryablePublishError = (error) => {
+  if (isProviderRateLimitError(error)) return true;
+  // Graph API flags temporary failures it reports with a 4xx.
+  if (error?.response?.data?.error?.is_transient === true) return true;
+  if (NETWORK_ERROR_CODES.has(String(error?.code || ''))) return true;
+
+  const responseStatus = Number(error?.response?.status);
+  if (Number.isInteger(responseStatus) && responseStatus > 0) {
+    return isRetryableHttpStatus(responseStatus);
+  }
+
+  if (Number.isInteger(error?.status)) {
+    return isRetryableHttpStatus(error.status);
+  }
+
+  return false;
+};
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+// Envelope encryption for connected-account OAuth tokens. Each account row
+// gets its own random data key; the tokens are sealed with it using
+// AES-256-GCM and the data key itself is sealed with a master key from
+// SOCIAL_TOKEN_ENCRYPTION_KEYS. The row records which master key it used
+// (token_key_id), so rotating master keys only re-wraps the data keys.
+//
+// SOCIAL_TOKEN_ENCRYPTION_KEYS="2026-02:<base64 32 bytes>,2025-09:<base64 32 bytes>"
+// SOCIAL_TOKEN_ENCRYPTION_ACTIVE_KEY_ID=2026-02 (defaults to the first key)
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const TOKEN_PREFIX = 'enc:v1:';
+
+let keyringCache = null;
+let warnedPlaintext = false;
+
+const decodeKey = (value) => {
+  const trimmed = String(value || '').trim();
+  const buffer = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  return buffer.length === KEY_BYTES ? buffer : null;
+};
+
+const loadKeyring = () => {
+  if (keyringCache) return keyringCache;
+
+  const keys = new Map();
+  for (const entry of String(process.env.SOCIAL_TOKEN_ENCRYPTION_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+    const keyId = entry.slice(0, separator).trim();
+    const key = decodeKey(entry.slice(separator + 1));
+    if (!key) {
+      throw new Error(`SOCIAL_TOKEN_ENCRYPTION_KEYS entry "${keyId}" must be a 32-byte base64 or hex key`);
+    }
+    keys.set(keyId, key);
+  }
+
+  const activeKeyId = String(process.env.SOCIAL_TOKEN_ENCRYPTION_ACTIVE_KEY_ID || '').trim() || keys.keys().next().value || null;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`SOCIAL_TOKEN_ENCRYPTION_ACTIVE_KEY_ID "${activeKeyId}" is not in SOCIAL_TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  keyringCache = { keys, activeKeyId };
+  return keyringCache;
+};
+
+const getMasterKey = (keyId) => {
+  const key = loadKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+  return key;
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+};
+
+const open = (key, sealed) => {
+  const [iv, tag, ciphertext] = String(sealed).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+export const getActiveTokenKeyId = () => loadKeyring().activeKeyId;
+
+export const isTokenEncryptionEnabled = () => Boolean(getActiveTokenKeyId());
+
+export const isEncryptedToken = (value) => typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+
+// Returns the column values to store for a token pair: the sealed tokens plus
+// token_key_id and token_data_key. Without configured keys the tokens are
+// stored as-is so local setups keep working.
+export const encryptAccountTokens = ({ accessToken = null, refreshToken = null }) => {
+  const keyId = getActiveTokenKeyId();
+  if (!keyId) {
+    if (!warnedPlaintext) {
+      warnedPlaintext = true;
+      logger.warn('SOCIAL_TOKEN_ENCRYPTION_KEYS is not set; connected account tokens are stored unencrypted');
+    }
+    return { accessToken, refreshToken, keyId: null, dataKey: null };
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const sealToken = (value) => (value ? `${TOKEN_PREFIX}${seal(dataKey, Buffer.from(String(value), 'utf8'))}` : value);
+
+  return {
+    accessToken: sealToken(accessToken),
+    refreshToken: sealToken(refreshToken),
+    keyId,
+    dataKey: seal(getMasterKey(keyId), dataKey),
+  };
+};
+
+// Returns a copy of a social_connected_accounts row with plaintext tokens.
+// Rows written before encryption was enabled pass through unchanged.
+export const decryptAccountTokens = (row) => {
+  if (!row) return row;
+  if (!isEncryptedToken(row.access_token) && !isEncryptedToken(row.refresh_token)) return row;
+
+  if (!row.token_data_key || !row.token_key_id) {
+    throw new Error(`Connected account ${row.id || ''} has encrypted tokens but no data key`);
+  }
+
+  const dataKey = open(getMasterKey(row.token_key_id), row.token_data_key);
+  const openToken = (value) =>
+    isEncryptedToken(value) ? open(dataKey, value.slice(TOKEN_PREFIX.length)).toString('utf8') : value;
+
+  return {
+    ...row,
+    access_token: openToken(row.access_token),
+    refresh_token: openToken(row.refresh_token),
+  };
+};
+
+// Re-seals a row's data key under another master key. The tokens themselves
+// are untouched.
+export const rewrapDataKey = ({ token_key_id: keyId, token_data_key: sealedDataKey }, targetKeyId) => {
+  const dataKey = open(getMasterKey(keyId), sealedDataKey);
+  return seal(getMasterKey(targetKeyId), dataKey);
+};
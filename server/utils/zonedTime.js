@@ -0,0 +1,78 @@
+// Wall-clock helpers for IANA time zones built on Intl, so recurring schedules
+// keep their local time across DST changes without a date library.
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short',
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Local calendar parts of an instant in the given zone. weekday is 0 (Sunday)
+// through 6.
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+};
+
+const getOffsetMs = (utcMs, timeZone) => {
+  const parts = getZonedParts(new Date(utcMs), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+};
+
+// Converts a local wall-clock time to the matching instant. Times that fall in
+// a DST gap do not exist locally and come back shifted by the gap's length.
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = wallMs - getOffsetMs(wallMs, timeZone);
+  const secondGuess = wallMs - getOffsetMs(firstGuess, timeZone);
+  return new Date(secondGuess);
+};
+
+export const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Adds calendar days to a { year, month, day } date, ignoring time zones.
+export const addCalendarDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
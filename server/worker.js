@@ -1,6 +1,10 @@
 import http from 'http';
 import dotenv from 'dotenv';
 import { startScheduledPostWorker, stopScheduledPostWorker } from './services/scheduledPostWorker.js';
+import { startPostMetricsSyncWorker, stopPostMetricsSyncWorker } from './services/postMetricsSyncWorker.js';
+import { startAccountProfileRefreshWorker, stopAccountProfileRefreshWorker } from './services/accountProfileRefreshWorker.js';
+import { startTokenRefreshWorker, stopTokenRefreshWorker } from './services/tokenRefreshWorker.js';
+import { startAccountHealthWorker, stopAccountHealthWorker } from './services/accountHealthWorker.js';
 
 dotenv.config();
 
@@ -14,6 +18,10 @@ http.createServer((req, res) => {
 const shutdown = (signal) => {
   console.log(`[Social Worker] Shutdown signal received: ${signal}`);
   stopScheduledPostWorker();
+  stopPostMetricsSyncWorker();
+  stopAccountProfileRefreshWorker();
+  stopTokenRefreshWorker();
+  stopAccountHealthWorker();
   process.exit(0);
 };
 
@@ -22,3 +30,15 @@ process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 startScheduledPostWorker();
 console.log('[Social Worker] Scheduled post worker started');
+
+startPostMetricsSyncWorker();
+console.log('[Social Worker] Post metrics sync worker started');
+
+startAccountProfileRefreshWorker();
+console.log('[Social Worker] Account profile refresh worker started');
+
+startTokenRefreshWorker();
+console.log('[Social Worker] Token refresh worker started');
+
+startAccountHealthWorker();
+console.log('[Social Worker] Account health worker started');